@@ -3,17 +3,27 @@ import { BrowserRouter as Router, Routes, Route, Navigate } from 'react-router-d
 import { ThemeProvider, createTheme } from '@mui/material/styles';
 import { CssBaseline, Box } from '@mui/material';
 import { AuthProvider, useAuth } from './contexts/AuthContext';
+import { RealtimeProvider } from './contexts/RealtimeContext';
 import Navbar from './components/layout/Navbar';
 import Home from './components/pages/Home';
+import SearchResults from './components/pages/SearchResults';
 import Login from './components/auth/Login';
 import Register from './components/auth/Register';
+import ForgotPassword from './components/auth/ForgotPassword';
+import ResetPassword from './components/auth/ResetPassword';
+import VerifyEmail from './components/auth/VerifyEmail';
 import Profile from './components/user/Profile';
 import UserList from './components/user/UserList';
+import ModerationQueue from './components/user/ModerationQueue';
 import UserDetail from './components/user/UserDetail';
 import EditProfile from './components/user/EditProfile';
+import Inbox from './components/user/Inbox';
+import Conversation from './components/user/Conversation';
 import Newsfeed from './components/posts/Newsfeed';
 import CreatePost from './components/posts/CreatePost';
+import TagFeed from './components/posts/TagFeed';
 import LoadingSpinner from './components/common/LoadingSpinner';
+import EmailVerificationBanner from './components/common/EmailVerificationBanner';
 
 // Create theme
 const theme = createTheme({
@@ -57,66 +67,105 @@ function App() {
     <ThemeProvider theme={theme}>
       <CssBaseline />
       <AuthProvider>
-        <Router>
-          <Box sx={{ display: 'flex', flexDirection: 'column', minHeight: '100vh' }}>
-            <Navbar />
-            <Box component="main" sx={{ flexGrow: 1, py: 3 }}>
-              <Routes>
-                <Route path="/" element={<Home />} />
-                <Route path="/login" element={<Login />} />
-                <Route path="/register" element={<Register />} />
-                <Route
-                  path="/newsfeed"
-                  element={
-                    <ProtectedRoute>
-                      <Newsfeed />
-                    </ProtectedRoute>
-                  }
-                />
-                <Route
-                  path="/create-post"
-                  element={
-                    <ProtectedRoute>
-                      <CreatePost />
-                    </ProtectedRoute>
-                  }
-                />
-                <Route
-                  path="/profile"
-                  element={
-                    <ProtectedRoute>
-                      <Profile />
-                    </ProtectedRoute>
-                  }
-                />
-                <Route
-                  path="/profile/edit"
-                  element={
-                    <ProtectedRoute>
-                      <EditProfile />
-                    </ProtectedRoute>
-                  }
-                />
-                <Route
-                  path="/users"
-                  element={
-                    <AdminRoute>
-                      <UserList />
-                    </AdminRoute>
-                  }
-                />
-                <Route
-                  path="/users/:id"
-                  element={
-                    <ProtectedRoute>
-                      <UserDetail />
-                    </ProtectedRoute>
-                  }
-                />
-              </Routes>
+        <RealtimeProvider>
+          <Router>
+            <Box sx={{ display: 'flex', flexDirection: 'column', minHeight: '100vh' }}>
+              <Navbar />
+              <EmailVerificationBanner />
+              <Box component="main" sx={{ flexGrow: 1, py: 3 }}>
+                <Routes>
+                  <Route path="/" element={<Home />} />
+                  <Route path="/search" element={<SearchResults />} />
+                  <Route path="/login" element={<Login />} />
+                  <Route path="/register" element={<Register />} />
+                  <Route path="/forgot-password" element={<ForgotPassword />} />
+                  <Route path="/reset-password/:token" element={<ResetPassword />} />
+                  <Route path="/verify-email/:token" element={<VerifyEmail />} />
+                  <Route
+                    path="/newsfeed"
+                    element={
+                      <ProtectedRoute>
+                        <Newsfeed />
+                      </ProtectedRoute>
+                    }
+                  />
+                  <Route
+                    path="/create-post"
+                    element={
+                      <ProtectedRoute>
+                        <CreatePost />
+                      </ProtectedRoute>
+                    }
+                  />
+                  <Route
+                    path="/tags/:tag"
+                    element={
+                      <ProtectedRoute>
+                        <TagFeed />
+                      </ProtectedRoute>
+                    }
+                  />
+                  <Route
+                    path="/profile"
+                    element={
+                      <ProtectedRoute>
+                        <Profile />
+                      </ProtectedRoute>
+                    }
+                  />
+                  <Route
+                    path="/profile/edit"
+                    element={
+                      <ProtectedRoute>
+                        <EditProfile />
+                      </ProtectedRoute>
+                    }
+                  />
+                  <Route
+                    path="/users"
+                    element={
+                      <AdminRoute>
+                        <UserList />
+                      </AdminRoute>
+                    }
+                  />
+                  <Route
+                    path="/moderation"
+                    element={
+                      <AdminRoute>
+                        <ModerationQueue />
+                      </AdminRoute>
+                    }
+                  />
+                  <Route
+                    path="/messages"
+                    element={
+                      <ProtectedRoute>
+                        <Inbox />
+                      </ProtectedRoute>
+                    }
+                  />
+                  <Route
+                    path="/messages/:id"
+                    element={
+                      <ProtectedRoute>
+                        <Conversation />
+                      </ProtectedRoute>
+                    }
+                  />
+                  <Route
+                    path="/users/:id"
+                    element={
+                      <ProtectedRoute>
+                        <UserDetail />
+                      </ProtectedRoute>
+                    }
+                  />
+                </Routes>
+              </Box>
             </Box>
-          </Box>
-        </Router>
+          </Router>
+        </RealtimeProvider>
       </AuthProvider>
     </ThemeProvider>
   );
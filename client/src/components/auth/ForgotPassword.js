@@ -0,0 +1,132 @@
+import React, { useState } from 'react';
+import { Link as RouterLink } from 'react-router-dom';
+import {
+    Container,
+    Paper,
+    Typography,
+    TextField,
+    Button,
+    Box,
+    Link,
+    Alert,
+    CircularProgress,
+} from '@mui/material';
+import { LockReset } from '@mui/icons-material';
+import { useAuth } from '../../contexts/AuthContext';
+
+const ForgotPassword = () => {
+    const [email, setEmail] = useState('');
+    const [emailError, setEmailError] = useState('');
+    const [error, setError] = useState('');
+    const [message, setMessage] = useState('');
+    const [isSubmitting, setIsSubmitting] = useState(false);
+
+    const { api } = useAuth();
+
+    const handleChange = (e) => {
+        setEmail(e.target.value);
+        // Clear error when user starts typing
+        if (emailError) {
+            setEmailError('');
+        }
+    };
+
+    const validateForm = () => {
+        if (!email) {
+            setEmailError('Email is required');
+            return false;
+        }
+        if (!/\S+@\S+\.\S+/.test(email)) {
+            setEmailError('Email is invalid');
+            return false;
+        }
+        return true;
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+
+        if (!validateForm()) {
+            return;
+        }
+
+        setIsSubmitting(true);
+        setError('');
+
+        try {
+            const response = await api.post('/auth/forgot-password', { email });
+            setMessage(response.data.message);
+        } catch (err) {
+            setError(err.response?.data?.message || 'Failed to request password reset');
+        } finally {
+            setIsSubmitting(false);
+        }
+    };
+
+    return (
+        <Container maxWidth="sm">
+            <Box sx={{ mt: 4, mb: 4 }}>
+                <Paper elevation={3} sx={{ p: 4 }}>
+                    <Box sx={{ textAlign: 'center', mb: 3 }}>
+                        <LockReset sx={{ fontSize: 48, color: 'primary.main', mb: 2 }} />
+                        <Typography variant="h4" component="h1" gutterBottom>
+                            Forgot Password
+                        </Typography>
+                        <Typography color="text.secondary">
+                            Enter your email and we'll send you a link to reset your password.
+                        </Typography>
+                    </Box>
+
+                    {error && (
+                        <Alert severity="error" sx={{ mb: 3 }}>
+                            {error}
+                        </Alert>
+                    )}
+
+                    {message ? (
+                        <Alert severity="success" sx={{ mb: 3 }}>
+                            {message}
+                        </Alert>
+                    ) : (
+                        <Box component="form" onSubmit={handleSubmit} noValidate role="form">
+                            <TextField
+                                margin="normal"
+                                required
+                                fullWidth
+                                id="email"
+                                label="Email Address"
+                                name="email"
+                                type="email"
+                                autoComplete="email"
+                                autoFocus
+                                value={email}
+                                onChange={handleChange}
+                                error={!!emailError}
+                                helperText={emailError}
+                                disabled={isSubmitting}
+                            />
+                            <Button
+                                type="submit"
+                                fullWidth
+                                variant="contained"
+                                sx={{ mt: 3, mb: 2 }}
+                                disabled={isSubmitting}
+                                startIcon={isSubmitting ? <CircularProgress size={20} /> : <LockReset />}
+                            >
+                                {isSubmitting ? 'Sending...' : 'Send Reset Link'}
+                            </Button>
+                        </Box>
+                    )}
+
+                    <Box sx={{ textAlign: 'center' }}>
+                        <Link component={RouterLink} to="/login" variant="body2">
+                            Back to sign in
+                        </Link>
+                    </Box>
+                </Paper>
+            </Box>
+        </Container>
+    );
+};
+
+export default ForgotPassword;
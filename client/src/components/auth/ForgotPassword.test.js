@@ -0,0 +1,108 @@
+import React from 'react';
+import { render, screen, waitFor } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { BrowserRouter } from 'react-router-dom';
+import { ThemeProvider, createTheme } from '@mui/material/styles';
+import ForgotPassword from './ForgotPassword';
+
+// Mock the AuthContext
+const mockApi = {
+    post: jest.fn(),
+};
+
+jest.mock('../../contexts/AuthContext', () => ({
+    useAuth: () => ({
+        api: mockApi,
+    }),
+}));
+
+const testTheme = createTheme({
+    palette: {
+        primary: { main: '#1976d2' },
+        secondary: { main: '#dc004e' },
+    },
+});
+
+const renderForgotPassword = () => {
+    return render(
+        <ThemeProvider theme={testTheme}>
+            <BrowserRouter>
+                <ForgotPassword />
+            </BrowserRouter>
+        </ThemeProvider>
+    );
+};
+
+describe('ForgotPassword Component', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    describe('Rendering', () => {
+        it('should render the request form', () => {
+            renderForgotPassword();
+
+            expect(screen.getByRole('heading', { name: 'Forgot Password' })).toBeInTheDocument();
+            expect(screen.getByLabelText(/email address/i)).toBeInTheDocument();
+            expect(screen.getByRole('button', { name: /send reset link/i })).toBeInTheDocument();
+            expect(screen.getByText(/back to sign in/i)).toHaveAttribute('href', '/login');
+        });
+    });
+
+    describe('Form Validation', () => {
+        it('should show error for empty email', async () => {
+            renderForgotPassword();
+
+            await userEvent.click(screen.getByRole('button', { name: /send reset link/i }));
+
+            expect(screen.getByText('Email is required')).toBeInTheDocument();
+            expect(mockApi.post).not.toHaveBeenCalled();
+        });
+
+        it('should show error for invalid email format', async () => {
+            renderForgotPassword();
+
+            await userEvent.type(screen.getByLabelText(/email address/i), 'invalid-email');
+            await userEvent.click(screen.getByRole('button', { name: /send reset link/i }));
+
+            expect(screen.getByText('Email is invalid')).toBeInTheDocument();
+        });
+    });
+
+    describe('Form Submission', () => {
+        it('should request a reset link and show the confirmation', async () => {
+            mockApi.post.mockResolvedValueOnce({
+                data: {
+                    success: true,
+                    message: 'If that email is registered, a password reset link has been sent'
+                }
+            });
+
+            renderForgotPassword();
+
+            await userEvent.type(screen.getByLabelText(/email address/i), 'test@example.com');
+            await userEvent.click(screen.getByRole('button', { name: /send reset link/i }));
+
+            await waitFor(() => {
+                expect(mockApi.post).toHaveBeenCalledWith('/auth/forgot-password', { email: 'test@example.com' });
+                expect(screen.getByText('If that email is registered, a password reset link has been sent')).toBeInTheDocument();
+            });
+            expect(screen.queryByRole('form')).not.toBeInTheDocument();
+        });
+
+        it('should show an error when the request fails', async () => {
+            mockApi.post.mockRejectedValueOnce({
+                response: { data: { message: 'Error requesting password reset' } }
+            });
+
+            renderForgotPassword();
+
+            await userEvent.type(screen.getByLabelText(/email address/i), 'test@example.com');
+            await userEvent.click(screen.getByRole('button', { name: /send reset link/i }));
+
+            await waitFor(() => {
+                expect(screen.getByText('Error requesting password reset')).toBeInTheDocument();
+            });
+        });
+    });
+});
@@ -1,5 +1,5 @@
 import React, { useState, useEffect } from 'react';
-import { Link as RouterLink, useNavigate } from 'react-router-dom';
+import { Link as RouterLink, useNavigate, useLocation } from 'react-router-dom';
 import {
     Container,
     Paper,
@@ -11,7 +11,7 @@ import {
     Alert,
     CircularProgress,
 } from '@mui/material';
-import { Login as LoginIcon } from '@mui/icons-material';
+import { Login as LoginIcon, Security } from '@mui/icons-material';
 import { useAuth } from '../../contexts/AuthContext';
 
 const Login = () => {
@@ -21,9 +21,14 @@ const Login = () => {
     });
     const [errors, setErrors] = useState({});
     const [isSubmitting, setIsSubmitting] = useState(false);
+    // Set once the password step succeeds for an account with 2FA
+    const [challengeToken, setChallengeToken] = useState(null);
+    const [code, setCode] = useState('');
+    const [codeError, setCodeError] = useState('');
 
-    const { login, error, isAuthenticated } = useAuth();
+    const { login, verifyTwoFactor, clearError, error, isAuthenticated } = useAuth();
     const navigate = useNavigate();
+    const location = useLocation();
 
     useEffect(() => {
         if (isAuthenticated) {
@@ -77,6 +82,8 @@ const Login = () => {
             const result = await login(formData.email, formData.password);
             if (result.success) {
                 navigate('/');
+            } else if (result.twoFactorRequired) {
+                setChallengeToken(result.challengeToken);
             }
         } catch (err) {
             console.error('Login error:', err);
@@ -85,6 +92,96 @@ const Login = () => {
         }
     };
 
+    const handleCodeSubmit = async (e) => {
+        e.preventDefault();
+
+        if (!code.trim()) {
+            setCodeError('Authentication code is required');
+            return;
+        }
+
+        setIsSubmitting(true);
+
+        try {
+            const result = await verifyTwoFactor(challengeToken, code.trim());
+            if (result.success) {
+                navigate('/');
+            }
+        } finally {
+            setIsSubmitting(false);
+        }
+    };
+
+    const handleBackToSignIn = () => {
+        setChallengeToken(null);
+        setCode('');
+        setCodeError('');
+        clearError();
+    };
+
+    if (challengeToken) {
+        return (
+            <Container maxWidth="sm">
+                <Box sx={{ mt: 4, mb: 4 }}>
+                    <Paper elevation={3} sx={{ p: 4 }}>
+                        <Box sx={{ textAlign: 'center', mb: 3 }}>
+                            <Security sx={{ fontSize: 48, color: 'primary.main', mb: 2 }} />
+                            <Typography variant="h4" component="h1" gutterBottom>
+                                Two-Factor Authentication
+                            </Typography>
+                            <Typography color="text.secondary">
+                                Enter the 6-digit code from your authenticator app, or one of your backup codes.
+                            </Typography>
+                        </Box>
+
+                        {error && (
+                            <Alert severity="error" sx={{ mb: 3 }}>
+                                {error}
+                            </Alert>
+                        )}
+
+                        <Box component="form" onSubmit={handleCodeSubmit} noValidate role="form">
+                            <TextField
+                                margin="normal"
+                                required
+                                fullWidth
+                                id="code"
+                                label="Authentication Code"
+                                name="code"
+                                autoComplete="one-time-code"
+                                autoFocus
+                                inputProps={{ inputMode: 'numeric' }}
+                                value={code}
+                                onChange={(e) => {
+                                    setCode(e.target.value);
+                                    setCodeError('');
+                                }}
+                                error={!!codeError}
+                                helperText={codeError}
+                                disabled={isSubmitting}
+                            />
+                            <Button
+                                type="submit"
+                                fullWidth
+                                variant="contained"
+                                sx={{ mt: 3, mb: 2 }}
+                                disabled={isSubmitting}
+                                startIcon={isSubmitting ? <CircularProgress size={20} /> : <Security />}
+                            >
+                                {isSubmitting ? 'Verifying...' : 'Verify'}
+                            </Button>
+                            <Box sx={{ textAlign: 'center' }}>
+                                <Link component="button" type="button" variant="body2" onClick={handleBackToSignIn}>
+                                    Back to sign in
+                                </Link>
+                            </Box>
+                        </Box>
+                    </Paper>
+                </Box>
+            </Container>
+        );
+    }
+
     return (
         <Container maxWidth="sm">
             <Box sx={{ mt: 4, mb: 4 }}>
@@ -99,6 +196,12 @@ const Login = () => {
                         </Typography>
                     </Box>
 
+                    {location.state?.message && (
+                        <Alert severity="success" sx={{ mb: 3 }}>
+                            {location.state.message}
+                        </Alert>
+                    )}
+
                     {error && (
                         <Alert severity="error" sx={{ mb: 3 }}>
                             {error}
@@ -148,7 +251,10 @@ const Login = () => {
                             {isSubmitting ? 'Signing In...' : 'Sign In'}
                         </Button>
                         <Box sx={{ textAlign: 'center' }}>
-                            <Typography variant="body2" color="text.secondary">
+                            <Link component={RouterLink} to="/forgot-password" variant="body2">
+                                Forgot password?
+                            </Link>
+                            <Typography variant="body2" color="text.secondary" sx={{ mt: 1 }}>
                                 Don't have an account?{' '}
                                 <Link component={RouterLink} to="/register" variant="body2">
                                     Sign up here
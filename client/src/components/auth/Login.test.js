@@ -1,17 +1,21 @@
 import React from 'react';
 import { render, screen, waitFor } from '@testing-library/react';
 import userEvent from '@testing-library/user-event';
-import { BrowserRouter } from 'react-router-dom';
+import { BrowserRouter, MemoryRouter } from 'react-router-dom';
 import { ThemeProvider, createTheme } from '@mui/material/styles';
 import Login from './Login';
 
 // Mock the AuthContext
 const mockLogin = jest.fn();
+const mockVerifyTwoFactor = jest.fn();
+const mockClearError = jest.fn();
 const mockNavigate = jest.fn();
 
 jest.mock('../../contexts/AuthContext', () => ({
     useAuth: () => ({
         login: mockLogin,
+        verifyTwoFactor: mockVerifyTwoFactor,
+        clearError: mockClearError,
         error: null,
         isAuthenticated: false,
     }),
@@ -240,6 +244,25 @@ describe('Login Component', () => {
             expect(registerLink).toHaveAttribute('href', '/register');
         });
 
+        it('should have link to forgot password page', () => {
+            renderLogin();
+
+            const forgotLink = screen.getByText(/forgot password/i);
+            expect(forgotLink).toHaveAttribute('href', '/forgot-password');
+        });
+
+        it('should show a message passed through navigation state', () => {
+            render(
+                <ThemeProvider theme={testTheme}>
+                    <MemoryRouter initialEntries={[{ pathname: '/login', state: { message: 'Password reset successfully. Please sign in.' } }]}>
+                        <Login />
+                    </MemoryRouter>
+                </ThemeProvider>
+            );
+
+            expect(screen.getByText('Password reset successfully. Please sign in.')).toBeInTheDocument();
+        });
+
         it('should redirect authenticated users to home', async () => {
             // This test would require mocking the AuthContext to simulate authenticated state
             renderLogin();
@@ -249,6 +272,69 @@ describe('Login Component', () => {
         });
     });
 
+    describe('Two-Factor Step', () => {
+        // Sign in with a password for an account that has 2FA enabled
+        const signInWithTwoFactor = async () => {
+            mockLogin.mockResolvedValue({ success: false, twoFactorRequired: true, challengeToken: 'challenge-123' });
+
+            renderLogin();
+
+            await userEvent.type(screen.getByLabelText(/email address/i), 'test@example.com');
+            await userEvent.type(screen.getByLabelText(/password/i), 'password123');
+            await userEvent.click(screen.getByRole('button', { name: /sign in/i }));
+
+            await screen.findByRole('heading', { name: 'Two-Factor Authentication' });
+        };
+
+        it('should ask for an authentication code after the password step', async () => {
+            await signInWithTwoFactor();
+
+            expect(screen.getByLabelText(/authentication code/i)).toBeInTheDocument();
+            expect(mockNavigate).not.toHaveBeenCalled();
+        });
+
+        it('should exchange the challenge and code, then navigate home', async () => {
+            mockVerifyTwoFactor.mockResolvedValue({ success: true });
+            await signInWithTwoFactor();
+
+            await userEvent.type(screen.getByLabelText(/authentication code/i), '123456');
+            await userEvent.click(screen.getByRole('button', { name: /verify/i }));
+
+            await waitFor(() => expect(mockNavigate).toHaveBeenCalledWith('/'));
+            expect(mockVerifyTwoFactor).toHaveBeenCalledWith('challenge-123', '123456');
+        });
+
+        it('should require a code', async () => {
+            await signInWithTwoFactor();
+
+            await userEvent.click(screen.getByRole('button', { name: /verify/i }));
+
+            expect(screen.getByText('Authentication code is required')).toBeInTheDocument();
+            expect(mockVerifyTwoFactor).not.toHaveBeenCalled();
+        });
+
+        it('should stay on the code step when verification fails', async () => {
+            mockVerifyTwoFactor.mockResolvedValue({ success: false, error: 'Invalid authentication code' });
+            await signInWithTwoFactor();
+
+            await userEvent.type(screen.getByLabelText(/authentication code/i), '000000');
+            await userEvent.click(screen.getByRole('button', { name: /verify/i }));
+
+            await waitFor(() => expect(mockVerifyTwoFactor).toHaveBeenCalled());
+            expect(mockNavigate).not.toHaveBeenCalled();
+            expect(screen.getByLabelText(/authentication code/i)).toBeInTheDocument();
+        });
+
+        it('should return to the password step', async () => {
+            await signInWithTwoFactor();
+
+            await userEvent.click(screen.getByRole('button', { name: /back to sign in/i }));
+
+            expect(screen.getByRole('heading', { name: 'Sign In' })).toBeInTheDocument();
+            expect(mockClearError).toHaveBeenCalled();
+        });
+    });
+
     describe('Error Handling', () => {
         it('should display authentication errors from context', async () => {
             // This test would require mocking the AuthContext to simulate error state
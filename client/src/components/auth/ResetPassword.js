@@ -0,0 +1,158 @@
+import React, { useState } from 'react';
+import { Link as RouterLink, useNavigate, useParams } from 'react-router-dom';
+import {
+    Container,
+    Paper,
+    Typography,
+    TextField,
+    Button,
+    Box,
+    Link,
+    Alert,
+    CircularProgress,
+} from '@mui/material';
+import { LockReset } from '@mui/icons-material';
+import { useAuth } from '../../contexts/AuthContext';
+
+const ResetPassword = () => {
+    const [formData, setFormData] = useState({
+        password: '',
+        confirmPassword: '',
+    });
+    const [errors, setErrors] = useState({});
+    const [error, setError] = useState('');
+    const [isSubmitting, setIsSubmitting] = useState(false);
+
+    const { api } = useAuth();
+    const { token } = useParams();
+    const navigate = useNavigate();
+
+    const handleChange = (e) => {
+        setFormData({
+            ...formData,
+            [e.target.name]: e.target.value,
+        });
+        // Clear error when user starts typing
+        if (errors[e.target.name]) {
+            setErrors({
+                ...errors,
+                [e.target.name]: '',
+            });
+        }
+    };
+
+    const validateForm = () => {
+        const newErrors = {};
+
+        if (!formData.password) {
+            newErrors.password = 'Password is required';
+        } else if (formData.password.length < 6) {
+            newErrors.password = 'Password must be at least 6 characters';
+        }
+
+        if (formData.confirmPassword !== formData.password) {
+            newErrors.confirmPassword = 'Passwords do not match';
+        }
+
+        setErrors(newErrors);
+        return Object.keys(newErrors).length === 0;
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+
+        if (!validateForm()) {
+            return;
+        }
+
+        setIsSubmitting(true);
+        setError('');
+
+        try {
+            await api.post(`/auth/reset-password/${token}`, { password: formData.password });
+            navigate('/login', { state: { message: 'Password reset successfully. Please sign in.' } });
+        } catch (err) {
+            setError(err.response?.data?.message || 'Failed to reset password');
+        } finally {
+            setIsSubmitting(false);
+        }
+    };
+
+    return (
+        <Container maxWidth="sm">
+            <Box sx={{ mt: 4, mb: 4 }}>
+                <Paper elevation={3} sx={{ p: 4 }}>
+                    <Box sx={{ textAlign: 'center', mb: 3 }}>
+                        <LockReset sx={{ fontSize: 48, color: 'primary.main', mb: 2 }} />
+                        <Typography variant="h4" component="h1" gutterBottom>
+                            Reset Password
+                        </Typography>
+                        <Typography color="text.secondary">
+                            Choose a new password for your account.
+                        </Typography>
+                    </Box>
+
+                    {error && (
+                        <Alert severity="error" sx={{ mb: 3 }}>
+                            {error}{' '}
+                            <Link component={RouterLink} to="/forgot-password">
+                                Request a new link
+                            </Link>
+                        </Alert>
+                    )}
+
+                    <Box component="form" onSubmit={handleSubmit} noValidate role="form">
+                        <TextField
+                            margin="normal"
+                            required
+                            fullWidth
+                            name="password"
+                            label="New Password"
+                            type="password"
+                            id="password"
+                            autoComplete="new-password"
+                            autoFocus
+                            value={formData.password}
+                            onChange={handleChange}
+                            error={!!errors.password}
+                            helperText={errors.password}
+                            disabled={isSubmitting}
+                        />
+                        <TextField
+                            margin="normal"
+                            required
+                            fullWidth
+                            name="confirmPassword"
+                            label="Confirm New Password"
+                            type="password"
+                            id="confirmPassword"
+                            autoComplete="new-password"
+                            value={formData.confirmPassword}
+                            onChange={handleChange}
+                            error={!!errors.confirmPassword}
+                            helperText={errors.confirmPassword}
+                            disabled={isSubmitting}
+                        />
+                        <Button
+                            type="submit"
+                            fullWidth
+                            variant="contained"
+                            sx={{ mt: 3, mb: 2 }}
+                            disabled={isSubmitting}
+                            startIcon={isSubmitting ? <CircularProgress size={20} /> : <LockReset />}
+                        >
+                            {isSubmitting ? 'Resetting...' : 'Reset Password'}
+                        </Button>
+                        <Box sx={{ textAlign: 'center' }}>
+                            <Link component={RouterLink} to="/login" variant="body2">
+                                Back to sign in
+                            </Link>
+                        </Box>
+                    </Box>
+                </Paper>
+            </Box>
+        </Container>
+    );
+};
+
+export default ResetPassword;
@@ -0,0 +1,116 @@
+import React from 'react';
+import { render, screen, waitFor } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { MemoryRouter, Routes, Route } from 'react-router-dom';
+import { ThemeProvider, createTheme } from '@mui/material/styles';
+import ResetPassword from './ResetPassword';
+
+// Mock the AuthContext
+const mockApi = {
+    post: jest.fn(),
+};
+const mockNavigate = jest.fn();
+
+jest.mock('../../contexts/AuthContext', () => ({
+    useAuth: () => ({
+        api: mockApi,
+    }),
+}));
+
+jest.mock('react-router-dom', () => ({
+    ...jest.requireActual('react-router-dom'),
+    useNavigate: () => mockNavigate,
+}));
+
+const testTheme = createTheme({
+    palette: {
+        primary: { main: '#1976d2' },
+        secondary: { main: '#dc004e' },
+    },
+});
+
+const renderResetPassword = () => {
+    return render(
+        <ThemeProvider theme={testTheme}>
+            <MemoryRouter initialEntries={['/reset-password/abc123']}>
+                <Routes>
+                    <Route path="/reset-password/:token" element={<ResetPassword />} />
+                </Routes>
+            </MemoryRouter>
+        </ThemeProvider>
+    );
+};
+
+const fillForm = async (password, confirmPassword) => {
+    await userEvent.type(screen.getByLabelText(/^new password/i), password);
+    await userEvent.type(screen.getByLabelText(/confirm new password/i), confirmPassword);
+    await userEvent.click(screen.getByRole('button', { name: /reset password/i }));
+};
+
+describe('ResetPassword Component', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    describe('Rendering', () => {
+        it('should render the reset form', () => {
+            renderResetPassword();
+
+            expect(screen.getByRole('heading', { name: 'Reset Password' })).toBeInTheDocument();
+            expect(screen.getByLabelText(/^new password/i)).toHaveAttribute('type', 'password');
+            expect(screen.getByLabelText(/confirm new password/i)).toHaveAttribute('type', 'password');
+        });
+    });
+
+    describe('Form Validation', () => {
+        it('should show error for short password', async () => {
+            renderResetPassword();
+
+            await fillForm('123', '123');
+
+            expect(screen.getByText('Password must be at least 6 characters')).toBeInTheDocument();
+            expect(mockApi.post).not.toHaveBeenCalled();
+        });
+
+        it('should show error when passwords do not match', async () => {
+            renderResetPassword();
+
+            await fillForm('newpassword123', 'different123');
+
+            expect(screen.getByText('Passwords do not match')).toBeInTheDocument();
+            expect(mockApi.post).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('Form Submission', () => {
+        it('should reset the password with the token from the URL', async () => {
+            mockApi.post.mockResolvedValueOnce({ data: { success: true } });
+
+            renderResetPassword();
+
+            await fillForm('newpassword123', 'newpassword123');
+
+            await waitFor(() => {
+                expect(mockApi.post).toHaveBeenCalledWith('/auth/reset-password/abc123', { password: 'newpassword123' });
+                expect(mockNavigate).toHaveBeenCalledWith('/login', {
+                    state: { message: 'Password reset successfully. Please sign in.' }
+                });
+            });
+        });
+
+        it('should show the error and a link to request a new token', async () => {
+            mockApi.post.mockRejectedValueOnce({
+                response: { data: { message: 'Invalid or expired reset token' } }
+            });
+
+            renderResetPassword();
+
+            await fillForm('newpassword123', 'newpassword123');
+
+            await waitFor(() => {
+                expect(screen.getByText('Invalid or expired reset token')).toBeInTheDocument();
+            });
+            expect(screen.getByText(/request a new link/i)).toHaveAttribute('href', '/forgot-password');
+        });
+    });
+});
@@ -0,0 +1,79 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Link as RouterLink, useParams } from 'react-router-dom';
+import {
+    Container,
+    Paper,
+    Typography,
+    Box,
+    Button,
+    Alert,
+    CircularProgress,
+} from '@mui/material';
+import { MarkEmailRead } from '@mui/icons-material';
+import { useAuth } from '../../contexts/AuthContext';
+
+const VerifyEmail = () => {
+    const [status, setStatus] = useState('verifying');
+    const [message, setMessage] = useState('');
+    const requested = useRef(false);
+
+    const { verifyEmail } = useAuth();
+    const { token } = useParams();
+
+    useEffect(() => {
+        // Tokens are single use, so never submit the same one twice
+        if (requested.current) {
+            return;
+        }
+        requested.current = true;
+
+        verifyEmail(token).then((result) => {
+            if (result.success) {
+                setStatus('verified');
+                setMessage(result.message);
+            } else {
+                setStatus('failed');
+                setMessage(result.error);
+            }
+        });
+    }, [token, verifyEmail]);
+
+    return (
+        <Container maxWidth="sm">
+            <Box sx={{ mt: 4, mb: 4 }}>
+                <Paper elevation={3} sx={{ p: 4, textAlign: 'center' }}>
+                    <MarkEmailRead sx={{ fontSize: 48, color: 'primary.main', mb: 2 }} />
+                    <Typography variant="h4" component="h1" gutterBottom>
+                        Verify Email
+                    </Typography>
+
+                    {status === 'verifying' && (
+                        <Box sx={{ display: 'flex', justifyContent: 'center', my: 3 }}>
+                            <CircularProgress aria-label="Verifying email" />
+                        </Box>
+                    )}
+
+                    {status === 'verified' && (
+                        <Alert severity="success" sx={{ my: 3 }}>
+                            {message}
+                        </Alert>
+                    )}
+
+                    {status === 'failed' && (
+                        <Alert severity="error" sx={{ my: 3 }}>
+                            {message}
+                        </Alert>
+                    )}
+
+                    {status !== 'verifying' && (
+                        <Button component={RouterLink} to="/" variant="contained">
+                            Continue
+                        </Button>
+                    )}
+                </Paper>
+            </Box>
+        </Container>
+    );
+};
+
+export default VerifyEmail;
@@ -0,0 +1,64 @@
+import React from 'react';
+import { render, screen } from '@testing-library/react';
+import { MemoryRouter, Routes, Route } from 'react-router-dom';
+import { ThemeProvider, createTheme } from '@mui/material/styles';
+import VerifyEmail from './VerifyEmail';
+
+// Mock the AuthContext
+const mockVerifyEmail = jest.fn();
+
+jest.mock('../../contexts/AuthContext', () => ({
+    useAuth: () => ({
+        verifyEmail: mockVerifyEmail,
+    }),
+}));
+
+const testTheme = createTheme({
+    palette: {
+        primary: { main: '#1976d2' },
+        secondary: { main: '#dc004e' },
+    },
+});
+
+const renderVerifyEmail = () => {
+    return render(
+        <ThemeProvider theme={testTheme}>
+            <MemoryRouter initialEntries={['/verify-email/abc123']}>
+                <Routes>
+                    <Route path="/verify-email/:token" element={<VerifyEmail />} />
+                </Routes>
+            </MemoryRouter>
+        </ThemeProvider>
+    );
+};
+
+describe('VerifyEmail Component', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    it('should show progress while verifying', () => {
+        mockVerifyEmail.mockReturnValue(new Promise(() => {}));
+        renderVerifyEmail();
+
+        expect(screen.getByRole('heading', { name: 'Verify Email' })).toBeInTheDocument();
+        expect(screen.getByRole('progressbar')).toBeInTheDocument();
+    });
+
+    it('should submit the token from the URL once', async () => {
+        mockVerifyEmail.mockResolvedValue({ success: true, message: 'Email verified successfully' });
+        renderVerifyEmail();
+
+        await screen.findByText('Email verified successfully');
+        expect(mockVerifyEmail).toHaveBeenCalledTimes(1);
+        expect(mockVerifyEmail).toHaveBeenCalledWith('abc123');
+        expect(screen.getByRole('link', { name: /continue/i })).toHaveAttribute('href', '/');
+    });
+
+    it('should show the server error for an invalid token', async () => {
+        mockVerifyEmail.mockResolvedValue({ success: false, error: 'Invalid or expired verification token' });
+        renderVerifyEmail();
+
+        expect(await screen.findByText('Invalid or expired verification token')).toBeInTheDocument();
+    });
+});
@@ -0,0 +1,41 @@
+import React, { useState } from 'react';
+import { Alert, Button, Container } from '@mui/material';
+import { useAuth } from '../../contexts/AuthContext';
+
+// Reminds signed-in users to confirm their email address
+const EmailVerificationBanner = () => {
+    const [notice, setNotice] = useState(null);
+    const [isSending, setIsSending] = useState(false);
+
+    const { isAuthenticated, user, resendVerification } = useAuth();
+
+    if (!isAuthenticated || !user || user.emailVerified !== false) {
+        return null;
+    }
+
+    const handleResend = async () => {
+        setIsSending(true);
+        const result = await resendVerification();
+        setNotice(result.success
+            ? { severity: 'success', text: result.message }
+            : { severity: 'error', text: result.error });
+        setIsSending(false);
+    };
+
+    return (
+        <Container maxWidth="lg" sx={{ mt: 2 }}>
+            <Alert
+                severity={notice?.severity || 'info'}
+                action={
+                    <Button color="inherit" size="small" onClick={handleResend} disabled={isSending}>
+                        {isSending ? 'Sending...' : 'Resend link'}
+                    </Button>
+                }
+            >
+                {notice?.text || `Please verify your email address (${user.email}) using the link we sent you.`}
+            </Alert>
+        </Container>
+    );
+};
+
+export default EmailVerificationBanner;
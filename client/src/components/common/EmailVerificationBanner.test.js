@@ -0,0 +1,80 @@
+import React from 'react';
+import { render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { ThemeProvider, createTheme } from '@mui/material/styles';
+import EmailVerificationBanner from './EmailVerificationBanner';
+
+// Mock the AuthContext
+let mockAuthState;
+const mockResendVerification = jest.fn();
+
+jest.mock('../../contexts/AuthContext', () => ({
+    useAuth: () => ({
+        ...mockAuthState,
+        resendVerification: mockResendVerification,
+    }),
+}));
+
+const testTheme = createTheme({
+    palette: {
+        primary: { main: '#1976d2' },
+        secondary: { main: '#dc004e' },
+    },
+});
+
+const renderBanner = () => {
+    return render(
+        <ThemeProvider theme={testTheme}>
+            <EmailVerificationBanner />
+        </ThemeProvider>
+    );
+};
+
+describe('EmailVerificationBanner Component', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        mockAuthState = {
+            isAuthenticated: true,
+            user: { email: 'john@example.com', emailVerified: false },
+        };
+    });
+
+    it('should prompt unverified users to verify their email', () => {
+        renderBanner();
+
+        expect(screen.getByText(/please verify your email address \(john@example.com\)/i)).toBeInTheDocument();
+    });
+
+    it('should render nothing for verified users', () => {
+        mockAuthState.user.emailVerified = true;
+        const { container } = renderBanner();
+
+        expect(container).toBeEmptyDOMElement();
+    });
+
+    it('should render nothing when signed out', () => {
+        mockAuthState = { isAuthenticated: false, user: null };
+        const { container } = renderBanner();
+
+        expect(container).toBeEmptyDOMElement();
+    });
+
+    it('should resend the verification link', async () => {
+        mockResendVerification.mockResolvedValue({ success: true, message: 'Verification email sent' });
+        renderBanner();
+
+        await userEvent.click(screen.getByRole('button', { name: /resend link/i }));
+
+        expect(mockResendVerification).toHaveBeenCalled();
+        expect(await screen.findByText('Verification email sent')).toBeInTheDocument();
+    });
+
+    it('should show an error if resending fails', async () => {
+        mockResendVerification.mockResolvedValue({ success: false, error: 'Email is already verified' });
+        renderBanner();
+
+        await userEvent.click(screen.getByRole('button', { name: /resend link/i }));
+
+        expect(await screen.findByText('Email is already verified')).toBeInTheDocument();
+    });
+});
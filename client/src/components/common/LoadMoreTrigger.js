@@ -0,0 +1,44 @@
+import React, { useEffect, useRef } from 'react';
+import { Box, Button, CircularProgress } from '@mui/material';
+
+// Infinite scroll sentinel: calls onLoadMore when scrolled into view.
+// The button is a fallback for browsers without IntersectionObserver.
+const LoadMoreTrigger = ({ onLoadMore, loading = false, hasMore = true }) => {
+    const sentinelRef = useRef(null);
+    const onLoadMoreRef = useRef(onLoadMore);
+    onLoadMoreRef.current = onLoadMore;
+
+    useEffect(() => {
+        const sentinel = sentinelRef.current;
+        if (!sentinel || !hasMore || loading || typeof IntersectionObserver === 'undefined') {
+            return undefined;
+        }
+
+        const observer = new IntersectionObserver((entries) => {
+            if (entries.some(entry => entry.isIntersecting)) {
+                onLoadMoreRef.current();
+            }
+        }, { rootMargin: '200px' });
+
+        observer.observe(sentinel);
+        return () => observer.disconnect();
+    }, [hasMore, loading]);
+
+    if (!hasMore) {
+        return null;
+    }
+
+    return (
+        <Box ref={sentinelRef} sx={{ display: 'flex', justifyContent: 'center', mt: 2 }}>
+            {loading ? (
+                <CircularProgress size={32} />
+            ) : (
+                <Button variant="text" onClick={() => onLoadMore()}>
+                    Load More
+                </Button>
+            )}
+        </Box>
+    );
+};
+
+export default LoadMoreTrigger;
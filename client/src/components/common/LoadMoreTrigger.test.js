@@ -0,0 +1,52 @@
+import React from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import LoadMoreTrigger from './LoadMoreTrigger';
+
+describe('LoadMoreTrigger Component', () => {
+    afterEach(() => {
+        delete window.IntersectionObserver;
+    });
+
+    it('should load more when the button is clicked', () => {
+        const onLoadMore = jest.fn();
+        render(<LoadMoreTrigger onLoadMore={onLoadMore} />);
+
+        fireEvent.click(screen.getByRole('button', { name: 'Load More' }));
+
+        expect(onLoadMore).toHaveBeenCalledTimes(1);
+    });
+
+    it('should show a spinner while loading', () => {
+        render(<LoadMoreTrigger onLoadMore={jest.fn()} loading />);
+
+        expect(screen.getByRole('progressbar')).toBeInTheDocument();
+        expect(screen.queryByRole('button', { name: 'Load More' })).not.toBeInTheDocument();
+    });
+
+    it('should render nothing when there is no more to load', () => {
+        const { container } = render(<LoadMoreTrigger onLoadMore={jest.fn()} hasMore={false} />);
+
+        expect(container).toBeEmptyDOMElement();
+    });
+
+    it('should load more when scrolled into view', () => {
+        let callback;
+        const disconnect = jest.fn();
+        window.IntersectionObserver = jest.fn((cb) => {
+            callback = cb;
+            return { observe: jest.fn(), disconnect };
+        });
+        const onLoadMore = jest.fn();
+
+        const { unmount } = render(<LoadMoreTrigger onLoadMore={onLoadMore} />);
+
+        callback([{ isIntersecting: false }]);
+        expect(onLoadMore).not.toHaveBeenCalled();
+
+        callback([{ isIntersecting: true }]);
+        expect(onLoadMore).toHaveBeenCalledTimes(1);
+
+        unmount();
+        expect(disconnect).toHaveBeenCalled();
+    });
+});
@@ -10,7 +10,10 @@ import {
     MenuItem,
     Avatar,
     Divider,
+    Box,
+    InputBase,
 } from '@mui/material';
+import { alpha } from '@mui/material/styles';
 import {
     AccountCircle,
     People,
@@ -19,14 +22,20 @@ import {
     PersonAdd,
     Logout,
     Settings,
+    PhonelinkErase,
     Feed,
+    Search,
+    Mail,
+    Flag,
 } from '@mui/icons-material';
 import { useAuth } from '../../contexts/AuthContext';
+import NotificationBell from './NotificationBell';
 
 const Navbar = () => {
-    const { isAuthenticated, user, logout } = useAuth();
+    const { isAuthenticated, user, logout, logoutAll } = useAuth();
     const navigate = useNavigate();
     const [anchorEl, setAnchorEl] = useState(null);
+    const [searchText, setSearchText] = useState('');
 
     const handleMenu = (event) => {
         setAnchorEl(event.currentTarget);
@@ -42,6 +51,12 @@ const Navbar = () => {
         navigate('/');
     };
 
+    const handleLogoutAll = () => {
+        logoutAll();
+        handleClose();
+        navigate('/');
+    };
+
     const handleProfile = () => {
         handleClose();
         navigate('/profile');
@@ -52,11 +67,29 @@ const Navbar = () => {
         navigate('/profile/edit');
     };
 
+    const handleMessages = () => {
+        handleClose();
+        navigate('/messages');
+    };
+
     const handleUsers = () => {
         handleClose();
         navigate('/users');
     };
 
+    const handleModeration = () => {
+        handleClose();
+        navigate('/moderation');
+    };
+
+    const handleSearch = (e) => {
+        e.preventDefault();
+        const q = searchText.trim();
+        if (!q) return;
+
+        navigate(`/search?q=${encodeURIComponent(q)}`);
+    };
+
     return (
         <AppBar position="static">
             <Toolbar role="toolbar">
@@ -74,6 +107,32 @@ const Navbar = () => {
                     MERN Social
                 </Typography>
 
+                <Box
+                    component="form"
+                    role="search"
+                    onSubmit={handleSearch}
+                    sx={{
+                        display: 'flex',
+                        alignItems: 'center',
+                        mr: 2,
+                        px: 1,
+                        borderRadius: 1,
+                        backgroundColor: (theme) => alpha(theme.palette.common.white, 0.15),
+                        '&:hover': {
+                            backgroundColor: (theme) => alpha(theme.palette.common.white, 0.25),
+                        },
+                    }}
+                >
+                    <Search sx={{ mr: 1 }} />
+                    <InputBase
+                        placeholder="Search…"
+                        value={searchText}
+                        onChange={(e) => setSearchText(e.target.value)}
+                        inputProps={{ 'aria-label': 'search', maxLength: 100 }}
+                        sx={{ color: 'inherit', width: { xs: 100, sm: 180 } }}
+                    />
+                </Box>
+
                 {isAuthenticated ? (
                     <>
                         <Button
@@ -105,6 +164,8 @@ const Navbar = () => {
                             </Button>
                         )}
 
+                        <NotificationBell />
+
                         <IconButton
                             size="large"
                             aria-label="account of current user"
@@ -147,17 +208,31 @@ const Navbar = () => {
                                 <Settings sx={{ mr: 1 }} />
                                 Edit Profile
                             </MenuItem>
+                            <MenuItem onClick={handleMessages} aria-label="Messages" tabIndex={0}>
+                                <Mail sx={{ mr: 1 }} />
+                                Messages
+                            </MenuItem>
                             {user?.role === 'admin' && (
                                 <MenuItem onClick={handleUsers} aria-label="Manage Users" tabIndex={0}>
                                     <People sx={{ mr: 1 }} />
                                     Manage Users
                                 </MenuItem>
                             )}
+                            {user?.role === 'admin' && (
+                                <MenuItem onClick={handleModeration} aria-label="Moderation Queue" tabIndex={0}>
+                                    <Flag sx={{ mr: 1 }} />
+                                    Moderation Queue
+                                </MenuItem>
+                            )}
                             <Divider />
                             <MenuItem onClick={handleLogout} aria-label="Logout" tabIndex={0}>
                                 <Logout sx={{ mr: 1 }} />
                                 Logout
                             </MenuItem>
+                            <MenuItem onClick={handleLogoutAll} aria-label="Logout All Sessions" tabIndex={0}>
+                                <PhonelinkErase sx={{ mr: 1 }} />
+                                Logout All Sessions
+                            </MenuItem>
                         </Menu>
                     </>
                 ) : (
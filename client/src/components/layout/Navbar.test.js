@@ -255,4 +255,29 @@ describe('Navbar Component', () => {
             expect(appBar).toHaveClass('MuiAppBar-colorPrimary');
         });
     });
+
+    describe('Search', () => {
+        afterEach(() => {
+            window.history.pushState({}, '', '/');
+        });
+
+        it('should open the results page for a search', async () => {
+            const user = userEvent.setup();
+            renderNavbar();
+
+            await user.type(screen.getByRole('textbox', { name: 'search' }), 'node & express{enter}');
+
+            expect(window.location.pathname).toBe('/search');
+            expect(new URLSearchParams(window.location.search).get('q')).toBe('node & express');
+        });
+
+        it('should not search for blank input', async () => {
+            const user = userEvent.setup();
+            renderNavbar();
+
+            await user.type(screen.getByRole('textbox', { name: 'search' }), '   {enter}');
+
+            expect(window.location.pathname).toBe('/');
+        });
+    });
 }); 
\ No newline at end of file
@@ -0,0 +1,208 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import {
+    IconButton,
+    Badge,
+    Menu,
+    MenuItem,
+    Typography,
+    Box,
+    Button,
+    Divider,
+    Avatar,
+    CircularProgress,
+} from '@mui/material';
+import { Notifications } from '@mui/icons-material';
+import { useAuth } from '../../contexts/AuthContext';
+import { useRealtime } from '../../contexts/RealtimeContext';
+
+// How often the unread count is refreshed, in case live updates are
+// unavailable
+const POLL_INTERVAL_MS = 60 * 1000;
+
+// Notifications shown in the dropdown
+const DROPDOWN_LIMIT = 10;
+
+const ACTIONS = {
+    follow: 'started following you',
+    follow_request: 'asked to follow you',
+    follow_accept: 'approved your follow request',
+    like: 'liked your post',
+    comment: 'commented on your post',
+    reply: 'replied to your comment',
+    mention: 'mentioned you',
+};
+
+// "Jane Smith and 4 others liked your post"
+export const describeNotification = (notification) => {
+    const [latest] = notification.actors || [];
+    const name = latest ? `${latest.firstName} ${latest.lastName}` : 'Someone';
+    const others = (notification.actorCount || 1) - 1;
+    const who = others > 0 ? `${name} and ${others} other${others !== 1 ? 's' : ''}` : name;
+
+    return `${who} ${ACTIONS[notification.type] || 'sent you a notification'}`;
+};
+
+const NotificationBell = () => {
+    const { api } = useAuth();
+    const navigate = useNavigate();
+    const [anchorEl, setAnchorEl] = useState(null);
+    const [unreadCount, setUnreadCount] = useState(0);
+    const [notifications, setNotifications] = useState([]);
+    const [loading, setLoading] = useState(false);
+
+    const fetchUnreadCount = useCallback(async () => {
+        try {
+            const response = await api.get('/notifications/unread-count');
+            setUnreadCount(response.data.count || 0);
+        } catch (err) {
+            console.error('Error fetching unread notifications:', err);
+        }
+    }, [api]);
+
+    useEffect(() => {
+        fetchUnreadCount();
+        const timer = setInterval(fetchUnreadCount, POLL_INTERVAL_MS);
+        return () => clearInterval(timer);
+    }, [fetchUnreadCount]);
+
+    useRealtime('notifications:unread', ({ count }) => setUnreadCount(count));
+
+    const handleOpen = async (event) => {
+        setAnchorEl(event.currentTarget);
+        setLoading(true);
+
+        try {
+            const response = await api.get('/notifications', { params: { limit: DROPDOWN_LIMIT } });
+            setNotifications(response.data.data || []);
+        } catch (err) {
+            console.error('Error fetching notifications:', err);
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const handleClose = () => {
+        setAnchorEl(null);
+    };
+
+    const handleMarkAllRead = async () => {
+        try {
+            await api.put('/notifications/read-all');
+            setNotifications(prev => prev.map(notification => ({ ...notification, read: true })));
+            setUnreadCount(0);
+        } catch (err) {
+            console.error('Error marking notifications as read:', err);
+        }
+    };
+
+    // Mark the notification read and go to the follower, to your own
+    // profile to review follow requests, or to the profile listing the post
+    // it is about
+    const handleSelect = async (notification) => {
+        handleClose();
+
+        if (!notification.read) {
+            try {
+                await api.put(`/notifications/${notification._id}/read`);
+                setNotifications(prev => prev.map(item => (
+                    item._id === notification._id ? { ...item, read: true } : item
+                )));
+                setUnreadCount(prev => Math.max(0, prev - 1));
+            } catch (err) {
+                console.error('Error marking notification as read:', err);
+            }
+        }
+
+        if (notification.type === 'follow_request') {
+            navigate('/profile');
+            return;
+        }
+
+        const userId = ['follow', 'follow_accept'].includes(notification.type)
+            ? notification.actors?.[0]?._id
+            : notification.post?.postedBy;
+        if (userId) {
+            navigate(`/users/${userId}`);
+        }
+    };
+
+    return (
+        <>
+            <IconButton
+                size="large"
+                color="inherit"
+                onClick={handleOpen}
+                aria-label={unreadCount > 0 ? `${unreadCount} unread notifications` : 'notifications'}
+                aria-controls="menu-notifications"
+                aria-haspopup="true"
+            >
+                <Badge badgeContent={unreadCount} color="error" max={99}>
+                    <Notifications />
+                </Badge>
+            </IconButton>
+            <Menu
+                id="menu-notifications"
+                anchorEl={anchorEl}
+                anchorOrigin={{ vertical: 'bottom', horizontal: 'right' }}
+                transformOrigin={{ vertical: 'top', horizontal: 'right' }}
+                open={Boolean(anchorEl)}
+                onClose={handleClose}
+                slotProps={{ paper: { sx: { width: 360, maxHeight: 480 } } }}
+            >
+                <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', px: 2, py: 1 }}>
+                    <Typography variant="subtitle1" fontWeight="medium">
+                        Notifications
+                    </Typography>
+                    <Button size="small" onClick={handleMarkAllRead} disabled={unreadCount === 0}>
+                        Mark all as read
+                    </Button>
+                </Box>
+                <Divider />
+                {loading && (
+                    <Box sx={{ display: 'flex', justifyContent: 'center', py: 2 }}>
+                        <CircularProgress size={24} />
+                    </Box>
+                )}
+                {!loading && notifications.length === 0 && (
+                    <Typography variant="body2" color="text.secondary" sx={{ px: 2, py: 2 }}>
+                        No notifications yet
+                    </Typography>
+                )}
+                {!loading && notifications.map((notification) => {
+                    const latest = notification.actors?.[0];
+                    return (
+                        <MenuItem
+                            key={notification._id}
+                            onClick={() => handleSelect(notification)}
+                            sx={{
+                                gap: 1.5,
+                                whiteSpace: 'normal',
+                                backgroundColor: notification.read ? 'inherit' : 'action.hover',
+                            }}
+                        >
+                            <Avatar
+                                src={latest?.photo ? `/api/users/${latest._id}/photo` : null}
+                                sx={{ width: 32, height: 32 }}
+                            >
+                                {latest?.firstName?.charAt(0)}
+                            </Avatar>
+                            <Box>
+                                <Typography variant="body2" fontWeight={notification.read ? 'normal' : 'medium'}>
+                                    {describeNotification(notification)}
+                                </Typography>
+                                {(notification.comment?.text || notification.post?.text) && (
+                                    <Typography variant="caption" color="text.secondary" noWrap component="div" sx={{ maxWidth: 270 }}>
+                                        {notification.comment?.text || notification.post?.text}
+                                    </Typography>
+                                )}
+                            </Box>
+                        </MenuItem>
+                    );
+                })}
+            </Menu>
+        </>
+    );
+};
+
+export default NotificationBell;
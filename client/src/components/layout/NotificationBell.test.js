@@ -0,0 +1,180 @@
+import React from 'react';
+import { render, screen, fireEvent, waitFor, act } from '@testing-library/react';
+import { MemoryRouter, Routes, Route, useLocation } from 'react-router-dom';
+import NotificationBell, { describeNotification } from './NotificationBell';
+
+const mockApi = {
+    get: jest.fn(),
+    put: jest.fn(),
+};
+
+jest.mock('../../contexts/AuthContext', () => ({
+    useAuth: () => ({ user: { _id: 'user1' }, api: mockApi }),
+}));
+
+// Capture live update handlers so tests can deliver events
+const mockRealtimeHandlers = {};
+jest.mock('../../contexts/RealtimeContext', () => ({
+    useRealtime: (type, handler) => {
+        mockRealtimeHandlers[type] = handler;
+    },
+}));
+
+const jane = { _id: 'user2', firstName: 'Jane', lastName: 'Smith', username: 'janesmith' };
+
+const likeNotification = {
+    _id: 'n1',
+    type: 'like',
+    actors: [jane],
+    actorCount: 5,
+    post: { _id: 'post1', text: 'My post', postedBy: 'user1' },
+    read: false,
+};
+
+const followNotification = {
+    _id: 'n2',
+    type: 'follow',
+    actors: [jane],
+    actorCount: 1,
+    post: null,
+    read: true,
+};
+
+// Shows the current path so tests can check navigation
+const LocationDisplay = () => <div data-testid="location">{useLocation().pathname}</div>;
+
+const renderBell = () => render(
+    <MemoryRouter>
+        <Routes>
+            <Route path="*" element={<NotificationBell />} />
+        </Routes>
+        <LocationDisplay />
+    </MemoryRouter>
+);
+
+// Serve the unread count and the dropdown listing
+const mockNotifications = (count, notifications) => {
+    mockApi.get.mockImplementation((url) => Promise.resolve({
+        data: url === '/notifications/unread-count'
+            ? { success: true, count }
+            : { success: true, data: notifications, pagination: { nextCursor: null } },
+    }));
+};
+
+describe('NotificationBell Component', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        mockApi.put.mockResolvedValue({ data: { success: true } });
+    });
+
+    describe('describeNotification', () => {
+        it('should group the other actors', () => {
+            expect(describeNotification(likeNotification)).toBe('Jane Smith and 4 others liked your post');
+        });
+
+        it('should name a single actor', () => {
+            expect(describeNotification(followNotification)).toBe('Jane Smith started following you');
+        });
+
+        it('should use the singular for one other actor', () => {
+            expect(describeNotification({ ...likeNotification, type: 'comment', actorCount: 2 }))
+                .toBe('Jane Smith and 1 other commented on your post');
+        });
+    });
+
+    it('should show the unread count on the badge', async () => {
+        mockNotifications(3, []);
+
+        renderBell();
+
+        expect(await screen.findByRole('button', { name: '3 unread notifications' })).toBeInTheDocument();
+        expect(screen.getByText('3')).toBeInTheDocument();
+    });
+
+    it('should update the badge from live unread counts', async () => {
+        mockNotifications(0, []);
+        renderBell();
+        await waitFor(() => {
+            expect(mockApi.get).toHaveBeenCalledWith('/notifications/unread-count');
+        });
+
+        act(() => {
+            mockRealtimeHandlers['notifications:unread']({ count: 7 });
+        });
+
+        expect(await screen.findByRole('button', { name: '7 unread notifications' })).toBeInTheDocument();
+    });
+
+    it('should list notifications in the dropdown', async () => {
+        mockNotifications(1, [likeNotification, followNotification]);
+        renderBell();
+
+        fireEvent.click(await screen.findByRole('button', { name: '1 unread notifications' }));
+
+        expect(await screen.findByText('Jane Smith and 4 others liked your post')).toBeInTheDocument();
+        expect(screen.getByText('Jane Smith started following you')).toBeInTheDocument();
+        expect(screen.getByText('My post')).toBeInTheDocument();
+        expect(mockApi.get).toHaveBeenCalledWith('/notifications', { params: { limit: 10 } });
+    });
+
+    it('should mark a notification read and open the post author\'s profile', async () => {
+        mockNotifications(1, [likeNotification]);
+        renderBell();
+
+        fireEvent.click(await screen.findByRole('button', { name: '1 unread notifications' }));
+        fireEvent.click(await screen.findByText('Jane Smith and 4 others liked your post'));
+
+        await waitFor(() => {
+            expect(screen.getByTestId('location')).toHaveTextContent('/users/user1');
+        });
+        expect(mockApi.put).toHaveBeenCalledWith('/notifications/n1/read');
+        expect(screen.getByRole('button', { name: 'notifications' })).toBeInTheDocument();
+    });
+
+    it('should open the follower\'s profile without marking a read notification', async () => {
+        mockNotifications(0, [followNotification]);
+        renderBell();
+
+        fireEvent.click(screen.getByRole('button', { name: 'notifications' }));
+        fireEvent.click(await screen.findByText('Jane Smith started following you'));
+
+        await waitFor(() => {
+            expect(screen.getByTestId('location')).toHaveTextContent('/users/user2');
+        });
+        expect(mockApi.put).not.toHaveBeenCalled();
+    });
+
+    it('should open your profile to review a follow request', async () => {
+        mockNotifications(0, [{ ...followNotification, type: 'follow_request' }]);
+        renderBell();
+
+        fireEvent.click(screen.getByRole('button', { name: 'notifications' }));
+        fireEvent.click(await screen.findByText('Jane Smith asked to follow you'));
+
+        await waitFor(() => {
+            expect(screen.getByTestId('location')).toHaveTextContent('/profile');
+        });
+    });
+
+    it('should mark all notifications as read', async () => {
+        mockNotifications(2, [likeNotification]);
+        renderBell();
+
+        fireEvent.click(await screen.findByRole('button', { name: '2 unread notifications' }));
+        fireEvent.click(await screen.findByRole('button', { name: 'Mark all as read' }));
+
+        await waitFor(() => {
+            expect(mockApi.put).toHaveBeenCalledWith('/notifications/read-all');
+        });
+        expect(await screen.findByRole('button', { name: 'Mark all as read' })).toBeDisabled();
+    });
+
+    it('should say when there are no notifications', async () => {
+        mockNotifications(0, []);
+        renderBell();
+
+        fireEvent.click(screen.getByRole('button', { name: 'notifications' }));
+
+        expect(await screen.findByText('No notifications yet')).toBeInTheDocument();
+    });
+});
@@ -42,6 +42,26 @@ import {
 import { useAuth } from '../../contexts/AuthContext';
 import UserSuggestions from '../user/UserSuggestions';
 
+// Describe what an activity stream entry did
+const describeActivity = (activity) => {
+    const targetName = activity.targetUser?.name || 'a user';
+
+    switch (activity.type) {
+        case 'post':
+            return 'shared a new post';
+        case 'like':
+            return 'liked a post';
+        case 'comment':
+            return 'commented on a post';
+        case 'follow':
+            return `started following ${targetName}`;
+        case 'unfollow':
+            return `unfollowed ${targetName}`;
+        default:
+            return '';
+    }
+};
+
 const Home = () => {
     const { isAuthenticated, user, api, loading } = useAuth();
     const [userStats, setUserStats] = useState(null);
@@ -57,7 +77,7 @@ const Home = () => {
         setLoadingStats(true);
         try {
             const response = await api.get('/users/stats');
-            setUserStats(response.data);
+            setUserStats(response.data.data);
         } catch (err) {
             console.error('Error fetching user stats:', err);
             setError('Failed to load user statistics');
@@ -72,7 +92,7 @@ const Home = () => {
         setLoadingActivity(true);
         try {
             const response = await api.get('/users/activity');
-            setRecentActivity(response.data);
+            setRecentActivity(response.data.data);
         } catch (err) {
             console.error('Error fetching recent activity:', err);
             setError('Failed to load recent activity');
@@ -84,7 +104,7 @@ const Home = () => {
     const fetchTrendingTopics = useCallback(async () => {
         try {
             const response = await api.get('/posts/trending');
-            setTrendingTopics(response.data);
+            setTrendingTopics(response.data.data);
         } catch (err) {
             console.error('Error fetching trending topics:', err);
         }
@@ -269,54 +289,58 @@ const Home = () => {
                                         </Box>
                                     ) : recentActivity && recentActivity.length > 0 ? (
                                         <List>
-                                            {recentActivity.slice(0, 3).map((post, index) => (
-                                                <React.Fragment key={post._id}>
+                                            {recentActivity.slice(0, 3).map((activity, index) => (
+                                                <React.Fragment key={activity._id}>
                                                     <ListItem alignItems="flex-start">
                                                         <ListItemAvatar>
                                                             <Avatar
-                                                                src={post.postedBy?.photo ? `/api/users/${post.postedBy._id}/photo` : null}
-                                                                alt={post.postedBy?.name}
+                                                                src={activity.actor?.photo ? `/api/users/${activity.actor._id}/photo` : null}
+                                                                alt={activity.actor?.name}
                                                                 sx={{ width: 40, height: 40 }}
                                                             >
-                                                                {post.postedBy?.name?.charAt(0)}
+                                                                {activity.actor?.name?.charAt(0)}
                                                             </Avatar>
                                                         </ListItemAvatar>
                                                         <ListItemText
                                                             primary={
                                                                 <Typography variant="subtitle2">
-                                                                    {post.postedBy?.name}
+                                                                    {activity.actor?.name} {describeActivity(activity)}
                                                                 </Typography>
                                                             }
                                                             secondary={
-                                                                <Typography
-                                                                    variant="body2"
-                                                                    color="text.secondary"
-                                                                    sx={{
-                                                                        overflow: 'hidden',
-                                                                        textOverflow: 'ellipsis',
-                                                                        display: '-webkit-box',
-                                                                        WebkitLineClamp: 2,
-                                                                        WebkitBoxOrient: 'vertical',
-                                                                    }}
-                                                                >
-                                                                    {post.text}
-                                                                </Typography>
+                                                                activity.targetPost && (
+                                                                    <Typography
+                                                                        variant="body2"
+                                                                        color="text.secondary"
+                                                                        sx={{
+                                                                            overflow: 'hidden',
+                                                                            textOverflow: 'ellipsis',
+                                                                            display: '-webkit-box',
+                                                                            WebkitLineClamp: 2,
+                                                                            WebkitBoxOrient: 'vertical',
+                                                                        }}
+                                                                    >
+                                                                        {activity.targetPost.text}
+                                                                    </Typography>
+                                                                )
                                                             }
                                                         />
-                                                        <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
-                                                            <Chip
-                                                                size="small"
-                                                                icon={<Favorite sx={{ fontSize: 16 }} />}
-                                                                label={post.likes?.length || 0}
-                                                                variant="outlined"
-                                                            />
-                                                            <Chip
-                                                                size="small"
-                                                                icon={<Comment sx={{ fontSize: 16 }} />}
-                                                                label={post.comments?.length || 0}
-                                                                variant="outlined"
-                                                            />
-                                                        </Box>
+                                                        {activity.targetPost && (
+                                                            <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                                                                <Chip
+                                                                    size="small"
+                                                                    icon={<Favorite sx={{ fontSize: 16 }} />}
+                                                                    label={activity.targetPost.likes?.length || 0}
+                                                                    variant="outlined"
+                                                                />
+                                                                <Chip
+                                                                    size="small"
+                                                                    icon={<Comment sx={{ fontSize: 16 }} />}
+                                                                    label={activity.targetPost.commentCount || 0}
+                                                                    variant="outlined"
+                                                                />
+                                                            </Box>
+                                                        )}
                                                     </ListItem>
                                                     {index < recentActivity.length - 1 && <Divider variant="inset" component="li" />}
                                                 </React.Fragment>
@@ -37,32 +37,59 @@ const mockUserStats = {
 
 const mockRecentActivity = [
     {
-        _id: 'post1',
-        text: 'This is my first post!',
-        postedBy: {
+        _id: 'activity1',
+        type: 'post',
+        actor: {
             _id: '1',
             firstName: 'John',
             lastName: 'Doe',
             name: 'John Doe',
             username: 'johndoe'
         },
-        likes: ['user1', 'user2'],
-        comments: [{ _id: 'comment1' }],
+        targetPost: {
+            _id: 'post1',
+            text: 'This is my first post!',
+            likes: ['user1', 'user2'],
+            commentCount: 1
+        },
         createdAt: '2023-01-01T00:00:00.000Z'
     },
     {
-        _id: 'post2',
-        text: 'Another interesting post about React development',
-        postedBy: {
+        _id: 'activity2',
+        type: 'comment',
+        actor: {
             _id: '2',
             firstName: 'Jane',
             lastName: 'Smith',
             name: 'Jane Smith',
             username: 'janesmith'
         },
-        likes: ['user1'],
-        comments: [],
+        targetPost: {
+            _id: 'post2',
+            text: 'Another interesting post about React development',
+            likes: ['user1'],
+            commentCount: 0
+        },
         createdAt: '2023-01-01T01:00:00.000Z'
+    },
+    {
+        _id: 'activity3',
+        type: 'follow',
+        actor: {
+            _id: '2',
+            firstName: 'Jane',
+            lastName: 'Smith',
+            name: 'Jane Smith',
+            username: 'janesmith'
+        },
+        targetUser: {
+            _id: '1',
+            firstName: 'John',
+            lastName: 'Doe',
+            name: 'John Doe',
+            username: 'johndoe'
+        },
+        createdAt: '2023-01-01T02:00:00.000Z'
     }
 ];
 
@@ -235,9 +262,9 @@ describe('Home Component', () => {
         it('should display quick stats dashboard with gradient background', async () => {
             // Mock API responses
             mockApi.get
-                .mockResolvedValueOnce({ data: mockUserStats }) // /users/stats
-                .mockResolvedValueOnce({ data: mockRecentActivity }) // /users/activity
-                .mockResolvedValueOnce({ data: mockTrendingTopics }); // /posts/trending
+                .mockResolvedValueOnce({ data: { success: true, data: mockUserStats } }) // /users/stats
+                .mockResolvedValueOnce({ data: { success: true, data: mockRecentActivity } }) // /users/activity
+                .mockResolvedValueOnce({ data: { success: true, data: mockTrendingTopics } }); // /posts/trending
 
             render(
                 <ThemeProvider theme={testTheme}>
@@ -308,9 +335,9 @@ describe('Home Component', () => {
         it('should display recent activity section with loading state', async () => {
             // Mock API responses
             mockApi.get
-                .mockResolvedValueOnce({ data: mockUserStats }) // /users/stats
-                .mockResolvedValueOnce({ data: mockRecentActivity }) // /users/activity
-                .mockResolvedValueOnce({ data: mockTrendingTopics }); // /posts/trending
+                .mockResolvedValueOnce({ data: { success: true, data: mockUserStats } }) // /users/stats
+                .mockResolvedValueOnce({ data: { success: true, data: mockRecentActivity } }) // /users/activity
+                .mockResolvedValueOnce({ data: { success: true, data: mockTrendingTopics } }); // /posts/trending
 
             render(
                 <ThemeProvider theme={testTheme}>
@@ -339,9 +366,9 @@ describe('Home Component', () => {
         it('should display engagement metrics in recent activity', async () => {
             // Mock API responses
             mockApi.get
-                .mockResolvedValueOnce({ data: mockUserStats }) // /users/stats
-                .mockResolvedValueOnce({ data: mockRecentActivity }) // /users/activity
-                .mockResolvedValueOnce({ data: mockTrendingTopics }); // /posts/trending
+                .mockResolvedValueOnce({ data: { success: true, data: mockUserStats } }) // /users/stats
+                .mockResolvedValueOnce({ data: { success: true, data: mockRecentActivity } }) // /users/activity
+                .mockResolvedValueOnce({ data: { success: true, data: mockTrendingTopics } }); // /posts/trending
 
             render(
                 <ThemeProvider theme={testTheme}>
@@ -366,12 +393,33 @@ describe('Home Component', () => {
             });
         });
 
+        it('should describe each activity by its type', async () => {
+            mockApi.get
+                .mockResolvedValueOnce({ data: { success: true, data: mockUserStats } }) // /users/stats
+                .mockResolvedValueOnce({ data: { success: true, data: mockRecentActivity } }) // /users/activity
+                .mockResolvedValueOnce({ data: { success: true, data: mockTrendingTopics } }); // /posts/trending
+
+            render(
+                <ThemeProvider theme={testTheme}>
+                    <BrowserRouter>
+                        <Home />
+                    </BrowserRouter>
+                </ThemeProvider>
+            );
+
+            await waitFor(() => {
+                expect(screen.getByText('John Doe shared a new post')).toBeInTheDocument();
+                expect(screen.getByText('Jane Smith commented on a post')).toBeInTheDocument();
+                expect(screen.getByText('Jane Smith started following John Doe')).toBeInTheDocument();
+            });
+        });
+
         it('should display trending topics in sidebar', async () => {
             // Mock API responses
             mockApi.get
-                .mockResolvedValueOnce({ data: mockUserStats }) // /users/stats
-                .mockResolvedValueOnce({ data: mockRecentActivity }) // /users/activity
-                .mockResolvedValueOnce({ data: mockTrendingTopics }); // /posts/trending
+                .mockResolvedValueOnce({ data: { success: true, data: mockUserStats } }) // /users/stats
+                .mockResolvedValueOnce({ data: { success: true, data: mockRecentActivity } }) // /users/activity
+                .mockResolvedValueOnce({ data: { success: true, data: mockTrendingTopics } }); // /posts/trending
 
             render(
                 <ThemeProvider theme={testTheme}>
@@ -655,9 +703,9 @@ describe('Home Component', () => {
     test('username links point to correct user profile URLs', async () => {
         // Mock API responses
         mockApi.get
-            .mockResolvedValueOnce({ data: mockUserStats }) // /users/stats
-            .mockResolvedValueOnce({ data: mockRecentActivity }) // /users/activity
-            .mockResolvedValueOnce({ data: mockTrendingTopics }); // /posts/trending
+            .mockResolvedValueOnce({ data: { success: true, data: mockUserStats } }) // /users/stats
+            .mockResolvedValueOnce({ data: { success: true, data: mockRecentActivity } }) // /users/activity
+            .mockResolvedValueOnce({ data: { success: true, data: mockTrendingTopics } }); // /posts/trending
 
         // Mock useAuth for this test
         useAuth.mockReturnValue({
@@ -0,0 +1,211 @@
+import React, { useState, useEffect } from 'react';
+import { Link as RouterLink, useSearchParams } from 'react-router-dom';
+import {
+    Container,
+    Typography,
+    Box,
+    Card,
+    CardContent,
+    Avatar,
+    List,
+    ListItem,
+    ListItemAvatar,
+    ListItemText,
+    Tabs,
+    Tab,
+    Pagination,
+    CircularProgress,
+    Alert,
+    Link,
+} from '@mui/material';
+import { useAuth } from '../../contexts/AuthContext';
+import PostText from '../posts/PostText';
+
+const RESULTS_PER_PAGE = 10;
+
+const formatDate = (dateString) => new Date(dateString).toLocaleDateString();
+
+// Results of a search from the navbar, split into matching posts and
+// matching users. The query, type and page live in the URL.
+const SearchResults = () => {
+    const { api } = useAuth();
+    const [searchParams, setSearchParams] = useSearchParams();
+    const [results, setResults] = useState(null);
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState('');
+
+    const q = searchParams.get('q') || '';
+    const type = searchParams.get('type') || 'all';
+    const page = parseInt(searchParams.get('page'), 10) || 1;
+
+    useEffect(() => {
+        if (!q.trim()) {
+            setResults(null);
+            return;
+        }
+
+        let cancelled = false;
+
+        const fetchResults = async () => {
+            try {
+                setLoading(true);
+                setError('');
+
+                const response = await api.get('/search', {
+                    params: { q, type, page, limit: RESULTS_PER_PAGE },
+                });
+
+                if (!cancelled) {
+                    setResults(response.data);
+                }
+            } catch (err) {
+                console.error('Error searching:', err);
+                if (!cancelled) {
+                    setResults(null);
+                    setError(err.response?.data?.message || 'Search failed. Please try again.');
+                }
+            } finally {
+                if (!cancelled) {
+                    setLoading(false);
+                }
+            }
+        };
+
+        fetchResults();
+
+        return () => {
+            cancelled = true;
+        };
+    }, [api, q, type, page]);
+
+    const updateParams = (changes) => {
+        const params = { q, type, page, ...changes };
+        setSearchParams({
+            q: params.q,
+            ...(params.type !== 'all' && { type: params.type }),
+            ...(params.page > 1 && { page: String(params.page) }),
+        });
+    };
+
+    const posts = results?.data?.posts || [];
+    const users = results?.data?.users || [];
+
+    const renderUsers = () => (
+        <List>
+            {users.map((user) => (
+                <ListItem key={user._id} component={RouterLink} to={`/users/${user._id}`} sx={{ color: 'inherit' }}>
+                    <ListItemAvatar>
+                        <Avatar src={user.photo ? `/api/users/${user._id}/photo` : null}>
+                            {user.firstName?.charAt(0)}
+                        </Avatar>
+                    </ListItemAvatar>
+                    <ListItemText
+                        primary={`${user.firstName} ${user.lastName}`}
+                        secondary={user.about ? `@${user.username} • ${user.about}` : `@${user.username}`}
+                    />
+                </ListItem>
+            ))}
+        </List>
+    );
+
+    const renderPosts = () => posts.map((post) => (
+        <Card key={post._id} sx={{ mb: 2 }} data-testid={`search-post-${post._id}`}>
+            <CardContent>
+                <Typography variant="body2" color="text.secondary" gutterBottom>
+                    <Link component={RouterLink} to={`/users/${post.postedBy?._id}`} color="inherit">
+                        @{post.postedBy?.username}
+                    </Link>
+                    {' '}• {formatDate(post.createdAt)}
+                </Typography>
+                {post.title && (
+                    <Typography variant="h6" gutterBottom>
+                        {post.title}
+                    </Typography>
+                )}
+                <PostText text={post.text} mentions={post.mentions} variant="body1" />
+            </CardContent>
+        </Card>
+    ));
+
+    const hasResults = posts.length > 0 || users.length > 0;
+
+    return (
+        <Container maxWidth="md">
+            <Box sx={{ mt: 4, mb: 4 }}>
+                <Typography variant="h4" component="h1" gutterBottom>
+                    {q ? `Results for "${q}"` : 'Search'}
+                </Typography>
+
+                <Tabs
+                    value={type}
+                    onChange={(e, value) => updateParams({ type: value, page: 1 })}
+                    sx={{ mb: 3 }}
+                >
+                    <Tab label="All" value="all" />
+                    <Tab label="Posts" value="posts" />
+                    <Tab label="Users" value="users" />
+                </Tabs>
+
+                {error && (
+                    <Alert severity="error" sx={{ mb: 3 }}>
+                        {error}
+                    </Alert>
+                )}
+
+                {!q.trim() && (
+                    <Typography variant="body1" color="text.secondary">
+                        Enter a search in the bar above to find posts and people.
+                    </Typography>
+                )}
+
+                {loading ? (
+                    <Box sx={{ display: 'flex', justifyContent: 'center', mt: 4 }}>
+                        <CircularProgress />
+                    </Box>
+                ) : results && (
+                    <>
+                        {!hasResults && (
+                            <Typography variant="body1" color="text.secondary">
+                                No results found.
+                            </Typography>
+                        )}
+
+                        {users.length > 0 && (
+                            <Box sx={{ mb: 3 }}>
+                                {type === 'all' && (
+                                    <Typography variant="h6">
+                                        People ({results.total.users})
+                                    </Typography>
+                                )}
+                                {renderUsers()}
+                            </Box>
+                        )}
+
+                        {posts.length > 0 && (
+                            <Box sx={{ mb: 3 }}>
+                                {type === 'all' && (
+                                    <Typography variant="h6" gutterBottom>
+                                        Posts ({results.total.posts})
+                                    </Typography>
+                                )}
+                                {renderPosts()}
+                            </Box>
+                        )}
+
+                        {results.pagination?.pages > 1 && (
+                            <Box sx={{ display: 'flex', justifyContent: 'center' }}>
+                                <Pagination
+                                    count={results.pagination.pages}
+                                    page={page}
+                                    onChange={(e, value) => updateParams({ page: value })}
+                                />
+                            </Box>
+                        )}
+                    </>
+                )}
+            </Box>
+        </Container>
+    );
+};
+
+export default SearchResults;
@@ -0,0 +1,130 @@
+import React from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import { MemoryRouter, Routes, Route, useLocation } from 'react-router-dom';
+import SearchResults from './SearchResults';
+
+const mockApi = {
+    get: jest.fn(),
+};
+
+jest.mock('../../contexts/AuthContext', () => ({
+    useAuth: () => ({ user: null, api: mockApi }),
+}));
+
+// Shows the current URL so tests can check the search parameters
+const LocationDisplay = () => {
+    const location = useLocation();
+    return <div data-testid="location">{location.pathname + location.search}</div>;
+};
+
+const renderResults = (url = '/search?q=databases') => render(
+    <MemoryRouter initialEntries={[url]}>
+        <Routes>
+            <Route path="/search" element={<SearchResults />} />
+        </Routes>
+        <LocationDisplay />
+    </MemoryRouter>
+);
+
+const results = ({ posts, users, pages = 1 }) => ({
+    data: {
+        success: true,
+        total: {
+            ...(posts && { posts: posts.length }),
+            ...(users && { users: users.length }),
+        },
+        pagination: { page: 1, limit: 10, pages },
+        data: { ...(posts && { posts }), ...(users && { users }) },
+    },
+});
+
+const post = {
+    _id: 'post1',
+    text: 'Indexing #databases',
+    postedBy: { _id: 'user2', username: 'janesmith' },
+    createdAt: '2023-01-01T00:00:00.000Z',
+};
+
+const user = {
+    _id: 'user1',
+    firstName: 'John',
+    lastName: 'Doe',
+    username: 'johndoe',
+    about: 'Writes about databases',
+};
+
+describe('SearchResults Component', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    it('should show matching posts and users', async () => {
+        mockApi.get.mockResolvedValue(results({ posts: [post], users: [user] }));
+
+        renderResults();
+
+        expect(await screen.findByText('John Doe')).toBeInTheDocument();
+        expect(screen.getByText('People (1)')).toBeInTheDocument();
+        expect(screen.getByText('Posts (1)')).toBeInTheDocument();
+        expect(screen.getByRole('link', { name: '#databases' })).toHaveAttribute('href', '/tags/databases');
+        expect(screen.getByRole('link', { name: /John Doe/ })).toHaveAttribute('href', '/users/user1');
+        expect(mockApi.get).toHaveBeenCalledWith('/search', {
+            params: { q: 'databases', type: 'all', page: 1, limit: 10 },
+        });
+    });
+
+    it('should filter by type through the tabs', async () => {
+        mockApi.get.mockResolvedValue(results({ posts: [post], users: [user] }));
+        renderResults();
+        await screen.findByText('John Doe');
+
+        mockApi.get.mockResolvedValue(results({ users: [user] }));
+        fireEvent.click(screen.getByRole('tab', { name: 'Users' }));
+
+        await waitFor(() => {
+            expect(mockApi.get).toHaveBeenLastCalledWith('/search', {
+                params: { q: 'databases', type: 'users', page: 1, limit: 10 },
+            });
+        });
+        expect(screen.getByTestId('location')).toHaveTextContent('/search?q=databases&type=users');
+        expect(await screen.findByText('John Doe')).toBeInTheDocument();
+        expect(screen.queryByText('People (1)')).not.toBeInTheDocument();
+    });
+
+    it('should move between pages', async () => {
+        mockApi.get.mockResolvedValue(results({ posts: [post], pages: 3 }));
+        renderResults('/search?q=databases&type=posts');
+        await screen.findByText('@janesmith');
+
+        fireEvent.click(screen.getByRole('button', { name: 'Go to page 2' }));
+
+        await waitFor(() => {
+            expect(mockApi.get).toHaveBeenLastCalledWith('/search', {
+                params: { q: 'databases', type: 'posts', page: 2, limit: 10 },
+            });
+        });
+    });
+
+    it('should say when nothing matches', async () => {
+        mockApi.get.mockResolvedValue(results({ posts: [], users: [] }));
+
+        renderResults();
+
+        expect(await screen.findByText('No results found.')).toBeInTheDocument();
+    });
+
+    it('should not search without a query', () => {
+        renderResults('/search');
+
+        expect(screen.getByText('Enter a search in the bar above to find posts and people.')).toBeInTheDocument();
+        expect(mockApi.get).not.toHaveBeenCalled();
+    });
+
+    it('should show the error from the server', async () => {
+        mockApi.get.mockRejectedValue({ response: { data: { message: 'Search query must contain letters or numbers' } } });
+
+        renderResults('/search?q=%24%25');
+
+        expect(await screen.findByText('Search query must contain letters or numbers')).toBeInTheDocument();
+    });
+});
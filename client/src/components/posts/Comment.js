@@ -0,0 +1,312 @@
+import React, { useState } from 'react';
+import {
+    Box,
+    Avatar,
+    Typography,
+    IconButton,
+    Button,
+    TextField,
+    CircularProgress,
+} from '@mui/material';
+import {
+    Favorite,
+    FavoriteBorder,
+    Delete,
+    Edit,
+    Send,
+} from '@mui/icons-material';
+import { useAuth } from '../../contexts/AuthContext';
+import PostText from './PostText';
+
+// Replies nest up to this depth; deeper replies line up with their parent
+const MAX_INDENT_DEPTH = 3;
+
+const Comment = ({ comment: initialComment, postId, isPostAuthor, depth = 0, onPostUpdated, onDeleted, formatDate }) => {
+    const { user, api } = useAuth();
+    const [comment, setComment] = useState(initialComment);
+    const [replies, setReplies] = useState([]);
+    const [showReplies, setShowReplies] = useState(false);
+    const [nextCursor, setNextCursor] = useState(null);
+    const [isLoadingReplies, setIsLoadingReplies] = useState(false);
+    const [showReplyForm, setShowReplyForm] = useState(false);
+    const [replyText, setReplyText] = useState('');
+    const [isReplying, setIsReplying] = useState(false);
+    const [isEditing, setIsEditing] = useState(false);
+    const [editText, setEditText] = useState('');
+    const [error, setError] = useState('');
+
+    const isOwn = comment.postedBy?._id === user?._id;
+    const isLiked = comment.likes?.includes(user?._id);
+    const name = comment.postedBy?.name || `${comment.postedBy?.firstName} ${comment.postedBy?.lastName}`;
+    const initial = (comment.postedBy?.name || comment.postedBy?.firstName || comment.postedBy?.username || '').charAt(0);
+
+    const loadReplies = async (cursor = null) => {
+        setIsLoadingReplies(true);
+        setError('');
+
+        try {
+            const response = await api.get(`/comments/${comment._id}/replies`, {
+                params: cursor ? { cursor } : {},
+            });
+            const loaded = response.data.data || [];
+            setReplies(prev => {
+                const seen = new Set(prev.map(reply => reply._id));
+                return [...prev, ...loaded.filter(reply => !seen.has(reply._id))];
+            });
+            setNextCursor(response.data.pagination?.nextCursor || null);
+        } catch (err) {
+            console.error('Error fetching replies:', err);
+            setError('Failed to load replies. Please try again.');
+        } finally {
+            setIsLoadingReplies(false);
+        }
+    };
+
+    const toggleReplies = () => {
+        if (!showReplies && replies.length === 0) {
+            loadReplies();
+        }
+        setShowReplies(!showReplies);
+    };
+
+    const handleReply = async (e) => {
+        e.preventDefault();
+        if (!replyText.trim() || !user) return;
+
+        setIsReplying(true);
+        setError('');
+
+        try {
+            const response = await api.put('/posts/comment', {
+                postId,
+                parentId: comment._id,
+                text: replyText.trim(),
+            });
+
+            if (response.data.success) {
+                setReplyText('');
+                setShowReplyForm(false);
+                setReplies(prev => [response.data.comment, ...prev]);
+                // A reply held for review is not counted until it is released
+                if (!response.data.comment.held) {
+                    setComment(prev => ({ ...prev, replyCount: (prev.replyCount || 0) + 1 }));
+                }
+                setShowReplies(true);
+                if (onPostUpdated) {
+                    onPostUpdated(response.data.data);
+                }
+            }
+        } catch (err) {
+            console.error('Error adding reply:', err);
+            setError('Failed to add reply. Please try again.');
+        } finally {
+            setIsReplying(false);
+        }
+    };
+
+    const handleLike = async () => {
+        if (!user) return;
+
+        setError('');
+        try {
+            const response = await api.put(`/comments/${comment._id}/${isLiked ? 'unlike' : 'like'}`);
+            if (response.data.success) {
+                setComment(prev => ({ ...prev, likes: response.data.data.likes }));
+            }
+        } catch (err) {
+            console.error('Error toggling comment like:', err);
+            setError('Failed to update like. Please try again.');
+        }
+    };
+
+    const handleSaveEdit = async (e) => {
+        e.preventDefault();
+        if (!editText.trim()) return;
+
+        setError('');
+        try {
+            const response = await api.put(`/comments/${comment._id}`, { text: editText.trim() });
+            if (response.data.success) {
+                setComment(prev => ({
+                    ...prev,
+                    text: response.data.data.text,
+                    mentions: response.data.data.mentions,
+                    editedAt: response.data.data.editedAt,
+                }));
+                setIsEditing(false);
+            }
+        } catch (err) {
+            console.error('Error editing comment:', err);
+            setError('Failed to save comment. Please try again.');
+        }
+    };
+
+    const handleDelete = async () => {
+        setError('');
+        try {
+            const response = await api.put('/posts/uncomment', {
+                postId,
+                commentId: comment._id,
+            });
+
+            if (response.data.success) {
+                if (onDeleted) {
+                    onDeleted(comment._id);
+                }
+                if (onPostUpdated) {
+                    onPostUpdated(response.data.data);
+                }
+            }
+        } catch (err) {
+            console.error('Error deleting comment:', err);
+            setError('Failed to delete comment. Please try again.');
+        }
+    };
+
+    const handleReplyDeleted = (replyId) => {
+        setReplies(prev => prev.filter(reply => reply._id !== replyId));
+        setComment(prev => ({ ...prev, replyCount: Math.max(0, (prev.replyCount || 0) - 1) }));
+    };
+
+    const replyCount = comment.replyCount || 0;
+
+    return (
+        <Box data-testid={`comment-${comment._id}`}>
+            <Box sx={{ display: 'flex', gap: 1 }}>
+                <Avatar
+                    src={comment.postedBy?.photo ? `/api/users/${comment.postedBy._id}/photo` : null}
+                    data-testid={`comment-avatar-${comment._id}`}
+                    sx={{ width: 32, height: 32 }}
+                >
+                    {initial}
+                </Avatar>
+                <Box sx={{ flexGrow: 1 }}>
+                    <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 0.5 }}>
+                        <Typography variant="subtitle2" fontWeight="medium">
+                            {name}
+                        </Typography>
+                        <Typography variant="caption" color="text.secondary">
+                            {formatDate(comment.createdAt)}
+                            {comment.editedAt && ' • edited'}
+                        </Typography>
+                    </Box>
+
+                    {isEditing ? (
+                        <Box component="form" onSubmit={handleSaveEdit} sx={{ display: 'flex', gap: 1 }}>
+                            <TextField
+                                fullWidth
+                                size="small"
+                                value={editText}
+                                onChange={(e) => setEditText(e.target.value)}
+                                inputProps={{ maxLength: 500, 'aria-label': 'edit comment text' }}
+                            />
+                            <Button type="submit" size="small" disabled={!editText.trim()}>
+                                Save
+                            </Button>
+                            <Button size="small" onClick={() => setIsEditing(false)}>
+                                Cancel
+                            </Button>
+                        </Box>
+                    ) : (
+                        <PostText text={comment.text} mentions={comment.mentions} variant="body2" />
+                    )}
+
+                    {error && (
+                        <Typography variant="caption" color="error">
+                            {error}
+                        </Typography>
+                    )}
+
+                    {/* Comment Actions */}
+                    <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                        <Button
+                            size="small"
+                            startIcon={isLiked ? <Favorite color="error" fontSize="small" /> : <FavoriteBorder fontSize="small" />}
+                            onClick={handleLike}
+                            aria-label={isLiked ? 'unlike comment' : 'like comment'}
+                        >
+                            {comment.likes?.length || 0}
+                        </Button>
+                        <Button size="small" onClick={() => setShowReplyForm(!showReplyForm)}>
+                            Reply
+                        </Button>
+                        {replyCount > 0 && (
+                            <Button size="small" onClick={toggleReplies}>
+                                {showReplies ? 'Hide replies' : `View ${replyCount} repl${replyCount !== 1 ? 'ies' : 'y'}`}
+                            </Button>
+                        )}
+                    </Box>
+
+                    {showReplyForm && (
+                        <Box component="form" onSubmit={handleReply} sx={{ display: 'flex', gap: 1, mb: 1 }}>
+                            <TextField
+                                fullWidth
+                                size="small"
+                                placeholder={`Reply to ${name}...`}
+                                value={replyText}
+                                onChange={(e) => setReplyText(e.target.value)}
+                                disabled={isReplying}
+                            />
+                            <IconButton
+                                type="submit"
+                                disabled={!replyText.trim() || isReplying}
+                                color="primary"
+                                aria-label="send reply"
+                            >
+                                {isReplying ? <CircularProgress size={20} /> : <Send />}
+                            </IconButton>
+                        </Box>
+                    )}
+                </Box>
+                {isOwn && !isEditing && (
+                    <IconButton
+                        size="small"
+                        onClick={() => {
+                            setEditText(comment.text);
+                            setIsEditing(true);
+                        }}
+                        aria-label="edit comment"
+                    >
+                        <Edit fontSize="small" />
+                    </IconButton>
+                )}
+                {(isOwn || isPostAuthor) && (
+                    <IconButton
+                        size="small"
+                        onClick={handleDelete}
+                        color="error"
+                        aria-label="delete comment"
+                    >
+                        <Delete fontSize="small" />
+                    </IconButton>
+                )}
+            </Box>
+
+            {/* Replies */}
+            {showReplies && (
+                <Box sx={{ ml: depth < MAX_INDENT_DEPTH ? 5 : 0, mt: 1, display: 'flex', flexDirection: 'column', gap: 1 }}>
+                    {replies.map((reply) => (
+                        <Comment
+                            key={reply._id}
+                            comment={reply}
+                            postId={postId}
+                            isPostAuthor={isPostAuthor}
+                            depth={depth + 1}
+                            onPostUpdated={onPostUpdated}
+                            onDeleted={handleReplyDeleted}
+                            formatDate={formatDate}
+                        />
+                    ))}
+                    {isLoadingReplies && <CircularProgress size={20} />}
+                    {nextCursor && !isLoadingReplies && (
+                        <Button size="small" onClick={() => loadReplies(nextCursor)} sx={{ alignSelf: 'flex-start' }}>
+                            Load more replies
+                        </Button>
+                    )}
+                </Box>
+            )}
+        </Box>
+    );
+};
+
+export default Comment;
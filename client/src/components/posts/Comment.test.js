@@ -0,0 +1,133 @@
+import React from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import { MemoryRouter } from 'react-router-dom';
+import Comment from './Comment';
+
+const mockApi = {
+    get: jest.fn(),
+    put: jest.fn(),
+};
+
+const mockUser = {
+    _id: 'user1',
+    firstName: 'John',
+    lastName: 'Doe',
+    username: 'johndoe',
+};
+
+jest.mock('../../contexts/AuthContext', () => ({
+    useAuth: () => ({ user: mockUser, api: mockApi }),
+}));
+
+const otherUser = {
+    _id: 'user2',
+    firstName: 'Jane',
+    lastName: 'Smith',
+    username: 'janesmith',
+};
+
+const makeComment = (id, overrides = {}) => ({
+    _id: id,
+    text: `Comment ${id}`,
+    postedBy: otherUser,
+    likes: [],
+    replyCount: 0,
+    createdAt: '2023-01-01T00:00:00.000Z',
+    ...overrides,
+});
+
+const renderComment = (comment, props = {}) => render(
+    <MemoryRouter>
+        <Comment
+            comment={comment}
+            postId="post1"
+            isPostAuthor={false}
+            formatDate={() => 'just now'}
+            {...props}
+        />
+    </MemoryRouter>
+);
+
+describe('Comment Component', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    it('should render the comment with its like count', () => {
+        renderComment(makeComment('c1', { likes: ['user2', 'user3'] }));
+
+        expect(screen.getByText('Comment c1')).toBeInTheDocument();
+        expect(screen.getByText('Jane Smith')).toBeInTheDocument();
+        expect(screen.getByRole('button', { name: 'like comment' })).toHaveTextContent('2');
+    });
+
+    it('should link mentioned users', () => {
+        renderComment(makeComment('c1', {
+            text: '@johndoe have a look',
+            mentions: [{ _id: 'user1', username: 'johndoe' }],
+        }));
+
+        expect(screen.getByRole('link', { name: '@johndoe' })).toHaveAttribute('href', '/users/user1');
+    });
+
+    it('should not show a replies toggle without replies', () => {
+        renderComment(makeComment('c1'));
+
+        expect(screen.queryByRole('button', { name: /view .* repl/i })).not.toBeInTheDocument();
+    });
+
+    it('should page through replies', async () => {
+        mockApi.get.mockResolvedValueOnce({
+            data: { success: true, data: [makeComment('r2')], pagination: { nextCursor: 'cursor-1' } },
+        });
+        renderComment(makeComment('c1', { replyCount: 2 }));
+
+        fireEvent.click(screen.getByRole('button', { name: 'View 2 replies' }));
+        expect(await screen.findByText('Comment r2')).toBeInTheDocument();
+
+        mockApi.get.mockResolvedValueOnce({
+            data: { success: true, data: [makeComment('r1')], pagination: { nextCursor: null } },
+        });
+        fireEvent.click(screen.getByRole('button', { name: 'Load more replies' }));
+
+        expect(await screen.findByText('Comment r1')).toBeInTheDocument();
+        expect(mockApi.get).toHaveBeenLastCalledWith('/comments/c1/replies', { params: { cursor: 'cursor-1' } });
+        expect(screen.queryByRole('button', { name: 'Load more replies' })).not.toBeInTheDocument();
+    });
+
+    it('should remove a deleted reply and update the reply count', async () => {
+        mockApi.get.mockResolvedValue({
+            data: {
+                success: true,
+                data: [makeComment('r1', { postedBy: mockUser }), makeComment('r2')],
+                pagination: { nextCursor: null },
+            },
+        });
+        mockApi.put.mockResolvedValue({ data: { success: true, data: { _id: 'post1', commentCount: 2 } } });
+        const onPostUpdated = jest.fn();
+        renderComment(makeComment('c1', { replyCount: 2 }), { onPostUpdated });
+
+        fireEvent.click(screen.getByRole('button', { name: 'View 2 replies' }));
+        await screen.findByText('Comment r1');
+
+        fireEvent.click(screen.getByRole('button', { name: 'delete comment' }));
+
+        await waitFor(() => {
+            expect(screen.queryByText('Comment r1')).not.toBeInTheDocument();
+        });
+        expect(mockApi.put).toHaveBeenCalledWith('/posts/uncomment', { postId: 'post1', commentId: 'r1' });
+        expect(onPostUpdated).toHaveBeenCalledWith({ _id: 'post1', commentCount: 2 });
+
+        fireEvent.click(screen.getByRole('button', { name: 'Hide replies' }));
+        expect(screen.getByRole('button', { name: 'View 1 reply' })).toBeInTheDocument();
+    });
+
+    it('should show an error when replies fail to load', async () => {
+        mockApi.get.mockRejectedValue(new Error('Network error'));
+        renderComment(makeComment('c1', { replyCount: 1 }));
+
+        fireEvent.click(screen.getByRole('button', { name: 'View 1 reply' }));
+
+        expect(await screen.findByText('Failed to load replies. Please try again.')).toBeInTheDocument();
+    });
+});
@@ -22,6 +22,7 @@ const CreatePost = ({ onPostCreated }) => {
     const [photoPreview, setPhotoPreview] = useState('');
     const [isSubmitting, setIsSubmitting] = useState(false);
     const [error, setError] = useState('');
+    const [notice, setNotice] = useState('');
 
     const handleTextChange = (e) => {
         setText(e.target.value);
@@ -67,6 +68,7 @@ const CreatePost = ({ onPostCreated }) => {
 
         setIsSubmitting(true);
         setError('');
+        setNotice('');
 
         try {
             const formData = new FormData();
@@ -90,8 +92,11 @@ const CreatePost = ({ onPostCreated }) => {
                     URL.revokeObjectURL(photoPreview);
                 }
 
-                // Notify parent component
-                if (onPostCreated) {
+                // A post held by the content filter is not shown until an
+                // admin releases it
+                if (response.data.data?.status === 'held') {
+                    setNotice(response.data.message);
+                } else if (onPostCreated) {
                     onPostCreated(response.data.data);
                 }
             } else {
@@ -157,6 +162,12 @@ const CreatePost = ({ onPostCreated }) => {
                     </Alert>
                 )}
 
+                {notice && (
+                    <Alert severity="info" sx={{ mb: 2 }}>
+                        {notice}
+                    </Alert>
+                )}
+
                 <Box component="form" onSubmit={handleSubmit} noValidate>
                     <TextField
                         fullWidth
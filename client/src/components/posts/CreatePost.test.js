@@ -230,6 +230,26 @@ describe('CreatePost Component', () => {
             });
         });
 
+        it('should say when the post is held for review', async () => {
+            const user = userEvent.setup();
+            const onPostCreated = jest.fn();
+            mockApi.post.mockResolvedValue({
+                data: {
+                    success: true,
+                    message: 'Post is held for review',
+                    data: { _id: 'post123', text: 'Hello, world!', status: 'held' },
+                },
+            });
+
+            renderWithProviders(<CreatePost onPostCreated={onPostCreated} />);
+
+            await user.type(screen.getByPlaceholderText("What's on your mind?"), 'Hello, world!');
+            await user.click(screen.getByRole('button', { name: /post/i }));
+
+            expect(await screen.findByText('Post is held for review')).toBeInTheDocument();
+            expect(onPostCreated).not.toHaveBeenCalled();
+        });
+
         it('should submit post with text and photo', async () => {
             const user = userEvent.setup();
             const onPostCreated = jest.fn();
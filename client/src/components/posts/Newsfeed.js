@@ -12,9 +12,32 @@ import {
 } from '@mui/material';
 import { Refresh, Add } from '@mui/icons-material';
 import { useAuth } from '../../contexts/AuthContext';
+import { useRealtime } from '../../contexts/RealtimeContext';
 import CreatePost from './CreatePost';
 import Post from './Post';
 import UserSuggestions from '../user/UserSuggestions';
+import LoadMoreTrigger from '../common/LoadMoreTrigger';
+
+// Feeds offered as tabs. The top feed ranks posts by engagement, recency
+// and how much you interact with each author, so new posts aren't pushed
+// into it live.
+const FEEDS = [
+    { label: 'Newsfeed', title: 'Newsfeed', endpoint: '/posts/feed', following: true, live: true },
+    { label: 'Top', title: 'Top Posts', endpoint: '/posts/feed', params: { sort: 'top' }, following: true },
+    { label: 'All Posts', title: 'All Posts', endpoint: '/posts', live: true },
+];
+
+// Query parameters for the page after this one, or null on the last page.
+// Chronological feeds page by cursor, the ranked feed by page number.
+const nextPageParams = (pagination) => {
+    if (pagination?.nextCursor) {
+        return { cursor: pagination.nextCursor };
+    }
+    if (pagination?.page < pagination?.pages) {
+        return { page: pagination.page + 1 };
+    }
+    return null;
+};
 
 const Newsfeed = () => {
     const { api } = useAuth();
@@ -23,17 +46,23 @@ const Newsfeed = () => {
     const [error, setError] = useState('');
     const [activeTab, setActiveTab] = useState(0);
     const [showCreatePost, setShowCreatePost] = useState(false);
+    const [nextPage, setNextPage] = useState(null);
+    const [loadingMore, setLoadingMore] = useState(false);
+
+    const feed = FEEDS[activeTab];
 
     const fetchPosts = useCallback(async () => {
         try {
             setLoading(true);
             setError('');
 
-            const endpoint = activeTab === 0 ? '/posts/feed' : '/posts';
-            const response = await api.get(endpoint);
+            const response = feed.params
+                ? await api.get(feed.endpoint, { params: feed.params })
+                : await api.get(feed.endpoint);
 
             if (response.data.success) {
                 setPosts(response.data.data);
+                setNextPage(nextPageParams(response.data.pagination));
             } else {
                 setError(response.data.message || 'Failed to fetch posts');
             }
@@ -43,25 +72,66 @@ const Newsfeed = () => {
         } finally {
             setLoading(false);
         }
-    }, [api, activeTab]);
+    }, [api, feed]);
 
     useEffect(() => {
         fetchPosts();
     }, [fetchPosts]);
 
+    // Append the next page of posts
+    const loadMorePosts = async () => {
+        if (!nextPage || loadingMore) {
+            return;
+        }
+
+        try {
+            setLoadingMore(true);
+            const response = await api.get(feed.endpoint, { params: { ...feed.params, ...nextPage } });
+
+            if (response.data.success) {
+                setPosts(prevPosts => {
+                    const loadedIds = new Set(prevPosts.map(post => post._id));
+                    return [...prevPosts, ...response.data.data.filter(post => !loadedIds.has(post._id))];
+                });
+                setNextPage(nextPageParams(response.data.pagination));
+            }
+        } catch (err) {
+            console.error('Error fetching more posts:', err);
+            setError(err.response?.data?.message || 'Failed to load more posts. Please try again.');
+        } finally {
+            setLoadingMore(false);
+        }
+    };
+
+    // Put a post at the top of the feed unless it is already listed, as
+    // when a post created here also arrives over the live channel
+    const addPost = (newPost) => {
+        setPosts(prevPosts => (
+            prevPosts.some(post => post._id === newPost._id) ? prevPosts : [newPost, ...prevPosts]
+        ));
+    };
+
     const handlePostCreated = (newPost) => {
-        setPosts(prevPosts => [newPost, ...prevPosts]);
+        addPost(newPost);
         setShowCreatePost(false);
     };
 
+    // Updates may carry only the changed fields, such as live like counts
     const handlePostUpdated = (updatedPost) => {
         setPosts(prevPosts =>
             prevPosts.map(post =>
-                post._id === updatedPost._id ? updatedPost : post
+                post._id === updatedPost._id ? { ...post, ...updatedPost } : post
             )
         );
     };
 
+    useRealtime('post:created', ({ post }) => {
+        if (feed.live) {
+            addPost(post);
+        }
+    });
+    useRealtime('post:updated', ({ post }) => handlePostUpdated(post));
+
     const handlePostDeleted = (postId) => {
         setPosts(prevPosts => prevPosts.filter(post => post._id !== postId));
     };
@@ -94,7 +164,7 @@ const Newsfeed = () => {
                         <Box sx={{ mb: 3 }}>
                             <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 2 }}>
                                 <Typography variant="h4" component="h1">
-                                    {activeTab === 0 ? 'Newsfeed' : 'All Posts'}
+                                    {feed.title}
                                 </Typography>
                                 <Box sx={{ display: 'flex', gap: 1 }}>
                                     <Button
@@ -117,8 +187,9 @@ const Newsfeed = () => {
 
                             {/* Tabs */}
                             <Tabs value={activeTab} onChange={handleTabChange}>
-                                <Tab label="Newsfeed" />
-                                <Tab label="All Posts" />
+                                {FEEDS.map(({ label }) => (
+                                    <Tab key={label} label={label} />
+                                ))}
                             </Tabs>
                         </Box>
 
@@ -138,18 +209,18 @@ const Newsfeed = () => {
                         {posts.length === 0 ? (
                             <Box sx={{ textAlign: 'center', py: 4 }}>
                                 <Typography variant="h6" color="text.secondary" gutterBottom>
-                                    {activeTab === 0
+                                    {feed.following
                                         ? 'No posts from people you follow yet.'
                                         : 'No posts available.'
                                     }
                                 </Typography>
                                 <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
-                                    {activeTab === 0
+                                    {feed.following
                                         ? 'Follow some users to see their posts in your newsfeed!'
                                         : 'Be the first to create a post!'
                                     }
                                 </Typography>
-                                {activeTab === 1 && (
+                                {!feed.following && (
                                     <Button
                                         variant="contained"
                                         onClick={() => setShowCreatePost(true)}
@@ -174,6 +245,14 @@ const Newsfeed = () => {
                                         <CircularProgress />
                                     </Box>
                                 )}
+
+                                {!loading && (
+                                    <LoadMoreTrigger
+                                        onLoadMore={loadMorePosts}
+                                        loading={loadingMore}
+                                        hasMore={!!nextPage}
+                                    />
+                                )}
                             </Box>
                         )}
                     </Grid>
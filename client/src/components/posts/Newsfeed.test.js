@@ -1,5 +1,5 @@
 import React from 'react';
-import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import { render, screen, fireEvent, waitFor, act } from '@testing-library/react';
 import userEvent from '@testing-library/user-event';
 import { BrowserRouter } from 'react-router-dom';
 import { ThemeProvider, createTheme } from '@mui/material/styles';
@@ -31,11 +31,19 @@ jest.mock('../../contexts/AuthContext', () => ({
     useAuth: () => mockAuthContext,
 }));
 
+// Capture live update handlers so tests can deliver events
+const mockRealtimeHandlers = {};
+jest.mock('../../contexts/RealtimeContext', () => ({
+    useRealtime: (type, handler) => {
+        mockRealtimeHandlers[type] = handler;
+    },
+}));
+
 // Mock the Post component
 jest.mock('./Post', () => {
     return function MockPost({ post, onPostUpdated, onPostDeleted }) {
         return (
-            <div data-testid={`post-${post._id}`}>
+            <div data-testid={`post-${post._id}`} data-likes={post.likeCount}>
                 <span>{post.text}</span>
                 <button onClick={() => onPostUpdated && onPostUpdated(post)}>Update</button>
                 <button onClick={() => onPostDeleted && onPostDeleted(post._id)}>Delete</button>
@@ -390,4 +398,156 @@ describe('Newsfeed Component', () => {
             resolvePromise();
         });
     });
-}); 
\ No newline at end of file
+
+    describe('Top Feed', () => {
+        it('should load the ranked feed from the Top tab', async () => {
+            mockApi.get.mockResolvedValue({
+                data: {
+                    success: true,
+                    data: mockPosts,
+                    pagination: { page: 1, limit: 10, pages: 1 },
+                },
+            });
+
+            renderWithProviders(<Newsfeed />);
+
+            fireEvent.click(await screen.findByRole('tab', { name: 'Top' }));
+
+            expect(await screen.findByRole('heading', { name: 'Top Posts' })).toBeInTheDocument();
+            expect(mockApi.get).toHaveBeenCalledWith('/posts/feed', { params: { sort: 'top' } });
+        });
+
+        it('should page through the ranked feed by number', async () => {
+            mockApi.get.mockImplementation((url, config) => Promise.resolve({
+                data: config?.params?.page === 2
+                    ? {
+                        success: true,
+                        data: [mockPosts[1]],
+                        pagination: { page: 2, limit: 1, pages: 2 },
+                    }
+                    : {
+                        success: true,
+                        data: [mockPosts[0]],
+                        pagination: { page: 1, limit: 1, pages: 2 },
+                    },
+            }));
+
+            renderWithProviders(<Newsfeed />);
+
+            fireEvent.click(await screen.findByRole('tab', { name: 'Top' }));
+            fireEvent.click(await screen.findByRole('button', { name: 'Load More' }));
+
+            await waitFor(() => {
+                expect(screen.getByText('Second post')).toBeInTheDocument();
+            });
+            expect(mockApi.get).toHaveBeenLastCalledWith('/posts/feed', { params: { sort: 'top', page: 2 } });
+            expect(screen.queryByRole('button', { name: 'Load More' })).not.toBeInTheDocument();
+        });
+    });
+
+    describe('Infinite Scroll', () => {
+        it('should append the next page using the cursor', async () => {
+            mockApi.get.mockImplementation((url, config) => Promise.resolve({
+                data: config?.params?.cursor === 'cursor-2'
+                    ? {
+                        success: true,
+                        data: [mockPosts[0], mockPosts[1]],
+                        pagination: { limit: 1, nextCursor: null, prevCursor: 'cursor-1' },
+                    }
+                    : {
+                        success: true,
+                        data: [mockPosts[0]],
+                        pagination: { limit: 1, nextCursor: 'cursor-2', prevCursor: null },
+                    },
+            }));
+
+            renderWithProviders(<Newsfeed />);
+
+            fireEvent.click(await screen.findByRole('button', { name: 'Load More' }));
+
+            await waitFor(() => {
+                expect(screen.getByText('Second post')).toBeInTheDocument();
+            });
+            expect(mockApi.get).toHaveBeenLastCalledWith('/posts/feed', { params: { cursor: 'cursor-2' } });
+            // Posts already on screen are not repeated
+            expect(screen.getAllByTestId('post-post1')).toHaveLength(1);
+            expect(screen.queryByRole('button', { name: 'Load More' })).not.toBeInTheDocument();
+        });
+
+        it('should not offer more posts without a next cursor', async () => {
+            mockApi.get.mockResolvedValue({
+                data: {
+                    success: true,
+                    data: mockPosts,
+                    pagination: { limit: 10, nextCursor: null, prevCursor: null },
+                },
+            });
+
+            renderWithProviders(<Newsfeed />);
+
+            await waitFor(() => {
+                expect(screen.getByText('First post')).toBeInTheDocument();
+            });
+            expect(screen.queryByRole('button', { name: 'Load More' })).not.toBeInTheDocument();
+        });
+    });
+
+    describe('Live Updates', () => {
+        const livePost = {
+            _id: 'post3',
+            text: 'Live post',
+            postedBy: mockPosts[0].postedBy,
+            likes: [],
+        };
+
+        beforeEach(() => {
+            mockApi.get.mockResolvedValue({
+                data: {
+                    success: true,
+                    data: mockPosts,
+                    pagination: { limit: 10, nextCursor: null, prevCursor: null },
+                },
+            });
+        });
+
+        it('should add new posts from followed users to the top', async () => {
+            renderWithProviders(<Newsfeed />);
+            await screen.findByText('First post');
+
+            act(() => {
+                mockRealtimeHandlers['post:created']({ post: livePost });
+                mockRealtimeHandlers['post:created']({ post: livePost });
+            });
+
+            expect(screen.getAllByTestId('post-post3')).toHaveLength(1);
+            expect(screen.getAllByTestId(/^post-/)[0]).toHaveAttribute('data-testid', 'post-post3');
+        });
+
+        it('should not add new posts to the ranked feed', async () => {
+            renderWithProviders(<Newsfeed />);
+            fireEvent.click(await screen.findByRole('tab', { name: 'Top' }));
+            await screen.findByRole('heading', { name: 'Top Posts' });
+            await screen.findByText('First post');
+
+            act(() => {
+                mockRealtimeHandlers['post:created']({ post: livePost });
+            });
+
+            expect(screen.queryByTestId('post-post3')).not.toBeInTheDocument();
+        });
+
+        it('should merge live like counts into listed posts', async () => {
+            renderWithProviders(<Newsfeed />);
+            await screen.findByText('First post');
+
+            act(() => {
+                mockRealtimeHandlers['post:updated']({
+                    post: { _id: 'post1', likeCount: 3, commentCount: 0 },
+                });
+            });
+
+            expect(screen.getByTestId('post-post1')).toHaveAttribute('data-likes', '3');
+            expect(screen.getByText('First post')).toBeInTheDocument();
+        });
+    });
+});
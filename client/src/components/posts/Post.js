@@ -1,4 +1,4 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import {
     Card,
     CardContent,
@@ -13,17 +13,25 @@ import {
     Chip,
     Alert,
     CircularProgress,
+    Dialog,
+    DialogTitle,
+    DialogContent,
+    DialogActions,
+    Link,
 } from '@mui/material';
 import {
     Favorite,
     FavoriteBorder,
-    Comment,
+    Comment as CommentIcon,
     Share,
     Send,
     Delete,
+    Edit,
 } from '@mui/icons-material';
 import { useAuth } from '../../contexts/AuthContext';
 import { Link as RouterLink } from 'react-router-dom';
+import Comment from './Comment';
+import PostText from './PostText';
 
 const Post = ({ post, onPostUpdated, onPostDeleted }) => {
     const { user, api } = useAuth();
@@ -32,8 +40,53 @@ const Post = ({ post, onPostUpdated, onPostDeleted }) => {
     const [isLiking, setIsLiking] = useState(false);
     const [isCommenting, setIsCommenting] = useState(false);
     const [error, setError] = useState('');
+    const [isEditing, setIsEditing] = useState(false);
+    const [editText, setEditText] = useState('');
+    const [isSaving, setIsSaving] = useState(false);
+    const [historyOpen, setHistoryOpen] = useState(false);
+    const [revisions, setRevisions] = useState([]);
+    const [isLoadingRevisions, setIsLoadingRevisions] = useState(false);
+    const [comments, setComments] = useState([]);
+    const [commentsCursor, setCommentsCursor] = useState(null);
+    const [commentsLoaded, setCommentsLoaded] = useState(false);
+    const [isLoadingComments, setIsLoadingComments] = useState(false);
+
+    const [photoSrc, setPhotoSrc] = useState(null);
+
+    // Post photos are only served to those who may see the post, so they
+    // are fetched with the user's token rather than linked directly
+    useEffect(() => {
+        if (!post.photo) {
+            setPhotoSrc(null);
+            return undefined;
+        }
+
+        let objectUrl = null;
+        let cancelled = false;
+        api.get(`/posts/${post._id}/photo`, { responseType: 'blob' })
+            .then((response) => {
+                if (!cancelled) {
+                    objectUrl = URL.createObjectURL(response.data);
+                    setPhotoSrc(objectUrl);
+                }
+            })
+            .catch(() => {
+                if (!cancelled) {
+                    setPhotoSrc(null);
+                }
+            });
+
+        return () => {
+            cancelled = true;
+            if (objectUrl) {
+                URL.revokeObjectURL(objectUrl);
+            }
+        };
+    }, [api, post._id, post.photo]);
 
     const isLiked = post.likes?.includes(user?._id);
+    // Live updates carry only the count, not who liked the post
+    const likeCount = post.likeCount ?? post.likes?.length ?? 0;
     const isAuthor = post.postedBy?._id === user?._id;
     const photoUrl = post.postedBy?.photo ? `/api/users/${post.postedBy._id}/photo` : null;
 
@@ -76,6 +129,35 @@ const Post = ({ post, onPostUpdated, onPostDeleted }) => {
         }
     };
 
+    const loadComments = async (cursor = null) => {
+        setIsLoadingComments(true);
+
+        try {
+            const response = await api.get(`/posts/${post._id}/comments`, {
+                params: cursor ? { cursor } : {},
+            });
+            const loaded = response.data.data || [];
+            setComments(prev => {
+                const seen = new Set(prev.map(comment => comment._id));
+                return [...prev, ...loaded.filter(comment => !seen.has(comment._id))];
+            });
+            setCommentsCursor(response.data.pagination?.nextCursor || null);
+            setCommentsLoaded(true);
+        } catch (err) {
+            console.error('Error fetching comments:', err);
+            setError('Failed to load comments. Please try again.');
+        } finally {
+            setIsLoadingComments(false);
+        }
+    };
+
+    const toggleComments = () => {
+        if (!showComments && !commentsLoaded) {
+            loadComments();
+        }
+        setShowComments(!showComments);
+    };
+
     const handleComment = async (e) => {
         e.preventDefault();
         if (!newComment.trim() || !user) return;
@@ -91,6 +173,7 @@ const Post = ({ post, onPostUpdated, onPostDeleted }) => {
 
             if (response.data.success) {
                 setNewComment('');
+                setComments(prev => [response.data.comment, ...prev]);
                 if (onPostUpdated) {
                     onPostUpdated(response.data.data);
                 }
@@ -103,20 +186,8 @@ const Post = ({ post, onPostUpdated, onPostDeleted }) => {
         }
     };
 
-    const handleDeleteComment = async (commentId) => {
-        try {
-            const response = await api.put(`/posts/uncomment`, {
-                postId: post._id,
-                commentId,
-            });
-
-            if (response.data.success && onPostUpdated) {
-                onPostUpdated(response.data.data);
-            }
-        } catch (err) {
-            console.error('Error deleting comment:', err);
-            setError('Failed to delete comment. Please try again.');
-        }
+    const handleCommentDeleted = (commentId) => {
+        setComments(prev => prev.filter(comment => comment._id !== commentId));
     };
 
     const handleDeletePost = async () => {
@@ -134,6 +205,51 @@ const Post = ({ post, onPostUpdated, onPostDeleted }) => {
         }
     };
 
+    const startEditing = () => {
+        setEditText(post.text);
+        setIsEditing(true);
+        setError('');
+    };
+
+    const handleSaveEdit = async (e) => {
+        e.preventDefault();
+        if (!editText.trim()) return;
+
+        setIsSaving(true);
+        setError('');
+
+        try {
+            const response = await api.put(`/posts/${post._id}`, { text: editText.trim() });
+
+            if (response.data.success) {
+                setIsEditing(false);
+                if (onPostUpdated) {
+                    onPostUpdated(response.data.data);
+                }
+            }
+        } catch (err) {
+            console.error('Error editing post:', err);
+            setError('Failed to save changes. Please try again.');
+        } finally {
+            setIsSaving(false);
+        }
+    };
+
+    const openHistory = async () => {
+        setHistoryOpen(true);
+        setIsLoadingRevisions(true);
+
+        try {
+            const response = await api.get(`/posts/${post._id}/revisions`);
+            setRevisions(response.data.data || []);
+        } catch (err) {
+            console.error('Error fetching revisions:', err);
+            setRevisions([]);
+        } finally {
+            setIsLoadingRevisions(false);
+        }
+    };
+
     const formatDate = (dateString) => {
         const date = new Date(dateString);
         const now = new Date();
@@ -182,30 +298,99 @@ const Post = ({ post, onPostUpdated, onPostDeleted }) => {
                                 @{post.postedBy?.username}
                             </Typography>
                             {' '}• {formatDate(post.createdAt)}
+                            {post.editedAt && (
+                                <>
+                                    {' '}•{' '}
+                                    <Link
+                                        component="button"
+                                        variant="body2"
+                                        color="inherit"
+                                        onClick={openHistory}
+                                        aria-label="view edit history"
+                                    >
+                                        edited
+                                    </Link>
+                                </>
+                            )}
                         </Typography>
                     </Box>
                     {isAuthor && (
-                        <IconButton
-                            size="small"
-                            onClick={handleDeletePost}
-                            color="error"
-                            aria-label="delete post"
-                        >
-                            <Delete />
-                        </IconButton>
+                        <>
+                            <IconButton
+                                size="small"
+                                onClick={startEditing}
+                                disabled={isEditing}
+                                aria-label="edit post"
+                            >
+                                <Edit />
+                            </IconButton>
+                            <IconButton
+                                size="small"
+                                onClick={handleDeletePost}
+                                color="error"
+                                aria-label="delete post"
+                            >
+                                <Delete />
+                            </IconButton>
+                        </>
                     )}
                 </Box>
 
                 {/* Post Content */}
-                <Typography variant="body1" sx={{ mb: 2 }}>
-                    {post.text}
-                </Typography>
+                {isEditing ? (
+                    <Box component="form" onSubmit={handleSaveEdit} sx={{ mb: 2 }}>
+                        <TextField
+                            fullWidth
+                            multiline
+                            minRows={2}
+                            value={editText}
+                            onChange={(e) => setEditText(e.target.value)}
+                            disabled={isSaving}
+                            inputProps={{ maxLength: 1000, 'aria-label': 'edit post text' }}
+                        />
+                        <Box sx={{ display: 'flex', justifyContent: 'flex-end', gap: 1, mt: 1 }}>
+                            <Button onClick={() => setIsEditing(false)} disabled={isSaving}>
+                                Cancel
+                            </Button>
+                            <Button
+                                type="submit"
+                                variant="contained"
+                                disabled={!editText.trim() || isSaving}
+                            >
+                                {isSaving ? <CircularProgress size={20} /> : 'Save'}
+                            </Button>
+                        </Box>
+                    </Box>
+                ) : (
+                    <PostText
+                        text={post.text}
+                        mentions={post.mentions}
+                        variant="body1"
+                        sx={{ mb: 2 }}
+                    />
+                )}
+
+                {/* Post Tags */}
+                {post.tags?.length > 0 && (
+                    <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1, mb: 2 }}>
+                        {post.tags.map((tag) => (
+                            <Chip
+                                key={tag}
+                                label={`#${tag}`}
+                                size="small"
+                                component={RouterLink}
+                                to={`/tags/${tag}`}
+                                clickable
+                            />
+                        ))}
+                    </Box>
+                )}
 
                 {/* Post Photo */}
-                {post.photo && (
+                {photoSrc && (
                     <Box sx={{ mb: 2 }}>
                         <img
-                            src={`/api/posts/${post._id}/photo`}
+                            src={photoSrc}
                             alt="Post"
                             style={{
                                 width: '100%',
@@ -226,17 +411,17 @@ const Post = ({ post, onPostUpdated, onPostDeleted }) => {
 
                 {/* Post Stats */}
                 <Box sx={{ display: 'flex', gap: 2, mb: 2 }}>
-                    {post.likes?.length > 0 && (
+                    {likeCount > 0 && (
                         <Chip
-                            label={`${post.likes.length} like${post.likes.length !== 1 ? 's' : ''}`}
+                            label={`${likeCount} like${likeCount !== 1 ? 's' : ''}`}
                             size="small"
                             color="primary"
                             variant="outlined"
                         />
                     )}
-                    {post.comments?.length > 0 && (
+                    {post.commentCount > 0 && (
                         <Chip
-                            label={`${post.comments.length} comment${post.comments.length !== 1 ? 's' : ''}`}
+                            label={`${post.commentCount} comment${post.commentCount !== 1 ? 's' : ''}`}
                             size="small"
                             color="secondary"
                             variant="outlined"
@@ -268,8 +453,8 @@ const Post = ({ post, onPostUpdated, onPostDeleted }) => {
                 </Button>
 
                 <Button
-                    startIcon={<Comment />}
-                    onClick={() => setShowComments(!showComments)}
+                    startIcon={<CommentIcon />}
+                    onClick={toggleComments}
                     sx={{ flex: 1 }}
                 >
                     Comment
@@ -317,41 +502,28 @@ const Post = ({ post, onPostUpdated, onPostDeleted }) => {
                         </Box>
 
                         {/* Comments List */}
-                        {post.comments?.length > 0 ? (
+                        {comments.length > 0 ? (
                             <Box sx={{ display: 'flex', flexDirection: 'column', gap: 2 }}>
-                                {post.comments.map((comment) => (
-                                    <Box key={comment._id} sx={{ display: 'flex', gap: 1 }}>
-                                        <Avatar
-                                            src={comment.postedBy?.photo ? `/api/users/${comment.postedBy._id}/photo` : null}
-                                            data-testid={`comment-avatar-${comment._id}`}
-                                            sx={{ width: 32, height: 32 }}
-                                        >
-                                            {getAvatarInitials(comment.postedBy)}
-                                        </Avatar>
-                                        <Box sx={{ flexGrow: 1 }}>
-                                            <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 0.5 }}>
-                                                <Typography variant="subtitle2" fontWeight="medium">
-                                                    {comment.postedBy?.name || `${comment.postedBy?.firstName} ${comment.postedBy?.lastName}`}
-                                                </Typography>
-                                                <Typography variant="caption" color="text.secondary">
-                                                    {formatDate(comment.createdAt)}
-                                                </Typography>
-                                            </Box>
-                                            <Typography variant="body2">
-                                                {comment.text}
-                                            </Typography>
-                                        </Box>
-                                        {(comment.postedBy?._id === user?._id || isAuthor) && (
-                                            <IconButton
-                                                size="small"
-                                                onClick={() => handleDeleteComment(comment._id)}
-                                                color="error"
-                                            >
-                                                <Delete fontSize="small" />
-                                            </IconButton>
-                                        )}
-                                    </Box>
+                                {comments.map((comment) => (
+                                    <Comment
+                                        key={comment._id}
+                                        comment={comment}
+                                        postId={post._id}
+                                        isPostAuthor={isAuthor}
+                                        onPostUpdated={onPostUpdated}
+                                        onDeleted={handleCommentDeleted}
+                                        formatDate={formatDate}
+                                    />
                                 ))}
+                                {commentsCursor && !isLoadingComments && (
+                                    <Button size="small" onClick={() => loadComments(commentsCursor)}>
+                                        Load more comments
+                                    </Button>
+                                )}
+                            </Box>
+                        ) : isLoadingComments ? (
+                            <Box sx={{ display: 'flex', justifyContent: 'center' }}>
+                                <CircularProgress size={24} />
                             </Box>
                         ) : (
                             <Typography variant="body2" color="text.secondary" textAlign="center">
@@ -361,6 +533,39 @@ const Post = ({ post, onPostUpdated, onPostDeleted }) => {
                     </Box>
                 </>
             )}
+
+            {/* Edit History */}
+            <Dialog open={historyOpen} onClose={() => setHistoryOpen(false)} fullWidth maxWidth="sm">
+                <DialogTitle>Edit History</DialogTitle>
+                <DialogContent dividers>
+                    {isLoadingRevisions ? (
+                        <Box sx={{ display: 'flex', justifyContent: 'center', py: 2 }}>
+                            <CircularProgress size={24} />
+                        </Box>
+                    ) : (
+                        <Box sx={{ display: 'flex', flexDirection: 'column', gap: 2 }}>
+                            <Box>
+                                <Typography variant="caption" color="text.secondary">
+                                    Current version • {formatDate(post.editedAt)}
+                                </Typography>
+                                <Typography variant="body2">{post.text}</Typography>
+                            </Box>
+                            {revisions.map((revision) => (
+                                <Box key={revision._id}>
+                                    <Divider sx={{ mb: 2 }} />
+                                    <Typography variant="caption" color="text.secondary">
+                                        Replaced by @{revision.editedBy?.username} • {formatDate(revision.createdAt)}
+                                    </Typography>
+                                    <Typography variant="body2">{revision.text}</Typography>
+                                </Box>
+                            ))}
+                        </Box>
+                    )}
+                </DialogContent>
+                <DialogActions>
+                    <Button onClick={() => setHistoryOpen(false)}>Close</Button>
+                </DialogActions>
+            </Dialog>
         </Card>
     );
 };
@@ -0,0 +1,67 @@
+import React from 'react';
+import { Typography, Link } from '@mui/material';
+import { Link as RouterLink } from 'react-router-dom';
+
+// Longest hashtag the server files posts under
+const MAX_TAG_LENGTH = 30;
+
+// Splits text into #hashtags, @mentions and the plain text between them,
+// matching the markers only at the start of a word as the server does
+const TOKEN_PATTERN = /(^|[^\w#@])([#@])(\w+)/g;
+
+const tokenize = (text) => {
+    const tokens = [];
+    let last = 0;
+
+    for (const match of text.matchAll(TOKEN_PATTERN)) {
+        const start = match.index + match[1].length;
+        if (start > last) {
+            tokens.push({ text: text.slice(last, start) });
+        }
+        tokens.push({ text: match[2] + match[3], marker: match[2], value: match[3] });
+        last = start + match[2].length + match[3].length;
+    }
+
+    if (last < text.length) {
+        tokens.push({ text: text.slice(last) });
+    }
+
+    return tokens;
+};
+
+// Post or comment text with hashtags linking to their tag feed and
+// mentions of known users linking to their profile
+const PostText = ({ text = '', mentions = [], ...typographyProps }) => {
+    const mentioned = new Map(
+        mentions
+            .filter(mention => mention?.username)
+            .map(mention => [mention.username.toLowerCase(), mention._id])
+    );
+
+    return (
+        <Typography {...typographyProps}>
+            {tokenize(text).map((token, index) => {
+                if (token.marker === '#' && token.value.length <= MAX_TAG_LENGTH) {
+                    return (
+                        <Link key={index} component={RouterLink} to={`/tags/${token.value.toLowerCase()}`}>
+                            {token.text}
+                        </Link>
+                    );
+                }
+
+                const userId = token.marker === '@' && mentioned.get(token.value.toLowerCase());
+                if (userId) {
+                    return (
+                        <Link key={index} component={RouterLink} to={`/users/${userId}`}>
+                            {token.text}
+                        </Link>
+                    );
+                }
+
+                return <React.Fragment key={index}>{token.text}</React.Fragment>;
+            })}
+        </Typography>
+    );
+};
+
+export default PostText;
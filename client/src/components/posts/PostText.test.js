@@ -0,0 +1,42 @@
+import React from 'react';
+import { render, screen } from '@testing-library/react';
+import { MemoryRouter } from 'react-router-dom';
+import PostText from './PostText';
+
+const renderText = (props) => render(
+    <MemoryRouter>
+        <PostText {...props} />
+    </MemoryRouter>
+);
+
+describe('PostText Component', () => {
+    it('should render plain text as is', () => {
+        renderText({ text: 'Just some text' });
+
+        expect(screen.getByText('Just some text')).toBeInTheDocument();
+        expect(screen.queryByRole('link')).not.toBeInTheDocument();
+    });
+
+    it('should link hashtags to their tag feed', () => {
+        renderText({ text: 'Loving #React today' });
+
+        expect(screen.getByRole('link', { name: '#React' })).toHaveAttribute('href', '/tags/react');
+    });
+
+    it('should link mentions of known users to their profile', () => {
+        renderText({
+            text: 'Thanks @JaneSmith and @nobody',
+            mentions: [{ _id: 'user2', username: 'janesmith' }],
+        });
+
+        expect(screen.getByRole('link', { name: '@JaneSmith' })).toHaveAttribute('href', '/users/user2');
+        expect(screen.queryByRole('link', { name: '@nobody' })).not.toBeInTheDocument();
+        expect(screen.getByText(/and @nobody/)).toBeInTheDocument();
+    });
+
+    it('should leave email addresses and mid-word markers alone', () => {
+        renderText({ text: 'Mail john@example.com about c#' });
+
+        expect(screen.queryByRole('link')).not.toBeInTheDocument();
+    });
+});
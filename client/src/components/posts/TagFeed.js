@@ -0,0 +1,145 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+    Container,
+    Typography,
+    Box,
+    CircularProgress,
+    Alert,
+} from '@mui/material';
+import { useParams } from 'react-router-dom';
+import { useAuth } from '../../contexts/AuthContext';
+import { useRealtime } from '../../contexts/RealtimeContext';
+import Post from './Post';
+import LoadMoreTrigger from '../common/LoadMoreTrigger';
+
+// Published posts carrying a hashtag in their text or among their tags
+const TagFeed = () => {
+    const { tag } = useParams();
+    const { api } = useAuth();
+    const [posts, setPosts] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState('');
+    const [nextCursor, setNextCursor] = useState(null);
+    const [loadingMore, setLoadingMore] = useState(false);
+
+    const fetchPosts = useCallback(async () => {
+        try {
+            setLoading(true);
+            setError('');
+
+            const response = await api.get(`/posts/tag/${encodeURIComponent(tag)}`);
+
+            if (response.data.success) {
+                setPosts(response.data.data);
+                setNextCursor(response.data.pagination?.nextCursor || null);
+            } else {
+                setError(response.data.message || 'Failed to fetch posts');
+            }
+        } catch (err) {
+            console.error('Error fetching tagged posts:', err);
+            setError(err.response?.data?.message || 'Failed to fetch posts. Please try again.');
+        } finally {
+            setLoading(false);
+        }
+    }, [api, tag]);
+
+    useEffect(() => {
+        fetchPosts();
+    }, [fetchPosts]);
+
+    // Append the next page of older posts
+    const loadMorePosts = async () => {
+        if (!nextCursor || loadingMore) {
+            return;
+        }
+
+        try {
+            setLoadingMore(true);
+            const response = await api.get(`/posts/tag/${encodeURIComponent(tag)}`, { params: { cursor: nextCursor } });
+
+            if (response.data.success) {
+                setPosts(prevPosts => {
+                    const loadedIds = new Set(prevPosts.map(post => post._id));
+                    return [...prevPosts, ...response.data.data.filter(post => !loadedIds.has(post._id))];
+                });
+                setNextCursor(response.data.pagination?.nextCursor || null);
+            }
+        } catch (err) {
+            console.error('Error fetching more tagged posts:', err);
+            setError(err.response?.data?.message || 'Failed to load more posts. Please try again.');
+        } finally {
+            setLoadingMore(false);
+        }
+    };
+
+    // Updates may carry only the changed fields, such as live like counts
+    const handlePostUpdated = (updatedPost) => {
+        setPosts(prevPosts =>
+            prevPosts.map(post =>
+                post._id === updatedPost._id ? { ...post, ...updatedPost } : post
+            )
+        );
+    };
+
+    // New posts from followed users that carry this tag
+    useRealtime('post:created', ({ post }) => {
+        const name = tag.toLowerCase();
+        if (post.hashtags?.includes(name) || post.tags?.includes(name)) {
+            setPosts(prevPosts => (
+                prevPosts.some(listed => listed._id === post._id) ? prevPosts : [post, ...prevPosts]
+            ));
+        }
+    });
+    useRealtime('post:updated', ({ post }) => handlePostUpdated(post));
+
+    const handlePostDeleted = (postId) => {
+        setPosts(prevPosts => prevPosts.filter(post => post._id !== postId));
+    };
+
+    return (
+        <Container maxWidth="md">
+            <Box sx={{ mt: 4, mb: 4 }}>
+                <Typography variant="h4" component="h1" gutterBottom>
+                    #{tag}
+                </Typography>
+
+                {error && (
+                    <Alert severity="error" sx={{ mb: 3 }}>
+                        {error}
+                    </Alert>
+                )}
+
+                {loading ? (
+                    <Box sx={{ display: 'flex', justifyContent: 'center', mt: 4 }}>
+                        <CircularProgress />
+                    </Box>
+                ) : posts.length === 0 ? (
+                    !error && (
+                        <Typography variant="body1" color="text.secondary" sx={{ textAlign: 'center', py: 4 }}>
+                            No posts tagged #{tag} yet.
+                        </Typography>
+                    )
+                ) : (
+                    <Box>
+                        {posts.map((post) => (
+                            <Post
+                                key={post._id}
+                                post={post}
+                                onPostUpdated={handlePostUpdated}
+                                onPostDeleted={handlePostDeleted}
+                            />
+                        ))}
+
+                        <LoadMoreTrigger
+                            onLoadMore={loadMorePosts}
+                            loading={loadingMore}
+                            hasMore={!!nextCursor}
+                        />
+                    </Box>
+                )}
+            </Box>
+        </Container>
+    );
+};
+
+export default TagFeed;
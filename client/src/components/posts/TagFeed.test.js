@@ -0,0 +1,95 @@
+import React from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import { MemoryRouter, Routes, Route } from 'react-router-dom';
+import TagFeed from './TagFeed';
+
+const mockApi = {
+    get: jest.fn(),
+};
+
+jest.mock('../../contexts/AuthContext', () => ({
+    useAuth: () => ({ user: { _id: 'user1' }, api: mockApi }),
+}));
+
+// Mock the Post component
+jest.mock('./Post', () => {
+    return function MockPost({ post, onPostDeleted }) {
+        return (
+            <div data-testid={`post-${post._id}`}>
+                <span>{post.text}</span>
+                <button onClick={() => onPostDeleted(post._id)}>Delete</button>
+            </div>
+        );
+    };
+});
+
+const renderTagFeed = (tag = 'react') => render(
+    <MemoryRouter initialEntries={[`/tags/${tag}`]}>
+        <Routes>
+            <Route path="/tags/:tag" element={<TagFeed />} />
+        </Routes>
+    </MemoryRouter>
+);
+
+const page = (posts, nextCursor = null) => ({
+    data: { success: true, data: posts, pagination: { nextCursor } },
+});
+
+describe('TagFeed Component', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    it('should show the posts with the tag', async () => {
+        mockApi.get.mockResolvedValue(page([
+            { _id: 'post1', text: 'Learning #react' },
+            { _id: 'post2', text: 'More #react' },
+        ]));
+
+        renderTagFeed();
+
+        expect(screen.getByRole('heading', { name: '#react' })).toBeInTheDocument();
+        expect(await screen.findByText('Learning #react')).toBeInTheDocument();
+        expect(screen.getByText('More #react')).toBeInTheDocument();
+        expect(mockApi.get).toHaveBeenCalledWith('/posts/tag/react');
+    });
+
+    it('should load older posts', async () => {
+        mockApi.get.mockResolvedValueOnce(page([{ _id: 'post1', text: 'Newer' }], 'cursor-1'));
+        renderTagFeed();
+        await screen.findByText('Newer');
+
+        mockApi.get.mockResolvedValueOnce(page([{ _id: 'post2', text: 'Older' }]));
+        fireEvent.click(screen.getByRole('button', { name: 'Load More' }));
+
+        expect(await screen.findByText('Older')).toBeInTheDocument();
+        expect(mockApi.get).toHaveBeenLastCalledWith('/posts/tag/react', { params: { cursor: 'cursor-1' } });
+        expect(screen.queryByRole('button', { name: 'Load More' })).not.toBeInTheDocument();
+    });
+
+    it('should remove a deleted post', async () => {
+        mockApi.get.mockResolvedValue(page([{ _id: 'post1', text: 'Learning #react' }]));
+        renderTagFeed();
+        await screen.findByText('Learning #react');
+
+        fireEvent.click(screen.getByRole('button', { name: 'Delete' }));
+
+        await waitFor(() => {
+            expect(screen.queryByTestId('post-post1')).not.toBeInTheDocument();
+        });
+    });
+
+    it('should show an empty state', async () => {
+        mockApi.get.mockResolvedValue(page([]));
+        renderTagFeed('vue');
+
+        expect(await screen.findByText('No posts tagged #vue yet.')).toBeInTheDocument();
+    });
+
+    it('should show an error when posts fail to load', async () => {
+        mockApi.get.mockRejectedValue({ response: { data: { message: 'Invalid tag' } } });
+        renderTagFeed();
+
+        expect(await screen.findByText('Invalid tag')).toBeInTheDocument();
+    });
+});
@@ -12,8 +12,10 @@ import {
 } from '@mui/material';
 import { Refresh, Add } from '@mui/icons-material';
 import { useAuth } from '../../contexts/AuthContext';
+import { useRealtime } from '../../contexts/RealtimeContext';
 import CreatePost from './CreatePost';
 import Post from './Post';
+import LoadMoreTrigger from '../common/LoadMoreTrigger';
 import { Link as RouterLink } from 'react-router-dom';
 
 const UserPosts = ({ userId, userInfo }) => {
@@ -22,6 +24,8 @@ const UserPosts = ({ userId, userInfo }) => {
     const [loading, setLoading] = useState(true);
     const [error, setError] = useState('');
     const [showCreatePost, setShowCreatePost] = useState(false);
+    const [nextCursor, setNextCursor] = useState(null);
+    const [loadingMore, setLoadingMore] = useState(false);
 
     const fetchUserPosts = useCallback(async () => {
         try {
@@ -32,6 +36,7 @@ const UserPosts = ({ userId, userInfo }) => {
 
             if (response.data.success) {
                 setPosts(response.data.data);
+                setNextCursor(response.data.pagination?.nextCursor || null);
             } else {
                 setError(response.data.message || 'Failed to fetch posts');
             }
@@ -47,19 +52,60 @@ const UserPosts = ({ userId, userInfo }) => {
         fetchUserPosts();
     }, [fetchUserPosts]);
 
+    // Append the next page of older posts
+    const loadMorePosts = async () => {
+        if (!nextCursor || loadingMore) {
+            return;
+        }
+
+        try {
+            setLoadingMore(true);
+            const response = await api.get(`/posts/by-user/${userId}`, { params: { cursor: nextCursor } });
+
+            if (response.data.success) {
+                setPosts(prevPosts => {
+                    const loadedIds = new Set(prevPosts.map(post => post._id));
+                    return [...prevPosts, ...response.data.data.filter(post => !loadedIds.has(post._id))];
+                });
+                setNextCursor(response.data.pagination?.nextCursor || null);
+            }
+        } catch (err) {
+            console.error('Error fetching more user posts:', err);
+            setError(err.response?.data?.message || 'Failed to load more posts. Please try again.');
+        } finally {
+            setLoadingMore(false);
+        }
+    };
+
+    // Put a post at the top of the list unless it is already listed, as
+    // when a post created here also arrives over the live channel
+    const addPost = (newPost) => {
+        setPosts(prevPosts => (
+            prevPosts.some(post => post._id === newPost._id) ? prevPosts : [newPost, ...prevPosts]
+        ));
+    };
+
     const handlePostCreated = (newPost) => {
-        setPosts(prevPosts => [newPost, ...prevPosts]);
+        addPost(newPost);
         setShowCreatePost(false);
     };
 
+    // Updates may carry only the changed fields, such as live like counts
     const handlePostUpdated = (updatedPost) => {
         setPosts(prevPosts =>
             prevPosts.map(post =>
-                post._id === updatedPost._id ? updatedPost : post
+                post._id === updatedPost._id ? { ...post, ...updatedPost } : post
             )
         );
     };
 
+    useRealtime('post:created', ({ post }) => {
+        if ((post.postedBy?._id || post.postedBy) === userId) {
+            addPost(post);
+        }
+    });
+    useRealtime('post:updated', ({ post }) => handlePostUpdated(post));
+
     const handlePostDeleted = (postId) => {
         setPosts(prevPosts => prevPosts.filter(post => post._id !== postId));
     };
@@ -129,7 +175,7 @@ const UserPosts = ({ userId, userInfo }) => {
                             {/* Actions */}
                             <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
                                 <Typography variant="h6" color="text.secondary">
-                                    {posts.length} post{posts.length !== 1 ? 's' : ''}
+                                    {posts.length}{nextCursor ? '+' : ''} post{posts.length !== 1 || nextCursor ? 's' : ''}
                                 </Typography>
                                 <Box sx={{ display: 'flex', gap: 1 }}>
                                     <Button
@@ -205,6 +251,14 @@ const UserPosts = ({ userId, userInfo }) => {
                                         <CircularProgress />
                                     </Box>
                                 )}
+
+                                {!loading && (
+                                    <LoadMoreTrigger
+                                        onLoadMore={loadMorePosts}
+                                        loading={loadingMore}
+                                        hasMore={!!nextCursor}
+                                    />
+                                )}
                             </Box>
                         )}
                     </Grid>
@@ -229,7 +283,7 @@ const UserPosts = ({ userId, userInfo }) => {
                                         Total Likes
                                     </Typography>
                                     <Typography variant="body2" fontWeight="medium">
-                                        {posts.reduce((total, post) => total + (post.likes?.length || 0), 0)}
+                                        {posts.reduce((total, post) => total + (post.likeCount ?? post.likes?.length ?? 0), 0)}
                                     </Typography>
                                 </Box>
                                 <Box sx={{ display: 'flex', justifyContent: 'space-between' }}>
@@ -237,7 +291,7 @@ const UserPosts = ({ userId, userInfo }) => {
                                         Total Comments
                                     </Typography>
                                     <Typography variant="body2" fontWeight="medium">
-                                        {posts.reduce((total, post) => total + (post.comments?.length || 0), 0)}
+                                        {posts.reduce((total, post) => total + (post.commentCount || 0), 0)}
                                     </Typography>
                                 </Box>
                             </Box>
@@ -447,6 +447,37 @@ describe('UserPosts Component', () => {
             // Since there's no pagination, we'll test that posts are displayed
             expect(screen.getByText('2 posts')).toBeInTheDocument();
         });
+
+        it('should load older posts with the next cursor', async () => {
+            mockApi.get.mockImplementation((url, config) => Promise.resolve({
+                data: config?.params?.cursor === 'cursor-2'
+                    ? {
+                        success: true,
+                        data: [mockPosts[1]],
+                        pagination: { limit: 1, nextCursor: null, prevCursor: 'cursor-1' },
+                    }
+                    : {
+                        success: true,
+                        data: [mockPosts[0]],
+                        pagination: { limit: 1, nextCursor: 'cursor-2', prevCursor: null },
+                    },
+            }));
+
+            renderWithProviders(<UserPosts userId="user456" />);
+
+            await waitFor(() => {
+                expect(screen.getByText('1+ posts')).toBeInTheDocument();
+            });
+
+            fireEvent.click(screen.getByRole('button', { name: 'Load More' }));
+
+            await waitFor(() => {
+                expect(screen.getByText('Second post by user')).toBeInTheDocument();
+            });
+            expect(mockApi.get).toHaveBeenLastCalledWith('/posts/by-user/user456', { params: { cursor: 'cursor-2' } });
+            expect(screen.getByText('First post by user')).toBeInTheDocument();
+            expect(screen.queryByRole('button', { name: 'Load More' })).not.toBeInTheDocument();
+        });
     });
 
     describe('Post Updates', () => {
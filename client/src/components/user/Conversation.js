@@ -0,0 +1,313 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useParams, useNavigate, Link as RouterLink } from 'react-router-dom';
+import {
+    Container,
+    Typography,
+    Box,
+    Paper,
+    Avatar,
+    Button,
+    IconButton,
+    TextField,
+    CircularProgress,
+    Alert,
+    Tooltip,
+} from '@mui/material';
+import { ArrowBack, Send, Delete } from '@mui/icons-material';
+import { useAuth } from '../../contexts/AuthContext';
+import { useRealtime } from '../../contexts/RealtimeContext';
+import { conversationTitle } from './Inbox';
+
+// One conversation, oldest loaded message first, with a form to reply
+const Conversation = () => {
+    const { id } = useParams();
+    const navigate = useNavigate();
+    const { user, api } = useAuth();
+    const [conversation, setConversation] = useState(null);
+    const [messages, setMessages] = useState([]);
+    const [nextCursor, setNextCursor] = useState(null);
+    const [loading, setLoading] = useState(true);
+    const [loadingEarlier, setLoadingEarlier] = useState(false);
+    const [error, setError] = useState('');
+    const [text, setText] = useState('');
+    const [isSending, setIsSending] = useState(false);
+
+    const markRead = useCallback(async () => {
+        try {
+            await api.put(`/conversations/${id}/read`);
+        } catch (err) {
+            console.error('Error marking conversation as read:', err);
+        }
+    }, [api, id]);
+
+    const fetchConversation = useCallback(async () => {
+        try {
+            setLoading(true);
+            setError('');
+
+            const [conversationRes, messagesRes] = await Promise.all([
+                api.get(`/conversations/${id}`),
+                api.get(`/conversations/${id}/messages`),
+            ]);
+
+            setConversation(conversationRes.data.data);
+            // Messages arrive newest first
+            setMessages([...messagesRes.data.data].reverse());
+            setNextCursor(messagesRes.data.pagination?.nextCursor || null);
+            markRead();
+        } catch (err) {
+            console.error('Error fetching conversation:', err);
+            setError(err.response?.data?.message || 'Failed to fetch conversation. Please try again.');
+        } finally {
+            setLoading(false);
+        }
+    }, [api, id, markRead]);
+
+    useEffect(() => {
+        fetchConversation();
+    }, [fetchConversation]);
+
+    // Prepend the page of messages before the oldest one shown
+    const loadEarlier = async () => {
+        if (!nextCursor || loadingEarlier) {
+            return;
+        }
+
+        try {
+            setLoadingEarlier(true);
+            const response = await api.get(`/conversations/${id}/messages`, { params: { cursor: nextCursor } });
+
+            setMessages(prev => {
+                const loadedIds = new Set(prev.map(message => message._id));
+                const earlier = [...response.data.data].reverse().filter(message => !loadedIds.has(message._id));
+                return [...earlier, ...prev];
+            });
+            setNextCursor(response.data.pagination?.nextCursor || null);
+        } catch (err) {
+            console.error('Error fetching earlier messages:', err);
+        } finally {
+            setLoadingEarlier(false);
+        }
+    };
+
+    // Add a message unless it is already shown, as when a message sent
+    // here also arrives over the live channel
+    const addMessage = (message) => {
+        setMessages(prev => (
+            prev.some(item => item._id === message._id) ? prev : [...prev, message]
+        ));
+    };
+
+    useRealtime('message:created', ({ conversation: conversationId, message }) => {
+        if (conversationId !== id) {
+            return;
+        }
+
+        addMessage(message);
+        if (message.sender?._id !== user?._id) {
+            markRead();
+        }
+    });
+
+    const handleSend = async (e) => {
+        e.preventDefault();
+        if (!text.trim()) {
+            return;
+        }
+
+        try {
+            setIsSending(true);
+            setError('');
+            const response = await api.post(`/conversations/${id}/messages`, { text });
+
+            if (response.data.success) {
+                addMessage(response.data.data);
+                setText('');
+            }
+        } catch (err) {
+            console.error('Error sending message:', err);
+            setError(err.response?.data?.message || 'Failed to send message. Please try again.');
+        } finally {
+            setIsSending(false);
+        }
+    };
+
+    const handleDeleteMessage = async (messageId) => {
+        try {
+            await api.delete(`/conversations/${id}/messages/${messageId}`);
+            setMessages(prev => prev.filter(message => message._id !== messageId));
+        } catch (err) {
+            console.error('Error deleting message:', err);
+            setError(err.response?.data?.message || 'Failed to delete message. Please try again.');
+        }
+    };
+
+    const handleDeleteConversation = async () => {
+        if (!window.confirm('Delete this conversation? It is only removed for you.')) {
+            return;
+        }
+
+        try {
+            await api.delete(`/conversations/${id}`);
+            navigate('/messages');
+        } catch (err) {
+            console.error('Error deleting conversation:', err);
+            setError(err.response?.data?.message || 'Failed to delete conversation. Please try again.');
+        }
+    };
+
+    if (loading) {
+        return (
+            <Container maxWidth="md">
+                <Box sx={{ display: 'flex', justifyContent: 'center', mt: 4 }}>
+                    <CircularProgress />
+                </Box>
+            </Container>
+        );
+    }
+
+    if (!conversation) {
+        return (
+            <Container maxWidth="md">
+                <Box sx={{ mt: 4, mb: 4 }}>
+                    <Alert severity="error">
+                        {error || 'Conversation not found'}
+                    </Alert>
+                    <Button
+                        variant="outlined"
+                        startIcon={<ArrowBack />}
+                        component={RouterLink}
+                        to="/messages"
+                        sx={{ mt: 2 }}
+                    >
+                        Back to Messages
+                    </Button>
+                </Box>
+            </Container>
+        );
+    }
+
+    return (
+        <Container maxWidth="md">
+            <Box sx={{ mt: 4, mb: 4 }}>
+                <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, mb: 2 }}>
+                    <IconButton component={RouterLink} to="/messages" aria-label="back to messages">
+                        <ArrowBack />
+                    </IconButton>
+                    <Typography variant="h5" component="h1" sx={{ flexGrow: 1 }}>
+                        {conversationTitle(conversation, user?._id)}
+                    </Typography>
+                    <Button color="error" onClick={handleDeleteConversation}>
+                        Delete conversation
+                    </Button>
+                </Box>
+
+                {error && (
+                    <Alert severity="error" sx={{ mb: 2 }}>
+                        {error}
+                    </Alert>
+                )}
+
+                <Paper sx={{ p: 2 }}>
+                    {nextCursor && (
+                        <Box sx={{ display: 'flex', justifyContent: 'center', mb: 2 }}>
+                            <Button onClick={loadEarlier} disabled={loadingEarlier}>
+                                Load earlier messages
+                            </Button>
+                        </Box>
+                    )}
+
+                    {messages.length === 0 && (
+                        <Typography variant="body2" color="text.secondary" sx={{ textAlign: 'center', py: 2 }}>
+                            No messages yet. Say hello!
+                        </Typography>
+                    )}
+
+                    {messages.map((message) => {
+                        const own = message.sender?._id === user?._id;
+                        return (
+                            <Box
+                                key={message._id}
+                                data-testid={`message-${message._id}`}
+                                sx={{
+                                    display: 'flex',
+                                    flexDirection: own ? 'row-reverse' : 'row',
+                                    alignItems: 'flex-end',
+                                    gap: 1,
+                                    mb: 1.5,
+                                    '&:hover .delete-message': { opacity: 1 },
+                                }}
+                            >
+                                {!own && (
+                                    <Avatar
+                                        src={message.sender?.photo ? `/api/users/${message.sender._id}/photo` : null}
+                                        sx={{ width: 32, height: 32 }}
+                                    >
+                                        {message.sender?.firstName?.charAt(0)}
+                                    </Avatar>
+                                )}
+                                <Box
+                                    sx={{
+                                        maxWidth: '70%',
+                                        px: 1.5,
+                                        py: 1,
+                                        borderRadius: 2,
+                                        bgcolor: own ? 'primary.main' : 'action.hover',
+                                        color: own ? 'primary.contrastText' : 'text.primary',
+                                    }}
+                                >
+                                    {conversation.isGroup && !own && (
+                                        <Typography variant="caption" component="div" fontWeight="medium">
+                                            {message.sender?.firstName} {message.sender?.lastName}
+                                        </Typography>
+                                    )}
+                                    <Typography variant="body2" sx={{ whiteSpace: 'pre-wrap', wordBreak: 'break-word' }}>
+                                        {message.text}
+                                    </Typography>
+                                    <Typography variant="caption" sx={{ opacity: 0.7 }}>
+                                        {new Date(message.createdAt).toLocaleString()}
+                                    </Typography>
+                                </Box>
+                                <Tooltip title="Delete for me">
+                                    <IconButton
+                                        className="delete-message"
+                                        size="small"
+                                        aria-label="delete message"
+                                        onClick={() => handleDeleteMessage(message._id)}
+                                        sx={{ opacity: 0, '&:focus-visible': { opacity: 1 } }}
+                                    >
+                                        <Delete fontSize="small" />
+                                    </IconButton>
+                                </Tooltip>
+                            </Box>
+                        );
+                    })}
+
+                    <Box component="form" onSubmit={handleSend} sx={{ display: 'flex', gap: 1, mt: 2 }}>
+                        <TextField
+                            fullWidth
+                            size="small"
+                            placeholder="Write a message..."
+                            value={text}
+                            onChange={(e) => setText(e.target.value)}
+                            disabled={isSending}
+                            multiline
+                            maxRows={4}
+                            slotProps={{ htmlInput: { maxLength: 2000, 'aria-label': 'message' } }}
+                        />
+                        <Button
+                            type="submit"
+                            variant="contained"
+                            endIcon={<Send />}
+                            disabled={isSending || !text.trim()}
+                        >
+                            Send
+                        </Button>
+                    </Box>
+                </Paper>
+            </Box>
+        </Container>
+    );
+};
+
+export default Conversation;
@@ -0,0 +1,167 @@
+import React from 'react';
+import { render, screen, fireEvent, waitFor, act } from '@testing-library/react';
+import { MemoryRouter, Routes, Route, useLocation } from 'react-router-dom';
+import Conversation from './Conversation';
+
+const mockApi = {
+    get: jest.fn(),
+    post: jest.fn(),
+    put: jest.fn(),
+    delete: jest.fn(),
+};
+
+const currentUser = { _id: 'user1', firstName: 'John', lastName: 'Doe' };
+
+jest.mock('../../contexts/AuthContext', () => ({
+    useAuth: () => ({ user: currentUser, api: mockApi }),
+}));
+
+// Capture live update handlers so tests can deliver events
+const mockRealtimeHandlers = {};
+jest.mock('../../contexts/RealtimeContext', () => ({
+    useRealtime: (type, handler) => {
+        mockRealtimeHandlers[type] = handler;
+    },
+}));
+
+const jane = { _id: 'user2', firstName: 'Jane', lastName: 'Smith' };
+
+const conversation = {
+    _id: 'conv1',
+    participants: [currentUser, jane],
+    isGroup: false,
+};
+
+const message = (id, text, sender) => ({
+    _id: id,
+    text,
+    sender,
+    createdAt: '2024-01-01T00:00:00.000Z',
+});
+
+// Shows the current path so tests can check navigation
+const LocationDisplay = () => <div data-testid="location">{useLocation().pathname}</div>;
+
+const renderConversation = () => render(
+    <MemoryRouter initialEntries={['/messages/conv1']}>
+        <Routes>
+            <Route path="/messages/:id" element={<Conversation />} />
+            <Route path="/messages" element={<div>Inbox</div>} />
+        </Routes>
+        <LocationDisplay />
+    </MemoryRouter>
+);
+
+// Serve the conversation and one page of its messages, newest first
+const mockConversation = (messages, nextCursor = null) => {
+    mockApi.get.mockImplementation((url, config) => Promise.resolve({
+        data: url === '/conversations/conv1'
+            ? { success: true, data: conversation }
+            : config?.params?.cursor
+                ? { success: true, data: [message('m0', 'The very first', jane)], pagination: { nextCursor: null } }
+                : { success: true, data: messages, pagination: { nextCursor } },
+    }));
+};
+
+describe('Conversation Component', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        mockApi.put.mockResolvedValue({ data: { success: true } });
+    });
+
+    it('should show messages oldest first and mark them read', async () => {
+        mockConversation([message('m2', 'Hi Jane', currentUser), message('m1', 'Hi John', jane)]);
+
+        renderConversation();
+
+        expect(await screen.findByRole('heading', { name: 'Jane Smith' })).toBeInTheDocument();
+        const shown = screen.getAllByTestId(/^message-/).map(element => element.dataset.testid);
+        expect(shown).toEqual(['message-m1', 'message-m2']);
+        await waitFor(() => {
+            expect(mockApi.put).toHaveBeenCalledWith('/conversations/conv1/read');
+        });
+    });
+
+    it('should load earlier messages', async () => {
+        mockConversation([message('m1', 'Hi John', jane)], 'cursor-2');
+        renderConversation();
+
+        fireEvent.click(await screen.findByRole('button', { name: 'Load earlier messages' }));
+
+        expect(await screen.findByText('The very first')).toBeInTheDocument();
+        const shown = screen.getAllByTestId(/^message-/).map(element => element.dataset.testid);
+        expect(shown).toEqual(['message-m0', 'message-m1']);
+        expect(mockApi.get).toHaveBeenLastCalledWith('/conversations/conv1/messages', { params: { cursor: 'cursor-2' } });
+    });
+
+    it('should send a message', async () => {
+        mockConversation([]);
+        mockApi.post.mockResolvedValue({
+            data: { success: true, data: message('m3', 'How are you?', currentUser) },
+        });
+        renderConversation();
+
+        fireEvent.change(await screen.findByRole('textbox', { name: 'message' }), { target: { value: 'How are you?' } });
+        fireEvent.click(screen.getByRole('button', { name: 'Send' }));
+
+        expect(await screen.findByText('How are you?')).toBeInTheDocument();
+        expect(mockApi.post).toHaveBeenCalledWith('/conversations/conv1/messages', { text: 'How are you?' });
+        expect(screen.getByRole('textbox', { name: 'message' })).toHaveValue('');
+    });
+
+    it('should add live messages once and mark them read', async () => {
+        mockConversation([]);
+        renderConversation();
+        await screen.findByText('No messages yet. Say hello!');
+        mockApi.put.mockClear();
+
+        const incoming = message('m4', 'Are you there?', jane);
+        act(() => {
+            mockRealtimeHandlers['message:created']({ conversation: 'conv1', message: incoming });
+            mockRealtimeHandlers['message:created']({ conversation: 'conv1', message: incoming });
+            mockRealtimeHandlers['message:created']({ conversation: 'other', message: message('m5', 'Elsewhere', jane) });
+        });
+
+        expect(screen.getAllByText('Are you there?')).toHaveLength(1);
+        expect(screen.queryByText('Elsewhere')).not.toBeInTheDocument();
+        await waitFor(() => {
+            expect(mockApi.put).toHaveBeenCalledWith('/conversations/conv1/read');
+        });
+    });
+
+    it('should delete a message for yourself', async () => {
+        mockConversation([message('m1', 'Hi John', jane)]);
+        mockApi.delete.mockResolvedValue({ data: { success: true } });
+        renderConversation();
+
+        fireEvent.click(await screen.findByRole('button', { name: 'delete message' }));
+
+        await waitFor(() => {
+            expect(screen.queryByText('Hi John')).not.toBeInTheDocument();
+        });
+        expect(mockApi.delete).toHaveBeenCalledWith('/conversations/conv1/messages/m1');
+    });
+
+    it('should delete the conversation and return to the inbox', async () => {
+        mockConversation([]);
+        mockApi.delete.mockResolvedValue({ data: { success: true } });
+        window.confirm = jest.fn(() => true);
+        renderConversation();
+
+        fireEvent.click(await screen.findByRole('button', { name: 'Delete conversation' }));
+
+        await waitFor(() => {
+            expect(screen.getByTestId('location')).toHaveTextContent(/^\/messages$/);
+        });
+        expect(mockApi.delete).toHaveBeenCalledWith('/conversations/conv1');
+    });
+
+    it('should show an error for a conversation that cannot be loaded', async () => {
+        mockApi.get.mockRejectedValue({ response: { data: { message: 'Conversation not found' } } });
+
+        renderConversation();
+
+        expect(await screen.findByText('Conversation not found')).toBeInTheDocument();
+        expect(screen.getByRole('link', { name: /Back to Messages/ })).toHaveAttribute('href', '/messages');
+    });
+});
@@ -12,6 +12,8 @@ import {
     Grid,
     Avatar,
     IconButton,
+    FormControlLabel,
+    Switch,
 } from '@mui/material';
 import { Save, ArrowBack, PhotoCamera, Delete } from '@mui/icons-material';
 import { useAuth } from '../../contexts/AuthContext';
@@ -25,6 +27,7 @@ const EditProfile = () => {
         lastName: '',
         about: '',
         bio: '',
+        isPrivate: false,
     });
     const [photoFile, setPhotoFile] = useState(null);
     const [photoPreview, setPhotoPreview] = useState('');
@@ -39,6 +42,7 @@ const EditProfile = () => {
                 lastName: user.lastName || '',
                 about: user.about || '',
                 bio: user.bio || '',
+                isPrivate: !!user.isPrivate,
             });
             // Set photo preview if user has a photo
             if (user.photo) {
@@ -65,6 +69,16 @@ const EditProfile = () => {
         }
     };
 
+    const handlePrivacyChange = (e) => {
+        setFormData({
+            ...formData,
+            isPrivate: e.target.checked,
+        });
+        if (successMessage) {
+            setSuccessMessage('');
+        }
+    };
+
     const handlePhotoChange = (e) => {
         const file = e.target.files[0];
         if (file) {
@@ -311,6 +325,23 @@ const EditProfile = () => {
                             />
                         </Grid>
 
+                        <Grid size={{ xs: 12 }}>
+                            <FormControlLabel
+                                control={
+                                    <Switch
+                                        name="isPrivate"
+                                        checked={formData.isPrivate}
+                                        onChange={handlePrivacyChange}
+                                        disabled={isSubmitting}
+                                    />
+                                }
+                                label="Private account"
+                            />
+                            <Typography variant="body2" color="text.secondary">
+                                Only followers you approve can see your posts and connections. Making your account public approves everyone waiting.
+                            </Typography>
+                        </Grid>
+
                         <Box sx={{ mt: 4, display: 'flex', gap: 2, justifyContent: 'flex-end' }}>
                             <Button
                                 variant="outlined"
@@ -1,5 +1,5 @@
 import React from 'react';
-import { render, screen } from '@testing-library/react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
 import { BrowserRouter } from 'react-router-dom';
 import { ThemeProvider, createTheme } from '@mui/material/styles';
 import EditProfile from './EditProfile';
@@ -80,4 +80,31 @@ describe('EditProfile Component', () => {
             expect(screen.queryByText('Edit Profile')).not.toBeInTheDocument();
         });
     });
+
+    describe('Private account', () => {
+        it('should show whether the account is private', () => {
+            mockUseAuth.mockReturnValue({
+                user: { ...mockUser, isPrivate: true },
+                isAuthenticated: true,
+                updateProfile: jest.fn(),
+            });
+
+            renderEditProfile();
+
+            expect(screen.getByRole('checkbox', { name: 'Private account' })).toBeChecked();
+        });
+
+        it('should save the privacy setting with the profile', async () => {
+            const updateProfile = jest.fn().mockResolvedValue({ success: true });
+            mockUseAuth.mockReturnValue({ user: mockUser, isAuthenticated: true, updateProfile });
+            renderEditProfile();
+
+            fireEvent.click(screen.getByRole('checkbox', { name: 'Private account' }));
+            fireEvent.click(screen.getByRole('button', { name: 'Save Changes' }));
+
+            await waitFor(() => {
+                expect(updateProfile).toHaveBeenCalledWith(expect.objectContaining({ isPrivate: true }));
+            });
+        });
+    });
 }); 
\ No newline at end of file
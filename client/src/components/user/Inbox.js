@@ -0,0 +1,186 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link as RouterLink } from 'react-router-dom';
+import {
+    Container,
+    Typography,
+    Box,
+    Paper,
+    List,
+    ListItemButton,
+    ListItemAvatar,
+    ListItemText,
+    Avatar,
+    AvatarGroup,
+    Badge,
+    CircularProgress,
+    Alert,
+} from '@mui/material';
+import { useAuth } from '../../contexts/AuthContext';
+import { useRealtime } from '../../contexts/RealtimeContext';
+import LoadMoreTrigger from '../common/LoadMoreTrigger';
+
+// Name of a conversation: its group title, or the other participants
+export const conversationTitle = (conversation, currentUserId) => {
+    if (conversation.title) {
+        return conversation.title;
+    }
+
+    const others = (conversation.participants || []).filter(participant => participant._id !== currentUserId);
+    return others.map(participant => `${participant.firstName} ${participant.lastName}`).join(', ') || 'Conversation';
+};
+
+// Own conversations, latest message first
+const Inbox = () => {
+    const { user, api } = useAuth();
+    const [conversations, setConversations] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState('');
+    const [nextCursor, setNextCursor] = useState(null);
+    const [loadingMore, setLoadingMore] = useState(false);
+
+    const fetchConversations = useCallback(async () => {
+        try {
+            setLoading(true);
+            setError('');
+
+            const response = await api.get('/conversations');
+
+            if (response.data.success) {
+                setConversations(response.data.data);
+                setNextCursor(response.data.pagination?.nextCursor || null);
+            }
+        } catch (err) {
+            console.error('Error fetching conversations:', err);
+            setError(err.response?.data?.message || 'Failed to fetch conversations. Please try again.');
+        } finally {
+            setLoading(false);
+        }
+    }, [api]);
+
+    useEffect(() => {
+        fetchConversations();
+    }, [fetchConversations]);
+
+    const loadMoreConversations = async () => {
+        if (!nextCursor || loadingMore) {
+            return;
+        }
+
+        try {
+            setLoadingMore(true);
+            const response = await api.get('/conversations', { params: { cursor: nextCursor } });
+
+            if (response.data.success) {
+                setConversations(prev => {
+                    const loadedIds = new Set(prev.map(conversation => conversation._id));
+                    return [...prev, ...response.data.data.filter(conversation => !loadedIds.has(conversation._id))];
+                });
+                setNextCursor(response.data.pagination?.nextCursor || null);
+            }
+        } catch (err) {
+            console.error('Error fetching more conversations:', err);
+        } finally {
+            setLoadingMore(false);
+        }
+    };
+
+    // Move a conversation with a new message to the top, or reload the
+    // inbox for a conversation it doesn't list yet
+    useRealtime('message:created', ({ conversation: conversationId, message }) => {
+        if (!conversations.some(conversation => conversation._id === conversationId)) {
+            fetchConversations();
+            return;
+        }
+
+        setConversations(prev => {
+            const conversation = prev.find(item => item._id === conversationId);
+            const fromOther = message.sender?._id !== user?._id;
+            const updated = {
+                ...conversation,
+                lastMessage: { text: message.text, sender: message.sender?._id, createdAt: message.createdAt },
+                unreadCount: (conversation.unreadCount || 0) + (fromOther ? 1 : 0),
+            };
+            return [updated, ...prev.filter(item => item._id !== conversationId)];
+        });
+    });
+
+    if (loading && conversations.length === 0) {
+        return (
+            <Container maxWidth="md">
+                <Box sx={{ display: 'flex', justifyContent: 'center', mt: 4 }}>
+                    <CircularProgress />
+                </Box>
+            </Container>
+        );
+    }
+
+    return (
+        <Container maxWidth="md">
+            <Box sx={{ mt: 4, mb: 4 }}>
+                <Typography variant="h4" component="h1" gutterBottom>
+                    Messages
+                </Typography>
+
+                {error && (
+                    <Alert severity="error" sx={{ mb: 2 }}>
+                        {error}
+                    </Alert>
+                )}
+
+                {conversations.length === 0 && !error ? (
+                    <Typography variant="body1" color="text.secondary" sx={{ mt: 4, textAlign: 'center' }}>
+                        No conversations yet. Use the Message button on a profile to start one.
+                    </Typography>
+                ) : (
+                    <Paper>
+                        <List disablePadding>
+                            {conversations.map((conversation) => {
+                                const others = conversation.participants.filter(participant => participant._id !== user?._id);
+                                return (
+                                    <ListItemButton
+                                        key={conversation._id}
+                                        component={RouterLink}
+                                        to={`/messages/${conversation._id}`}
+                                        divider
+                                    >
+                                        <ListItemAvatar>
+                                            <Badge badgeContent={conversation.unreadCount} color="primary" max={99}>
+                                                <AvatarGroup max={2} sx={{ '& .MuiAvatar-root': { width: 40, height: 40 } }}>
+                                                    {others.map(participant => (
+                                                        <Avatar
+                                                            key={participant._id}
+                                                            src={participant.photo ? `/api/users/${participant._id}/photo` : null}
+                                                        >
+                                                            {participant.firstName?.charAt(0)}
+                                                        </Avatar>
+                                                    ))}
+                                                </AvatarGroup>
+                                            </Badge>
+                                        </ListItemAvatar>
+                                        <ListItemText
+                                            sx={{ ml: 1 }}
+                                            primary={conversationTitle(conversation, user?._id)}
+                                            secondary={conversation.lastMessage?.text || 'No messages yet'}
+                                            slotProps={{
+                                                primary: { fontWeight: conversation.unreadCount > 0 ? 'bold' : 'normal' },
+                                                secondary: { noWrap: true },
+                                            }}
+                                        />
+                                    </ListItemButton>
+                                );
+                            })}
+                        </List>
+                    </Paper>
+                )}
+
+                <LoadMoreTrigger
+                    onLoadMore={loadMoreConversations}
+                    loading={loadingMore}
+                    hasMore={!!nextCursor}
+                />
+            </Box>
+        </Container>
+    );
+};
+
+export default Inbox;
@@ -0,0 +1,117 @@
+import React from 'react';
+import { render, screen, act } from '@testing-library/react';
+import { MemoryRouter } from 'react-router-dom';
+import Inbox, { conversationTitle } from './Inbox';
+
+const mockApi = {
+    get: jest.fn(),
+};
+
+const currentUser = { _id: 'user1', firstName: 'John', lastName: 'Doe' };
+
+jest.mock('../../contexts/AuthContext', () => ({
+    useAuth: () => ({ user: currentUser, api: mockApi }),
+}));
+
+// Capture live update handlers so tests can deliver events
+const mockRealtimeHandlers = {};
+jest.mock('../../contexts/RealtimeContext', () => ({
+    useRealtime: (type, handler) => {
+        mockRealtimeHandlers[type] = handler;
+    },
+}));
+
+const jane = { _id: 'user2', firstName: 'Jane', lastName: 'Smith' };
+const bob = { _id: 'user3', firstName: 'Bob', lastName: 'Johnson' };
+
+const direct = {
+    _id: 'conv1',
+    participants: [currentUser, jane],
+    isGroup: false,
+    lastMessage: { text: 'See you soon', sender: 'user2' },
+    unreadCount: 2,
+};
+
+const group = {
+    _id: 'conv2',
+    participants: [currentUser, jane, bob],
+    isGroup: true,
+    title: 'Weekend plans',
+    lastMessage: { text: 'Who is in?', sender: 'user1' },
+    unreadCount: 0,
+};
+
+const renderInbox = () => render(
+    <MemoryRouter>
+        <Inbox />
+    </MemoryRouter>
+);
+
+describe('Inbox Component', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    describe('conversationTitle', () => {
+        it('should name the other participants', () => {
+            expect(conversationTitle({ ...group, title: undefined }, 'user1')).toBe('Jane Smith, Bob Johnson');
+        });
+
+        it('should prefer the group title', () => {
+            expect(conversationTitle(group, 'user1')).toBe('Weekend plans');
+        });
+    });
+
+    it('should list conversations with their latest message', async () => {
+        mockApi.get.mockResolvedValue({
+            data: { success: true, data: [direct, group], pagination: { nextCursor: null } },
+        });
+
+        renderInbox();
+
+        expect(await screen.findByText('Jane Smith')).toBeInTheDocument();
+        expect(screen.getByText('See you soon')).toBeInTheDocument();
+        expect(screen.getByText('Weekend plans')).toBeInTheDocument();
+        expect(screen.getByText('2')).toBeInTheDocument();
+        expect(screen.getByRole('link', { name: /Jane Smith/ })).toHaveAttribute('href', '/messages/conv1');
+        expect(mockApi.get).toHaveBeenCalledWith('/conversations');
+    });
+
+    it('should say when there are no conversations', async () => {
+        mockApi.get.mockResolvedValue({
+            data: { success: true, data: [], pagination: { nextCursor: null } },
+        });
+
+        renderInbox();
+
+        expect(await screen.findByText(/No conversations yet/)).toBeInTheDocument();
+    });
+
+    it('should move a conversation with a new message to the top', async () => {
+        mockApi.get.mockResolvedValue({
+            data: { success: true, data: [group, direct], pagination: { nextCursor: null } },
+        });
+        renderInbox();
+        await screen.findByText('Weekend plans');
+
+        act(() => {
+            mockRealtimeHandlers['message:created']({
+                conversation: 'conv1',
+                message: { _id: 'm9', text: 'Still on?', sender: jane, createdAt: '2024-01-01T00:00:00.000Z' },
+            });
+        });
+
+        const links = screen.getAllByRole('link');
+        expect(links[0]).toHaveAttribute('href', '/messages/conv1');
+        expect(screen.getByText('Still on?')).toBeInTheDocument();
+        expect(screen.getByText('3')).toBeInTheDocument();
+    });
+
+    it('should show the error when conversations fail to load', async () => {
+        mockApi.get.mockRejectedValue({ response: { data: { message: 'Server unavailable' } } });
+
+        renderInbox();
+
+        expect(await screen.findByText('Server unavailable')).toBeInTheDocument();
+    });
+});
@@ -0,0 +1,389 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link as RouterLink } from 'react-router-dom';
+import {
+    Container,
+    Paper,
+    Typography,
+    Box,
+    Table,
+    TableBody,
+    TableCell,
+    TableContainer,
+    TableHead,
+    TableRow,
+    TablePagination,
+    Button,
+    Chip,
+    Alert,
+    CircularProgress,
+    FormControl,
+    InputLabel,
+    Select,
+    MenuItem,
+    Link,
+} from '@mui/material';
+import { useAuth } from '../../contexts/AuthContext';
+
+// How each audit trail entry reads
+const HISTORY_LABELS = {
+    reported: 'reported it',
+    held: 'held it for review',
+    assigned: 'assigned it',
+    unassigned: 'unassigned it',
+    dismissed: 'dismissed it',
+    content_removed: 'removed the content',
+    author_suspended: 'suspended the author',
+};
+
+const STATUS_COLORS = {
+    open: 'warning',
+    dismissed: 'default',
+    resolved: 'success',
+};
+
+const fullName = (user) => (user ? `${user.firstName} ${user.lastName}` : 'Deleted user');
+
+// Who took a step: an admin or user, or the content filter
+const actorName = (entry) => (entry.action === 'held' ? 'Content filter' : fullName(entry.by));
+
+// Short description of the reported post, comment or user
+const describeTarget = (report) => {
+    const { target } = report;
+    if (!target) {
+        return 'Content no longer exists';
+    }
+
+    if (report.targetType === 'user') {
+        return `@${target.username}`;
+    }
+
+    return report.targetType === 'post' && target.title ? target.title : target.text;
+};
+
+// Admin queue of reported posts, comments and users, and of content held
+// by the content filter
+const ModerationQueue = () => {
+    const { user, api } = useAuth();
+    const [reports, setReports] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState('');
+    const [page, setPage] = useState(0);
+    const [rowsPerPage, setRowsPerPage] = useState(10);
+    const [totalReports, setTotalReports] = useState(0);
+    const [statusFilter, setStatusFilter] = useState('open');
+    const [typeFilter, setTypeFilter] = useState('all');
+    const [sourceFilter, setSourceFilter] = useState('all');
+    const [assigneeFilter, setAssigneeFilter] = useState('all');
+    const [expanded, setExpanded] = useState(null);
+
+    const fetchReports = useCallback(async () => {
+        try {
+            setLoading(true);
+            const params = new URLSearchParams({
+                page: page + 1,
+                limit: rowsPerPage,
+                status: statusFilter,
+            });
+
+            if (typeFilter !== 'all') {
+                params.append('targetType', typeFilter);
+            }
+
+            if (sourceFilter !== 'all') {
+                params.append('source', sourceFilter);
+            }
+
+            if (assigneeFilter !== 'all') {
+                params.append('assignee', assigneeFilter);
+            }
+
+            const response = await api.get(`/reports?${params}`);
+            setReports(response.data.data);
+            setTotalReports(response.data.total);
+        } catch (err) {
+            setError('Failed to fetch reports');
+            console.error('Error fetching reports:', err);
+        } finally {
+            setLoading(false);
+        }
+    }, [api, page, rowsPerPage, statusFilter, typeFilter, sourceFilter, assigneeFilter]);
+
+    useEffect(() => {
+        fetchReports();
+    }, [fetchReports]);
+
+    const handleChangePage = (event, newPage) => {
+        setPage(newPage);
+    };
+
+    const handleChangeRowsPerPage = (event) => {
+        setRowsPerPage(parseInt(event.target.value, 10));
+        setPage(0);
+    };
+
+    // Every filter change starts again from the first page
+    const handleFilterChange = (setFilter) => (event) => {
+        setFilter(event.target.value);
+        setPage(0);
+    };
+
+    const handleAssign = async (report) => {
+        const assigned = report.assignee?._id === user?._id;
+
+        try {
+            setError('');
+            await api.put(`/reports/${report._id}/${assigned ? 'unassign' : 'assign'}`);
+            fetchReports();
+        } catch (err) {
+            setError(err.response?.data?.message || 'Failed to update the report');
+            console.error('Error assigning report:', err);
+        }
+    };
+
+    const handleResolve = async (report, action) => {
+        const confirmations = {
+            remove_content: `Remove this ${report.targetType}? This cannot be undone.`,
+            suspend_author: `Suspend ${fullName(report.targetAuthor)} and log them out everywhere?`,
+        };
+        if (confirmations[action] && !window.confirm(confirmations[action])) {
+            return;
+        }
+
+        try {
+            setError('');
+            await api.put(`/reports/${report._id}/resolve`, { action });
+            fetchReports();
+        } catch (err) {
+            setError(err.response?.data?.message || 'Failed to resolve the report');
+            console.error('Error resolving report:', err);
+        }
+    };
+
+    const formatDate = (dateString) => {
+        return new Date(dateString).toLocaleDateString('en-US', {
+            year: 'numeric',
+            month: 'short',
+            day: 'numeric',
+        });
+    };
+
+    if (loading && reports.length === 0) {
+        return (
+            <Container maxWidth="lg">
+                <Box sx={{ display: 'flex', justifyContent: 'center', mt: 4 }}>
+                    <CircularProgress />
+                </Box>
+            </Container>
+        );
+    }
+
+    return (
+        <Container maxWidth="lg">
+            <Box sx={{ mt: 4, mb: 4 }}>
+                <Paper elevation={3} sx={{ p: 4 }}>
+                    <Typography variant="h4" component="h1" sx={{ mb: 4 }}>
+                        Moderation Queue
+                    </Typography>
+
+                    {error && (
+                        <Alert severity="error" sx={{ mb: 3 }}>
+                            {error}
+                        </Alert>
+                    )}
+
+                    {/* Filters */}
+                    <Box sx={{ display: 'flex', gap: 2, mb: 3, flexWrap: 'wrap' }}>
+                        <FormControl size="small" sx={{ minWidth: 140 }}>
+                            <InputLabel id="status-filter-label">Status</InputLabel>
+                            <Select
+                                labelId="status-filter-label"
+                                value={statusFilter}
+                                label="Status"
+                                onChange={handleFilterChange(setStatusFilter)}
+                            >
+                                <MenuItem value="open">Open</MenuItem>
+                                <MenuItem value="dismissed">Dismissed</MenuItem>
+                                <MenuItem value="resolved">Resolved</MenuItem>
+                                <MenuItem value="all">All</MenuItem>
+                            </Select>
+                        </FormControl>
+                        <FormControl size="small" sx={{ minWidth: 140 }}>
+                            <InputLabel id="type-filter-label">Type</InputLabel>
+                            <Select
+                                labelId="type-filter-label"
+                                value={typeFilter}
+                                label="Type"
+                                onChange={handleFilterChange(setTypeFilter)}
+                            >
+                                <MenuItem value="all">All Types</MenuItem>
+                                <MenuItem value="post">Posts</MenuItem>
+                                <MenuItem value="comment">Comments</MenuItem>
+                                <MenuItem value="user">Users</MenuItem>
+                            </Select>
+                        </FormControl>
+                        <FormControl size="small" sx={{ minWidth: 160 }}>
+                            <InputLabel id="source-filter-label">Source</InputLabel>
+                            <Select
+                                labelId="source-filter-label"
+                                value={sourceFilter}
+                                label="Source"
+                                onChange={handleFilterChange(setSourceFilter)}
+                            >
+                                <MenuItem value="all">All Sources</MenuItem>
+                                <MenuItem value="user">User reports</MenuItem>
+                                <MenuItem value="filter">Content filter</MenuItem>
+                            </Select>
+                        </FormControl>
+                        <FormControl size="small" sx={{ minWidth: 160 }}>
+                            <InputLabel id="assignee-filter-label">Assignee</InputLabel>
+                            <Select
+                                labelId="assignee-filter-label"
+                                value={assigneeFilter}
+                                label="Assignee"
+                                onChange={handleFilterChange(setAssigneeFilter)}
+                            >
+                                <MenuItem value="all">Anyone</MenuItem>
+                                <MenuItem value="me">Assigned to me</MenuItem>
+                                <MenuItem value="none">Unassigned</MenuItem>
+                            </Select>
+                        </FormControl>
+                    </Box>
+
+                    {/* Reports Table */}
+                    <TableContainer>
+                        <Table>
+                            <TableHead>
+                                <TableRow>
+                                    <TableCell>Reported</TableCell>
+                                    <TableCell>Author</TableCell>
+                                    <TableCell>Reason</TableCell>
+                                    <TableCell>Reporter</TableCell>
+                                    <TableCell>Status</TableCell>
+                                    <TableCell>Assignee</TableCell>
+                                    <TableCell>Actions</TableCell>
+                                </TableRow>
+                            </TableHead>
+                            <TableBody>
+                                {reports.map((report) => (
+                                    <React.Fragment key={report._id}>
+                                        <TableRow hover data-testid={`report-${report._id}`}>
+                                            <TableCell>
+                                                <Chip label={report.targetType} size="small" sx={{ mr: 1 }} />
+                                                <Typography variant="body2" component="span">
+                                                    {describeTarget(report)}
+                                                </Typography>
+                                                <Typography variant="caption" color="text.secondary" component="div">
+                                                    {formatDate(report.createdAt)}
+                                                </Typography>
+                                            </TableCell>
+                                            <TableCell>
+                                                {report.targetAuthor ? (
+                                                    <Link component={RouterLink} to={`/users/${report.targetAuthor._id}`}>
+                                                        {fullName(report.targetAuthor)}
+                                                    </Link>
+                                                ) : fullName(null)}
+                                                {report.targetAuthor?.isActive === false && (
+                                                    <Chip label="Suspended" color="error" size="small" sx={{ ml: 1 }} />
+                                                )}
+                                            </TableCell>
+                                            <TableCell>
+                                                <Typography variant="body2">{report.reason}</Typography>
+                                                {report.details && (
+                                                    <Typography variant="caption" color="text.secondary">
+                                                        {report.details}
+                                                    </Typography>
+                                                )}
+                                            </TableCell>
+                                            <TableCell>
+                                                {report.source === 'filter' ? 'Content filter' : fullName(report.reporter)}
+                                            </TableCell>
+                                            <TableCell>
+                                                <Chip
+                                                    label={report.status}
+                                                    color={STATUS_COLORS[report.status]}
+                                                    size="small"
+                                                />
+                                            </TableCell>
+                                            <TableCell>{report.assignee ? fullName(report.assignee) : '—'}</TableCell>
+                                            <TableCell>
+                                                <Box sx={{ display: 'flex', gap: 1, flexWrap: 'wrap' }}>
+                                                    {report.status === 'open' && (
+                                                        <>
+                                                            <Button size="small" onClick={() => handleAssign(report)}>
+                                                                {report.assignee?._id === user?._id ? 'Unassign' : 'Assign to me'}
+                                                            </Button>
+                                                            <Button size="small" onClick={() => handleResolve(report, 'dismiss')}>
+                                                                {report.source === 'filter' ? 'Release' : 'Dismiss'}
+                                                            </Button>
+                                                            {report.targetType !== 'user' && (
+                                                                <Button
+                                                                    size="small"
+                                                                    color="error"
+                                                                    onClick={() => handleResolve(report, 'remove_content')}
+                                                                >
+                                                                    Remove content
+                                                                </Button>
+                                                            )}
+                                                            <Button
+                                                                size="small"
+                                                                color="error"
+                                                                onClick={() => handleResolve(report, 'suspend_author')}
+                                                            >
+                                                                Suspend author
+                                                            </Button>
+                                                        </>
+                                                    )}
+                                                    <Button
+                                                        size="small"
+                                                        onClick={() => setExpanded(expanded === report._id ? null : report._id)}
+                                                    >
+                                                        {expanded === report._id ? 'Hide history' : 'History'}
+                                                    </Button>
+                                                </Box>
+                                            </TableCell>
+                                        </TableRow>
+                                        {expanded === report._id && (
+                                            <TableRow>
+                                                <TableCell colSpan={7}>
+                                                    {report.history.map((entry, index) => (
+                                                        <Typography key={index} variant="body2">
+                                                            {new Date(entry.at).toLocaleString()}: {actorName(entry)}{' '}
+                                                            {HISTORY_LABELS[entry.action]}
+                                                            {entry.assignee && ` to ${fullName(entry.assignee)}`}
+                                                            {entry.note && ` (${entry.note})`}
+                                                        </Typography>
+                                                    ))}
+                                                </TableCell>
+                                            </TableRow>
+                                        )}
+                                    </React.Fragment>
+                                ))}
+                            </TableBody>
+                        </Table>
+                    </TableContainer>
+
+                    {/* Pagination */}
+                    <TablePagination
+                        rowsPerPageOptions={[5, 10, 25, 50]}
+                        component="div"
+                        count={totalReports}
+                        rowsPerPage={rowsPerPage}
+                        page={page}
+                        onPageChange={handleChangePage}
+                        onRowsPerPageChange={handleChangeRowsPerPage}
+                    />
+
+                    {reports.length === 0 && !loading && (
+                        <Box sx={{ textAlign: 'center', py: 4 }}>
+                            <Typography color="text.secondary">
+                                No reports match these filters.
+                            </Typography>
+                        </Box>
+                    )}
+                </Paper>
+            </Box>
+        </Container>
+    );
+};
+
+export default ModerationQueue;
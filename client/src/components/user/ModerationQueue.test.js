@@ -0,0 +1,180 @@
+import React from 'react';
+import { render, screen, fireEvent, waitFor, within } from '@testing-library/react';
+import { MemoryRouter } from 'react-router-dom';
+import ModerationQueue from './ModerationQueue';
+
+const mockApi = {
+    get: jest.fn(),
+    put: jest.fn(),
+};
+
+const admin = { _id: 'admin1', firstName: 'Ada', lastName: 'Admin', role: 'admin' };
+
+jest.mock('../../contexts/AuthContext', () => ({
+    useAuth: () => ({ user: admin, api: mockApi }),
+}));
+
+const john = { _id: 'user1', firstName: 'John', lastName: 'Doe', username: 'johndoe' };
+const jane = { _id: 'user2', firstName: 'Jane', lastName: 'Smith', username: 'janesmith', isActive: true };
+
+const postReport = {
+    _id: 'report1',
+    targetType: 'post',
+    target: { _id: 'post1', title: 'Buy now', text: 'Cheap watches' },
+    targetAuthor: jane,
+    reporter: john,
+    reason: 'spam',
+    details: 'Links to a shop',
+    status: 'open',
+    assignee: null,
+    history: [{ action: 'reported', by: john, note: 'Links to a shop', at: '2024-01-01T00:00:00.000Z' }],
+    createdAt: '2024-01-01T00:00:00.000Z',
+};
+
+const userReport = {
+    ...postReport,
+    _id: 'report2',
+    targetType: 'user',
+    target: jane,
+    reason: 'harassment',
+    details: undefined,
+    assignee: admin,
+};
+
+const renderQueue = () => render(
+    <MemoryRouter>
+        <ModerationQueue />
+    </MemoryRouter>
+);
+
+const mockReports = (reports) => {
+    mockApi.get.mockResolvedValue({
+        data: { success: true, data: reports, total: reports.length },
+    });
+};
+
+describe('ModerationQueue Component', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        mockApi.put.mockResolvedValue({ data: { success: true } });
+        window.confirm = jest.fn(() => true);
+    });
+
+    it('should list open reports with their content', async () => {
+        mockReports([postReport, userReport]);
+
+        renderQueue();
+
+        expect(await screen.findByText('Buy now')).toBeInTheDocument();
+        expect(screen.getByText('@janesmith')).toBeInTheDocument();
+        expect(screen.getByText('Links to a shop')).toBeInTheDocument();
+        expect(mockApi.get).toHaveBeenCalledWith('/reports?page=1&limit=10&status=open');
+    });
+
+    it('should filter by type', async () => {
+        mockReports([postReport]);
+        renderQueue();
+        await screen.findByText('Buy now');
+
+        fireEvent.mouseDown(screen.getByRole('combobox', { name: 'Type' }));
+        fireEvent.click(await screen.findByRole('option', { name: 'Users' }));
+
+        await waitFor(() => {
+            expect(mockApi.get).toHaveBeenLastCalledWith('/reports?page=1&limit=10&status=open&targetType=user');
+        });
+    });
+
+    it('should assign a report to yourself, or unassign it', async () => {
+        mockReports([postReport, userReport]);
+        renderQueue();
+
+        fireEvent.click(within(await screen.findByTestId('report-report1')).getByRole('button', { name: 'Assign to me' }));
+        await waitFor(() => {
+            expect(mockApi.put).toHaveBeenCalledWith('/reports/report1/assign');
+        });
+
+        fireEvent.click(within(screen.getByTestId('report-report2')).getByRole('button', { name: 'Unassign' }));
+        await waitFor(() => {
+            expect(mockApi.put).toHaveBeenCalledWith('/reports/report2/unassign');
+        });
+    });
+
+    it('should dismiss a report or remove its content after confirming', async () => {
+        mockReports([postReport]);
+        renderQueue();
+        const row = await screen.findByTestId('report-report1');
+
+        fireEvent.click(within(row).getByRole('button', { name: 'Dismiss' }));
+        await waitFor(() => {
+            expect(mockApi.put).toHaveBeenCalledWith('/reports/report1/resolve', { action: 'dismiss' });
+        });
+        expect(window.confirm).not.toHaveBeenCalled();
+
+        fireEvent.click(within(row).getByRole('button', { name: 'Remove content' }));
+        await waitFor(() => {
+            expect(mockApi.put).toHaveBeenCalledWith('/reports/report1/resolve', { action: 'remove_content' });
+        });
+        expect(window.confirm).toHaveBeenCalled();
+    });
+
+    it('should not suspend the author without confirmation', async () => {
+        mockReports([userReport]);
+        window.confirm = jest.fn(() => false);
+        renderQueue();
+
+        fireEvent.click(await screen.findByRole('button', { name: 'Suspend author' }));
+
+        expect(window.confirm).toHaveBeenCalledWith('Suspend Jane Smith and log them out everywhere?');
+        expect(mockApi.put).not.toHaveBeenCalled();
+        expect(screen.queryByRole('button', { name: 'Remove content' })).not.toBeInTheDocument();
+    });
+
+    it('should show the history of a report', async () => {
+        mockReports([postReport]);
+        renderQueue();
+
+        fireEvent.click(await screen.findByRole('button', { name: 'History' }));
+
+        expect(screen.getByText(/John Doe reported it \(Links to a shop\)/)).toBeInTheDocument();
+    });
+
+    it('should release content held by the content filter', async () => {
+        mockReports([{
+            ...postReport,
+            source: 'filter',
+            reporter: null,
+            reason: 'other',
+            details: 'Text contains more than 5 links',
+            history: [{ action: 'held', note: 'Text contains more than 5 links', at: '2024-01-01T00:00:00.000Z' }],
+        }]);
+        renderQueue();
+        const row = await screen.findByTestId('report-report1');
+
+        expect(within(row).getByText('Content filter')).toBeInTheDocument();
+        fireEvent.click(within(row).getByRole('button', { name: 'History' }));
+        expect(screen.getByText(/Content filter held it for review/)).toBeInTheDocument();
+
+        fireEvent.click(within(row).getByRole('button', { name: 'Release' }));
+        await waitFor(() => {
+            expect(mockApi.put).toHaveBeenCalledWith('/reports/report1/resolve', { action: 'dismiss' });
+        });
+    });
+
+    it('should show the error when an action fails', async () => {
+        mockReports([postReport]);
+        mockApi.put.mockRejectedValue({ response: { data: { message: 'Report is already closed' } } });
+        renderQueue();
+
+        fireEvent.click(await screen.findByRole('button', { name: 'Dismiss' }));
+
+        expect(await screen.findByText('Report is already closed')).toBeInTheDocument();
+    });
+
+    it('should say when no reports match', async () => {
+        mockReports([]);
+
+        renderQueue();
+
+        expect(await screen.findByText('No reports match these filters.')).toBeInTheDocument();
+    });
+});
@@ -17,6 +17,7 @@ import { Edit } from '@mui/icons-material';
 import { useAuth } from '../../contexts/AuthContext';
 import LoadingSpinner from '../common/LoadingSpinner';
 import UserConnections from './UserConnections';
+import TwoFactorSettings from './TwoFactorSettings';
 
 const Profile = () => {
     const { user, loading } = useAuth();
@@ -236,6 +237,8 @@ const Profile = () => {
                                     )}
                                 </Box>
                             </Box>
+
+                            <TwoFactorSettings />
                         </Paper>
                     </Grid>
 
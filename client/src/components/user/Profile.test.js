@@ -20,6 +20,13 @@ jest.mock('./UserConnections', () => {
     };
 });
 
+// Mock TwoFactorSettings component to avoid API calls
+jest.mock('./TwoFactorSettings', () => {
+    return function MockTwoFactorSettings() {
+        return <div data-testid="two-factor-settings">Two-Factor Settings</div>;
+    };
+});
+
 const testTheme = createTheme({
     palette: {
         primary: { main: '#1976d2' },
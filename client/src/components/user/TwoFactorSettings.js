@@ -0,0 +1,246 @@
+import React, { useState } from 'react';
+import {
+    Card,
+    CardContent,
+    Typography,
+    Box,
+    Button,
+    TextField,
+    Alert,
+    Chip,
+    Dialog,
+    DialogTitle,
+    DialogContent,
+    DialogActions,
+} from '@mui/material';
+import { Security } from '@mui/icons-material';
+import { useAuth } from '../../contexts/AuthContext';
+
+// Enrollment and management of TOTP two-factor authentication
+const TwoFactorSettings = () => {
+    const { user, api, refreshUser } = useAuth();
+
+    const [setup, setSetup] = useState(null);
+    const [code, setCode] = useState('');
+    const [password, setPassword] = useState('');
+    const [backupCodes, setBackupCodes] = useState(null);
+    const [disableOpen, setDisableOpen] = useState(false);
+    const [error, setError] = useState('');
+    const [isSubmitting, setIsSubmitting] = useState(false);
+
+    const enabled = !!user?.twoFactorEnabled;
+
+    const handleError = (err, fallback) => {
+        setError(err.response?.data?.message || fallback);
+    };
+
+    const handleStartSetup = async () => {
+        setError('');
+        setBackupCodes(null);
+        try {
+            const response = await api.post('/auth/2fa/setup');
+            setSetup(response.data.data);
+        } catch (err) {
+            handleError(err, 'Failed to start two-factor setup');
+        }
+    };
+
+    const handleEnable = async (e) => {
+        e.preventDefault();
+        setIsSubmitting(true);
+        setError('');
+        try {
+            const response = await api.post('/auth/2fa/enable', { code });
+            setBackupCodes(response.data.data.backupCodes);
+            setSetup(null);
+            setCode('');
+            await refreshUser();
+        } catch (err) {
+            handleError(err, 'Failed to enable two-factor authentication');
+        } finally {
+            setIsSubmitting(false);
+        }
+    };
+
+    const handleRegenerate = async (e) => {
+        e.preventDefault();
+        setIsSubmitting(true);
+        setError('');
+        try {
+            const response = await api.post('/auth/2fa/backup-codes', { code });
+            setBackupCodes(response.data.data.backupCodes);
+            setCode('');
+        } catch (err) {
+            handleError(err, 'Failed to regenerate backup codes');
+        } finally {
+            setIsSubmitting(false);
+        }
+    };
+
+    const handleDisable = async () => {
+        setIsSubmitting(true);
+        setError('');
+        try {
+            await api.post('/auth/2fa/disable', { password, code });
+            setDisableOpen(false);
+            setPassword('');
+            setCode('');
+            setBackupCodes(null);
+            await refreshUser();
+        } catch (err) {
+            handleError(err, 'Failed to disable two-factor authentication');
+        } finally {
+            setIsSubmitting(false);
+        }
+    };
+
+    return (
+        <Card sx={{ mt: 4 }}>
+            <CardContent>
+                <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 2 }}>
+                    <Security color="primary" />
+                    <Typography variant="h5" component="h2">
+                        Two-Factor Authentication
+                    </Typography>
+                    <Chip
+                        label={enabled ? 'Enabled' : 'Disabled'}
+                        color={enabled ? 'success' : 'default'}
+                        size="small"
+                    />
+                </Box>
+
+                {error && !disableOpen && (
+                    <Alert severity="error" sx={{ mb: 2 }}>
+                        {error}
+                    </Alert>
+                )}
+
+                {backupCodes && (
+                    <Alert severity="warning" sx={{ mb: 2 }}>
+                        <Typography variant="body2" gutterBottom>
+                            Save these backup codes somewhere safe. Each one can be used once if you lose your device.
+                        </Typography>
+                        <Box component="ul" aria-label="Backup codes" sx={{ fontFamily: 'monospace', m: 0, pl: 3 }}>
+                            {backupCodes.map(backupCode => (
+                                <li key={backupCode}>{backupCode}</li>
+                            ))}
+                        </Box>
+                    </Alert>
+                )}
+
+                {!enabled && !setup && (
+                    <>
+                        <Typography color="text.secondary" sx={{ mb: 2 }}>
+                            Protect your account with a code from an authenticator app when you sign in.
+                        </Typography>
+                        <Button variant="contained" onClick={handleStartSetup}>
+                            Set Up Two-Factor Authentication
+                        </Button>
+                    </>
+                )}
+
+                {!enabled && setup && (
+                    <Box component="form" onSubmit={handleEnable} noValidate>
+                        <Typography color="text.secondary" gutterBottom>
+                            Scan this QR code with your authenticator app, then enter the code it shows.
+                        </Typography>
+                        <Box sx={{ textAlign: 'center', my: 2 }}>
+                            <img src={setup.qrCode} alt="Two-factor QR code" width={200} height={200} />
+                        </Box>
+                        <Typography variant="body2" color="text.secondary">
+                            Can't scan it? Enter this key instead:{' '}
+                            <Box component="span" sx={{ fontFamily: 'monospace' }}>{setup.secret}</Box>
+                        </Typography>
+                        <TextField
+                            margin="normal"
+                            fullWidth
+                            id="two-factor-code"
+                            label="Authentication Code"
+                            autoComplete="one-time-code"
+                            inputProps={{ inputMode: 'numeric' }}
+                            value={code}
+                            onChange={(e) => setCode(e.target.value)}
+                            disabled={isSubmitting}
+                        />
+                        <Box sx={{ display: 'flex', gap: 2, mt: 1 }}>
+                            <Button type="submit" variant="contained" disabled={isSubmitting || !code}>
+                                Enable
+                            </Button>
+                            <Button onClick={() => setSetup(null)} disabled={isSubmitting}>
+                                Cancel
+                            </Button>
+                        </Box>
+                    </Box>
+                )}
+
+                {enabled && (
+                    <Box component="form" onSubmit={handleRegenerate} noValidate>
+                        <Typography color="text.secondary">
+                            You'll be asked for a code from your authenticator app when you sign in.
+                        </Typography>
+                        <TextField
+                            margin="normal"
+                            fullWidth
+                            id="two-factor-code"
+                            label="Authentication Code"
+                            autoComplete="one-time-code"
+                            value={code}
+                            onChange={(e) => setCode(e.target.value)}
+                            disabled={isSubmitting}
+                        />
+                        <Box sx={{ display: 'flex', gap: 2, mt: 1 }}>
+                            <Button type="submit" variant="outlined" disabled={isSubmitting || !code}>
+                                New Backup Codes
+                            </Button>
+                            <Button
+                                color="error"
+                                onClick={() => {
+                                    setError('');
+                                    setDisableOpen(true);
+                                }}
+                                disabled={isSubmitting || !code}
+                            >
+                                Disable
+                            </Button>
+                        </Box>
+                    </Box>
+                )}
+
+                <Dialog open={disableOpen} onClose={() => setDisableOpen(false)}>
+                    <DialogTitle>Disable Two-Factor Authentication</DialogTitle>
+                    <DialogContent>
+                        {error && (
+                            <Alert severity="error" sx={{ mb: 2 }}>
+                                {error}
+                            </Alert>
+                        )}
+                        <Typography gutterBottom>
+                            Confirm your password to turn off two-factor authentication.
+                        </Typography>
+                        <TextField
+                            margin="normal"
+                            fullWidth
+                            id="two-factor-password"
+                            label="Password"
+                            type="password"
+                            autoComplete="current-password"
+                            value={password}
+                            onChange={(e) => setPassword(e.target.value)}
+                            disabled={isSubmitting}
+                        />
+                    </DialogContent>
+                    <DialogActions>
+                        <Button onClick={() => setDisableOpen(false)} disabled={isSubmitting}>
+                            Cancel
+                        </Button>
+                        <Button color="error" onClick={handleDisable} disabled={isSubmitting || !password}>
+                            Disable
+                        </Button>
+                    </DialogActions>
+                </Dialog>
+            </CardContent>
+        </Card>
+    );
+};
+
+export default TwoFactorSettings;
@@ -0,0 +1,141 @@
+import React from 'react';
+import { render, screen, waitFor } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { ThemeProvider, createTheme } from '@mui/material/styles';
+import TwoFactorSettings from './TwoFactorSettings';
+
+// Mock the AuthContext
+const mockApi = {
+    post: jest.fn(),
+};
+const mockRefreshUser = jest.fn();
+let mockUser;
+
+jest.mock('../../contexts/AuthContext', () => ({
+    useAuth: () => ({
+        user: mockUser,
+        api: mockApi,
+        refreshUser: mockRefreshUser,
+    }),
+}));
+
+const testTheme = createTheme({
+    palette: {
+        primary: { main: '#1976d2' },
+        secondary: { main: '#dc004e' },
+    },
+});
+
+const renderSettings = () => {
+    return render(
+        <ThemeProvider theme={testTheme}>
+            <TwoFactorSettings />
+        </ThemeProvider>
+    );
+};
+
+describe('TwoFactorSettings Component', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        mockUser = { _id: '1', email: 'john@example.com', twoFactorEnabled: false };
+    });
+
+    describe('When disabled', () => {
+        it('should offer to set up two-factor authentication', () => {
+            renderSettings();
+
+            expect(screen.getByText('Disabled')).toBeInTheDocument();
+            expect(screen.getByRole('button', { name: /set up two-factor authentication/i })).toBeInTheDocument();
+        });
+
+        it('should show the QR code and secret after starting setup', async () => {
+            mockApi.post.mockResolvedValueOnce({
+                data: { success: true, data: { secret: 'JBSWY3DPEHPK3PXP', otpauthUrl: 'otpauth://totp/x', qrCode: 'data:image/png;base64,abc' } }
+            });
+            renderSettings();
+
+            await userEvent.click(screen.getByRole('button', { name: /set up two-factor authentication/i }));
+
+            expect(mockApi.post).toHaveBeenCalledWith('/auth/2fa/setup');
+            expect(await screen.findByAltText('Two-factor QR code')).toHaveAttribute('src', 'data:image/png;base64,abc');
+            expect(screen.getByText('JBSWY3DPEHPK3PXP')).toBeInTheDocument();
+        });
+
+        it('should enable 2FA and show the backup codes', async () => {
+            mockApi.post
+                .mockResolvedValueOnce({
+                    data: { success: true, data: { secret: 'JBSWY3DPEHPK3PXP', otpauthUrl: 'otpauth://totp/x', qrCode: 'data:image/png;base64,abc' } }
+                })
+                .mockResolvedValueOnce({
+                    data: { success: true, data: { backupCodes: ['aaaa111111', 'bbbb222222'] } }
+                });
+            renderSettings();
+
+            await userEvent.click(screen.getByRole('button', { name: /set up two-factor authentication/i }));
+            await userEvent.type(await screen.findByLabelText(/authentication code/i), '123456');
+            await userEvent.click(screen.getByRole('button', { name: /^enable$/i }));
+
+            expect(mockApi.post).toHaveBeenLastCalledWith('/auth/2fa/enable', { code: '123456' });
+            expect(await screen.findByText('aaaa111111')).toBeInTheDocument();
+            expect(screen.getByText('bbbb222222')).toBeInTheDocument();
+            expect(mockRefreshUser).toHaveBeenCalled();
+        });
+
+        it('should show an error for an invalid code', async () => {
+            mockApi.post
+                .mockResolvedValueOnce({
+                    data: { success: true, data: { secret: 'JBSWY3DPEHPK3PXP', otpauthUrl: 'otpauth://totp/x', qrCode: 'data:image/png;base64,abc' } }
+                })
+                .mockRejectedValueOnce({ response: { data: { message: 'Invalid authentication code' } } });
+            renderSettings();
+
+            await userEvent.click(screen.getByRole('button', { name: /set up two-factor authentication/i }));
+            await userEvent.type(await screen.findByLabelText(/authentication code/i), '000000');
+            await userEvent.click(screen.getByRole('button', { name: /^enable$/i }));
+
+            expect(await screen.findByText('Invalid authentication code')).toBeInTheDocument();
+            expect(mockRefreshUser).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('When enabled', () => {
+        beforeEach(() => {
+            mockUser.twoFactorEnabled = true;
+        });
+
+        it('should show the enabled state', () => {
+            renderSettings();
+
+            expect(screen.getByText('Enabled')).toBeInTheDocument();
+            expect(screen.queryByRole('button', { name: /set up/i })).not.toBeInTheDocument();
+        });
+
+        it('should regenerate backup codes with a code', async () => {
+            mockApi.post.mockResolvedValueOnce({
+                data: { success: true, data: { backupCodes: ['cccc333333'] } }
+            });
+            renderSettings();
+
+            await userEvent.type(screen.getByLabelText(/authentication code/i), '123456');
+            await userEvent.click(screen.getByRole('button', { name: /new backup codes/i }));
+
+            expect(mockApi.post).toHaveBeenCalledWith('/auth/2fa/backup-codes', { code: '123456' });
+            expect(await screen.findByText('cccc333333')).toBeInTheDocument();
+        });
+
+        it('should disable 2FA after confirming the password', async () => {
+            mockApi.post.mockResolvedValueOnce({ data: { success: true } });
+            renderSettings();
+
+            await userEvent.type(screen.getByLabelText(/authentication code/i), '123456');
+            await userEvent.click(screen.getByRole('button', { name: /^disable$/i }));
+
+            const dialog = await screen.findByRole('dialog');
+            await userEvent.type(screen.getByLabelText(/^password/i), 'password123');
+            await userEvent.click(screen.getAllByRole('button', { name: /^disable$/i }).find(button => dialog.contains(button)));
+
+            await waitFor(() => expect(mockRefreshUser).toHaveBeenCalled());
+            expect(mockApi.post).toHaveBeenCalledWith('/auth/2fa/disable', { password: 'password123', code: '123456' });
+        });
+    });
+});
@@ -12,33 +12,43 @@ import {
     Alert,
     Button,
 } from '@mui/material';
-import { PersonRemove } from '@mui/icons-material';
+import { PersonRemove, Check, Close } from '@mui/icons-material';
 import { useAuth } from '../../contexts/AuthContext';
 
+// Names of the lists in tab order, for their empty states
+const LIST_NAMES = ['followers', 'following', 'follow requests'];
+
 const UserConnections = ({ userId }) => {
-    const { api } = useAuth();
+    const { api, user: currentUser } = useAuth();
     const [activeTab, setActiveTab] = useState(0);
     const [followers, setFollowers] = useState([]);
     const [following, setFollowing] = useState([]);
+    const [requests, setRequests] = useState([]);
     const [loading, setLoading] = useState(true);
     const [error, setError] = useState('');
 
+    // Only the owner of a private account has follow requests to review
+    const reviewsRequests = currentUser?._id === userId && !!currentUser?.isPrivate;
+
     const fetchConnections = useCallback(async () => {
         try {
             setLoading(true);
-            const [followersRes, followingRes] = await Promise.all([
+            const [followersRes, followingRes, requestsRes] = await Promise.all([
                 api.get(`/users/${userId}/followers`),
-                api.get(`/users/${userId}/following`)
+                api.get(`/users/${userId}/following`),
+                reviewsRequests ? api.get('/users/follow-requests') : null
             ]);
             setFollowers(followersRes.data.data);
             setFollowing(followingRes.data.data);
+            setRequests(requestsRes ? requestsRes.data.data : []);
         } catch (err) {
-            setError('Failed to fetch connections');
+            // A private account's connections are refused to non-followers
+            setError(err.response?.data?.message || 'Failed to fetch connections');
             console.error('Error fetching connections:', err);
         } finally {
             setLoading(false);
         }
-    }, [api, userId]);
+    }, [api, userId, reviewsRequests]);
 
     useEffect(() => {
         fetchConnections();
@@ -54,6 +64,26 @@ const UserConnections = ({ userId }) => {
         }
     };
 
+    const handleApprove = async (requester) => {
+        try {
+            await api.put(`/users/follow-requests/${requester._id}/approve`);
+            // Move the requester over to the followers list
+            setRequests(prev => prev.filter(user => user._id !== requester._id));
+            setFollowers(prev => [...prev, requester]);
+        } catch (err) {
+            console.error('Error approving follow request:', err);
+        }
+    };
+
+    const handleReject = async (requesterId) => {
+        try {
+            await api.put(`/users/follow-requests/${requesterId}/reject`);
+            setRequests(prev => prev.filter(user => user._id !== requesterId));
+        } catch (err) {
+            console.error('Error rejecting follow request:', err);
+        }
+    };
+
     const handleTabChange = (event, newValue) => {
         setActiveTab(newValue);
     };
@@ -81,12 +111,13 @@ const UserConnections = ({ userId }) => {
         );
     }
 
-    const renderUserList = (users, showUnfollow = false) => {
+    // List users, with the buttons renderActions gives for each
+    const renderUserList = (users, renderActions = () => null) => {
         if (users.length === 0) {
             return (
                 <Box sx={{ textAlign: 'center', py: 3 }}>
                     <Typography variant="body2" color="text.secondary">
-                        No {activeTab === 0 ? 'followers' : 'following'} yet.
+                        No {LIST_NAMES[activeTab]} yet.
                     </Typography>
                 </Box>
             );
@@ -139,17 +170,7 @@ const UserConnections = ({ userId }) => {
                                     </Typography>
                                 </Box>
                             </Box>
-                            {showUnfollow && (
-                                <Button
-                                    variant="outlined"
-                                    size="small"
-                                    startIcon={<PersonRemove />}
-                                    onClick={() => handleUnfollow(user._id)}
-                                    color="error"
-                                >
-                                    Unfollow
-                                </Button>
-                            )}
+                            {renderActions(user)}
                         </Box>
                     );
                 })}
@@ -176,6 +197,13 @@ const UserConnections = ({ userId }) => {
                             id="connections-tab-1"
                             aria-controls="connections-tabpanel-1"
                         />
+                        {reviewsRequests && (
+                            <Tab
+                                label={`Requests (${requests.length})`}
+                                id="connections-tab-2"
+                                aria-controls="connections-tabpanel-2"
+                            />
+                        )}
                     </Tabs>
                 </Box>
 
@@ -194,8 +222,48 @@ const UserConnections = ({ userId }) => {
                     id="connections-tabpanel-1"
                     aria-labelledby="connections-tab-1"
                 >
-                    {renderUserList(following, true)}
+                    {renderUserList(following, (user) => (
+                        <Button
+                            variant="outlined"
+                            size="small"
+                            startIcon={<PersonRemove />}
+                            onClick={() => handleUnfollow(user._id)}
+                            color="error"
+                        >
+                            Unfollow
+                        </Button>
+                    ))}
                 </Box>
+
+                {reviewsRequests && (
+                    <Box
+                        role="tabpanel"
+                        hidden={activeTab !== 2}
+                        id="connections-tabpanel-2"
+                        aria-labelledby="connections-tab-2"
+                    >
+                        {renderUserList(requests, (user) => (
+                            <Box sx={{ display: 'flex', gap: 1 }}>
+                                <Button
+                                    variant="contained"
+                                    size="small"
+                                    startIcon={<Check />}
+                                    onClick={() => handleApprove(user)}
+                                >
+                                    Approve
+                                </Button>
+                                <Button
+                                    variant="outlined"
+                                    size="small"
+                                    startIcon={<Close />}
+                                    onClick={() => handleReject(user._id)}
+                                >
+                                    Reject
+                                </Button>
+                            </Box>
+                        ))}
+                    </Box>
+                )}
             </CardContent>
         </Card>
     );
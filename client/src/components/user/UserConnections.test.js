@@ -435,4 +435,82 @@ describe('UserConnections Component', () => {
             expect(profileLinks.length).toBeGreaterThan(0);
         });
     });
-}); 
\ No newline at end of file
+
+    describe('Follow requests', () => {
+        const requester = {
+            _id: '5',
+            firstName: 'Carol',
+            lastName: 'White',
+            name: 'Carol White',
+            username: 'carolwhite',
+        };
+
+        beforeEach(() => {
+            mockUseAuth.mockReturnValue({
+                user: { ...mockUser, isPrivate: true },
+                isAuthenticated: true,
+                api: mockApi,
+            });
+            // Serve connections and pending requests by URL
+            mockApi.get.mockImplementation((url) => Promise.resolve({
+                data: {
+                    data: url === '/users/follow-requests'
+                        ? [requester]
+                        : url.endsWith('/followers') ? mockFollowers : mockFollowing
+                }
+            }));
+        });
+
+        it('should list requests to the owner of a private account', async () => {
+            const user = userEvent.setup();
+            renderUserConnections();
+
+            await user.click(await screen.findByRole('tab', { name: 'Requests (1)' }));
+
+            expect(screen.getByText('Carol White')).toBeInTheDocument();
+            expect(mockApi.get).toHaveBeenCalledWith('/users/follow-requests');
+        });
+
+        it('should approve a request and list the new follower', async () => {
+            mockApi.put.mockResolvedValue({ data: { success: true } });
+            const user = userEvent.setup();
+            renderUserConnections();
+
+            await user.click(await screen.findByRole('tab', { name: 'Requests (1)' }));
+            await user.click(screen.getByRole('button', { name: 'Approve' }));
+
+            expect(await screen.findByRole('tab', { name: 'Followers (3)' })).toBeInTheDocument();
+            expect(screen.getByRole('tab', { name: 'Requests (0)' })).toBeInTheDocument();
+            expect(mockApi.put).toHaveBeenCalledWith('/users/follow-requests/5/approve');
+        });
+
+        it('should reject a request', async () => {
+            mockApi.put.mockResolvedValue({ data: { success: true } });
+            const user = userEvent.setup();
+            renderUserConnections();
+
+            await user.click(await screen.findByRole('tab', { name: 'Requests (1)' }));
+            await user.click(screen.getByRole('button', { name: 'Reject' }));
+
+            expect(await screen.findByText('No follow requests yet.')).toBeInTheDocument();
+            expect(screen.getByRole('tab', { name: 'Followers (2)' })).toBeInTheDocument();
+            expect(mockApi.put).toHaveBeenCalledWith('/users/follow-requests/5/reject');
+        });
+
+        it('should not show requests on someone else\'s connections', async () => {
+            renderUserConnections('2');
+
+            await screen.findByRole('tab', { name: 'Followers (2)' });
+            expect(screen.queryByRole('tab', { name: /Requests/ })).not.toBeInTheDocument();
+            expect(mockApi.get).not.toHaveBeenCalledWith('/users/follow-requests');
+        });
+
+        it('should explain when an account is private', async () => {
+            mockApi.get.mockRejectedValue({ response: { data: { message: 'This account is private' } } });
+
+            renderUserConnections('2');
+
+            expect(await screen.findByText('This account is private')).toBeInTheDocument();
+        });
+    });
+});
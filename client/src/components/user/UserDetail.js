@@ -1,5 +1,5 @@
 import React, { useState, useEffect } from 'react';
-import { useParams, Link as RouterLink } from 'react-router-dom';
+import { useParams, useNavigate, Link as RouterLink } from 'react-router-dom';
 import {
     Container,
     Typography,
@@ -15,16 +15,20 @@ import {
     Chip,
     Divider,
 } from '@mui/material';
-import { ArrowBack, Edit } from '@mui/icons-material';
+import { ArrowBack, Edit, Mail, Block, VolumeOff, VolumeUp, PersonAdd, PersonRemove, Lock } from '@mui/icons-material';
 import { useAuth } from '../../contexts/AuthContext';
 import axios from 'axios';
 
 const UserDetail = () => {
     const { id } = useParams();
-    const { user: currentUser } = useAuth();
+    const navigate = useNavigate();
+    const { user: currentUser, api } = useAuth();
     const [user, setUser] = useState(null);
     const [loading, setLoading] = useState(true);
     const [error, setError] = useState(null);
+    const [actionError, setActionError] = useState('');
+    const [isStartingConversation, setIsStartingConversation] = useState(false);
+    const [isUpdatingRelation, setIsUpdatingRelation] = useState(false);
 
     useEffect(() => {
         const fetchUser = async () => {
@@ -50,6 +54,70 @@ const UserDetail = () => {
         }
     }, [id]);
 
+    // Open the conversation with this user, starting it if needed
+    const handleMessage = async () => {
+        try {
+            setIsStartingConversation(true);
+            setActionError('');
+            const response = await api.post('/conversations', { participants: [id] });
+            navigate(`/messages/${response.data.data._id}`);
+        } catch (err) {
+            console.error('Error starting conversation:', err);
+            setActionError(err.response?.data?.message || 'Failed to start conversation');
+        } finally {
+            setIsStartingConversation(false);
+        }
+    };
+
+    // Follow the user, which only asks a private account to approve, or
+    // unfollow them, which also withdraws a pending request
+    const handleToggleFollow = async () => {
+        try {
+            setIsUpdatingRelation(true);
+            setActionError('');
+            if (user.isFollowing || user.isFollowRequested) {
+                await api.put('/users/unfollow', { unfollowId: id });
+                setUser(prev => ({ ...prev, isFollowing: false, isFollowRequested: false }));
+            } else {
+                const response = await api.put('/users/follow', { followId: id });
+                const requested = !!response.data.requested;
+                setUser(prev => ({ ...prev, isFollowing: !requested, isFollowRequested: requested }));
+            }
+        } catch (err) {
+            console.error('Error updating follow:', err);
+            setActionError(err.response?.data?.message || 'Failed to update follow');
+        } finally {
+            setIsUpdatingRelation(false);
+        }
+    };
+
+    // Block or mute the user, or lift it, and flip the matching flag
+    const updateRelation = async (action, flag) => {
+        try {
+            setIsUpdatingRelation(true);
+            setActionError('');
+            await api.put(`/users/${action}`, { [`${action}Id`]: id });
+            setUser(prev => ({ ...prev, [flag]: !prev[flag] }));
+        } catch (err) {
+            console.error(`Error trying to ${action} user:`, err);
+            setActionError(err.response?.data?.message || `Failed to ${action} user`);
+        } finally {
+            setIsUpdatingRelation(false);
+        }
+    };
+
+    const handleToggleBlock = () => {
+        if (user.isBlocked) {
+            updateRelation('unblock', 'isBlocked');
+        } else if (window.confirm(`Block ${user.name}? You will stop following each other and won't see each other's posts.`)) {
+            updateRelation('block', 'isBlocked');
+        }
+    };
+
+    const handleToggleMute = () => {
+        updateRelation(user.isMuted ? 'unmute' : 'mute', 'isMuted');
+    };
+
     if (loading) {
         return (
             <Container maxWidth="md">
@@ -82,6 +150,9 @@ const UserDetail = () => {
     }
 
     const canEdit = currentUser?.role === 'admin' || currentUser?.id === user._id;
+    const isOtherUser = !!currentUser && currentUser._id !== user._id;
+    const canMessage = isOtherUser && !user.isBlocked;
+    const canFollow = isOtherUser && !user.isBlocked;
 
     return (
         <Container maxWidth="md">
@@ -152,6 +223,9 @@ const UserDetail = () => {
                                     label={user.isActive ? 'Active' : 'Inactive'}
                                     color={user.isActive ? 'success' : 'error'}
                                 />
+                                {user.isPrivate && (
+                                    <Chip icon={<Lock />} label="Private" />
+                                )}
                             </Box>
                         </Box>
                     </Box>
@@ -245,7 +319,58 @@ const UserDetail = () => {
                         <Typography variant="h6" gutterBottom>
                             Actions
                         </Typography>
+                        {actionError && (
+                            <Alert severity="error" sx={{ mb: 2 }}>
+                                {actionError}
+                            </Alert>
+                        )}
+                        {isOtherUser && user.isPrivate && !user.isFollowing && (
+                            <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+                                This account is private. Follow it to see its posts and connections once approved.
+                            </Typography>
+                        )}
                         <Box sx={{ display: 'flex', gap: 2, justifyContent: 'center', flexWrap: 'wrap' }}>
+                            {canFollow && (
+                                <Button
+                                    variant={user.isFollowing || user.isFollowRequested ? 'outlined' : 'contained'}
+                                    startIcon={user.isFollowing || user.isFollowRequested ? <PersonRemove /> : <PersonAdd />}
+                                    onClick={handleToggleFollow}
+                                    disabled={isUpdatingRelation}
+                                >
+                                    {user.isFollowing ? 'Unfollow' : user.isFollowRequested ? 'Cancel Request' : 'Follow'}
+                                </Button>
+                            )}
+                            {canMessage && (
+                                <Button
+                                    variant="contained"
+                                    startIcon={<Mail />}
+                                    onClick={handleMessage}
+                                    disabled={isStartingConversation}
+                                >
+                                    Message
+                                </Button>
+                            )}
+                            {isOtherUser && (
+                                <>
+                                    <Button
+                                        variant="outlined"
+                                        startIcon={user.isMuted ? <VolumeUp /> : <VolumeOff />}
+                                        onClick={handleToggleMute}
+                                        disabled={isUpdatingRelation}
+                                    >
+                                        {user.isMuted ? 'Unmute' : 'Mute'}
+                                    </Button>
+                                    <Button
+                                        variant="outlined"
+                                        color="error"
+                                        startIcon={<Block />}
+                                        onClick={handleToggleBlock}
+                                        disabled={isUpdatingRelation}
+                                    >
+                                        {user.isBlocked ? 'Unblock' : 'Block'}
+                                    </Button>
+                                </>
+                            )}
                             {canEdit && (
                                 <Button
                                     variant="outlined"
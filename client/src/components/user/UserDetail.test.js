@@ -1,5 +1,5 @@
 import React from 'react';
-import { render, screen, waitFor } from '@testing-library/react';
+import { render, screen, waitFor, fireEvent } from '@testing-library/react';
 import { BrowserRouter } from 'react-router-dom';
 import { ThemeProvider, createTheme } from '@mui/material/styles';
 import UserDetail from './UserDetail';
@@ -8,11 +8,13 @@ import { AuthProvider } from '../../contexts/AuthContext';
 // Mock axios
 jest.mock('axios');
 
-// Mock useParams
+// Mock useParams and useNavigate
 const mockUseParams = jest.fn();
+const mockNavigate = jest.fn();
 jest.mock('react-router-dom', () => ({
     ...jest.requireActual('react-router-dom'),
     useParams: () => mockUseParams(),
+    useNavigate: () => mockNavigate,
 }));
 
 // Mock localStorage
@@ -104,4 +106,181 @@ describe('UserDetail Component', () => {
             expect(profileLinks.length).toBeGreaterThan(0);
         });
     });
-}); 
\ No newline at end of file
+
+    describe('Message button', () => {
+        const mockApi = { post: jest.fn() };
+        const renderDetail = () => render(
+            <BrowserRouter>
+                <AuthProvider>
+                    <UserDetail />
+                </AuthProvider>
+            </BrowserRouter>
+        );
+
+        beforeEach(() => {
+            mockUseAuth.mockReturnValue({
+                user: { _id: 'me', firstName: 'John', lastName: 'Doe' },
+                isAuthenticated: true,
+                api: mockApi,
+            });
+        });
+
+        it('should open the conversation with the user', async () => {
+            mockApi.post.mockResolvedValue({ data: { success: true, data: { _id: 'conv1' } } });
+            renderDetail();
+
+            fireEvent.click(await screen.findByRole('button', { name: 'Message' }));
+
+            await waitFor(() => {
+                expect(mockNavigate).toHaveBeenCalledWith('/messages/conv1');
+            });
+            expect(mockApi.post).toHaveBeenCalledWith('/conversations', { participants: ['user789'] });
+        });
+
+        it('should explain when the user cannot be messaged', async () => {
+            mockApi.post.mockRejectedValue({
+                response: { data: { message: 'You can only message users who follow you and whom you follow' } },
+            });
+            renderDetail();
+
+            fireEvent.click(await screen.findByRole('button', { name: 'Message' }));
+
+            expect(await screen.findByText('You can only message users who follow you and whom you follow')).toBeInTheDocument();
+            expect(mockNavigate).not.toHaveBeenCalled();
+        });
+
+        it('should not offer to message yourself', async () => {
+            mockUseAuth.mockReturnValue({ user: mockUser, isAuthenticated: true, api: mockApi });
+            renderDetail();
+
+            await screen.findByText('Actions');
+            expect(screen.queryByRole('button', { name: 'Message' })).not.toBeInTheDocument();
+        });
+    });
+
+    describe('Block and mute buttons', () => {
+        const mockApi = { put: jest.fn() };
+        const renderDetail = () => render(
+            <BrowserRouter>
+                <AuthProvider>
+                    <UserDetail />
+                </AuthProvider>
+            </BrowserRouter>
+        );
+
+        beforeEach(() => {
+            mockUseAuth.mockReturnValue({
+                user: { _id: 'me', firstName: 'John', lastName: 'Doe' },
+                isAuthenticated: true,
+                api: mockApi,
+            });
+            mockApi.put.mockResolvedValue({ data: { success: true } });
+        });
+
+        it('should block the user after confirming', async () => {
+            window.confirm = jest.fn(() => true);
+            renderDetail();
+
+            fireEvent.click(await screen.findByRole('button', { name: 'Block' }));
+
+            expect(await screen.findByRole('button', { name: 'Unblock' })).toBeInTheDocument();
+            expect(mockApi.put).toHaveBeenCalledWith('/users/block', { blockId: 'user789' });
+            expect(screen.queryByRole('button', { name: 'Message' })).not.toBeInTheDocument();
+        });
+
+        it('should leave the user alone when blocking is not confirmed', async () => {
+            window.confirm = jest.fn(() => false);
+            renderDetail();
+
+            fireEvent.click(await screen.findByRole('button', { name: 'Block' }));
+
+            expect(mockApi.put).not.toHaveBeenCalled();
+        });
+
+        it('should unblock a blocked user', async () => {
+            const axios = require('axios');
+            axios.get.mockResolvedValue({ data: { success: true, data: { ...mockUser, isBlocked: true } } });
+            renderDetail();
+
+            fireEvent.click(await screen.findByRole('button', { name: 'Unblock' }));
+
+            expect(await screen.findByRole('button', { name: 'Block' })).toBeInTheDocument();
+            expect(mockApi.put).toHaveBeenCalledWith('/users/unblock', { unblockId: 'user789' });
+        });
+
+        it('should mute and unmute the user', async () => {
+            renderDetail();
+
+            fireEvent.click(await screen.findByRole('button', { name: 'Mute' }));
+            fireEvent.click(await screen.findByRole('button', { name: 'Unmute' }));
+
+            expect(await screen.findByRole('button', { name: 'Mute' })).toBeInTheDocument();
+            expect(mockApi.put).toHaveBeenNthCalledWith(1, '/users/mute', { muteId: 'user789' });
+            expect(mockApi.put).toHaveBeenNthCalledWith(2, '/users/unmute', { unmuteId: 'user789' });
+        });
+
+        it('should not offer to block or mute yourself', async () => {
+            mockUseAuth.mockReturnValue({ user: mockUser, isAuthenticated: true, api: mockApi });
+            renderDetail();
+
+            await screen.findByText('Actions');
+            expect(screen.queryByRole('button', { name: 'Block' })).not.toBeInTheDocument();
+            expect(screen.queryByRole('button', { name: 'Mute' })).not.toBeInTheDocument();
+        });
+    });
+
+    describe('Follow button', () => {
+        const mockApi = { put: jest.fn() };
+        const axios = require('axios');
+        const renderDetail = () => render(
+            <BrowserRouter>
+                <AuthProvider>
+                    <UserDetail />
+                </AuthProvider>
+            </BrowserRouter>
+        );
+
+        beforeEach(() => {
+            mockUseAuth.mockReturnValue({
+                user: { _id: 'me', firstName: 'John', lastName: 'Doe' },
+                isAuthenticated: true,
+                api: mockApi,
+            });
+        });
+
+        it('should follow a public account', async () => {
+            mockApi.put.mockResolvedValue({ data: { success: true, requested: false } });
+            renderDetail();
+
+            fireEvent.click(await screen.findByRole('button', { name: 'Follow' }));
+
+            expect(await screen.findByRole('button', { name: 'Unfollow' })).toBeInTheDocument();
+            expect(mockApi.put).toHaveBeenCalledWith('/users/follow', { followId: 'user789' });
+        });
+
+        it('should request to follow a private account', async () => {
+            axios.get.mockResolvedValue({ data: { success: true, data: { ...mockUser, isPrivate: true } } });
+            mockApi.put.mockResolvedValue({ data: { success: true, requested: true } });
+            renderDetail();
+
+            expect(await screen.findByText('Private')).toBeInTheDocument();
+            expect(screen.getByText(/This account is private/)).toBeInTheDocument();
+            fireEvent.click(screen.getByRole('button', { name: 'Follow' }));
+
+            expect(await screen.findByRole('button', { name: 'Cancel Request' })).toBeInTheDocument();
+        });
+
+        it('should cancel a pending request', async () => {
+            axios.get.mockResolvedValue({
+                data: { success: true, data: { ...mockUser, isPrivate: true, isFollowRequested: true } },
+            });
+            mockApi.put.mockResolvedValue({ data: { success: true } });
+            renderDetail();
+
+            fireEvent.click(await screen.findByRole('button', { name: 'Cancel Request' }));
+
+            expect(await screen.findByRole('button', { name: 'Follow' })).toBeInTheDocument();
+            expect(mockApi.put).toHaveBeenCalledWith('/users/unfollow', { unfollowId: 'user789' });
+        });
+    });
+});
@@ -30,6 +30,8 @@ import {
     Delete,
     Visibility,
     Add,
+    PhonelinkErase,
+    LockOpen,
 } from '@mui/icons-material';
 import { useAuth } from '../../contexts/AuthContext';
 
@@ -108,6 +110,29 @@ const UserList = () => {
         }
     };
 
+    const handleRevokeSessions = async (userId) => {
+        if (!window.confirm('Log this user out of every session?')) {
+            return;
+        }
+
+        try {
+            await api.put(`/users/${userId}/revoke-sessions`);
+        } catch (err) {
+            setError('Failed to revoke user sessions');
+            console.error('Error revoking user sessions:', err);
+        }
+    };
+
+    // Lift a lockout caused by too many failed logins
+    const handleUnlockUser = async (userId) => {
+        try {
+            await api.put(`/users/${userId}/unlock`);
+        } catch (err) {
+            setError('Failed to unlock user');
+            console.error('Error unlocking user:', err);
+        }
+    };
+
     const formatDate = (dateString) => {
         return new Date(dateString).toLocaleDateString('en-US', {
             year: 'numeric',
@@ -258,6 +283,22 @@ const UserList = () => {
                                                 >
                                                     <Edit />
                                                 </IconButton>
+                                                <IconButton
+                                                    size="small"
+                                                    onClick={() => handleRevokeSessions(user._id)}
+                                                    color="warning"
+                                                    aria-label={`Revoke sessions of ${user.username}`}
+                                                >
+                                                    <PhonelinkErase />
+                                                </IconButton>
+                                                <IconButton
+                                                    size="small"
+                                                    onClick={() => handleUnlockUser(user._id)}
+                                                    color="primary"
+                                                    aria-label={`Unlock login for ${user.username}`}
+                                                >
+                                                    <LockOpen />
+                                                </IconButton>
                                                 <IconButton
                                                     size="small"
                                                     onClick={() => handleDeleteUser(user._id)}
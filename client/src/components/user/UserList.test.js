@@ -341,4 +341,65 @@ describe('UserList Component', () => {
             });
         });
     });
+
+    describe('Session Revocation', () => {
+        beforeEach(() => {
+            mockApi.get.mockResolvedValueOnce({
+                data: { success: true, data: mockUsers, total: 3 }
+            });
+        });
+
+        it('should revoke a user\'s sessions after confirmation', async () => {
+            jest.spyOn(window, 'confirm').mockReturnValueOnce(true);
+            mockApi.put.mockResolvedValueOnce({ data: { success: true } });
+
+            renderUserList();
+
+            const revokeButton = await screen.findByRole('button', { name: 'Revoke sessions of janesmith' });
+            await userEvent.click(revokeButton);
+
+            expect(mockApi.put).toHaveBeenCalledWith('/users/2/revoke-sessions');
+        });
+
+        it('should not revoke sessions when confirmation is cancelled', async () => {
+            jest.spyOn(window, 'confirm').mockReturnValueOnce(false);
+
+            renderUserList();
+
+            const revokeButton = await screen.findByRole('button', { name: 'Revoke sessions of janesmith' });
+            await userEvent.click(revokeButton);
+
+            expect(mockApi.put).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('Login Unlock', () => {
+        beforeEach(() => {
+            mockApi.get.mockResolvedValueOnce({
+                data: { success: true, data: mockUsers, total: 3 }
+            });
+        });
+
+        it('should unlock a user\'s login', async () => {
+            mockApi.put.mockResolvedValueOnce({ data: { success: true } });
+
+            renderUserList();
+
+            const unlockButton = await screen.findByRole('button', { name: 'Unlock login for janesmith' });
+            await userEvent.click(unlockButton);
+
+            expect(mockApi.put).toHaveBeenCalledWith('/users/2/unlock');
+        });
+
+        it('should show an error if unlocking fails', async () => {
+            mockApi.put.mockRejectedValueOnce(new Error('Network Error'));
+
+            renderUserList();
+
+            const unlockButton = await screen.findByRole('button', { name: 'Unlock login for janesmith' });
+            await userEvent.click(unlockButton);
+
+            expect(await screen.findByText('Failed to unlock user')).toBeInTheDocument();
+        });
+    });
 }); 
\ No newline at end of file
@@ -27,12 +27,59 @@ api.interceptors.request.use(
     }
 );
 
-// Handle token expiration
+// Requests whose 401 means bad credentials rather than an expired token
+const NO_REFRESH_URLS = ['/auth/login', '/auth/2fa/login', '/auth/register', '/auth/refresh'];
+
+// Exchange the stored refresh token for a new token pair. Concurrent 401s
+// share one in-flight refresh so a rotated token is never presented twice.
+let refreshPromise = null;
+
+const refreshAccessToken = () => {
+    if (!refreshPromise) {
+        const refreshToken = localStorage.getItem('refreshToken');
+        refreshPromise = axios
+            .post(`${API_BASE_URL}/auth/refresh`, { refreshToken })
+            .then((res) => {
+                localStorage.setItem('token', res.data.token);
+                localStorage.setItem('refreshToken', res.data.refreshToken);
+                return res.data.token;
+            })
+            .finally(() => {
+                refreshPromise = null;
+            });
+    }
+    return refreshPromise;
+};
+
+// Handle token expiration: refresh silently and replay the failed request
 api.interceptors.response.use(
     (response) => response,
-    (error) => {
+    async (error) => {
+        const originalRequest = error.config;
+
+        if (
+            error.response?.status === 401 &&
+            originalRequest &&
+            !originalRequest._retry &&
+            !NO_REFRESH_URLS.includes(originalRequest.url) &&
+            localStorage.getItem('refreshToken')
+        ) {
+            originalRequest._retry = true;
+            try {
+                const token = await refreshAccessToken();
+                originalRequest.headers = {
+                    ...originalRequest.headers,
+                    Authorization: `Bearer ${token}`,
+                };
+                return api.request(originalRequest);
+            } catch (refreshError) {
+                // Refresh failed, fall through to logging the user out
+            }
+        }
+
         if (error.response?.status === 401) {
             localStorage.removeItem('token');
+            localStorage.removeItem('refreshToken');
             window.location.href = '/login';
         }
         return Promise.reject(error);
@@ -57,6 +104,7 @@ const AUTH_ACTIONS = {
     LOGOUT: 'LOGOUT',
     CLEAR_ERROR: 'CLEAR_ERROR',
     SET_LOADING: 'SET_LOADING',
+    EMAIL_VERIFIED: 'EMAIL_VERIFIED',
 };
 
 // Reducer
@@ -73,6 +121,9 @@ const authReducer = (state, action) => {
         case AUTH_ACTIONS.LOGIN_SUCCESS:
         case AUTH_ACTIONS.REGISTER_SUCCESS:
             localStorage.setItem('token', action.payload.token);
+            if (action.payload.refreshToken) {
+                localStorage.setItem('refreshToken', action.payload.refreshToken);
+            }
             return {
                 ...state,
                 token: action.payload.token,
@@ -83,6 +134,7 @@ const authReducer = (state, action) => {
             };
         case AUTH_ACTIONS.AUTH_ERROR:
             localStorage.removeItem('token');
+            localStorage.removeItem('refreshToken');
             return {
                 ...state,
                 token: null,
@@ -93,6 +145,7 @@ const authReducer = (state, action) => {
             };
         case AUTH_ACTIONS.LOGOUT:
             localStorage.removeItem('token');
+            localStorage.removeItem('refreshToken');
             return {
                 ...state,
                 token: null,
@@ -111,6 +164,11 @@ const authReducer = (state, action) => {
                 ...state,
                 loading: action.payload,
             };
+        case AUTH_ACTIONS.EMAIL_VERIFIED:
+            return {
+                ...state,
+                user: state.user ? { ...state.user, emailVerified: true } : state.user,
+            };
         default:
             return state;
     }
@@ -134,11 +192,11 @@ export const AuthProvider = ({ children }) => {
             }
 
             try {
-                // Check if token is expired
+                // Check if token is expired and cannot be refreshed
                 const decoded = jwtDecode(token);
                 const currentTime = Date.now() / 1000;
 
-                if (decoded.exp < currentTime) {
+                if (decoded.exp < currentTime && !localStorage.getItem('refreshToken')) {
                     localStorage.removeItem('token');
                     dispatch({ type: AUTH_ACTIONS.SET_LOADING, payload: false });
                     return;
@@ -151,6 +209,7 @@ export const AuthProvider = ({ children }) => {
                 });
             } catch (error) {
                 localStorage.removeItem('token');
+                localStorage.removeItem('refreshToken');
                 dispatch({ type: AUTH_ACTIONS.SET_LOADING, payload: false });
             }
         };
@@ -183,6 +242,17 @@ export const AuthProvider = ({ children }) => {
         try {
             dispatch({ type: AUTH_ACTIONS.SET_LOADING, payload: true });
             const res = await api.post('/auth/login', { email, password });
+
+            // Password was right, but a second factor is still needed
+            if (res.data.twoFactorRequired) {
+                dispatch({ type: AUTH_ACTIONS.SET_LOADING, payload: false });
+                return {
+                    success: false,
+                    twoFactorRequired: true,
+                    challengeToken: res.data.challengeToken,
+                };
+            }
+
             dispatch({
                 type: AUTH_ACTIONS.LOGIN_SUCCESS,
                 payload: res.data,
@@ -198,8 +268,45 @@ export const AuthProvider = ({ children }) => {
         }
     }, []);
 
-    // Logout user
-    const logout = useCallback(() => {
+    // Complete a two-factor login with a TOTP or backup code
+    const verifyTwoFactor = useCallback(async (challengeToken, code) => {
+        try {
+            dispatch({ type: AUTH_ACTIONS.SET_LOADING, payload: true });
+            const res = await api.post('/auth/2fa/login', { challengeToken, code });
+            dispatch({
+                type: AUTH_ACTIONS.LOGIN_SUCCESS,
+                payload: res.data,
+            });
+            return { success: true };
+        } catch (error) {
+            const message = error.response?.data?.message || 'Verification failed';
+            dispatch({
+                type: AUTH_ACTIONS.AUTH_ERROR,
+                payload: message,
+            });
+            return { success: false, error: message };
+        }
+    }, []);
+
+    // Logout user (revokes the session on the server, then clears it locally)
+    const logout = useCallback(async () => {
+        try {
+            await api.post('/auth/logout', {
+                refreshToken: localStorage.getItem('refreshToken'),
+            });
+        } catch (error) {
+            // Clear the local session even if the server could not be reached
+        }
+        dispatch({ type: AUTH_ACTIONS.LOGOUT });
+    }, []);
+
+    // Logout every session of the current user
+    const logoutAll = useCallback(async () => {
+        try {
+            await api.post('/auth/logout-all');
+        } catch (error) {
+            // Clear the local session even if the server could not be reached
+        }
         dispatch({ type: AUTH_ACTIONS.LOGOUT });
     }, []);
 
@@ -237,6 +344,42 @@ export const AuthProvider = ({ children }) => {
         }
     }, []);
 
+    // Reload the current user from the server
+    const refreshUser = useCallback(async () => {
+        try {
+            const res = await api.get('/auth/me');
+            dispatch({
+                type: AUTH_ACTIONS.USER_LOADED,
+                payload: res.data.user,
+            });
+        } catch (error) {
+            // Keep the current user if the reload fails
+        }
+    }, []);
+
+    // Verify email address with an emailed token
+    const verifyEmail = useCallback(async (verificationToken) => {
+        try {
+            const res = await api.get(`/auth/verify/${verificationToken}`);
+            dispatch({ type: AUTH_ACTIONS.EMAIL_VERIFIED });
+            return { success: true, message: res.data.message };
+        } catch (error) {
+            const message = error.response?.data?.message || 'Email verification failed';
+            return { success: false, error: message };
+        }
+    }, []);
+
+    // Email a new verification link to the current user
+    const resendVerification = useCallback(async () => {
+        try {
+            const res = await api.post('/auth/verify/resend');
+            return { success: true, message: res.data.message };
+        } catch (error) {
+            const message = error.response?.data?.message || 'Failed to send verification email';
+            return { success: false, error: message };
+        }
+    }, []);
+
     // Clear error
     const clearError = useCallback(() => {
         dispatch({ type: AUTH_ACTIONS.CLEAR_ERROR });
@@ -252,8 +395,13 @@ export const AuthProvider = ({ children }) => {
                 error: state.error,
                 register,
                 login,
+                verifyTwoFactor,
                 logout,
+                logoutAll,
                 updateProfile,
+                refreshUser,
+                verifyEmail,
+                resendVerification,
                 clearError,
                 api,
             }}
@@ -272,4 +420,4 @@ export const useAuth = () => {
     return context;
 };
 
-export { AuthContext }; 
\ No newline at end of file
+export { AuthContext, API_BASE_URL, refreshAccessToken }; 
\ No newline at end of file
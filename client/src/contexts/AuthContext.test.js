@@ -17,6 +17,7 @@ jest.mock('axios', () => {
         post: jest.fn(),
         put: jest.fn(),
         delete: jest.fn(),
+        request: jest.fn(),
         interceptors: {
             request: { use: jest.fn() },
             response: { use: jest.fn() },
@@ -39,9 +40,12 @@ jest.mock('axios', () => {
 // Get the mock instance for testing
 const mockAxiosInstance = axios.create();
 
+// Capture the response error handler registered when AuthContext loaded
+const [[, handleResponseError]] = mockAxiosInstance.interceptors.response.use.mock.calls;
+
 // Test component to access context
 const TestComponent = () => {
-    const { isAuthenticated, user, login, register, logout, error } = useAuth();
+    const { isAuthenticated, user, login, register, logout, logoutAll, error } = useAuth();
 
     return (
         <div>
@@ -51,6 +55,7 @@ const TestComponent = () => {
             <button onClick={() => login('test@example.com', 'password')}>Login</button>
             <button onClick={() => register({ email: 'test@example.com', password: 'password' })}>Register</button>
             <button onClick={logout}>Logout</button>
+            <button onClick={logoutAll}>Logout All</button>
         </div>
     );
 };
@@ -100,6 +105,23 @@ describe('AuthContext', () => {
             });
         });
 
+        it('should keep the session if the token is expired but a refresh token exists', async () => {
+            localStorage.setItem('token', 'expired-token');
+            localStorage.setItem('refreshToken', 'refresh-token');
+
+            const { jwtDecode } = require('jwt-decode');
+            jwtDecode.mockReturnValue({ exp: Date.now() / 1000 - 3600 }); // Expired token
+
+            mockAxiosInstance.get.mockResolvedValueOnce({ data: { user: { id: '1', email: 'test@example.com' } } });
+
+            renderWithAuth(<TestComponent />);
+
+            await waitFor(() => {
+                expect(mockAxiosInstance.get).toHaveBeenCalledWith('/auth/me');
+                expect(screen.getByTestId('auth-status')).toHaveTextContent('authenticated');
+            });
+        });
+
         it('should clear token if expired', async () => {
             const mockToken = 'expired-token';
             localStorage.setItem('token', mockToken);
@@ -139,6 +161,24 @@ describe('AuthContext', () => {
             });
         });
 
+        it('should store the refresh token on login', async () => {
+            mockAxiosInstance.post.mockResolvedValue({
+                data: {
+                    success: true,
+                    token: 'new-token',
+                    refreshToken: 'new-refresh-token',
+                    user: { id: '1', email: 'test@example.com' }
+                }
+            });
+            renderWithAuth(<TestComponent />);
+            await act(async () => {
+                await userEvent.click(screen.getByText('Login'));
+            });
+            await waitFor(() => {
+                expect(localStorage.getItem('refreshToken')).toBe('new-refresh-token');
+            });
+        });
+
         it('should handle login error', async () => {
             const mockError = {
                 response: {
@@ -232,6 +272,183 @@ describe('AuthContext', () => {
             expect(screen.getByTestId('user-info')).toHaveTextContent('no-user');
             expect(localStorage.getItem('token')).toBeNull();
         });
+
+        it('should revoke the session on the server', async () => {
+            localStorage.setItem('refreshToken', 'refresh-token');
+            mockAxiosInstance.post.mockResolvedValue({ data: { success: true } });
+
+            renderWithAuth(<TestComponent />);
+
+            await act(async () => {
+                await userEvent.click(screen.getByText('Logout'));
+            });
+
+            expect(mockAxiosInstance.post).toHaveBeenCalledWith('/auth/logout', { refreshToken: 'refresh-token' });
+            expect(localStorage.getItem('refreshToken')).toBeNull();
+        });
+
+        it('should clear the local session even if the server call fails', async () => {
+            localStorage.setItem('token', 'token');
+            mockAxiosInstance.post.mockRejectedValue(new Error('Network Error'));
+
+            renderWithAuth(<TestComponent />);
+
+            await act(async () => {
+                await userEvent.click(screen.getByText('Logout'));
+            });
+
+            expect(localStorage.getItem('token')).toBeNull();
+            expect(screen.getByTestId('auth-status')).toHaveTextContent('not-authenticated');
+        });
+
+        it('should log out all sessions', async () => {
+            mockAxiosInstance.post.mockResolvedValue({ data: { success: true } });
+
+            renderWithAuth(<TestComponent />);
+
+            await act(async () => {
+                await userEvent.click(screen.getByText('Logout All'));
+            });
+
+            expect(mockAxiosInstance.post).toHaveBeenCalledWith('/auth/logout-all');
+            expect(screen.getByTestId('auth-status')).toHaveTextContent('not-authenticated');
+        });
+    });
+
+    describe('Two-Factor Login', () => {
+        const TwoFactorTestComponent = () => {
+            const { isAuthenticated, login, verifyTwoFactor, error } = useAuth();
+            const [challenge, setChallenge] = React.useState(null);
+
+            return (
+                <div>
+                    <div data-testid="auth-status">{isAuthenticated ? 'authenticated' : 'not-authenticated'}</div>
+                    <div data-testid="challenge">{challenge || 'none'}</div>
+                    <div data-testid="error-message">{error || 'no-error'}</div>
+                    <button
+                        onClick={async () => {
+                            const result = await login('test@example.com', 'password');
+                            setChallenge(result.challengeToken || null);
+                        }}
+                    >
+                        Login
+                    </button>
+                    <button onClick={() => verifyTwoFactor('challenge-123', '123456')}>Verify</button>
+                </div>
+            );
+        };
+
+        it('should return the challenge without authenticating', async () => {
+            mockAxiosInstance.post.mockResolvedValueOnce({
+                data: { success: true, twoFactorRequired: true, challengeToken: 'challenge-123' }
+            });
+
+            renderWithAuth(<TwoFactorTestComponent />);
+
+            await act(async () => {
+                await userEvent.click(screen.getByText('Login'));
+            });
+
+            expect(screen.getByTestId('challenge')).toHaveTextContent('challenge-123');
+            expect(screen.getByTestId('auth-status')).toHaveTextContent('not-authenticated');
+            expect(localStorage.getItem('token')).toBeNull();
+        });
+
+        it('should authenticate after exchanging the challenge and code', async () => {
+            mockAxiosInstance.post.mockResolvedValueOnce({
+                data: {
+                    success: true,
+                    token: 'new-token',
+                    refreshToken: 'new-refresh-token',
+                    user: { id: '1', email: 'test@example.com' }
+                }
+            });
+
+            renderWithAuth(<TwoFactorTestComponent />);
+
+            await act(async () => {
+                await userEvent.click(screen.getByText('Verify'));
+            });
+
+            expect(mockAxiosInstance.post).toHaveBeenCalledWith('/auth/2fa/login', {
+                challengeToken: 'challenge-123',
+                code: '123456'
+            });
+            expect(screen.getByTestId('auth-status')).toHaveTextContent('authenticated');
+            expect(localStorage.getItem('token')).toBe('new-token');
+        });
+
+        it('should surface an invalid code error', async () => {
+            mockAxiosInstance.post.mockRejectedValueOnce({
+                response: { status: 401, data: { message: 'Invalid authentication code' } }
+            });
+
+            renderWithAuth(<TwoFactorTestComponent />);
+
+            await act(async () => {
+                await userEvent.click(screen.getByText('Verify'));
+            });
+
+            expect(screen.getByTestId('error-message')).toHaveTextContent('Invalid authentication code');
+        });
+    });
+
+    describe('Email Verification', () => {
+        const VerificationTestComponent = () => {
+            const { user, login, verifyEmail } = useAuth();
+            const [result, setResult] = React.useState(null);
+
+            return (
+                <div>
+                    <div data-testid="email-verified">{user ? String(user.emailVerified) : 'no-user'}</div>
+                    <div data-testid="verify-result">{result ? result.message || result.error : 'none'}</div>
+                    <button onClick={() => login('test@example.com', 'password')}>Login</button>
+                    <button onClick={async () => setResult(await verifyEmail('abc123'))}>Verify</button>
+                </div>
+            );
+        };
+
+        it('should mark the current user as verified', async () => {
+            mockAxiosInstance.post.mockResolvedValue({
+                data: {
+                    success: true,
+                    token: 'new-token',
+                    user: { id: '1', email: 'test@example.com', emailVerified: false }
+                }
+            });
+            mockAxiosInstance.get.mockResolvedValue({
+                data: { success: true, message: 'Email verified successfully' }
+            });
+
+            renderWithAuth(<VerificationTestComponent />);
+
+            await act(async () => {
+                await userEvent.click(screen.getByText('Login'));
+            });
+            expect(screen.getByTestId('email-verified')).toHaveTextContent('false');
+
+            await act(async () => {
+                await userEvent.click(screen.getByText('Verify'));
+            });
+
+            expect(mockAxiosInstance.get).toHaveBeenCalledWith('/auth/verify/abc123');
+            expect(screen.getByTestId('email-verified')).toHaveTextContent('true');
+            expect(screen.getByTestId('verify-result')).toHaveTextContent('Email verified successfully');
+        });
+
+        it('should return the server error for a bad token', async () => {
+            mockAxiosInstance.get.mockRejectedValue({
+                response: { data: { message: 'Invalid or expired verification token' } }
+            });
+
+            renderWithAuth(<VerificationTestComponent />);
+
+            await act(async () => {
+                await userEvent.click(screen.getByText('Verify'));
+            });
+
+            expect(screen.getByTestId('verify-result')).toHaveTextContent('Invalid or expired verification token');
+        });
     });
 
     describe('API Interceptors', () => {
@@ -277,4 +494,81 @@ describe('AuthContext', () => {
             });
         });
     });
+
+    describe('Silent Token Refresh', () => {
+        const expiredError = (url = '/posts/feed') => ({
+            config: { url, headers: { Authorization: 'Bearer old-token' } },
+            response: { status: 401 }
+        });
+
+        it('should refresh the token and replay the failed request', async () => {
+            localStorage.setItem('token', 'old-token');
+            localStorage.setItem('refreshToken', 'refresh-token');
+
+            axios.post.mockResolvedValueOnce({ data: { token: 'fresh-token', refreshToken: 'rotated-token' } });
+            mockAxiosInstance.request.mockResolvedValueOnce({ data: { success: true } });
+
+            const response = await handleResponseError(expiredError());
+
+            expect(axios.post).toHaveBeenCalledWith(
+                expect.stringMatching(/\/auth\/refresh$/),
+                { refreshToken: 'refresh-token' }
+            );
+            expect(mockAxiosInstance.request).toHaveBeenCalledWith(expect.objectContaining({
+                url: '/posts/feed',
+                _retry: true,
+                headers: { Authorization: 'Bearer fresh-token' }
+            }));
+            expect(response).toEqual({ data: { success: true } });
+            expect(localStorage.getItem('token')).toBe('fresh-token');
+            expect(localStorage.getItem('refreshToken')).toBe('rotated-token');
+        });
+
+        it('should share one refresh between concurrent failures', async () => {
+            localStorage.setItem('refreshToken', 'refresh-token');
+
+            axios.post.mockResolvedValueOnce({ data: { token: 'fresh-token', refreshToken: 'rotated-token' } });
+            mockAxiosInstance.request.mockResolvedValue({ data: { success: true } });
+
+            await Promise.all([
+                handleResponseError(expiredError('/posts/feed')),
+                handleResponseError(expiredError('/users/stats'))
+            ]);
+
+            expect(axios.post).toHaveBeenCalledTimes(1);
+            expect(mockAxiosInstance.request).toHaveBeenCalledTimes(2);
+        });
+
+        it('should log out when the refresh fails', async () => {
+            localStorage.setItem('token', 'old-token');
+            localStorage.setItem('refreshToken', 'reused-token');
+
+            axios.post.mockRejectedValueOnce({ response: { status: 401 } });
+
+            const error = expiredError();
+            await expect(handleResponseError(error)).rejects.toBe(error);
+
+            expect(localStorage.getItem('token')).toBeNull();
+            expect(localStorage.getItem('refreshToken')).toBeNull();
+        });
+
+        it('should not refresh when login itself is rejected', async () => {
+            localStorage.setItem('refreshToken', 'refresh-token');
+
+            const error = expiredError('/auth/login');
+            await expect(handleResponseError(error)).rejects.toBe(error);
+
+            expect(axios.post).not.toHaveBeenCalled();
+        });
+
+        it('should not retry a request that was already replayed', async () => {
+            localStorage.setItem('refreshToken', 'refresh-token');
+
+            const error = expiredError();
+            error.config._retry = true;
+            await expect(handleResponseError(error)).rejects.toBe(error);
+
+            expect(axios.post).not.toHaveBeenCalled();
+        });
+    });
 }); 
\ No newline at end of file
@@ -0,0 +1,148 @@
+import React, { createContext, useContext, useEffect, useRef, useCallback, useMemo } from 'react';
+import { useAuth, API_BASE_URL, refreshAccessToken } from './AuthContext';
+
+// Close code the server uses when the token is missing, invalid or expired
+const CLOSE_UNAUTHORIZED = 4001;
+
+// Reconnect delays, doubling after each failed attempt
+const RETRY_DELAY_MS = 1000;
+const MAX_RETRY_DELAY_MS = 30 * 1000;
+
+// WebSocket endpoint next to the API, or REACT_APP_WS_URL when the
+// socket is served from elsewhere
+const socketUrl = () => {
+    if (process.env.REACT_APP_WS_URL) {
+        return process.env.REACT_APP_WS_URL;
+    }
+
+    const url = new URL(`${API_BASE_URL}/ws`, window.location.href);
+    url.protocol = url.protocol === 'https:' ? 'wss:' : 'ws:';
+    return url.toString();
+};
+
+const RealtimeContext = createContext(null);
+
+// Keeps one WebSocket open while the user is signed in and hands the
+// events it receives to the components listening for them
+export const RealtimeProvider = ({ children }) => {
+    const { isAuthenticated, user } = useAuth();
+    const listenersRef = useRef(new Map());
+    const userId = user?._id;
+
+    useEffect(() => {
+        if (!isAuthenticated || !userId || typeof WebSocket === 'undefined') {
+            return undefined;
+        }
+
+        let socket = null;
+        let retryTimer = null;
+        let attempts = 0;
+        let stopped = false;
+
+        const scheduleReconnect = () => {
+            if (stopped) {
+                return;
+            }
+            const delay = Math.min(MAX_RETRY_DELAY_MS, RETRY_DELAY_MS * 2 ** attempts);
+            attempts += 1;
+            retryTimer = setTimeout(connect, delay);
+        };
+
+        const connect = () => {
+            const token = localStorage.getItem('token');
+            if (stopped || !token) {
+                return;
+            }
+
+            socket = new WebSocket(socketUrl());
+
+            // Browsers can't set headers on a WebSocket, so the token is
+            // the first message
+            socket.onopen = () => {
+                socket.send(JSON.stringify({ type: 'auth', token }));
+            };
+
+            socket.onmessage = (event) => {
+                let message;
+                try {
+                    message = JSON.parse(event.data);
+                } catch (err) {
+                    return;
+                }
+
+                if (message.type === 'ready') {
+                    attempts = 0;
+                    return;
+                }
+                (listenersRef.current.get(message.type) || []).forEach(handler => handler(message));
+            };
+
+            socket.onclose = (event) => {
+                socket = null;
+                if (stopped) {
+                    return;
+                }
+
+                // The token expired: refresh it the way API requests do,
+                // then sign the socket in again
+                if (event.code === CLOSE_UNAUTHORIZED) {
+                    refreshAccessToken()
+                        .then(scheduleReconnect)
+                        .catch(err => console.error('Error refreshing token for live updates:', err));
+                } else {
+                    scheduleReconnect();
+                }
+            };
+        };
+
+        connect();
+
+        return () => {
+            stopped = true;
+            clearTimeout(retryTimer);
+            if (socket) {
+                socket.close();
+            }
+        };
+    }, [isAuthenticated, userId]);
+
+    // Register a handler for one event type; returns the unsubscribe
+    const subscribe = useCallback((type, handler) => {
+        const listeners = listenersRef.current;
+        if (!listeners.has(type)) {
+            listeners.set(type, new Set());
+        }
+        listeners.get(type).add(handler);
+
+        return () => listeners.get(type).delete(handler);
+    }, []);
+
+    const value = useMemo(() => ({ subscribe }), [subscribe]);
+
+    return (
+        <RealtimeContext.Provider value={value}>
+            {children}
+        </RealtimeContext.Provider>
+    );
+};
+
+// Call handler with every live event of the given type. Outside a
+// RealtimeProvider nothing is delivered, so components still work on
+// plain fetches.
+export const useRealtime = (type, handler) => {
+    const context = useContext(RealtimeContext);
+    const handlerRef = useRef(handler);
+
+    useEffect(() => {
+        handlerRef.current = handler;
+    });
+
+    useEffect(() => {
+        if (!context) {
+            return undefined;
+        }
+        return context.subscribe(type, message => handlerRef.current(message));
+    }, [context, type]);
+};
+
+export { RealtimeContext };
@@ -0,0 +1,144 @@
+import React from 'react';
+import { render, screen, act } from '@testing-library/react';
+import { RealtimeProvider, useRealtime } from './RealtimeContext';
+import { refreshAccessToken } from './AuthContext';
+
+const mockAuth = {
+    isAuthenticated: true,
+    user: { _id: 'user1' },
+};
+
+jest.mock('./AuthContext', () => ({
+    API_BASE_URL: 'http://localhost:5001/api',
+    useAuth: () => mockAuth,
+    refreshAccessToken: jest.fn(),
+}));
+
+// Records every socket the provider opens and lets tests drive it
+class MockWebSocket {
+    static instances = [];
+
+    constructor(url) {
+        this.url = url;
+        this.sent = [];
+        this.closed = false;
+        MockWebSocket.instances.push(this);
+    }
+
+    send(data) {
+        this.sent.push(JSON.parse(data));
+    }
+
+    close() {
+        this.closed = true;
+    }
+
+    receive(message) {
+        this.onmessage({ data: JSON.stringify(message) });
+    }
+}
+
+const latestSocket = () => MockWebSocket.instances[MockWebSocket.instances.length - 1];
+
+// Shows the last unread count delivered to it
+const UnreadCount = () => {
+    const [count, setCount] = React.useState(0);
+    useRealtime('notifications:unread', message => setCount(message.count));
+    return <div data-testid="count">{count}</div>;
+};
+
+const renderProvider = () => render(
+    <RealtimeProvider>
+        <UnreadCount />
+    </RealtimeProvider>
+);
+
+describe('RealtimeContext', () => {
+    const originalWebSocket = global.WebSocket;
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+        jest.clearAllMocks();
+        MockWebSocket.instances = [];
+        global.WebSocket = MockWebSocket;
+        localStorage.setItem('token', 'access-token');
+        mockAuth.isAuthenticated = true;
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+        global.WebSocket = originalWebSocket;
+        localStorage.clear();
+    });
+
+    it('should connect next to the API and authenticate with the token', () => {
+        renderProvider();
+
+        const socket = latestSocket();
+        expect(socket.url).toBe('ws://localhost:5001/api/ws');
+
+        act(() => socket.onopen());
+
+        expect(socket.sent).toEqual([{ type: 'auth', token: 'access-token' }]);
+    });
+
+    it('should deliver events to listeners of their type', () => {
+        renderProvider();
+        const socket = latestSocket();
+
+        act(() => {
+            socket.onopen();
+            socket.receive({ type: 'ready' });
+            socket.receive({ type: 'post:updated', post: { _id: 'post1' } });
+            socket.receive({ type: 'notifications:unread', count: 4 });
+        });
+
+        expect(screen.getByTestId('count')).toHaveTextContent('4');
+    });
+
+    it('should not connect while signed out', () => {
+        mockAuth.isAuthenticated = false;
+
+        renderProvider();
+
+        expect(MockWebSocket.instances).toHaveLength(0);
+    });
+
+    it('should reconnect after the connection drops', () => {
+        renderProvider();
+
+        act(() => latestSocket().onclose({ code: 1006 }));
+        expect(MockWebSocket.instances).toHaveLength(1);
+
+        act(() => jest.advanceTimersByTime(1000));
+
+        expect(MockWebSocket.instances).toHaveLength(2);
+    });
+
+    it('should refresh the token before reconnecting when it is rejected', async () => {
+        refreshAccessToken.mockImplementation(() => {
+            localStorage.setItem('token', 'new-token');
+            return Promise.resolve('new-token');
+        });
+        renderProvider();
+
+        await act(async () => latestSocket().onclose({ code: 4001 }));
+        act(() => jest.advanceTimersByTime(1000));
+
+        expect(refreshAccessToken).toHaveBeenCalled();
+        const socket = latestSocket();
+        act(() => socket.onopen());
+        expect(socket.sent).toEqual([{ type: 'auth', token: 'new-token' }]);
+    });
+
+    it('should close the socket on unmount without reconnecting', () => {
+        const { unmount } = renderProvider();
+        const socket = latestSocket();
+
+        unmount();
+        act(() => jest.advanceTimersByTime(60 * 1000));
+
+        expect(socket.closed).toBe(true);
+        expect(MockWebSocket.instances).toHaveLength(1);
+    });
+});
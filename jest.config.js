@@ -30,6 +30,7 @@ module.exports = {
         '<rootDir>/routes/**/*.test.js',
         '<rootDir>/models/**/*.test.js',
         '<rootDir>/middleware/**/*.test.js',
+        '<rootDir>/utils/**/*.test.js',
         '<rootDir>/client/src/**/*.test.js',
         '<rootDir>/client/src/**/*.test.jsx',
         '<rootDir>/src/**/*.test.js',
@@ -46,6 +47,7 @@ module.exports = {
         'routes/**/*.js',
         'models/**/*.js',
         'middleware/**/*.js',
+        'utils/**/*.js',
         'client/src/**/*.{js,jsx}',
         '!**/*.test.{js,jsx}',
         '!**/node_modules/**',
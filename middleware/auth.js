@@ -1,15 +1,47 @@
 const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
 const User = require('../models/User');
+const RevokedToken = require('../models/RevokedToken');
 
 // Generate JWT token
 const generateToken = (user) => {
     return jwt.sign(
-        { id: user._id, role: user.role },
+        { id: user._id, role: user.role, tv: user.tokenVersion || 0 },
         process.env.JWT_SECRET,
-        { expiresIn: process.env.JWT_EXPIRE }
+        {
+            expiresIn: process.env.JWT_EXPIRE,
+            jwtid: crypto.randomBytes(16).toString('hex')
+        }
     );
 };
 
+// Verify a token and check it against the revocation store.
+// Resolves with the decoded payload and the user it belongs to.
+const verifyToken = async (token) => {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    // Two-factor challenge tokens only prove the password step
+    if (decoded.purpose) {
+        throw new jwt.JsonWebTokenError('Token cannot be used for authentication');
+    }
+
+    const revokedError = new Error('Token has been revoked');
+    revokedError.name = 'TokenRevokedError';
+
+    if (decoded.jti && await RevokedToken.exists({ jti: decoded.jti })) {
+        throw revokedError;
+    }
+
+    const user = await User.findById(decoded.id).select('-password');
+
+    // Tokens signed before the user's last "log out everywhere" are stale
+    if (user && (decoded.tv || 0) !== (user.tokenVersion || 0)) {
+        throw revokedError;
+    }
+
+    return { decoded, user };
+};
+
 // Protect routes - require authentication
 const protect = async (req, res, next) => {
     let token;
@@ -26,11 +58,10 @@ const protect = async (req, res, next) => {
     }
 
     try {
-        // Verify token
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
-
-        // Get user from token
-        req.user = await User.findById(decoded.id).select('-password');
+        // Verify token and get user from it
+        const { decoded, user } = await verifyToken(token);
+        req.user = user;
+        req.tokenPayload = decoded;
 
         if (!req.user) {
             return res.status(404).json({
@@ -53,6 +84,11 @@ const protect = async (req, res, next) => {
                 success: false,
                 message: 'Token expired'
             });
+        } else if (error.name === 'TokenRevokedError') {
+            return res.status(401).json({
+                success: false,
+                message: 'Token has been revoked'
+            });
         } else {
             return res.status(401).json({
                 success: false,
@@ -75,6 +111,24 @@ const authorize = (...roles) => {
     };
 };
 
+// Require a verified email for actions listed in EMAIL_VERIFICATION_REQUIRED_FOR
+// (a comma-separated list such as "post,comment,follow"). Unlisted actions pass.
+const requireVerifiedEmail = (action) => {
+    return (req, res, next) => {
+        const actions = (process.env.EMAIL_VERIFICATION_REQUIRED_FOR || '')
+            .split(',')
+            .map(item => item.trim().toLowerCase());
+
+        if (actions.includes(action) && !req.user.emailVerified) {
+            return res.status(403).json({
+                success: false,
+                message: 'Please verify your email address to continue'
+            });
+        }
+        next();
+    };
+};
+
 // Optional authentication - doesn't fail if no token
 const optionalAuth = async (req, res, next) => {
     let token;
@@ -85,10 +139,11 @@ const optionalAuth = async (req, res, next) => {
 
     if (token) {
         try {
-            const decoded = jwt.verify(token, process.env.JWT_SECRET);
-            req.user = await User.findById(decoded.id).select('-password');
+            const { decoded, user } = await verifyToken(token);
+            req.user = user;
+            req.tokenPayload = decoded;
         } catch (error) {
-            // Token is invalid, but we don't fail the request
+            // Token is invalid or revoked, but we don't fail the request
             req.user = null;
         }
     }
@@ -100,5 +155,7 @@ module.exports = {
     protect,
     authorize,
     optionalAuth,
-    generateToken
+    requireVerifiedEmail,
+    generateToken,
+    verifyToken
 };
@@ -0,0 +1,89 @@
+#!/usr/bin/env node
+
+/**
+ * Comment Migration Script
+ *
+ * Moves comments embedded in post documents (the `comments` array) into the
+ * comments collection as top-level comments, keeping their ids, authors and
+ * timestamps, and records each post's comment count. Posts that were already
+ * migrated have no embedded comments left, so the script can safely be
+ * re-run after an interruption.
+ *
+ * Usage:
+ * node migrate-comments.js            # migrate every post
+ * node migrate-comments.js --dry-run  # only report what would be moved
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Post = require('./models/Post');
+const Comment = require('./models/Comment');
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/mern-app';
+const dryRun = process.argv.includes('--dry-run');
+
+async function migrateComments() {
+    try {
+        await mongoose.connect(MONGODB_URI);
+        console.log('Connected to MongoDB');
+        if (dryRun) {
+            console.log('Dry run: nothing will be changed');
+        }
+
+        // The raw collection is used because the Post schema no longer
+        // reads the embedded format
+        const cursor = Post.collection.find(
+            { comments: { $exists: true } },
+            { projection: { comments: 1 } }
+        );
+
+        let posts = 0;
+        let comments = 0;
+        for await (const doc of cursor) {
+            const embedded = doc.comments || [];
+
+            if (!dryRun) {
+                // Upserts keep ids stable and skip comments copied by an
+                // interrupted earlier run
+                if (embedded.length > 0) {
+                    await Comment.collection.bulkWrite(embedded.map(comment => ({
+                        updateOne: {
+                            filter: { _id: comment._id },
+                            update: {
+                                $setOnInsert: {
+                                    post: doc._id,
+                                    parentId: null,
+                                    postedBy: comment.postedBy,
+                                    text: comment.text,
+                                    likes: [],
+                                    replyCount: 0,
+                                    createdAt: comment.createdAt,
+                                    updatedAt: comment.createdAt
+                                }
+                            },
+                            upsert: true
+                        }
+                    })), { ordered: false });
+                }
+
+                const commentCount = await Comment.countDocuments({ post: doc._id });
+                await Post.collection.updateOne(
+                    { _id: doc._id },
+                    { $set: { commentCount }, $unset: { comments: '' } }
+                );
+            }
+
+            posts++;
+            comments += embedded.length;
+        }
+
+        console.log(`${comments} comment(s) on ${posts} post(s) ${dryRun ? 'to migrate' : 'migrated'}`);
+    } catch (error) {
+        console.error('Comment migration failed:', error.message);
+        process.exitCode = 1;
+    } finally {
+        await mongoose.connection.close();
+    }
+}
+
+migrateComments();
@@ -0,0 +1,82 @@
+#!/usr/bin/env node
+
+/**
+ * Media Migration Script
+ *
+ * Moves photos embedded in post and user documents (as `{ data, contentType }`)
+ * into the configured media storage driver, replacing each with the id of
+ * its new Media document. Documents that were already migrated are skipped,
+ * so the script can safely be re-run after an interruption.
+ *
+ * Usage:
+ * node migrate-media.js            # migrate using MEDIA_STORAGE
+ * node migrate-media.js --dry-run  # only report what would be moved
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Post = require('./models/Post');
+const User = require('./models/User');
+const Media = require('./models/Media');
+const { getDefaultDriverName } = require('./utils/mediaStorage');
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/mern-app';
+const dryRun = process.argv.includes('--dry-run');
+
+// Migrate every embedded photo in one collection. The raw collection is used
+// because the current schemas can no longer read the embedded format.
+async function migrateCollection(Model, ownerField) {
+    const cursor = Model.collection.find(
+        { 'photo.data': { $exists: true } },
+        { projection: { photo: 1, [ownerField]: 1 } }
+    );
+
+    let migrated = 0;
+    for await (const doc of cursor) {
+        const buffer = Buffer.from(doc.photo.data.buffer);
+
+        if (!dryRun) {
+            const media = await Media.store({
+                buffer,
+                contentType: doc.photo.contentType,
+                owner: doc[ownerField]
+            });
+            await Model.collection.updateOne({ _id: doc._id }, { $set: { photo: media._id } });
+        }
+
+        migrated++;
+    }
+
+    // Empty embedded photos carry no data; just drop them
+    if (!dryRun) {
+        await Model.collection.updateMany(
+            { photo: { $type: 'object' }, 'photo.data': { $exists: false } },
+            { $unset: { photo: '' } }
+        );
+    }
+
+    return migrated;
+}
+
+async function migrateMedia() {
+    try {
+        await mongoose.connect(MONGODB_URI);
+        console.log(`Connected to MongoDB; storing media with the "${getDefaultDriverName()}" driver`);
+        if (dryRun) {
+            console.log('Dry run: nothing will be changed');
+        }
+
+        const posts = await migrateCollection(Post, 'postedBy');
+        console.log(`Posts: ${posts} photo(s) ${dryRun ? 'to migrate' : 'migrated'}`);
+
+        const users = await migrateCollection(User, '_id');
+        console.log(`Users: ${users} photo(s) ${dryRun ? 'to migrate' : 'migrated'}`);
+    } catch (error) {
+        console.error('Media migration failed:', error.message);
+        process.exitCode = 1;
+    } finally {
+        await mongoose.connection.close();
+    }
+}
+
+migrateMedia();
@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+const activitySchema = new mongoose.Schema({
+    actor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    type: {
+        type: String,
+        enum: ['post', 'like', 'comment', 'follow', 'unfollow'],
+        required: [true, 'Activity type is required']
+    },
+    targetUser: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    targetPost: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Post'
+    }
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Index for reading the stream of a set of actors newest first
+activitySchema.index({ actor: 1, createdAt: -1 });
+activitySchema.index({ targetPost: 1 });
+activitySchema.index({ targetUser: 1, type: 1, createdAt: -1 });
+
+// Record an activity without ever failing the request that triggered it
+activitySchema.statics.record = async function ({ actor, type, targetUser, targetPost }) {
+    try {
+        return await this.create({ actor, type, targetUser, targetPost });
+    } catch (error) {
+        console.error('Error recording activity:', error.message);
+        return null;
+    }
+};
+
+module.exports = mongoose.model('Activity', activitySchema);
@@ -0,0 +1,112 @@
+const mongoose = require('mongoose');
+const { textEntitiesPlugin } = require('../utils/textEntities');
+
+// A comment on a post, or a reply to another comment. Threads are built
+// from parentId links; the post's commentCount and each comment's
+// replyCount are kept in step as comments are added and removed.
+const commentSchema = new mongoose.Schema({
+    post: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Post',
+        required: true
+    },
+    // Comment this one replies to; null for top-level comments
+    parentId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Comment',
+        default: null
+    },
+    postedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    text: {
+        type: String,
+        required: [true, 'Comment text is required'],
+        maxlength: [500, 'Comment cannot exceed 500 characters']
+    },
+    likes: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }],
+    // Number of direct replies
+    replyCount: {
+        type: Number,
+        default: 0
+    },
+    // When the author last edited the text
+    editedAt: {
+        type: Date
+    },
+    // Held by the content filter: hidden from everyone but its author, and
+    // left out of the counters, until an admin releases it
+    held: {
+        type: Boolean,
+        default: false
+    },
+    // Names of the content filter rules the text matched
+    flags: [{
+        type: String
+    }]
+}, {
+    timestamps: true
+});
+
+// Index for reading one level of a thread newest first, paged on
+// (createdAt, _id)
+commentSchema.index({ post: 1, parentId: 1, createdAt: -1, _id: -1 });
+commentSchema.index({ parentId: 1 });
+
+// Hashtags and mentioned users parsed from the text
+commentSchema.plugin(textEntitiesPlugin);
+
+// Delete a comment together with every reply beneath it, and update the
+// counters of its parent and post. Returns the number of comments removed.
+commentSchema.statics.removeThread = async function (comment) {
+    let ids = [comment._id];
+    let level = [comment._id];
+    while (level.length > 0) {
+        const replies = await this.find({ parentId: { $in: level } }).select('_id');
+        level = replies.map(reply => reply._id);
+        ids = ids.concat(level);
+    }
+
+    // Held comments were never counted, wherever they are in the thread
+    const counted = await this.countDocuments({ _id: { $in: ids }, held: { $ne: true } });
+    await this.deleteMany({ _id: { $in: ids } });
+    if (comment.parentId && !comment.held) {
+        await this.updateOne({ _id: comment.parentId }, { $inc: { replyCount: -1 } });
+    }
+    await mongoose.model('Post').updateOne({ _id: comment.post }, { $inc: { commentCount: -counted } });
+
+    return ids.length;
+};
+
+// Hold a comment for review, or release it, keeping the counters of its
+// parent and post in step
+commentSchema.statics.setHeld = async function (comment, held) {
+    if (comment.held === held) {
+        return;
+    }
+
+    comment.held = held;
+    await this.updateOne({ _id: comment._id }, { held });
+
+    const change = held ? -1 : 1;
+    if (comment.parentId) {
+        await this.updateOne({ _id: comment.parentId }, { $inc: { replyCount: change } });
+    }
+    await mongoose.model('Post').updateOne({ _id: comment.post }, { $inc: { commentCount: change } });
+};
+
+// Virtual for like count
+commentSchema.virtual('likeCount').get(function () {
+    return this.likes.length;
+});
+
+// Ensure virtual fields are serialized
+commentSchema.set('toJSON', { virtuals: true });
+commentSchema.set('toObject', { virtuals: true });
+
+module.exports = mongoose.model('Comment', commentSchema);
@@ -0,0 +1,150 @@
+const mongoose = require('mongoose');
+const Comment = require('./Comment');
+const Post = require('./Post');
+const User = require('./User');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+
+let mongoServer;
+
+beforeAll(async () => {
+    mongoServer = await MongoMemoryServer.create();
+    const mongoUri = mongoServer.getUri();
+    await mongoose.connect(mongoUri);
+});
+
+afterAll(async () => {
+    await mongoose.disconnect();
+    await mongoServer.stop();
+});
+
+beforeEach(async () => {
+    await Comment.deleteMany({});
+    await Post.deleteMany({});
+    await User.deleteMany({});
+});
+
+describe('Comment Model Test', () => {
+    let testUser, testPost;
+
+    beforeEach(async () => {
+        testUser = await new User({
+            username: 'testuser',
+            email: 'test@example.com',
+            password: 'password123',
+            firstName: 'John',
+            lastName: 'Doe'
+        }).save();
+
+        testPost = await new Post({
+            text: 'This is a test post content',
+            postedBy: testUser._id
+        }).save();
+    });
+
+    const validCommentData = () => ({
+        post: testPost._id,
+        postedBy: testUser._id,
+        text: 'This is a test comment'
+    });
+
+    describe('Basic Comment Creation', () => {
+        it('should create a top-level comment with default values', async () => {
+            const comment = await new Comment(validCommentData()).save();
+
+            expect(comment.parentId).toBeNull();
+            expect(comment.likes).toEqual([]);
+            expect(comment.replyCount).toBe(0);
+            expect(comment.createdAt).toBeInstanceOf(Date);
+        });
+
+        it('should include the like count in JSON', async () => {
+            const comment = await new Comment({ ...validCommentData(), likes: [testUser._id] }).save();
+
+            expect(comment.toJSON().likeCount).toBe(1);
+        });
+    });
+
+    describe('Validation', () => {
+        it('should validate comment text length', async () => {
+            const comment = new Comment({ ...validCommentData(), text: 'a'.repeat(501) });
+            let err;
+
+            try {
+                await comment.save();
+            } catch (error) {
+                err = error;
+            }
+
+            expect(err).toBeInstanceOf(mongoose.Error.ValidationError);
+            expect(err.errors.text).toBeDefined();
+        });
+
+        it('should require comment text', async () => {
+            const comment = new Comment({ ...validCommentData(), text: undefined });
+            let err;
+
+            try {
+                await comment.save();
+            } catch (error) {
+                err = error;
+            }
+
+            expect(err).toBeInstanceOf(mongoose.Error.ValidationError);
+            expect(err.errors.text).toBeDefined();
+        });
+
+        it('should require comment postedBy and post', async () => {
+            const comment = new Comment({ text: 'Test comment' });
+            let err;
+
+            try {
+                await comment.save();
+            } catch (error) {
+                err = error;
+            }
+
+            expect(err).toBeInstanceOf(mongoose.Error.ValidationError);
+            expect(err.errors.postedBy).toBeDefined();
+            expect(err.errors.post).toBeDefined();
+        });
+    });
+
+    describe('removeThread', () => {
+        it('should remove a comment with every reply beneath it', async () => {
+            const root = await Comment.create({ ...validCommentData(), replyCount: 1 });
+            const child = await Comment.create({ ...validCommentData(), parentId: root._id, replyCount: 1 });
+            await Comment.create({ ...validCommentData(), parentId: child._id });
+            const other = await Comment.create(validCommentData());
+            await Post.updateOne({ _id: testPost._id }, { commentCount: 4 });
+
+            const removed = await Comment.removeThread(root);
+
+            expect(removed).toBe(3);
+            expect(await Comment.find({ post: testPost._id }).distinct('_id')).toEqual([other._id]);
+            expect((await Post.findById(testPost._id)).commentCount).toBe(1);
+        });
+
+        it('should decrement the parent reply count', async () => {
+            const root = await Comment.create({ ...validCommentData(), replyCount: 1 });
+            const child = await Comment.create({ ...validCommentData(), parentId: root._id });
+            await Post.updateOne({ _id: testPost._id }, { commentCount: 2 });
+
+            await Comment.removeThread(child);
+
+            expect((await Comment.findById(root._id)).replyCount).toBe(0);
+            expect((await Post.findById(testPost._id)).commentCount).toBe(1);
+        });
+
+        it('should not uncount held replies anywhere in the thread', async () => {
+            const root = await Comment.create({ ...validCommentData(), replyCount: 1 });
+            await Comment.create({ ...validCommentData(), parentId: root._id });
+            await Comment.create({ ...validCommentData(), parentId: root._id, held: true });
+            await Post.updateOne({ _id: testPost._id }, { commentCount: 2 });
+
+            const removed = await Comment.removeThread(root);
+
+            expect(removed).toBe(3);
+            expect((await Post.findById(testPost._id)).commentCount).toBe(0);
+        });
+    });
+});
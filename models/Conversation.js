@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+
+// Most people a group conversation can hold, its creator included
+const MAX_PARTICIPANTS = 10;
+
+// A private conversation between two users, or a small group of them.
+// There is at most one direct conversation per pair of users; starting
+// another returns the existing one.
+const conversationSchema = new mongoose.Schema({
+    participants: {
+        type: [{
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        }],
+        validate: {
+            validator: participants => participants.length >= 2 && participants.length <= MAX_PARTICIPANTS,
+            message: `A conversation needs between 2 and ${MAX_PARTICIPANTS} participants`
+        }
+    },
+    isGroup: {
+        type: Boolean,
+        default: false
+    },
+    // Optional name of a group conversation
+    title: {
+        type: String,
+        trim: true,
+        maxlength: [100, 'Title cannot exceed 100 characters']
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    // Sorted ids of the two participants of a direct conversation
+    directKey: {
+        type: String
+    },
+    // Preview of the latest message
+    lastMessage: {
+        text: String,
+        sender: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        createdAt: Date
+    },
+    // Participants who deleted the conversation for themselves; it comes
+    // back for them with the next message
+    hiddenFor: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }],
+    // Time of the latest message, or of starting the conversation.
+    // Listings page on it, so a conversation moves back to the top when a
+    // message arrives.
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// Index for reading a user's conversations by latest activity, paged on
+// (createdAt, _id)
+conversationSchema.index({ participants: 1, createdAt: -1, _id: -1 });
+conversationSchema.index(
+    { directKey: 1 },
+    { unique: true, partialFilterExpression: { directKey: { $type: 'string' } } }
+);
+
+// Key identifying the direct conversation between two users
+conversationSchema.statics.directKeyFor = function (userId, otherId) {
+    return [userId.toString(), otherId.toString()].sort().join(':');
+};
+
+conversationSchema.statics.MAX_PARTICIPANTS = MAX_PARTICIPANTS;
+
+module.exports = mongoose.model('Conversation', conversationSchema);
@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+const Conversation = require('./Conversation');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+
+let mongoServer;
+
+beforeAll(async () => {
+    mongoServer = await MongoMemoryServer.create();
+    await mongoose.connect(mongoServer.getUri());
+    await Conversation.init();
+});
+
+afterAll(async () => {
+    await mongoose.disconnect();
+    await mongoServer.stop();
+});
+
+beforeEach(async () => {
+    await Conversation.deleteMany({});
+});
+
+describe('Conversation Model Test', () => {
+    const [alice, bob] = Array.from({ length: 2 }, () => new mongoose.Types.ObjectId());
+
+    it('should require at least two participants', async () => {
+        const conversation = new Conversation({ participants: [alice], createdBy: alice });
+
+        await expect(conversation.save()).rejects.toThrow('between 2 and');
+    });
+
+    it('should cap the size of a group', async () => {
+        const participants = Array.from({ length: Conversation.MAX_PARTICIPANTS + 1 }, () => new mongoose.Types.ObjectId());
+        const conversation = new Conversation({ participants, isGroup: true, createdBy: participants[0] });
+
+        await expect(conversation.save()).rejects.toThrow('between 2 and');
+    });
+
+    it('should give both users the same direct key', () => {
+        expect(Conversation.directKeyFor(alice, bob)).toBe(Conversation.directKeyFor(bob, alice));
+    });
+
+    it('should allow one direct conversation per pair', async () => {
+        const directKey = Conversation.directKeyFor(alice, bob);
+        await Conversation.create({ participants: [alice, bob], createdBy: alice, directKey });
+
+        await expect(Conversation.create({ participants: [bob, alice], createdBy: bob, directKey }))
+            .rejects.toMatchObject({ code: 11000 });
+    });
+
+    it('should allow any number of group conversations', async () => {
+        const carol = new mongoose.Types.ObjectId();
+        await Conversation.create({ participants: [alice, bob, carol], isGroup: true, createdBy: alice });
+        await Conversation.create({ participants: [alice, bob, carol], isGroup: true, createdBy: alice });
+
+        expect(await Conversation.countDocuments({})).toBe(2);
+    });
+});
@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+const { getDefaultDriverName, getDriver } = require('../utils/mediaStorage');
+
+// Metadata for an uploaded file. The bytes live in a storage driver;
+// posts and users only keep the id of their Media document.
+const mediaSchema = new mongoose.Schema({
+    // Storage driver holding the bytes, so media stay readable after
+    // MEDIA_STORAGE is switched to another driver
+    driver: {
+        type: String,
+        required: true
+    },
+    key: {
+        type: String,
+        required: true
+    },
+    contentType: {
+        type: String,
+        required: true
+    },
+    size: {
+        type: Number,
+        required: true
+    },
+    owner: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+mediaSchema.index({ owner: 1 });
+
+// Save a file through the configured driver and record it
+mediaSchema.statics.store = async function ({ buffer, contentType, owner }) {
+    const media = new this({
+        driver: getDefaultDriverName(),
+        contentType: contentType || 'application/octet-stream',
+        size: buffer.length,
+        owner
+    });
+    media.key = media._id.toString();
+
+    await getDriver(media.driver).save(media.key, buffer, media.contentType);
+    await media.save();
+
+    return media;
+};
+
+// Open a stored file. Resolves with the Media document and a readable
+// stream of its bytes, or null if either is missing.
+mediaSchema.statics.open = async function (id) {
+    const media = await this.findById(id);
+    if (!media) {
+        return null;
+    }
+
+    const stream = await getDriver(media.driver).createReadStream(media.key);
+    return stream ? { media, stream } : null;
+};
+
+// Delete a file and its record; a no-op for missing ids
+mediaSchema.statics.discard = async function (id) {
+    if (!id) {
+        return;
+    }
+
+    const media = await this.findById(id);
+    if (!media) {
+        return;
+    }
+
+    await getDriver(media.driver).remove(media.key);
+    await media.deleteOne();
+};
+
+module.exports = mongoose.model('Media', mediaSchema);
@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+// A message in a conversation. Messages are never removed for everyone;
+// deleting one hides it from the participant who deleted it.
+const messageSchema = new mongoose.Schema({
+    conversation: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Conversation',
+        required: true
+    },
+    sender: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    text: {
+        type: String,
+        trim: true,
+        required: [true, 'Message text is required'],
+        maxlength: [2000, 'Message cannot exceed 2000 characters']
+    },
+    // Participants other than the sender who have read the message
+    readBy: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }],
+    // Participants who deleted the message for themselves
+    deletedFor: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }]
+}, {
+    timestamps: true
+});
+
+// Index for reading a conversation newest first, paged on (createdAt, _id)
+messageSchema.index({ conversation: 1, createdAt: -1, _id: -1 });
+
+// Messages of a conversation a user can still see
+messageSchema.statics.visibleFilter = function (conversationId, userId, extra = {}) {
+    return { conversation: conversationId, deletedFor: { $ne: userId }, ...extra };
+};
+
+// Messages of a conversation the user has not read yet
+messageSchema.statics.unreadFilter = function (conversationId, userId) {
+    return this.visibleFilter(conversationId, userId, {
+        sender: { $ne: userId },
+        readBy: { $ne: userId }
+    });
+};
+
+module.exports = mongoose.model('Message', messageSchema);
@@ -0,0 +1,125 @@
+const mongoose = require('mongoose');
+const User = require('./User');
+const realtime = require('../utils/realtime');
+
+// Something a user should be told about: a new follower, a follow request
+// or its approval, or a like, comment, reply or mention on one of their
+// posts. While a notification is
+// unread, repeats of the same event (the same type on the same post) are
+// folded into it, so it reads "5 people liked your post".
+const notificationSchema = new mongoose.Schema({
+    recipient: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    type: {
+        type: String,
+        enum: ['follow', 'follow_request', 'follow_accept', 'like', 'comment', 'reply', 'mention'],
+        required: [true, 'Notification type is required']
+    },
+    // Post the event happened on; null for follows and follow requests
+    post: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Post',
+        default: null
+    },
+    // Latest comment behind a comment, reply or mention notification
+    comment: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Comment'
+    },
+    // Users behind the event, most recent first
+    actors: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }],
+    actorCount: {
+        type: Number,
+        default: 0
+    },
+    read: {
+        type: Boolean,
+        default: false
+    },
+    readAt: {
+        type: Date
+    },
+    // Time of the latest event in the group. Listings page on it, so a
+    // notification moves back to the top when someone else joins it.
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// Index for reading a user's notifications newest first, paged on
+// (createdAt, _id)
+notificationSchema.index({ recipient: 1, createdAt: -1, _id: -1 });
+notificationSchema.index({ recipient: 1, read: 1 });
+notificationSchema.index({ post: 1 });
+// At most one unread group per event, so concurrent events can't split it
+notificationSchema.index(
+    { recipient: 1, type: 1, post: 1 },
+    { unique: true, partialFilterExpression: { read: false } }
+);
+
+// Tell a user about an event without ever failing the request that
+// triggered it. Nobody is told about their own actions, and an actor
+// already in the unread group is not counted twice.
+notificationSchema.statics.notify = async function ({ recipient, actor, type, post = null, comment }) {
+    if (!recipient || !actor || recipient.toString() === actor.toString()) {
+        return null;
+    }
+
+    try {
+        // Nothing reaches a user from someone blocked either way, as with
+        // mentions of them
+        const blocked = await User.exists({
+            _id: recipient,
+            $or: [{ blocked: actor }, { blockedBy: actor }]
+        });
+        if (blocked) {
+            return null;
+        }
+
+        const notification = await this.findOneAndUpdate(
+            { recipient, type, post, read: false, actors: { $ne: actor } },
+            {
+                $push: { actors: { $each: [actor], $position: 0 } },
+                $inc: { actorCount: 1 },
+                $set: { createdAt: new Date(), ...(comment && { comment }) }
+            },
+            { upsert: true, new: true }
+        );
+        await realtime.unreadCountChanged(recipient);
+        return notification;
+    } catch (error) {
+        // The upsert runs into the unread group when the actor is already
+        // part of it; there is nothing new to tell
+        if (error.code !== 11000) {
+            console.error('Error creating notification:', error.message);
+        }
+        return null;
+    }
+};
+
+// Take an actor back out of an unread group, as when a like is withdrawn,
+// removing the notification once nobody is left in it
+notificationSchema.statics.retract = async function ({ recipient, actor, type, post = null }) {
+    try {
+        const notification = await this.findOneAndUpdate(
+            { recipient, type, post, read: false, actors: actor },
+            { $pull: { actors: actor }, $inc: { actorCount: -1 } },
+            { new: true }
+        );
+        if (notification && notification.actorCount <= 0) {
+            await this.deleteOne({ _id: notification._id });
+            await realtime.unreadCountChanged(recipient);
+        }
+    } catch (error) {
+        console.error('Error retracting notification:', error.message);
+    }
+};
+
+module.exports = mongoose.model('Notification', notificationSchema);
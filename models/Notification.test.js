@@ -0,0 +1,125 @@
+const mongoose = require('mongoose');
+const Notification = require('./Notification');
+const User = require('./User');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+
+let mongoServer;
+
+beforeAll(async () => {
+    mongoServer = await MongoMemoryServer.create();
+    await mongoose.connect(mongoServer.getUri());
+    // Grouping relies on the unique index over unread notifications
+    await Notification.init();
+});
+
+afterAll(async () => {
+    await mongoose.disconnect();
+    await mongoServer.stop();
+});
+
+beforeEach(async () => {
+    await Notification.deleteMany({});
+});
+
+describe('Notification Model Test', () => {
+    const recipient = new mongoose.Types.ObjectId();
+    const post = new mongoose.Types.ObjectId();
+    const [alice, bob, carol] = Array.from({ length: 3 }, () => new mongoose.Types.ObjectId());
+
+    describe('notify', () => {
+        it('should create an unread notification', async () => {
+            const notification = await Notification.notify({ recipient, actor: alice, type: 'like', post });
+
+            expect(notification.read).toBe(false);
+            expect(notification.actorCount).toBe(1);
+            expect(notification.actors.map(String)).toEqual([alice.toString()]);
+        });
+
+        it('should group repeated events, latest actor first', async () => {
+            await Notification.notify({ recipient, actor: alice, type: 'like', post });
+            await Notification.notify({ recipient, actor: bob, type: 'like', post });
+            await Notification.notify({ recipient, actor: carol, type: 'like', post });
+
+            const notifications = await Notification.find({ recipient });
+            expect(notifications).toHaveLength(1);
+            expect(notifications[0].actorCount).toBe(3);
+            expect(notifications[0].actors.map(String)).toEqual([carol, bob, alice].map(String));
+        });
+
+        it('should not count the same actor twice', async () => {
+            await Notification.notify({ recipient, actor: alice, type: 'like', post });
+            const repeated = await Notification.notify({ recipient, actor: alice, type: 'like', post });
+
+            expect(repeated).toBeNull();
+            const notifications = await Notification.find({ recipient });
+            expect(notifications).toHaveLength(1);
+            expect(notifications[0].actorCount).toBe(1);
+        });
+
+        it('should start a new group once the old one is read', async () => {
+            await Notification.notify({ recipient, actor: alice, type: 'like', post });
+            await Notification.updateMany({ recipient }, { read: true });
+
+            await Notification.notify({ recipient, actor: bob, type: 'like', post });
+
+            expect(await Notification.countDocuments({ recipient })).toBe(2);
+            expect(await Notification.countDocuments({ recipient, read: false })).toBe(1);
+        });
+
+        it('should keep different events and posts apart', async () => {
+            await Notification.notify({ recipient, actor: alice, type: 'like', post });
+            await Notification.notify({ recipient, actor: alice, type: 'comment', post });
+            await Notification.notify({ recipient, actor: alice, type: 'like', post: new mongoose.Types.ObjectId() });
+            await Notification.notify({ recipient, actor: alice, type: 'follow' });
+
+            expect(await Notification.countDocuments({ recipient })).toBe(4);
+        });
+
+        it('should not tell users about their own actions', async () => {
+            const notification = await Notification.notify({ recipient, actor: recipient, type: 'like', post });
+
+            expect(notification).toBeNull();
+            expect(await Notification.countDocuments({})).toBe(0);
+        });
+
+        it('should not tell users about someone blocked either way', async () => {
+            await User.collection.insertOne({ _id: recipient, blocked: [alice], blockedBy: [bob] });
+
+            await Notification.notify({ recipient, actor: alice, type: 'like', post });
+            await Notification.notify({ recipient, actor: bob, type: 'follow' });
+
+            expect(await Notification.countDocuments({})).toBe(0);
+            await User.collection.deleteOne({ _id: recipient });
+        });
+    });
+
+    describe('retract', () => {
+        it('should take an actor out of the group', async () => {
+            await Notification.notify({ recipient, actor: alice, type: 'like', post });
+            await Notification.notify({ recipient, actor: bob, type: 'like', post });
+
+            await Notification.retract({ recipient, actor: alice, type: 'like', post });
+
+            const notification = await Notification.findOne({ recipient });
+            expect(notification.actorCount).toBe(1);
+            expect(notification.actors.map(String)).toEqual([bob.toString()]);
+        });
+
+        it('should remove a group left empty', async () => {
+            await Notification.notify({ recipient, actor: alice, type: 'follow' });
+
+            await Notification.retract({ recipient, actor: alice, type: 'follow' });
+
+            expect(await Notification.countDocuments({})).toBe(0);
+        });
+
+        it('should leave read notifications alone', async () => {
+            await Notification.notify({ recipient, actor: alice, type: 'follow' });
+            await Notification.updateMany({ recipient }, { read: true });
+
+            await Notification.retract({ recipient, actor: alice, type: 'follow' });
+
+            expect(await Notification.countDocuments({})).toBe(1);
+        });
+    });
+});
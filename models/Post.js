@@ -1,6 +1,12 @@
 const mongoose = require('mongoose');
+const { textEntitiesPlugin } = require('../utils/textEntities');
 
 const postSchema = new mongoose.Schema({
+    title: {
+        type: String,
+        trim: true,
+        maxlength: [200, 'Title cannot exceed 200 characters']
+    },
     text: {
         type: String,
         required: [true, 'Text is required'],
@@ -11,38 +17,104 @@ const postSchema = new mongoose.Schema({
         ref: 'User',
         required: true
     },
+    // Uploaded image, kept in media storage
     photo: {
-        data: Buffer,
-        contentType: String
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Media'
+    },
+    category: {
+        type: String,
+        trim: true,
+        lowercase: true,
+        maxlength: [50, 'Category cannot exceed 50 characters']
+    },
+    tags: [{
+        type: String,
+        trim: true,
+        lowercase: true,
+        maxlength: [30, 'Tag cannot exceed 30 characters']
+    }],
+    // Only published posts are shown to other users; drafts, scheduled,
+    // archived posts and posts held by the content filter are visible to
+    // their author alone
+    status: {
+        type: String,
+        enum: ['draft', 'scheduled', 'published', 'archived', 'held'],
+        default: 'published'
+    },
+    // Names of the content filter rules the text matched
+    flags: [{
+        type: String
+    }],
+    // When a scheduled post is due to be published
+    publishAt: {
+        type: Date
+    },
+    // When the author last edited the post after publishing it; prior
+    // versions are kept as PostRevision documents
+    editedAt: {
+        type: Date
+    },
+    // Position in feeds and listings. Reset when a draft or scheduled post
+    // is published, so it enters feeds as a new post.
+    createdAt: {
+        type: Date,
+        default: Date.now
     },
     likes: [{
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User'
     }],
-    comments: [{
-        text: {
-            type: String,
-            required: true,
-            maxlength: [500, 'Comment cannot exceed 500 characters']
-        },
-        postedBy: {
-            type: mongoose.Schema.Types.ObjectId,
-            ref: 'User',
-            required: true
-        },
-        createdAt: {
-            type: Date,
-            default: Date.now
-        }
-    }]
+    // Number of comments and replies, kept in step by the Comment model
+    commentCount: {
+        type: Number,
+        default: 0
+    }
 }, {
-    timestamps: true
+    timestamps: { createdAt: false, updatedAt: true }
 });
 
-// Virtual for comment count
-postSchema.virtual('commentCount').get(function () {
-    return this.comments.length;
-});
+// Indexes for feed queries and the trending topics window scan. Listings
+// page on (createdAt, _id), so _id breaks ties between equal timestamps.
+postSchema.index({ createdAt: -1, _id: -1 });
+postSchema.index({ postedBy: 1, createdAt: -1, _id: -1 });
+postSchema.index({ status: 1, publishAt: 1 });
+postSchema.index({ category: 1 });
+postSchema.index({ tags: 1 });
+
+// Hashtags and mentioned users parsed from the text
+postSchema.plugin(textEntitiesPlugin);
+
+// Full-text index for search, ranking matches in the title and tags above
+// matches in the body
+postSchema.index(
+    { title: 'text', tags: 'text', hashtags: 'text', text: 'text' },
+    { name: 'post_search', weights: { title: 5, tags: 3, hashtags: 3, text: 1 } }
+);
+
+// Condition matching posts visible to everyone. Posts saved before
+// statuses existed have none and count as published.
+postSchema.statics.publishedFilter = function (filter = {}) {
+    return { ...filter, status: { $in: ['published', null] } };
+};
+
+// Whether a user may see this post
+postSchema.methods.isVisibleTo = function (userId) {
+    const author = this.postedBy?._id || this.postedBy;
+    return this.status === 'published' || (!!userId && author?.toString() === userId.toString());
+};
+
+// Delete a post together with its comments, revisions, activity,
+// notifications, timeline entries and photo
+postSchema.statics.removeWithContent = async function (post) {
+    await this.deleteOne({ _id: post._id });
+    await mongoose.model('Activity').deleteMany({ targetPost: post._id });
+    await mongoose.model('TimelineEntry').deleteMany({ post: post._id });
+    await mongoose.model('PostRevision').deleteMany({ post: post._id });
+    await mongoose.model('Comment').deleteMany({ post: post._id });
+    await mongoose.model('Notification').deleteMany({ post: post._id });
+    await mongoose.model('Media').discard(post.photo);
+};
 
 // Virtual for like count
 postSchema.virtual('likeCount').get(function () {
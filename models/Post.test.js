@@ -48,7 +48,7 @@ describe('Post Model Test', () => {
             expect(savedPost.text).toBe(validPostData(testUser._id).text);
             expect(savedPost.postedBy).toEqual(testUser._id);
             expect(savedPost.likes).toEqual([]);
-            expect(savedPost.comments).toEqual([]);
+            expect(savedPost.commentCount).toBe(0);
         });
 
         it('should create a post with default values', async () => {
@@ -56,7 +56,7 @@ describe('Post Model Test', () => {
             const savedPost = await post.save();
 
             expect(savedPost.likes).toEqual([]);
-            expect(savedPost.comments).toEqual([]);
+            expect(savedPost.commentCount).toBe(0);
             expect(savedPost.createdAt).toBeDefined();
             expect(savedPost.updatedAt).toBeDefined();
         });
@@ -92,46 +92,22 @@ describe('Post Model Test', () => {
             expect(updatedPost.likes).toContainEqual(testUser._id);
         });
 
-        it('should handle comments array', async () => {
-            const post = new Post(validPostData(testUser._id));
-            const savedPost = await post.save();
-
-            const comment = {
-                text: 'This is a test comment',
-                postedBy: testUser._id,
-                createdAt: new Date()
-            };
-
-            savedPost.comments.push(comment);
-            await savedPost.save();
+        it('should parse hashtags and mentions from the text', async () => {
+            const post = await new Post({
+                ...validPostData(testUser._id),
+                text: 'Hello #World from @TestUser and @stranger'
+            }).save();
 
-            const updatedPost = await Post.findById(savedPost._id);
-            expect(updatedPost.comments).toHaveLength(1);
-            expect(updatedPost.comments[0].text).toBe(comment.text);
-            expect(updatedPost.comments[0].postedBy).toEqual(testUser._id);
+            expect(post.hashtags).toEqual(['world']);
+            expect(post.mentions.map(String)).toEqual([testUser._id.toString()]);
         });
 
-        it('should handle multiple comments', async () => {
-            const post = new Post(validPostData(testUser._id));
-            const savedPost = await post.save();
-
-            const comment1 = {
-                text: 'First comment',
-                postedBy: testUser._id,
-                createdAt: new Date()
-            };
-
-            const comment2 = {
-                text: 'Second comment',
-                postedBy: testUser._id,
-                createdAt: new Date()
-            };
-
-            savedPost.comments.push(comment1, comment2);
-            await savedPost.save();
+        it('should parse the text again when it changes', async () => {
+            const post = await new Post({ ...validPostData(testUser._id), text: '#first' }).save();
 
-            const updatedPost = await Post.findById(savedPost._id);
-            expect(updatedPost.comments).toHaveLength(2);
+            post.text = '#second';
+            await post.save();
+            expect(post.hashtags).toEqual(['second']);
         });
     });
 
@@ -187,87 +163,9 @@ describe('Post Model Test', () => {
             expect(err).toBeInstanceOf(mongoose.Error.ValidationError);
             expect(err.errors.text).toBeDefined();
         });
-
-        it('should validate comment text length', async () => {
-            const post = new Post(validPostData(testUser._id));
-            const savedPost = await post.save();
-
-            const longCommentText = 'a'.repeat(501);
-            const comment = {
-                text: longCommentText,
-                postedBy: testUser._id
-            };
-
-            savedPost.comments.push(comment);
-            let err;
-
-            try {
-                await savedPost.save();
-            } catch (error) {
-                err = error;
-            }
-
-            expect(err).toBeInstanceOf(mongoose.Error.ValidationError);
-        });
-
-        it('should require comment text', async () => {
-            const post = new Post(validPostData(testUser._id));
-            const savedPost = await post.save();
-
-            const comment = {
-                postedBy: testUser._id
-            };
-
-            savedPost.comments.push(comment);
-            let err;
-
-            try {
-                await savedPost.save();
-            } catch (error) {
-                err = error;
-            }
-
-            expect(err).toBeInstanceOf(mongoose.Error.ValidationError);
-        });
-
-        it('should require comment postedBy', async () => {
-            const post = new Post(validPostData(testUser._id));
-            const savedPost = await post.save();
-
-            const comment = {
-                text: 'Test comment'
-            };
-
-            savedPost.comments.push(comment);
-            let err;
-
-            try {
-                await savedPost.save();
-            } catch (error) {
-                err = error;
-            }
-
-            expect(err).toBeInstanceOf(mongoose.Error.ValidationError);
-        });
     });
 
     describe('Virtual Fields', () => {
-        it('should calculate comment count', async () => {
-            const post = new Post(validPostData(testUser._id));
-            const savedPost = await post.save();
-
-            expect(savedPost.commentCount).toBe(0);
-
-            savedPost.comments.push({
-                text: 'Test comment',
-                postedBy: testUser._id
-            });
-            await savedPost.save();
-
-            const updatedPost = await Post.findById(savedPost._id);
-            expect(updatedPost.commentCount).toBe(1);
-        });
-
         it('should calculate like count', async () => {
             const post = new Post(validPostData(testUser._id));
             const savedPost = await post.save();
@@ -288,10 +186,7 @@ describe('Post Model Test', () => {
             const savedPost = await post.save();
 
             savedPost.likes.push(testUser._id);
-            savedPost.comments.push({
-                text: 'Test comment',
-                postedBy: testUser._id
-            });
+            savedPost.commentCount = 1;
             await savedPost.save();
 
             const postJson = savedPost.toJSON();
@@ -327,25 +222,6 @@ describe('Post Model Test', () => {
         });
     });
 
-    describe('Comment Timestamps', () => {
-        it('should add timestamps to comments', async () => {
-            const post = new Post(validPostData(testUser._id));
-            const savedPost = await post.save();
-
-            const comment = {
-                text: 'Test comment',
-                postedBy: testUser._id
-            };
-
-            savedPost.comments.push(comment);
-            await savedPost.save();
-
-            const updatedPost = await Post.findById(savedPost._id);
-            expect(updatedPost.comments[0].createdAt).toBeDefined();
-            expect(updatedPost.comments[0].createdAt).toBeInstanceOf(Date);
-        });
-    });
-
     describe('Database Integration Tests', () => {
         it('should create multiple posts without database index conflicts', async () => {
             // This test ensures that post creation works without any database index issues
@@ -500,25 +376,20 @@ describe('Post Model Test', () => {
             expect(typeof post.text).toBe('string');
             expect(post.postedBy).toBeDefined();
             expect(Array.isArray(post.likes)).toBe(true);
-            expect(Array.isArray(post.comments)).toBe(true);
+            expect(typeof post.commentCount).toBe('number');
             expect(post.createdAt).toBeInstanceOf(Date);
             expect(post.updatedAt).toBeInstanceOf(Date);
 
-            // Verify virtual fields work correctly
+            // Verify counts start at zero
             expect(post.commentCount).toBe(0);
             expect(post.likeCount).toBe(0);
 
-            // Add a like and comment to test virtual fields
+            // Add a like to test the virtual field
             post.likes.push(testUser._id);
-            post.comments.push({
-                text: 'Test comment',
-                postedBy: testUser._id
-            });
             await post.save();
 
-            // Verify virtual fields update correctly
+            // Verify the virtual field updates correctly
             expect(post.likeCount).toBe(1);
-            expect(post.commentCount).toBe(1);
         });
     });
 }); 
\ No newline at end of file
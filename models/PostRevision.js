@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+// A prior version of an edited post. Each edit stores the content as it
+// was before the change, along with who made the change and when.
+const postRevisionSchema = new mongoose.Schema({
+    post: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Post',
+        required: true
+    },
+    // User whose edit replaced this version
+    editedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    title: {
+        type: String
+    },
+    text: {
+        type: String,
+        required: true
+    },
+    category: {
+        type: String
+    },
+    tags: [{
+        type: String
+    }]
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Index for reading a post's history newest first, paged on (createdAt, _id)
+postRevisionSchema.index({ post: 1, createdAt: -1, _id: -1 });
+
+module.exports = mongoose.model('PostRevision', postRevisionSchema);
@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const refreshTokenSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    tokenHash: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    // Every token rotated from the same login shares one family
+    family: {
+        type: String,
+        required: true
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    revokedAt: {
+        type: Date,
+        default: null
+    },
+    replacedBy: {
+        type: String,
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+refreshTokenSchema.index({ family: 1 });
+refreshTokenSchema.index({ user: 1 });
+
+// Let MongoDB purge tokens once they have expired
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Hash a raw refresh token for storage and lookup
+refreshTokenSchema.statics.hashToken = function (token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Issue a new refresh token for a user, optionally continuing a family
+refreshTokenSchema.statics.issue = async function (userId, family) {
+    const token = crypto.randomBytes(40).toString('hex');
+    const days = parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS) || 30;
+
+    const doc = await this.create({
+        user: userId,
+        tokenHash: this.hashToken(token),
+        family: family || crypto.randomBytes(16).toString('hex'),
+        expiresAt: new Date(Date.now() + days * 24 * 60 * 60 * 1000)
+    });
+
+    return { token, doc };
+};
+
+// Revoke every token in a family (used when a rotated token is replayed)
+refreshTokenSchema.statics.revokeFamily = function (family) {
+    return this.updateMany(
+        { family, revokedAt: null },
+        { revokedAt: new Date() }
+    );
+};
+
+// Virtual for whether the token can still be used
+refreshTokenSchema.virtual('isActive').get(function () {
+    return !this.revokedAt && this.expiresAt > new Date();
+});
+
+module.exports = mongoose.model('RefreshToken', refreshTokenSchema);
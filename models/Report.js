@@ -0,0 +1,164 @@
+const mongoose = require('mongoose');
+
+// Model holding each kind of reportable content
+const TARGET_MODELS = {
+    post: 'Post',
+    comment: 'Comment',
+    user: 'User'
+};
+
+const REASONS = ['spam', 'harassment', 'hate', 'violence', 'nudity', 'misinformation', 'other'];
+
+// What an admin can do to close a report, and the history entry it leaves
+const RESOLUTION_ACTIONS = {
+    dismiss: 'dismissed',
+    remove_content: 'content_removed',
+    suspend_author: 'author_suspended'
+};
+
+// One step in the life of a report, kept as its audit trail
+const historyEntrySchema = new mongoose.Schema({
+    action: {
+        type: String,
+        enum: ['reported', 'held', 'assigned', 'unassigned', ...Object.values(RESOLUTION_ACTIONS)],
+        required: true
+    },
+    // Who took the step; none when the content filter held the content
+    by: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    // Admin assigned to the report, for "assigned" entries
+    assignee: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    note: {
+        type: String,
+        trim: true,
+        maxlength: [1000, 'Note cannot exceed 1000 characters']
+    },
+    at: {
+        type: Date,
+        default: Date.now
+    }
+}, { _id: false });
+
+// A user flagging a post, comment or user for the admins to review, or
+// the content filter holding a post or comment back until an admin looks
+// at it. A user has at most one open report against the same target.
+// Admins work through open reports in the moderation queue, assign them
+// and close them by dismissing them (which releases held content) or
+// acting on the content or its author.
+const reportSchema = new mongoose.Schema({
+    targetType: {
+        type: String,
+        enum: Object.keys(TARGET_MODELS),
+        required: [true, 'Target type is required']
+    },
+    target: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: function () {
+            return TARGET_MODELS[this.targetType];
+        },
+        required: true
+    },
+    // Author of the reported post or comment, or the reported user
+    targetAuthor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    // Who filed the report: a user, or the content filter
+    source: {
+        type: String,
+        enum: ['user', 'filter'],
+        default: 'user'
+    },
+    // Reporting user; none for reports filed by the content filter
+    reporter: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: function () {
+            return this.source === 'user';
+        }
+    },
+    reason: {
+        type: String,
+        enum: REASONS,
+        required: [true, 'Reason is required']
+    },
+    details: {
+        type: String,
+        trim: true,
+        maxlength: [1000, 'Details cannot exceed 1000 characters']
+    },
+    status: {
+        type: String,
+        enum: ['open', 'dismissed', 'resolved'],
+        default: 'open'
+    },
+    assignee: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    resolution: {
+        action: {
+            type: String,
+            enum: Object.keys(RESOLUTION_ACTIONS)
+        },
+        note: String,
+        by: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        at: Date
+    },
+    history: [historyEntrySchema],
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// Index for the moderation queue, paged on (createdAt, _id)
+reportSchema.index({ status: 1, createdAt: -1, _id: -1 });
+reportSchema.index({ target: 1, status: 1 });
+reportSchema.index(
+    { reporter: 1, target: 1 },
+    { unique: true, partialFilterExpression: { status: 'open' } }
+);
+
+// Put content held by the content filter in the moderation queue. Holding
+// it again while it waits there adds to the open report.
+reportSchema.statics.holdForReview = async function ({ targetType, target, targetAuthor, reasons }) {
+    const note = reasons.join('; ');
+    await this.updateOne(
+        { target, source: 'filter', status: 'open' },
+        {
+            $setOnInsert: { targetType, targetAuthor, reason: 'other' },
+            $set: { details: note },
+            $push: { history: { action: 'held', note, at: new Date() } }
+        },
+        { upsert: true }
+    );
+};
+
+// Update closing reports with an admin's action, recorded in their history
+reportSchema.statics.closeUpdate = function ({ action, by, note }) {
+    const at = new Date();
+    return {
+        $set: {
+            status: action === 'dismiss' ? 'dismissed' : 'resolved',
+            resolution: { action, note, by, at }
+        },
+        $push: { history: { action: RESOLUTION_ACTIONS[action], by, note, at } }
+    };
+};
+
+reportSchema.statics.TARGET_MODELS = TARGET_MODELS;
+reportSchema.statics.REASONS = REASONS;
+reportSchema.statics.RESOLUTION_ACTIONS = Object.keys(RESOLUTION_ACTIONS);
+
+module.exports = mongoose.model('Report', reportSchema);
@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+const Report = require('./Report');
+const Post = require('./Post');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+
+let mongoServer;
+
+beforeAll(async () => {
+    mongoServer = await MongoMemoryServer.create();
+    await mongoose.connect(mongoServer.getUri());
+    await Report.init();
+});
+
+afterAll(async () => {
+    await mongoose.disconnect();
+    await mongoServer.stop();
+});
+
+beforeEach(async () => {
+    await Report.deleteMany({});
+});
+
+describe('Report Model Test', () => {
+    const [reporter, author, target, admin] = Array.from({ length: 4 }, () => new mongoose.Types.ObjectId());
+    const fields = () => ({ targetType: 'post', target, targetAuthor: author, reporter, reason: 'spam' });
+
+    it('should require a known reason', async () => {
+        const report = new Report({ ...fields(), reason: 'boring' });
+
+        await expect(report.save()).rejects.toThrow('is not a valid enum value');
+    });
+
+    it('should allow one open report per reporter and target', async () => {
+        await Report.create(fields());
+
+        await expect(Report.create(fields())).rejects.toMatchObject({ code: 11000 });
+    });
+
+    it('should allow reporting again once the earlier report is closed', async () => {
+        const first = await Report.create(fields());
+        await Report.updateOne({ _id: first._id }, Report.closeUpdate({ action: 'dismiss', by: admin }));
+
+        await Report.create(fields());
+
+        expect(await Report.countDocuments({})).toBe(2);
+    });
+
+    it('should record the closing action in the history', async () => {
+        const report = await Report.create(fields());
+
+        await Report.updateOne({ _id: report._id }, Report.closeUpdate({ action: 'remove_content', by: admin, note: 'Spam' }));
+
+        const closed = await Report.findById(report._id);
+        expect(closed.status).toBe('resolved');
+        expect(closed.resolution.action).toBe('remove_content');
+        expect(closed.history.map(entry => entry.action)).toEqual(['content_removed']);
+        expect(closed.history[0].note).toBe('Spam');
+    });
+
+    it('should populate the reported content from its type', async () => {
+        const post = await Post.create({ title: 'Reported', text: 'Reported post', postedBy: author });
+        const report = await Report.create({ ...fields(), target: post._id });
+
+        await report.populate('target');
+
+        expect(report.target.title).toBe('Reported');
+        await Post.deleteMany({});
+    });
+
+    it('should keep one open filter report per held target', async () => {
+        const held = { targetType: 'comment', target, targetAuthor: author };
+        await Report.holdForReview({ ...held, reasons: ['Text contains more than 5 links'] });
+        await Report.holdForReview({ ...held, reasons: ['Text contains a banned word'] });
+
+        const reports = await Report.find({ target });
+        expect(reports).toHaveLength(1);
+        expect(reports[0].source).toBe('filter');
+        expect(reports[0].reporter).toBeUndefined();
+        expect(reports[0].details).toBe('Text contains a banned word');
+        expect(reports[0].history.map(entry => entry.action)).toEqual(['held', 'held']);
+    });
+
+    it('should require a reporter on user reports', async () => {
+        const report = new Report({ ...fields(), reporter: undefined });
+
+        await expect(report.save()).rejects.toThrow('reporter');
+    });
+});
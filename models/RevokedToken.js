@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+
+// Access tokens revoked before their natural expiry (e.g. on logout).
+// Entries only need to live as long as the token itself would have.
+const revokedTokenSchema = new mongoose.Schema({
+    jti: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+}, {
+    timestamps: true
+});
+
+// Let MongoDB purge entries once the revoked token would have expired anyway
+revokedTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RevokedToken', revokedTokenSchema);
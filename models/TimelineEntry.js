@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+// One post in one user's pre-materialized newsfeed. Entries are written
+// when a post is created (fan-out-on-write) and when a user follows
+// someone; see utils/timeline.js.
+const timelineEntrySchema = new mongoose.Schema({
+    // User whose feed the entry belongs to
+    owner: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    post: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Post',
+        required: true
+    },
+    author: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    // Creation time of the post, so a feed reads in post order
+    createdAt: {
+        type: Date,
+        required: true
+    }
+});
+
+// Index for reading a feed newest first, paged on (createdAt, post)
+timelineEntrySchema.index({ owner: 1, createdAt: -1, post: -1 });
+timelineEntrySchema.index({ owner: 1, post: 1 }, { unique: true });
+timelineEntrySchema.index({ owner: 1, author: 1 });
+timelineEntrySchema.index({ post: 1 });
+timelineEntrySchema.index({ author: 1 });
+
+module.exports = mongoose.model('TimelineEntry', timelineEntrySchema);
@@ -1,6 +1,9 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const RefreshToken = require('./RefreshToken');
+const totp = require('../utils/totp');
 
 const userSchema = new mongoose.Schema({
     username: {
@@ -53,9 +56,10 @@ const userSchema = new mongoose.Schema({
         trim: true,
         maxlength: [500, 'About cannot exceed 500 characters']
     },
+    // Uploaded image, kept in media storage
     photo: {
-        data: Buffer,
-        contentType: String
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Media'
     },
     following: [{
         type: mongoose.Schema.Types.ObjectId,
@@ -65,6 +69,32 @@ const userSchema = new mongoose.Schema({
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User'
     }],
+    // A private account's posts and connections are only shown to the
+    // followers it approved
+    isPrivate: {
+        type: Boolean,
+        default: false
+    },
+    // Users waiting for this private account to approve their follow
+    followRequests: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }],
+    // Users this user blocked, and the mirror list of users who blocked
+    // them. A block hides both users from each other.
+    blocked: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }],
+    blockedBy: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }],
+    // Users whose posts are left out of this user's feed
+    muted: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }],
     isActive: {
         type: Boolean,
         default: true
@@ -73,15 +103,80 @@ const userSchema = new mongoose.Schema({
         type: String,
         enum: ['user', 'admin'],
         default: 'user'
+    },
+    // Bumped to invalidate every access token issued before it
+    tokenVersion: {
+        type: Number,
+        default: 0
+    },
+    // Hash of the outstanding password reset token, if any
+    passwordResetToken: {
+        type: String,
+        select: false
+    },
+    passwordResetExpires: {
+        type: Date,
+        select: false
+    },
+    emailVerified: {
+        type: Boolean,
+        default: false
+    },
+    // Hash of the outstanding email verification token, if any
+    emailVerificationToken: {
+        type: String,
+        select: false
+    },
+    emailVerificationExpires: {
+        type: Date,
+        select: false
+    },
+    twoFactorEnabled: {
+        type: Boolean,
+        default: false
+    },
+    // Base32 TOTP secret; set during enrollment before 2FA is enabled
+    twoFactorSecret: {
+        type: String,
+        select: false
+    },
+    // Hashes of unused one-time backup codes
+    twoFactorBackupCodes: {
+        type: [String],
+        select: false
+    },
+    // Last accepted TOTP time step, so a code can't be replayed
+    twoFactorLastStep: {
+        type: Number,
+        select: false
+    },
+    // Set once the account has too many followers to fan its posts out
+    // into every follower's timeline; followers read its posts directly
+    fanOutOnRead: {
+        type: Boolean,
+        default: false
     }
 }, {
     timestamps: true
 });
 
+// Index for finding the large accounts a user follows when reading a feed
+userSchema.index({ followers: 1 }, { partialFilterExpression: { fanOutOnRead: true } });
+
+// Index for finding the private accounts hidden from a user
+userSchema.index({ isPrivate: 1 }, { partialFilterExpression: { isPrivate: true } });
+
+// Full-text index for search, ranking matches on names above matches in
+// the profile text. Email addresses are left out so they can't be searched.
+userSchema.index(
+    { username: 'text', firstName: 'text', lastName: 'text', about: 'text' },
+    { name: 'user_search', weights: { username: 5, firstName: 3, lastName: 3, about: 1 } }
+);
+
 // Encrypt password before saving
 userSchema.pre('save', async function (next) {
     if (!this.isModified('password')) {
-        next();
+        return next();
     }
 
     const salt = await bcrypt.genSalt(parseInt(process.env.BCRYPT_ROUNDS) || 12);
@@ -93,19 +188,177 @@ userSchema.methods.comparePassword = async function (enteredPassword) {
     return await bcrypt.compare(enteredPassword, this.password);
 };
 
-// Generate JWT token
+// Generate short-lived JWT access token (renewed through a refresh token)
 userSchema.methods.getSignedJwtToken = function () {
     return jwt.sign(
-        { id: this._id, role: this.role },
+        { id: this._id, role: this.role, tv: this.tokenVersion || 0 },
+        process.env.JWT_SECRET,
+        {
+            expiresIn: process.env.JWT_EXPIRE || '15m',
+            jwtid: crypto.randomBytes(16).toString('hex')
+        }
+    );
+};
+
+// Short-lived token proving the password step of a two-factor login.
+// It carries a purpose claim so it is never accepted as an access token.
+userSchema.methods.getSignedChallengeToken = function () {
+    return jwt.sign(
+        { id: this._id, purpose: '2fa', tv: this.tokenVersion || 0 },
         process.env.JWT_SECRET,
-        { expiresIn: process.env.JWT_EXPIRE || '24h' }
+        { expiresIn: process.env.TWO_FACTOR_CHALLENGE_EXPIRE || '5m' }
     );
 };
 
+// Hash an emailed token for storage and lookup
+userSchema.statics.hashToken = function (token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Generate a single-use password reset token. Only its hash is stored;
+// the raw token is returned so it can be emailed to the user.
+userSchema.methods.createPasswordResetToken = function () {
+    const token = crypto.randomBytes(32).toString('hex');
+    const minutes = parseInt(process.env.PASSWORD_RESET_EXPIRE_MINUTES) || 60;
+
+    this.passwordResetToken = this.constructor.hashToken(token);
+    this.passwordResetExpires = new Date(Date.now() + minutes * 60 * 1000);
+
+    return token;
+};
+
+// Generate an email verification token, stored hashed like reset tokens
+userSchema.methods.createEmailVerificationToken = function () {
+    const token = crypto.randomBytes(32).toString('hex');
+    const hours = parseInt(process.env.EMAIL_VERIFICATION_EXPIRE_HOURS) || 24;
+
+    this.emailVerificationToken = this.constructor.hashToken(token);
+    this.emailVerificationExpires = new Date(Date.now() + hours * 60 * 60 * 1000);
+
+    return token;
+};
+
+// Revoke every session: outstanding access tokens, refresh tokens and
+// open WebSockets
+userSchema.statics.revokeSessions = async function (userId) {
+    await this.updateOne({ _id: userId }, { $inc: { tokenVersion: 1 } });
+    await RefreshToken.updateMany(
+        { user: userId, revokedAt: null },
+        { revokedAt: new Date() }
+    );
+    // Required here, as the realtime module depends on this one
+    require('../utils/realtime').disconnect(userId);
+};
+
+// Replace the backup codes with a fresh set. Only hashes are stored;
+// the raw codes are returned so they can be shown to the user once.
+userSchema.methods.generateBackupCodes = function () {
+    const count = parseInt(process.env.TWO_FACTOR_BACKUP_CODES) || 10;
+    const codes = Array.from({ length: count }, () => crypto.randomBytes(5).toString('hex'));
+
+    this.twoFactorBackupCodes = codes.map(code => this.constructor.hashToken(code));
+
+    return codes;
+};
+
+// Check a second factor: a current TOTP code or an unused backup code.
+// Needs twoFactorSecret, twoFactorBackupCodes and twoFactorLastStep selected;
+// save the user afterwards so the code is consumed.
+userSchema.methods.verifySecondFactor = function (code) {
+    const candidate = String(code || '').replace(/\s/g, '').toLowerCase();
+
+    const step = this.twoFactorSecret ? totp.verifyCode(this.twoFactorSecret, candidate) : null;
+    if (step !== null) {
+        if (this.twoFactorLastStep !== undefined && step <= this.twoFactorLastStep) {
+            return false;
+        }
+        this.twoFactorLastStep = step;
+        return true;
+    }
+
+    const hash = this.constructor.hashToken(candidate);
+    const index = (this.twoFactorBackupCodes || []).indexOf(hash);
+    if (index !== -1) {
+        this.twoFactorBackupCodes.splice(index, 1);
+        return true;
+    }
+
+    return false;
+};
+
+// Users hidden from this user by a block, whichever side made it
+userSchema.methods.blockedIds = function () {
+    return [...(this.blocked || []), ...(this.blockedBy || [])];
+};
+
+// Whether this user blocked another
+userSchema.methods.hasBlocked = function (userId) {
+    const id = userId.toString();
+    return (this.blocked || []).some(blockedId => blockedId.toString() === id);
+};
+
+// Whether a block stands between this user and another
+userSchema.methods.isBlockedWith = function (userId) {
+    const id = userId.toString();
+    return this.blockedIds().some(blockedId => blockedId.toString() === id);
+};
+
+// Whether a user may see this account's posts and connections: anyone,
+// unless the account is private and the user is neither the account itself
+// nor one of its followers
+userSchema.methods.isVisibleTo = function (userId) {
+    if (!this.isPrivate) {
+        return true;
+    }
+    if (!userId) {
+        return false;
+    }
+
+    const id = userId.toString();
+    return this._id.toString() === id || this.followers.some(followerId => followerId.toString() === id);
+};
+
+// Whether an account is private and hidden from a user, without loading
+// its followers
+userSchema.statics.isPrivateTo = async function (accountId, userId) {
+    if (userId && accountId.toString() === userId.toString()) {
+        return false;
+    }
+
+    const filter = { _id: accountId, isPrivate: true };
+    if (userId) {
+        filter.followers = { $ne: userId };
+    }
+    return !!(await this.exists(filter));
+};
+
+// Which of the given accounts are private and hidden from a user, or from
+// everyone when there is no user, for leaving their posts out of listings.
+// Callers pass the authors a listing could show rather than asking for
+// every private account.
+userSchema.statics.privateIdsHiddenFrom = function (userId, accountIds) {
+    const filter = { _id: { $in: accountIds }, isPrivate: true };
+    if (userId) {
+        filter._id.$ne = userId;
+        filter.followers = { $ne: userId };
+    }
+    return this.find(filter).distinct('_id');
+};
+
 // Return user without password
 userSchema.methods.toJSON = function () {
     const user = this.toObject();
     delete user.password;
+    delete user.tokenVersion;
+    delete user.passwordResetToken;
+    delete user.passwordResetExpires;
+    delete user.emailVerificationToken;
+    delete user.emailVerificationExpires;
+    delete user.twoFactorSecret;
+    delete user.twoFactorBackupCodes;
+    delete user.twoFactorLastStep;
+    // Who blocked a user is never revealed, not even to them
+    delete user.blockedBy;
     return user;
 };
 
@@ -262,6 +262,58 @@ describe('User Model Test', () => {
             expect(userJson._id).toBeDefined();
             expect(userJson.username).toBeDefined();
         });
+
+        it('should not reveal who blocked a user', async () => {
+            const user = new User({ ...validUserData, blockedBy: [new mongoose.Types.ObjectId()] });
+
+            expect(user.toJSON().blockedBy).toBeUndefined();
+        });
+    });
+
+    describe('Private accounts', () => {
+        it('should show a private account only to itself and its followers', () => {
+            const [follower, stranger] = Array.from({ length: 2 }, () => new mongoose.Types.ObjectId());
+            const user = new User({ ...validUserData, isPrivate: true, followers: [follower] });
+
+            expect(user.isVisibleTo(user._id)).toBe(true);
+            expect(user.isVisibleTo(follower.toString())).toBe(true);
+            expect(user.isVisibleTo(stranger)).toBe(false);
+            expect(user.isVisibleTo(null)).toBe(false);
+        });
+
+        it('should show a public account to anyone', () => {
+            const user = new User(validUserData);
+
+            expect(user.isVisibleTo(null)).toBe(true);
+        });
+
+        it('should find which of the given accounts are private and hidden from a user', async () => {
+            const follower = new mongoose.Types.ObjectId();
+            const followed = await new User({ ...validUserData, isPrivate: true, followers: [follower] }).save();
+            const hidden = await new User({ ...validUserData, username: 'hidden', email: 'hidden@example.com', isPrivate: true }).save();
+            const open = await new User({ ...validUserData, username: 'open', email: 'open@example.com' }).save();
+            await new User({ ...validUserData, username: 'other', email: 'other@example.com', isPrivate: true }).save();
+            const accounts = [followed._id, hidden._id, open._id];
+
+            const ids = await User.privateIdsHiddenFrom(follower, accounts);
+
+            expect(ids).toEqual([hidden._id]);
+            expect(await User.privateIdsHiddenFrom(null, accounts)).toHaveLength(2);
+            expect(await User.isPrivateTo(followed._id, follower)).toBe(false);
+            expect(await User.isPrivateTo(hidden._id, follower)).toBe(true);
+            expect(await User.isPrivateTo(hidden._id, hidden._id)).toBe(false);
+        });
+    });
+
+    describe('Blocking', () => {
+        it('should see a block made by either user', () => {
+            const [other, blocker, stranger] = Array.from({ length: 3 }, () => new mongoose.Types.ObjectId());
+            const user = new User({ ...validUserData, blocked: [other], blockedBy: [blocker] });
+
+            expect(user.isBlockedWith(other)).toBe(true);
+            expect(user.isBlockedWith(blocker.toString())).toBe(true);
+            expect(user.isBlockedWith(stranger)).toBe(false);
+        });
     });
 
     describe('Timestamps', () => {
@@ -8,11 +8,20 @@ db.createCollection('posts');
 // Create indexes
 db.users.createIndex({ "email": 1 }, { unique: true });
 db.users.createIndex({ "username": 1 }, { unique: true });
-db.posts.createIndex({ "slug": 1 }, { unique: true });
-db.posts.createIndex({ "author": 1 });
-db.posts.createIndex({ "status": 1 });
+db.users.createIndex(
+    { "username": "text", "firstName": "text", "lastName": "text", "about": "text" },
+    { name: "user_search", weights: { username: 5, firstName: 3, lastName: 3, about: 1 } }
+);
+db.posts.createIndex({ "postedBy": 1, "createdAt": -1, "_id": -1 });
+db.posts.createIndex({ "status": 1, "publishAt": 1 });
 db.posts.createIndex({ "category": 1 });
 db.posts.createIndex({ "tags": 1 });
+db.posts.createIndex({ "hashtags": 1 });
+db.posts.createIndex({ "mentions": 1 });
+db.posts.createIndex(
+    { "title": "text", "tags": "text", "hashtags": "text", "text": "text" },
+    { name: "post_search", weights: { title: 5, tags: 3, hashtags: 3, text: 1 } }
+);
 
 // Create admin user
 db.users.insertOne({
@@ -23,6 +32,7 @@ db.users.insertOne({
     lastName: "User",
     role: "admin",
     isActive: true,
+    emailVerified: true,
     createdAt: new Date(),
     updatedAt: new Date()
 });
@@ -37,6 +47,7 @@ db.users.insertMany([
         lastName: "Doe",
         role: "user",
         isActive: true,
+        emailVerified: true,
         about: "Software developer with 5 years of experience in web development.",
         createdAt: new Date(),
         updatedAt: new Date()
@@ -49,6 +60,7 @@ db.users.insertMany([
         lastName: "Smith",
         role: "user",
         isActive: true,
+        emailVerified: true,
         about: "Frontend developer passionate about creating beautiful user experiences.",
         createdAt: new Date(),
         updatedAt: new Date()
@@ -61,6 +73,7 @@ db.users.insertMany([
         lastName: "Johnson",
         role: "user",
         isActive: true,
+        emailVerified: true,
         about: "Backend developer specializing in Node.js and MongoDB.",
         createdAt: new Date(),
         updatedAt: new Date()
@@ -73,6 +86,7 @@ db.users.insertMany([
         lastName: "Brown",
         role: "user",
         isActive: true,
+        emailVerified: true,
         about: "Full-stack developer and tech enthusiast.",
         createdAt: new Date(),
         updatedAt: new Date()
@@ -83,35 +97,25 @@ db.users.insertMany([
 db.posts.insertMany([
     {
         title: "Welcome to Our Blog",
-        content: "This is the first blog post on our platform. We're excited to share our thoughts and experiences with you.",
-        author: db.users.findOne({ username: "admin" })._id,
-        slug: "welcome-to-our-blog",
-        excerpt: "This is the first blog post on our platform...",
+        text: "This is the first blog post on our platform. We're excited to share our thoughts and experiences with you.",
+        postedBy: db.users.findOne({ username: "admin" })._id,
         category: "technology",
         tags: ["welcome", "introduction"],
         status: "published",
-        isPublished: true,
-        publishedAt: new Date(),
-        viewCount: 0,
         likes: [],
-        comments: [],
+        commentCount: 0,
         createdAt: new Date(),
         updatedAt: new Date()
     },
     {
         title: "Getting Started with MERN Stack",
-        content: "The MERN stack is a popular choice for building full-stack web applications. It consists of MongoDB, Express.js, React, and Node.js. In this post, we'll explore the basics of setting up a MERN stack application.",
-        author: db.users.findOne({ username: "admin" })._id,
-        slug: "getting-started-with-mern-stack",
-        excerpt: "The MERN stack is a popular choice for building full-stack web applications...",
+        text: "The MERN stack is a popular choice for building full-stack web applications. It consists of MongoDB, Express.js, React, and Node.js. In this post, we'll explore the basics of setting up a MERN stack application.",
+        postedBy: db.users.findOne({ username: "admin" })._id,
         category: "technology",
         tags: ["mern", "javascript", "mongodb", "express", "react", "nodejs"],
         status: "published",
-        isPublished: true,
-        publishedAt: new Date(),
-        viewCount: 0,
         likes: [],
-        comments: [],
+        commentCount: 0,
         createdAt: new Date(),
         updatedAt: new Date()
     }
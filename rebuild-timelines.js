@@ -0,0 +1,47 @@
+#!/usr/bin/env node
+
+/**
+ * Timeline Rebuild Script
+ *
+ * Rebuilds the materialized newsfeed timeline of every user (or of the
+ * users given by id) from their own posts and the accounts they follow.
+ * Run it once after upgrading to timelines, or to repair a timeline that
+ * missed writes. Each rebuilt timeline holds at most TIMELINE_BACKFILL_LIMIT
+ * recent posts per followed account.
+ *
+ * Usage:
+ * node rebuild-timelines.js               # rebuild every timeline
+ * node rebuild-timelines.js <userId> ...  # rebuild only these users
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const User = require('./models/User');
+const timeline = require('./utils/timeline');
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/mern-app';
+const userIds = process.argv.slice(2);
+
+async function rebuildTimelines() {
+    try {
+        await mongoose.connect(MONGODB_URI);
+        console.log('Connected to MongoDB');
+
+        const filter = userIds.length > 0 ? { _id: { $in: userIds } } : {};
+        let rebuilt = 0;
+
+        for await (const user of User.find(filter).select('_id').cursor()) {
+            await timeline.rebuild(user._id);
+            rebuilt++;
+        }
+
+        console.log(`Rebuilt ${rebuilt} timeline(s)`);
+    } catch (error) {
+        console.error('Timeline rebuild failed:', error.message);
+        process.exitCode = 1;
+    } finally {
+        await mongoose.connection.close();
+    }
+}
+
+rebuildTimelines();
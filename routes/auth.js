@@ -1,11 +1,56 @@
 const express = require('express');
+const jwt = require('jsonwebtoken');
+const QRCode = require('qrcode');
 const { body } = require('express-validator');
 const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+const RevokedToken = require('../models/RevokedToken');
 const { protect } = require('../middleware/auth');
 const validate = require('../middleware/validate');
+const { sendMail, clientUrl } = require('../utils/mailer');
+const totp = require('../utils/totp');
+const loginThrottle = require('../utils/loginThrottle');
 
 const router = express.Router();
 
+// Email a fresh verification link. Mail failures are logged rather than
+// failing the request, since the user can always ask for a new link.
+const sendVerificationEmail = async (user) => {
+    const verificationToken = user.createEmailVerificationToken();
+    await user.save({ validateBeforeSave: false });
+
+    try {
+        await sendMail({
+            to: user.email,
+            subject: 'Verify your email address',
+            text: `Welcome, ${user.firstName}!\n\n` +
+                `Confirm your email address here: ${clientUrl(`/verify-email/${verificationToken}`)}`
+        });
+    } catch (error) {
+        console.error('Error sending verification email:', error.message);
+    }
+};
+
+// Refuse a throttled login attempt with 429 and a Retry-After header
+const sendThrottled = (res, status) => {
+    res.set('Retry-After', String(status.retryAfter));
+    return res.status(429).json({
+        success: false,
+        message: status.locked
+            ? 'Login temporarily locked due to too many failed attempts'
+            : 'Too many failed login attempts, please try again later',
+        retryAfter: status.retryAfter
+    });
+};
+
+// Count a failed login and advertise any wait it now imposes
+const recordLoginFailure = async (req, res, account) => {
+    const status = await loginThrottle.recordFailure({ ip: req.ip, account });
+    if (!status.allowed) {
+        res.set('Retry-After', String(status.retryAfter));
+    }
+};
+
 // @desc    Register user
 // @route   POST /api/auth/register
 // @access  Public
@@ -61,13 +106,17 @@ router.post('/register', [
             lastName
         });
 
-        // Generate token
+        await sendVerificationEmail(user);
+
+        // Generate tokens
         const token = user.getSignedJwtToken();
+        const { token: refreshToken } = await RefreshToken.issue(user._id);
 
         res.status(201).json({
             success: true,
             message: 'User registered successfully',
             token,
+            refreshToken,
             user
         });
     } catch (error) {
@@ -96,10 +145,16 @@ router.post('/login', [
     try {
         const { email, password } = req.body;
 
+        const throttle = await loginThrottle.check({ ip: req.ip, account: email });
+        if (!throttle.allowed) {
+            return sendThrottled(res, throttle);
+        }
+
         // Check if user exists
         const user = await User.findOne({ email }).select('+password');
 
         if (!user) {
+            await recordLoginFailure(req, res, email);
             return res.status(401).json({
                 success: false,
                 message: 'Invalid credentials'
@@ -118,19 +173,34 @@ router.post('/login', [
         const isMatch = await user.comparePassword(password);
 
         if (!isMatch) {
+            await recordLoginFailure(req, res, email);
             return res.status(401).json({
                 success: false,
                 message: 'Invalid credentials'
             });
         }
 
-        // Generate token
+        // Accounts with 2FA get a challenge to exchange at /2fa/login
+        if (user.twoFactorEnabled) {
+            return res.json({
+                success: true,
+                message: 'Two-factor authentication required',
+                twoFactorRequired: true,
+                challengeToken: user.getSignedChallengeToken()
+            });
+        }
+
+        await loginThrottle.clear({ account: email });
+
+        // Generate tokens
         const token = user.getSignedJwtToken();
+        const { token: refreshToken } = await RefreshToken.issue(user._id);
 
         res.json({
             success: true,
             message: 'Login successful',
             token,
+            refreshToken,
             user
         });
     } catch (error) {
@@ -142,6 +212,198 @@ router.post('/login', [
     }
 });
 
+// @desc    Verify email address
+// @route   GET /api/auth/verify/:token
+// @access  Public
+router.get('/verify/:token', async (req, res) => {
+    try {
+        const user = await User.findOne({
+            emailVerificationToken: User.hashToken(req.params.token),
+            emailVerificationExpires: { $gt: new Date() }
+        });
+
+        if (!user) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid or expired verification token'
+            });
+        }
+
+        user.emailVerified = true;
+        user.emailVerificationToken = undefined;
+        user.emailVerificationExpires = undefined;
+        await user.save({ validateBeforeSave: false });
+
+        res.json({
+            success: true,
+            message: 'Email verified successfully'
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error verifying email',
+            error: error.message
+        });
+    }
+});
+
+// @desc    Resend the email verification link
+// @route   POST /api/auth/verify/resend
+// @access  Private
+router.post('/verify/resend', protect, async (req, res) => {
+    try {
+        const user = await User.findById(req.user.id);
+
+        if (user.emailVerified) {
+            return res.status(400).json({
+                success: false,
+                message: 'Email is already verified'
+            });
+        }
+
+        await sendVerificationEmail(user);
+
+        res.json({
+            success: true,
+            message: 'Verification email sent'
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error sending verification email',
+            error: error.message
+        });
+    }
+});
+
+// @desc    Exchange a refresh token for a new access token
+// @route   POST /api/auth/refresh
+// @access  Public
+router.post('/refresh', [
+    body('refreshToken')
+        .notEmpty()
+        .withMessage('Refresh token is required')
+], validate, async (req, res) => {
+    try {
+        const stored = await RefreshToken.findOne({
+            tokenHash: RefreshToken.hashToken(req.body.refreshToken)
+        });
+
+        if (!stored) {
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid refresh token'
+            });
+        }
+
+        // A revoked token being presented again means it was stolen or
+        // replayed, so nothing issued from that login can be trusted
+        if (stored.revokedAt) {
+            await RefreshToken.revokeFamily(stored.family);
+            return res.status(401).json({
+                success: false,
+                message: 'Refresh token reuse detected'
+            });
+        }
+
+        if (stored.expiresAt <= new Date()) {
+            return res.status(401).json({
+                success: false,
+                message: 'Refresh token expired'
+            });
+        }
+
+        const user = await User.findById(stored.user);
+
+        if (!user || !user.isActive) {
+            await RefreshToken.revokeFamily(stored.family);
+            return res.status(401).json({
+                success: false,
+                message: 'User not found or deactivated'
+            });
+        }
+
+        // Rotate: retire the presented token and issue its replacement
+        const { token: refreshToken, doc } = await RefreshToken.issue(user._id, stored.family);
+        stored.revokedAt = new Date();
+        stored.replacedBy = doc.tokenHash;
+        await stored.save();
+
+        res.json({
+            success: true,
+            message: 'Token refreshed successfully',
+            token: user.getSignedJwtToken(),
+            refreshToken
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error refreshing token',
+            error: error.message
+        });
+    }
+});
+
+// @desc    Log out the current session
+// @route   POST /api/auth/logout
+// @access  Private
+router.post('/logout', protect, async (req, res) => {
+    try {
+        const { jti, exp } = req.tokenPayload;
+
+        // Revoke the access token used for this request until it would expire
+        if (jti) {
+            await RevokedToken.updateOne(
+                { jti },
+                { jti, user: req.user._id, expiresAt: new Date(exp * 1000) },
+                { upsert: true }
+            );
+        }
+
+        // Retire the refresh token family of this login as well
+        if (req.body.refreshToken) {
+            const stored = await RefreshToken.findOne({
+                tokenHash: RefreshToken.hashToken(req.body.refreshToken),
+                user: req.user._id
+            });
+            if (stored) {
+                await RefreshToken.revokeFamily(stored.family);
+            }
+        }
+
+        res.json({
+            success: true,
+            message: 'Logged out successfully'
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error logging out',
+            error: error.message
+        });
+    }
+});
+
+// @desc    Log out every session of the current user
+// @route   POST /api/auth/logout-all
+// @access  Private
+router.post('/logout-all', protect, async (req, res) => {
+    try {
+        await User.revokeSessions(req.user._id);
+
+        res.json({
+            success: true,
+            message: 'Logged out of all sessions'
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error logging out of all sessions',
+            error: error.message
+        });
+    }
+});
+
 // @desc    Get current user
 // @route   GET /api/auth/me
 // @access  Private
@@ -263,6 +525,363 @@ router.put('/password', protect, [
     }
 });
 
+// @desc    Request a password reset email
+// @route   POST /api/auth/forgot-password
+// @access  Public
+router.post('/forgot-password', [
+    body('email')
+        .notEmpty()
+        .withMessage('Email is required')
+        .bail()
+        .isEmail()
+        .withMessage('Email is invalid')
+], validate, async (req, res) => {
+    try {
+        const user = await User.findOne({ email: req.body.email.toLowerCase() });
+
+        // Only active accounts get an email, but the response never reveals
+        // whether the address is registered
+        if (user && user.isActive) {
+            const resetToken = user.createPasswordResetToken();
+            await user.save({ validateBeforeSave: false });
+
+            // A mail failure is logged, not reported, as an error here
+            // would tell registered addresses apart
+            try {
+                await sendMail({
+                    to: user.email,
+                    subject: 'Reset your password',
+                    text: `Someone requested a password reset for your account.\n\n` +
+                        `Reset it here: ${clientUrl(`/reset-password/${resetToken}`)}\n\n` +
+                        `The link expires soon and can only be used once. ` +
+                        `If you did not ask for this, you can ignore this email.`
+                });
+            } catch (error) {
+                console.error('Error sending password reset email:', error.message);
+            }
+        }
+
+        res.json({
+            success: true,
+            message: 'If that email is registered, a password reset link has been sent'
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error requesting password reset',
+            error: error.message
+        });
+    }
+});
+
+// @desc    Reset password with an emailed token
+// @route   POST /api/auth/reset-password/:token
+// @access  Public
+router.post('/reset-password/:token', [
+    body('password')
+        .notEmpty()
+        .withMessage('Password is required')
+        .bail()
+        .isLength({ min: 6 })
+        .withMessage('Password must be at least 6 characters')
+], validate, async (req, res) => {
+    try {
+        const user = await User.findOne({
+            passwordResetToken: User.hashToken(req.params.token),
+            passwordResetExpires: { $gt: new Date() }
+        });
+
+        if (!user) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid or expired reset token'
+            });
+        }
+
+        // Consume the token so it cannot be used again
+        user.password = req.body.password;
+        user.passwordResetToken = undefined;
+        user.passwordResetExpires = undefined;
+        await user.save();
+
+        // Sign out anyone who may have been using the old password
+        await User.revokeSessions(user._id);
+
+        res.json({
+            success: true,
+            message: 'Password reset successfully'
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error resetting password',
+            error: error.message
+        });
+    }
+});
+
+// @desc    Complete a two-factor login with a TOTP or backup code
+// @route   POST /api/auth/2fa/login
+// @access  Public
+router.post('/2fa/login', [
+    body('challengeToken')
+        .notEmpty()
+        .withMessage('Challenge token is required'),
+    body('code')
+        .notEmpty()
+        .withMessage('Authentication code is required')
+], validate, async (req, res) => {
+    try {
+        const ipThrottle = await loginThrottle.check({ ip: req.ip });
+        if (!ipThrottle.allowed) {
+            return sendThrottled(res, ipThrottle);
+        }
+
+        let decoded;
+        try {
+            decoded = jwt.verify(req.body.challengeToken, process.env.JWT_SECRET);
+        } catch (error) {
+            decoded = null;
+        }
+
+        if (!decoded || decoded.purpose !== '2fa') {
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid or expired challenge token'
+            });
+        }
+
+        const user = await User.findById(decoded.id)
+            .select('+twoFactorSecret +twoFactorBackupCodes +twoFactorLastStep');
+
+        if (!user || !user.isActive || !user.twoFactorEnabled ||
+            (decoded.tv || 0) !== (user.tokenVersion || 0)) {
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid or expired challenge token'
+            });
+        }
+
+        const throttle = await loginThrottle.check({ ip: req.ip, account: user.email });
+        if (!throttle.allowed) {
+            return sendThrottled(res, throttle);
+        }
+
+        if (!user.verifySecondFactor(req.body.code)) {
+            await recordLoginFailure(req, res, user.email);
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid authentication code'
+            });
+        }
+        await user.save({ validateBeforeSave: false });
+        await loginThrottle.clear({ account: user.email });
+
+        // Generate tokens
+        const token = user.getSignedJwtToken();
+        const { token: refreshToken } = await RefreshToken.issue(user._id);
+
+        res.json({
+            success: true,
+            message: 'Login successful',
+            token,
+            refreshToken,
+            user
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error logging in',
+            error: error.message
+        });
+    }
+});
+
+// @desc    Start two-factor enrollment
+// @route   POST /api/auth/2fa/setup
+// @access  Private
+router.post('/2fa/setup', protect, async (req, res) => {
+    try {
+        const user = await User.findById(req.user.id);
+
+        if (user.twoFactorEnabled) {
+            return res.status(400).json({
+                success: false,
+                message: 'Two-factor authentication is already enabled'
+            });
+        }
+
+        const secret = totp.generateSecret();
+        const otpauthUrl = totp.buildOtpauthUri({
+            secret,
+            account: user.email,
+            issuer: process.env.TWO_FACTOR_ISSUER || 'MERN Social'
+        });
+
+        user.twoFactorSecret = secret;
+        user.twoFactorLastStep = undefined;
+        await user.save({ validateBeforeSave: false });
+
+        res.json({
+            success: true,
+            data: {
+                secret,
+                otpauthUrl,
+                qrCode: await QRCode.toDataURL(otpauthUrl)
+            }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error setting up two-factor authentication',
+            error: error.message
+        });
+    }
+});
+
+// @desc    Confirm enrollment with a first TOTP code and enable 2FA
+// @route   POST /api/auth/2fa/enable
+// @access  Private
+router.post('/2fa/enable', protect, [
+    body('code')
+        .notEmpty()
+        .withMessage('Authentication code is required')
+], validate, async (req, res) => {
+    try {
+        const user = await User.findById(req.user.id).select('+twoFactorSecret +twoFactorLastStep');
+
+        if (user.twoFactorEnabled) {
+            return res.status(400).json({
+                success: false,
+                message: 'Two-factor authentication is already enabled'
+            });
+        }
+
+        if (!user.twoFactorSecret) {
+            return res.status(400).json({
+                success: false,
+                message: 'Two-factor setup has not been started'
+            });
+        }
+
+        if (!user.verifySecondFactor(req.body.code)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid authentication code'
+            });
+        }
+
+        const backupCodes = user.generateBackupCodes();
+        user.twoFactorEnabled = true;
+        await user.save({ validateBeforeSave: false });
+
+        res.json({
+            success: true,
+            message: 'Two-factor authentication enabled',
+            data: { backupCodes }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error enabling two-factor authentication',
+            error: error.message
+        });
+    }
+});
+
+// @desc    Replace the backup codes
+// @route   POST /api/auth/2fa/backup-codes
+// @access  Private
+router.post('/2fa/backup-codes', protect, [
+    body('code')
+        .notEmpty()
+        .withMessage('Authentication code is required')
+], validate, async (req, res) => {
+    try {
+        const user = await User.findById(req.user.id)
+            .select('+twoFactorSecret +twoFactorBackupCodes +twoFactorLastStep');
+
+        if (!user.twoFactorEnabled) {
+            return res.status(400).json({
+                success: false,
+                message: 'Two-factor authentication is not enabled'
+            });
+        }
+
+        if (!user.verifySecondFactor(req.body.code)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid authentication code'
+            });
+        }
+
+        const backupCodes = user.generateBackupCodes();
+        await user.save({ validateBeforeSave: false });
+
+        res.json({
+            success: true,
+            message: 'Backup codes regenerated',
+            data: { backupCodes }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error regenerating backup codes',
+            error: error.message
+        });
+    }
+});
+
+// @desc    Disable two-factor authentication
+// @route   POST /api/auth/2fa/disable
+// @access  Private
+router.post('/2fa/disable', protect, [
+    body('password')
+        .notEmpty()
+        .withMessage('Password is required'),
+    body('code')
+        .notEmpty()
+        .withMessage('Authentication code is required')
+], validate, async (req, res) => {
+    try {
+        const user = await User.findById(req.user.id)
+            .select('+password +twoFactorSecret +twoFactorBackupCodes +twoFactorLastStep');
+
+        if (!user.twoFactorEnabled) {
+            return res.status(400).json({
+                success: false,
+                message: 'Two-factor authentication is not enabled'
+            });
+        }
+
+        const isMatch = await user.comparePassword(req.body.password);
+
+        if (!isMatch || !user.verifySecondFactor(req.body.code)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid password or authentication code'
+            });
+        }
+
+        user.twoFactorEnabled = false;
+        user.twoFactorSecret = undefined;
+        user.twoFactorBackupCodes = undefined;
+        user.twoFactorLastStep = undefined;
+        await user.save({ validateBeforeSave: false });
+
+        res.json({
+            success: true,
+            message: 'Two-factor authentication disabled'
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error disabling two-factor authentication',
+            error: error.message
+        });
+    }
+});
+
 // Custom validation error handler
 router.use((err, req, res, next) => {
     if (err && err.errors) {
@@ -4,6 +4,11 @@ const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const app = require('../server');
 const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+const RevokedToken = require('../models/RevokedToken');
+const { getOutbox, clearOutbox, getTransport, setTransport } = require('../utils/mailer');
+const totp = require('../utils/totp');
+const loginThrottle = require('../utils/loginThrottle');
 
 // Mock environment variables
 process.env.JWT_SECRET = 'test-secret-key';
@@ -27,6 +32,10 @@ describe('Auth Routes', () => {
     beforeEach(async () => {
         // Clear database before each test
         await User.deleteMany({});
+        await RefreshToken.deleteMany({});
+        await RevokedToken.deleteMany({});
+        clearOutbox();
+        loginThrottle.reset();
 
         // Create test user
         testUser = await User.create({
@@ -176,6 +185,7 @@ describe('Auth Routes', () => {
             expect(response.body.success).toBe(true);
             expect(response.body.message).toBe('Login successful');
             expect(response.body.token).toBeDefined();
+            expect(response.body.refreshToken).toBeDefined();
             expect(response.body.user).toBeDefined();
             expect(response.body.user.email).toBe(loginData.email);
             expect(response.body.user.password).toBeUndefined();
@@ -258,6 +268,680 @@ describe('Auth Routes', () => {
         });
     });
 
+    describe('POST /api/auth/refresh', () => {
+        let refreshToken;
+
+        beforeEach(async () => {
+            const response = await request(app)
+                .post('/api/auth/login')
+                .send({ email: 'john@example.com', password: 'password123' });
+            refreshToken = response.body.refreshToken;
+        });
+
+        it('should issue a new access token and rotate the refresh token', async () => {
+            const response = await request(app)
+                .post('/api/auth/refresh')
+                .send({ refreshToken })
+                .expect(200);
+
+            expect(response.body.success).toBe(true);
+            expect(response.body.token).toBeDefined();
+            expect(response.body.refreshToken).toBeDefined();
+            expect(response.body.refreshToken).not.toBe(refreshToken);
+
+            const decoded = jwt.verify(response.body.token, process.env.JWT_SECRET);
+            expect(decoded.id).toBe(testUser._id.toString());
+
+            const stored = await RefreshToken.findOne({ tokenHash: RefreshToken.hashToken(refreshToken) });
+            expect(stored.revokedAt).not.toBeNull();
+            expect(stored.replacedBy).toBe(RefreshToken.hashToken(response.body.refreshToken));
+        });
+
+        it('should revoke the whole family when a rotated token is reused', async () => {
+            const first = await request(app)
+                .post('/api/auth/refresh')
+                .send({ refreshToken })
+                .expect(200);
+
+            const reuse = await request(app)
+                .post('/api/auth/refresh')
+                .send({ refreshToken })
+                .expect(401);
+
+            expect(reuse.body.message).toBe('Refresh token reuse detected');
+
+            // The token issued by the legitimate rotation is now revoked too
+            const response = await request(app)
+                .post('/api/auth/refresh')
+                .send({ refreshToken: first.body.refreshToken })
+                .expect(401);
+
+            expect(response.body.success).toBe(false);
+        });
+
+        it('should reject an unknown refresh token', async () => {
+            const response = await request(app)
+                .post('/api/auth/refresh')
+                .send({ refreshToken: 'not-a-real-token' })
+                .expect(401);
+
+            expect(response.body.message).toBe('Invalid refresh token');
+        });
+
+        it('should reject an expired refresh token', async () => {
+            await RefreshToken.updateOne(
+                { tokenHash: RefreshToken.hashToken(refreshToken) },
+                { expiresAt: new Date(Date.now() - 1000) }
+            );
+
+            const response = await request(app)
+                .post('/api/auth/refresh')
+                .send({ refreshToken })
+                .expect(401);
+
+            expect(response.body.message).toBe('Refresh token expired');
+        });
+
+        it('should reject refresh for a deactivated user', async () => {
+            await User.findByIdAndUpdate(testUser._id, { isActive: false });
+
+            await request(app)
+                .post('/api/auth/refresh')
+                .send({ refreshToken })
+                .expect(401);
+        });
+
+        it('should require a refresh token', async () => {
+            const response = await request(app)
+                .post('/api/auth/refresh')
+                .send({})
+                .expect(400);
+
+            expect(response.body.message).toBe('Refresh token is required');
+        });
+    });
+
+    describe('POST /api/auth/logout', () => {
+        let session;
+
+        beforeEach(async () => {
+            const response = await request(app)
+                .post('/api/auth/login')
+                .send({ email: 'john@example.com', password: 'password123' });
+            session = response.body;
+        });
+
+        it('should revoke the access token used to log out', async () => {
+            await request(app)
+                .post('/api/auth/logout')
+                .set('Authorization', `Bearer ${session.token}`)
+                .expect(200);
+
+            const response = await request(app)
+                .get('/api/auth/me')
+                .set('Authorization', `Bearer ${session.token}`)
+                .expect(401);
+
+            expect(response.body.message).toBe('Token has been revoked');
+        });
+
+        it('should revoke the refresh token of the session', async () => {
+            await request(app)
+                .post('/api/auth/logout')
+                .set('Authorization', `Bearer ${session.token}`)
+                .send({ refreshToken: session.refreshToken })
+                .expect(200);
+
+            await request(app)
+                .post('/api/auth/refresh')
+                .send({ refreshToken: session.refreshToken })
+                .expect(401);
+        });
+
+        it('should leave other sessions signed in', async () => {
+            const other = await request(app)
+                .post('/api/auth/login')
+                .send({ email: 'john@example.com', password: 'password123' });
+
+            await request(app)
+                .post('/api/auth/logout')
+                .set('Authorization', `Bearer ${session.token}`)
+                .send({ refreshToken: session.refreshToken })
+                .expect(200);
+
+            await request(app)
+                .get('/api/auth/me')
+                .set('Authorization', `Bearer ${other.body.token}`)
+                .expect(200);
+        });
+
+        it('should return 401 without a token', async () => {
+            await request(app)
+                .post('/api/auth/logout')
+                .expect(401);
+        });
+    });
+
+    describe('POST /api/auth/logout-all', () => {
+        it('should revoke every access and refresh token of the user', async () => {
+            const first = await request(app)
+                .post('/api/auth/login')
+                .send({ email: 'john@example.com', password: 'password123' });
+            const second = await request(app)
+                .post('/api/auth/login')
+                .send({ email: 'john@example.com', password: 'password123' });
+
+            await request(app)
+                .post('/api/auth/logout-all')
+                .set('Authorization', `Bearer ${first.body.token}`)
+                .expect(200);
+
+            for (const session of [first.body, second.body]) {
+                await request(app)
+                    .get('/api/auth/me')
+                    .set('Authorization', `Bearer ${session.token}`)
+                    .expect(401);
+
+                await request(app)
+                    .post('/api/auth/refresh')
+                    .send({ refreshToken: session.refreshToken })
+                    .expect(401);
+            }
+        });
+
+        it('should allow logging in again afterwards', async () => {
+            await request(app)
+                .post('/api/auth/logout-all')
+                .set('Authorization', `Bearer ${testToken}`)
+                .expect(200);
+
+            const login = await request(app)
+                .post('/api/auth/login')
+                .send({ email: 'john@example.com', password: 'password123' });
+
+            await request(app)
+                .get('/api/auth/me')
+                .set('Authorization', `Bearer ${login.body.token}`)
+                .expect(200);
+        });
+    });
+
+    describe('Password reset', () => {
+        // Pull the raw reset token out of the link in the last email sent
+        const lastResetToken = () => {
+            const outbox = getOutbox();
+            const match = outbox[outbox.length - 1].text.match(/reset-password\/([a-f0-9]+)/);
+            return match[1];
+        };
+
+        const requestReset = (email = 'john@example.com') => request(app)
+            .post('/api/auth/forgot-password')
+            .send({ email });
+
+        it('should email a reset link to a registered address', async () => {
+            const response = await requestReset().expect(200);
+
+            expect(response.body.success).toBe(true);
+            expect(getOutbox()).toHaveLength(1);
+            expect(getOutbox()[0].to).toBe('john@example.com');
+
+            // Only the hash of the token is stored
+            const user = await User.findById(testUser._id).select('+passwordResetToken +passwordResetExpires');
+            expect(user.passwordResetToken).toBeDefined();
+            expect(user.passwordResetToken).not.toBe(lastResetToken());
+            expect(user.passwordResetExpires.getTime()).toBeGreaterThan(Date.now());
+        });
+
+        it('should respond the same way for an unknown address without sending mail', async () => {
+            const response = await requestReset('nobody@example.com').expect(200);
+
+            expect(response.body.message).toBe('If that email is registered, a password reset link has been sent');
+            expect(getOutbox()).toHaveLength(0);
+        });
+
+        it('should respond the same way when the email cannot be sent', async () => {
+            const transport = getTransport();
+            setTransport({ send: async () => { throw new Error('SMTP down'); } });
+            jest.spyOn(console, 'error').mockImplementation(() => {});
+
+            try {
+                const response = await requestReset().expect(200);
+
+                expect(response.body.message).toBe('If that email is registered, a password reset link has been sent');
+            } finally {
+                setTransport(transport);
+                console.error.mockRestore();
+            }
+        });
+
+        it('should reset the password with a valid token', async () => {
+            await requestReset();
+
+            const response = await request(app)
+                .post(`/api/auth/reset-password/${lastResetToken()}`)
+                .send({ password: 'newpassword123' })
+                .expect(200);
+
+            expect(response.body.message).toBe('Password reset successfully');
+
+            await request(app)
+                .post('/api/auth/login')
+                .send({ email: 'john@example.com', password: 'newpassword123' })
+                .expect(200);
+        });
+
+        it('should only allow the token to be used once', async () => {
+            await requestReset();
+            const token = lastResetToken();
+
+            await request(app)
+                .post(`/api/auth/reset-password/${token}`)
+                .send({ password: 'newpassword123' })
+                .expect(200);
+
+            const response = await request(app)
+                .post(`/api/auth/reset-password/${token}`)
+                .send({ password: 'anotherpassword' })
+                .expect(400);
+
+            expect(response.body.message).toBe('Invalid or expired reset token');
+        });
+
+        it('should reject an expired token', async () => {
+            await requestReset();
+            await User.findByIdAndUpdate(testUser._id, { passwordResetExpires: new Date(Date.now() - 1000) });
+
+            await request(app)
+                .post(`/api/auth/reset-password/${lastResetToken()}`)
+                .send({ password: 'newpassword123' })
+                .expect(400);
+        });
+
+        it('should sign out existing sessions after a reset', async () => {
+            await requestReset();
+
+            await request(app)
+                .post(`/api/auth/reset-password/${lastResetToken()}`)
+                .send({ password: 'newpassword123' })
+                .expect(200);
+
+            const user = await User.findById(testUser._id);
+            await request(app)
+                .get('/api/auth/me')
+                .set('Authorization', `Bearer ${testToken}`)
+                .expect(401);
+            expect(user.tokenVersion).toBe(1);
+        });
+
+        it('should validate the new password', async () => {
+            await requestReset();
+
+            const response = await request(app)
+                .post(`/api/auth/reset-password/${lastResetToken()}`)
+                .send({ password: '123' })
+                .expect(400);
+
+            expect(response.body.message).toBe('Password must be at least 6 characters');
+        });
+    });
+
+    describe('Login throttling', () => {
+        const attempt = (password = 'wrongpassword', email = 'john@example.com') => request(app)
+            .post('/api/auth/login')
+            .send({ email, password });
+
+        // Drive the throttle's clock without faking the timers the database driver relies on
+        let now;
+        const advance = (ms) => {
+            now += ms;
+        };
+
+        beforeEach(() => {
+            now = Date.now();
+            jest.spyOn(Date, 'now').mockImplementation(() => now);
+        });
+
+        afterEach(() => {
+            jest.restoreAllMocks();
+            delete process.env.LOGIN_MAX_FAILURES_PER_IP;
+        });
+
+        it('should back off exponentially after repeated failures', async () => {
+            // The first two of five allowed failures are free
+            await attempt().expect(401);
+            await attempt().expect(401);
+
+            const third = await attempt().expect(401);
+            expect(third.headers['retry-after']).toBe('1');
+
+            const throttled = await attempt().expect(429);
+            expect(throttled.headers['retry-after']).toBe('1');
+            expect(throttled.body.message).toBe('Too many failed login attempts, please try again later');
+
+            advance(1000);
+            const fourth = await attempt().expect(401);
+            expect(fourth.headers['retry-after']).toBe('2');
+        });
+
+        it('should lock the account after too many failures', async () => {
+            for (let i = 0; i < 5; i++) {
+                await attempt().expect(401);
+                advance(60 * 1000);
+            }
+
+            // Even the right password is refused while locked
+            const response = await attempt('password123').expect(429);
+            expect(response.body.message).toBe('Login temporarily locked due to too many failed attempts');
+            expect(Number(response.headers['retry-after'])).toBe(14 * 60);
+
+            advance(14 * 60 * 1000);
+            await attempt('password123').expect(200);
+        });
+
+        it('should count failures for unknown accounts', async () => {
+            for (let i = 0; i < 3; i++) {
+                await attempt('wrongpassword', 'nobody@example.com').expect(401);
+            }
+
+            await attempt('wrongpassword', 'nobody@example.com').expect(429);
+        });
+
+        it('should throttle by IP across accounts', async () => {
+            process.env.LOGIN_MAX_FAILURES_PER_IP = '2';
+
+            await attempt('wrongpassword', 'a@example.com').expect(401);
+            await attempt('wrongpassword', 'b@example.com').expect(401);
+
+            const response = await attempt('password123').expect(429);
+            expect(response.body.message).toBe('Login temporarily locked due to too many failed attempts');
+        });
+
+        it('should reset the account after a successful login', async () => {
+            await attempt().expect(401);
+            await attempt().expect(401);
+            await attempt('password123').expect(200);
+
+            const status = await loginThrottle.check({ account: 'john@example.com' });
+            expect(status.allowed).toBe(true);
+            expect(await loginThrottle.getStore().get('account:john@example.com')).toBeNull();
+        });
+    });
+
+    describe('Email verification', () => {
+        // Pull the raw verification token out of the link in the last email sent
+        const lastVerificationToken = () => {
+            const outbox = getOutbox();
+            const match = outbox[outbox.length - 1].text.match(/verify-email\/([a-f0-9]+)/);
+            return match[1];
+        };
+
+        const register = () => request(app)
+            .post('/api/auth/register')
+            .send({
+                firstName: 'Jane',
+                lastName: 'Smith',
+                username: 'janesmith',
+                email: 'jane@example.com',
+                password: 'password123'
+            });
+
+        it('should register users as unverified and email a verification link', async () => {
+            const response = await register().expect(201);
+
+            expect(response.body.user.emailVerified).toBe(false);
+            expect(getOutbox()).toHaveLength(1);
+            expect(getOutbox()[0].to).toBe('jane@example.com');
+            expect(response.body.user.emailVerificationToken).toBeUndefined();
+        });
+
+        it('should verify the email with a valid token', async () => {
+            await register();
+
+            const response = await request(app)
+                .get(`/api/auth/verify/${lastVerificationToken()}`)
+                .expect(200);
+
+            expect(response.body.message).toBe('Email verified successfully');
+
+            const user = await User.findOne({ email: 'jane@example.com' });
+            expect(user.emailVerified).toBe(true);
+        });
+
+        it('should only allow the token to be used once', async () => {
+            await register();
+            const token = lastVerificationToken();
+
+            await request(app).get(`/api/auth/verify/${token}`).expect(200);
+
+            const response = await request(app)
+                .get(`/api/auth/verify/${token}`)
+                .expect(400);
+
+            expect(response.body.message).toBe('Invalid or expired verification token');
+        });
+
+        it('should reject an expired token', async () => {
+            await register();
+            await User.updateOne({ email: 'jane@example.com' }, { emailVerificationExpires: new Date(Date.now() - 1000) });
+
+            await request(app)
+                .get(`/api/auth/verify/${lastVerificationToken()}`)
+                .expect(400);
+        });
+
+        it('should resend a fresh link and invalidate the old one', async () => {
+            const registered = await register();
+            const oldToken = lastVerificationToken();
+
+            const response = await request(app)
+                .post('/api/auth/verify/resend')
+                .set('Authorization', `Bearer ${registered.body.token}`)
+                .expect(200);
+
+            expect(response.body.message).toBe('Verification email sent');
+            expect(getOutbox()).toHaveLength(2);
+            expect(lastVerificationToken()).not.toBe(oldToken);
+
+            await request(app).get(`/api/auth/verify/${oldToken}`).expect(400);
+            await request(app).get(`/api/auth/verify/${lastVerificationToken()}`).expect(200);
+        });
+
+        it('should not resend a link to a verified account', async () => {
+            await User.findByIdAndUpdate(testUser._id, { emailVerified: true });
+
+            const response = await request(app)
+                .post('/api/auth/verify/resend')
+                .set('Authorization', `Bearer ${testToken}`)
+                .expect(400);
+
+            expect(response.body.message).toBe('Email is already verified');
+        });
+    });
+
+    describe('Two-factor authentication', () => {
+        // Codes for later time steps, since each step can only be used once
+        const codeFor = (secret, steps = 0) => totp.generateCode(secret, Date.now() + steps * 30000);
+
+        const setup = () => request(app)
+            .post('/api/auth/2fa/setup')
+            .set('Authorization', `Bearer ${testToken}`);
+
+        // Enroll the test user and return the secret and backup codes
+        const enroll = async () => {
+            const { body: setupBody } = await setup().expect(200);
+            const { secret } = setupBody.data;
+
+            const { body: enableBody } = await request(app)
+                .post('/api/auth/2fa/enable')
+                .set('Authorization', `Bearer ${testToken}`)
+                .send({ code: codeFor(secret) })
+                .expect(200);
+
+            return { secret, backupCodes: enableBody.data.backupCodes };
+        };
+
+        const login = () => request(app)
+            .post('/api/auth/login')
+            .send({ email: 'john@example.com', password: 'password123' });
+
+        it('should return a secret, otpauth URI and QR code on setup', async () => {
+            const response = await setup().expect(200);
+
+            expect(response.body.data.secret).toMatch(/^[A-Z2-7]+$/);
+            expect(response.body.data.otpauthUrl).toContain(`secret=${response.body.data.secret}`);
+            expect(response.body.data.qrCode).toMatch(/^data:image\/png;base64,/);
+
+            // Not enabled until a code has been confirmed
+            const user = await User.findById(testUser._id);
+            expect(user.twoFactorEnabled).toBe(false);
+        });
+
+        it('should enable 2FA with a valid code and return hashed backup codes', async () => {
+            const { backupCodes } = await enroll();
+
+            expect(backupCodes).toHaveLength(10);
+
+            const user = await User.findById(testUser._id).select('+twoFactorBackupCodes');
+            expect(user.twoFactorEnabled).toBe(true);
+            expect(user.twoFactorBackupCodes).toHaveLength(10);
+            expect(user.twoFactorBackupCodes).not.toContain(backupCodes[0]);
+        });
+
+        it('should not enable 2FA with an invalid code', async () => {
+            await setup();
+
+            const response = await request(app)
+                .post('/api/auth/2fa/enable')
+                .set('Authorization', `Bearer ${testToken}`)
+                .send({ code: '000000' })
+                .expect(400);
+
+            expect(response.body.message).toBe('Invalid authentication code');
+        });
+
+        it('should return a challenge instead of tokens when 2FA is enabled', async () => {
+            await enroll();
+
+            const response = await login().expect(200);
+
+            expect(response.body.twoFactorRequired).toBe(true);
+            expect(response.body.challengeToken).toBeDefined();
+            expect(response.body.token).toBeUndefined();
+            expect(response.body.refreshToken).toBeUndefined();
+        });
+
+        it('should not accept the challenge token as an access token', async () => {
+            await enroll();
+            const { body } = await login();
+
+            await request(app)
+                .get('/api/auth/me')
+                .set('Authorization', `Bearer ${body.challengeToken}`)
+                .expect(401);
+        });
+
+        it('should exchange the challenge and a TOTP code for tokens', async () => {
+            const { secret } = await enroll();
+            const { body } = await login();
+
+            const response = await request(app)
+                .post('/api/auth/2fa/login')
+                .send({ challengeToken: body.challengeToken, code: codeFor(secret, 1) })
+                .expect(200);
+
+            expect(response.body.token).toBeDefined();
+            expect(response.body.refreshToken).toBeDefined();
+            expect(response.body.user.twoFactorEnabled).toBe(true);
+            expect(response.body.user.twoFactorSecret).toBeUndefined();
+        });
+
+        it('should not accept the same TOTP code twice', async () => {
+            const { secret } = await enroll();
+            const { body } = await login();
+            const code = codeFor(secret, 1);
+
+            await request(app)
+                .post('/api/auth/2fa/login')
+                .send({ challengeToken: body.challengeToken, code })
+                .expect(200);
+
+            const response = await request(app)
+                .post('/api/auth/2fa/login')
+                .send({ challengeToken: body.challengeToken, code })
+                .expect(401);
+
+            expect(response.body.message).toBe('Invalid authentication code');
+        });
+
+        it('should accept each backup code once', async () => {
+            const { backupCodes } = await enroll();
+            const { body } = await login();
+
+            await request(app)
+                .post('/api/auth/2fa/login')
+                .send({ challengeToken: body.challengeToken, code: backupCodes[0] })
+                .expect(200);
+
+            await request(app)
+                .post('/api/auth/2fa/login')
+                .send({ challengeToken: body.challengeToken, code: backupCodes[0] })
+                .expect(401);
+
+            const user = await User.findById(testUser._id).select('+twoFactorBackupCodes');
+            expect(user.twoFactorBackupCodes).toHaveLength(9);
+        });
+
+        it('should reject an invalid challenge token', async () => {
+            const { secret } = await enroll();
+
+            const response = await request(app)
+                .post('/api/auth/2fa/login')
+                .send({ challengeToken: testToken, code: codeFor(secret, 1) })
+                .expect(401);
+
+            expect(response.body.message).toBe('Invalid or expired challenge token');
+        });
+
+        it('should regenerate backup codes', async () => {
+            const { secret, backupCodes } = await enroll();
+
+            const response = await request(app)
+                .post('/api/auth/2fa/backup-codes')
+                .set('Authorization', `Bearer ${testToken}`)
+                .send({ code: codeFor(secret, 1) })
+                .expect(200);
+
+            expect(response.body.data.backupCodes).toHaveLength(10);
+            expect(response.body.data.backupCodes).not.toContain(backupCodes[0]);
+        });
+
+        it('should disable 2FA with the password and a code', async () => {
+            const { secret } = await enroll();
+
+            await request(app)
+                .post('/api/auth/2fa/disable')
+                .set('Authorization', `Bearer ${testToken}`)
+                .send({ password: 'password123', code: codeFor(secret, 1) })
+                .expect(200);
+
+            const response = await login().expect(200);
+            expect(response.body.token).toBeDefined();
+            expect(response.body.twoFactorRequired).toBeUndefined();
+        });
+
+        it('should not disable 2FA with a wrong password', async () => {
+            const { secret } = await enroll();
+
+            const response = await request(app)
+                .post('/api/auth/2fa/disable')
+                .set('Authorization', `Bearer ${testToken}`)
+                .send({ password: 'wrongpassword', code: codeFor(secret, 1) })
+                .expect(400);
+
+            expect(response.body.message).toBe('Invalid password or authentication code');
+        });
+    });
+
     describe('GET /api/auth/me', () => {
         it('should return user profile with valid token', async () => {
             const response = await request(app)
@@ -0,0 +1,299 @@
+const express = require('express');
+const { body, query, param } = require('express-validator');
+const Comment = require('../models/Comment');
+const Post = require('../models/Post');
+const User = require('../models/User');
+const Report = require('../models/Report');
+const { protect } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const { decodeCursor, paginate } = require('../utils/pagination');
+const { notifyMentions, addedMentions } = require('../utils/notifications');
+const realtime = require('../utils/realtime');
+const { checkContent } = require('../utils/contentFilter');
+
+const router = express.Router();
+
+// Commenter fields shown with every comment
+const COMMENT_POPULATE = [
+    { path: 'postedBy', select: 'firstName lastName username photo' },
+    { path: 'mentions', select: 'username' }
+];
+
+// Load a comment the user may see, or null. Comments share the visibility
+// of their post, including a private author's, and are hidden across a
+// block with their author or the post's. Held comments are only shown to
+// their author.
+const findVisibleComment = async (commentId, user) => {
+    const comment = await Comment.findById(commentId);
+    if (!comment || (comment.held && comment.postedBy.toString() !== user.id) || user.isBlockedWith(comment.postedBy)) {
+        return null;
+    }
+
+    const post = await Post.findById(comment.post);
+    if (!post || !post.isVisibleTo(user.id) || user.isBlockedWith(post.postedBy)) {
+        return null;
+    }
+
+    return await User.isPrivateTo(post.postedBy, user.id) ? null : { comment, post };
+};
+
+const commentIdRule = () => param('id')
+    .isMongoId()
+    .withMessage('Invalid comment ID');
+
+// @desc    Get replies to a comment, newest first
+// @route   GET /api/comments/:id/replies
+// @access  Private
+router.get('/:id/replies', protect, [
+    commentIdRule(),
+    query('cursor')
+        .optional()
+        .custom(value => decodeCursor(value) !== null)
+        .withMessage('Invalid cursor'),
+    query('page')
+        .optional()
+        .isInt({ min: 1 })
+        .withMessage('Page must be a positive integer'),
+    query('limit')
+        .optional()
+        .isInt({ min: 1, max: 50 })
+        .withMessage('Limit must be between 1 and 50')
+], validate, async (req, res) => {
+    try {
+        const found = await findVisibleComment(req.params.id, req.user);
+        if (!found) {
+            return res.status(404).json({
+                success: false,
+                message: 'Comment not found'
+            });
+        }
+
+        const { data, total, pagination } = await paginate(Comment, {
+            parentId: found.comment._id,
+            postedBy: { $nin: req.user.blockedIds() },
+            held: { $ne: true }
+        }, {
+            cursor: req.query.cursor,
+            page: parseInt(req.query.page) || undefined,
+            limit: parseInt(req.query.limit) || 10,
+            populate: COMMENT_POPULATE
+        });
+
+        res.json({
+            success: true,
+            count: data.length,
+            total,
+            pagination,
+            data
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching replies',
+            error: error.message
+        });
+    }
+});
+
+// @desc    Edit own comment
+// @route   PUT /api/comments/:id
+// @access  Private
+router.put('/:id', protect, [
+    commentIdRule(),
+    body('text')
+        .notEmpty()
+        .withMessage('Comment text is required')
+        .isLength({ max: 500 })
+        .withMessage('Comment cannot exceed 500 characters')
+], validate, async (req, res) => {
+    try {
+        const comment = await Comment.findById(req.params.id);
+        if (!comment) {
+            return res.status(404).json({
+                success: false,
+                message: 'Comment not found'
+            });
+        }
+
+        if (comment.postedBy.toString() !== req.user.id) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to edit this comment'
+            });
+        }
+
+        let held = false;
+        if (comment.text !== req.body.text) {
+            const filtered = await checkContent({ kind: 'comment', text: req.body.text, author: req.user._id });
+            if (filtered.action === 'reject') {
+                return res.status(400).json({
+                    success: false,
+                    message: filtered.reasons[0]
+                });
+            }
+
+            const previousMentions = [...comment.mentions];
+            comment.text = req.body.text;
+            comment.flags = filtered.flags;
+            comment.editedAt = new Date();
+            await comment.save();
+
+            if (filtered.action === 'hold') {
+                held = true;
+                await Comment.setHeld(comment, true);
+                await Report.holdForReview({
+                    targetType: 'comment',
+                    target: comment._id,
+                    targetAuthor: comment.postedBy,
+                    reasons: filtered.reasons
+                });
+                await realtime.postUpdated(comment.post);
+            } else if (!comment.held) {
+                // Users mentioned by the edit are told, as with a new comment
+                await notifyMentions({
+                    actor: comment.postedBy,
+                    mentions: addedMentions(previousMentions, comment.mentions),
+                    post: comment.post,
+                    comment: comment._id
+                });
+            }
+        }
+
+        await comment.populate(COMMENT_POPULATE);
+
+        res.json({
+            success: true,
+            message: held ? 'Comment is held for review' : 'Comment updated successfully',
+            data: comment
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error updating comment',
+            error: error.message
+        });
+    }
+});
+
+// @desc    Delete own comment, along with its replies
+// @route   DELETE /api/comments/:id
+// @access  Private
+router.delete('/:id', protect, [
+    commentIdRule()
+], validate, async (req, res) => {
+    try {
+        const comment = await Comment.findById(req.params.id);
+        if (!comment) {
+            return res.status(404).json({
+                success: false,
+                message: 'Comment not found'
+            });
+        }
+
+        if (comment.postedBy.toString() !== req.user.id) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to delete this comment'
+            });
+        }
+
+        const removed = await Comment.removeThread(comment);
+        await realtime.postUpdated(comment.post);
+
+        res.json({
+            success: true,
+            message: 'Comment deleted successfully',
+            removed
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error deleting comment',
+            error: error.message
+        });
+    }
+});
+
+// @desc    Like a comment
+// @route   PUT /api/comments/:id/like
+// @access  Private
+router.put('/:id/like', protect, [
+    commentIdRule()
+], validate, async (req, res) => {
+    try {
+        const found = await findVisibleComment(req.params.id, req.user);
+        // Only comments on published posts can be liked
+        if (!found || found.post.status !== 'published') {
+            return res.status(404).json({
+                success: false,
+                message: 'Comment not found'
+            });
+        }
+
+        const { comment } = found;
+        if (comment.likes.includes(req.user.id)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Comment already liked'
+            });
+        }
+
+        comment.likes.push(req.user.id);
+        await comment.save();
+        await comment.populate(COMMENT_POPULATE);
+
+        res.json({
+            success: true,
+            message: 'Comment liked successfully',
+            data: comment
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error liking comment',
+            error: error.message
+        });
+    }
+});
+
+// @desc    Unlike a comment
+// @route   PUT /api/comments/:id/unlike
+// @access  Private
+router.put('/:id/unlike', protect, [
+    commentIdRule()
+], validate, async (req, res) => {
+    try {
+        const comment = await Comment.findById(req.params.id);
+        if (!comment) {
+            return res.status(404).json({
+                success: false,
+                message: 'Comment not found'
+            });
+        }
+
+        if (!comment.likes.includes(req.user.id)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Comment not liked'
+            });
+        }
+
+        comment.likes = comment.likes.filter(like => like.toString() !== req.user.id);
+        await comment.save();
+        await comment.populate(COMMENT_POPULATE);
+
+        res.json({
+            success: true,
+            message: 'Comment unliked successfully',
+            data: comment
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error unliking comment',
+            error: error.message
+        });
+    }
+});
+
+module.exports = router;
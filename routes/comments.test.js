@@ -0,0 +1,294 @@
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET = 'test-secret-key';
+process.env.JWT_EXPIRE = '1h';
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../server');
+const User = require('../models/User');
+const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+const { generateToken } = require('../middleware/auth');
+
+let mongoServer;
+let author, commenter;
+let authorToken, commenterToken;
+let post, comment;
+
+beforeAll(async () => {
+    mongoServer = await MongoMemoryServer.create();
+    await mongoose.connect(mongoServer.getUri());
+});
+
+afterAll(async () => {
+    await mongoose.disconnect();
+    await mongoServer.stop();
+});
+
+beforeEach(async () => {
+    await User.deleteMany({});
+    await Post.deleteMany({});
+    await Comment.deleteMany({});
+
+    author = await User.create({
+        firstName: 'John',
+        lastName: 'Doe',
+        username: 'johndoe',
+        email: 'john@example.com',
+        password: 'password123'
+    });
+
+    commenter = await User.create({
+        firstName: 'Jane',
+        lastName: 'Smith',
+        username: 'janesmith',
+        email: 'jane@example.com',
+        password: 'password123'
+    });
+
+    authorToken = generateToken(author);
+    commenterToken = generateToken(commenter);
+
+    post = await Post.create({ text: 'A post', postedBy: author._id });
+
+    const response = await request(app)
+        .put('/api/posts/comment')
+        .set('Authorization', `Bearer ${commenterToken}`)
+        .send({ postId: post._id, text: 'A comment' });
+    comment = response.body.comment;
+});
+
+// Reply to a comment through the posts API
+const reply = (parentId, text, token = authorToken) => request(app)
+    .put('/api/posts/comment')
+    .set('Authorization', `Bearer ${token}`)
+    .send({ postId: post._id, parentId, text });
+
+describe('GET /api/comments/:id/replies', () => {
+    it('should page through replies newest first', async () => {
+        await reply(comment._id, 'First reply');
+        await reply(comment._id, 'Second reply');
+        await reply(comment._id, 'Third reply');
+
+        const first = await request(app)
+            .get(`/api/comments/${comment._id}/replies?limit=2`)
+            .set('Authorization', `Bearer ${commenterToken}`);
+
+        expect(first.status).toBe(200);
+        expect(first.body.data.map(item => item.text)).toEqual(['Third reply', 'Second reply']);
+        expect(first.body.data[0].postedBy.username).toBe('johndoe');
+
+        const second = await request(app)
+            .get(`/api/comments/${comment._id}/replies?limit=2&cursor=${first.body.pagination.nextCursor}`)
+            .set('Authorization', `Bearer ${commenterToken}`);
+
+        expect(second.body.data.map(item => item.text)).toEqual(['First reply']);
+    });
+
+    it('should return only direct replies', async () => {
+        const child = await reply(comment._id, 'Child');
+        await reply(child.body.comment._id, 'Grandchild');
+
+        const response = await request(app)
+            .get(`/api/comments/${comment._id}/replies`)
+            .set('Authorization', `Bearer ${commenterToken}`);
+
+        expect(response.body.data.map(item => item.text)).toEqual(['Child']);
+        expect(response.body.data[0].replyCount).toBe(1);
+    });
+
+    it('should return 404 for a comment on a post the user cannot see', async () => {
+        await Post.updateOne({ _id: post._id }, { status: 'archived' });
+
+        const response = await request(app)
+            .get(`/api/comments/${comment._id}/replies`)
+            .set('Authorization', `Bearer ${commenterToken}`);
+
+        expect(response.status).toBe(404);
+    });
+
+    it('should return 401 if not authenticated', async () => {
+        const response = await request(app)
+            .get(`/api/comments/${comment._id}/replies`);
+
+        expect(response.status).toBe(401);
+    });
+});
+
+describe('PUT /api/comments/:id', () => {
+    it('should edit own comment', async () => {
+        const response = await request(app)
+            .put(`/api/comments/${comment._id}`)
+            .set('Authorization', `Bearer ${commenterToken}`)
+            .send({ text: 'An edited comment' });
+
+        expect(response.status).toBe(200);
+        expect(response.body.data.text).toBe('An edited comment');
+        expect(response.body.data.editedAt).toBeDefined();
+    });
+
+    it('should return 403 for someone else\'s comment', async () => {
+        const response = await request(app)
+            .put(`/api/comments/${comment._id}`)
+            .set('Authorization', `Bearer ${authorToken}`)
+            .send({ text: 'Hijacked' });
+
+        expect(response.status).toBe(403);
+    });
+
+    it('should return 400 if text is too long', async () => {
+        const response = await request(app)
+            .put(`/api/comments/${comment._id}`)
+            .set('Authorization', `Bearer ${commenterToken}`)
+            .send({ text: 'a'.repeat(501) });
+
+        expect(response.status).toBe(400);
+    });
+
+    it('should reject an edit with a banned word', async () => {
+        process.env.CONTENT_FILTER_BANNED_WORDS = 'scam';
+
+        try {
+            const response = await request(app)
+                .put(`/api/comments/${comment._id}`)
+                .set('Authorization', `Bearer ${commenterToken}`)
+                .send({ text: 'This is a scam' })
+                .expect(400);
+
+            expect(response.body.message).toBe('Text contains a banned word');
+            expect((await Comment.findById(comment._id)).text).toBe('A comment');
+        } finally {
+            delete process.env.CONTENT_FILTER_BANNED_WORDS;
+        }
+    });
+
+    it('should hold an edited comment and hide it from others', async () => {
+        process.env.CONTENT_FILTER_MAX_LINKS = '1';
+
+        try {
+            const response = await request(app)
+                .put(`/api/comments/${comment._id}`)
+                .set('Authorization', `Bearer ${commenterToken}`)
+                .send({ text: 'https://a.example https://b.example' })
+                .expect(200);
+
+            expect(response.body.message).toBe('Comment is held for review');
+            expect(response.body.data.held).toBe(true);
+            expect((await Post.findById(post._id)).commentCount).toBe(0);
+
+            await request(app)
+                .get(`/api/comments/${comment._id}/replies`)
+                .set('Authorization', `Bearer ${authorToken}`)
+                .expect(404);
+        } finally {
+            delete process.env.CONTENT_FILTER_MAX_LINKS;
+        }
+    });
+
+    it('should return 404 if comment not found', async () => {
+        const response = await request(app)
+            .put(`/api/comments/${new mongoose.Types.ObjectId()}`)
+            .set('Authorization', `Bearer ${commenterToken}`)
+            .send({ text: 'Anything' });
+
+        expect(response.status).toBe(404);
+    });
+});
+
+describe('DELETE /api/comments/:id', () => {
+    it('should delete own comment with its replies', async () => {
+        const child = await reply(comment._id, 'Child');
+        await reply(child.body.comment._id, 'Grandchild');
+
+        const response = await request(app)
+            .delete(`/api/comments/${comment._id}`)
+            .set('Authorization', `Bearer ${commenterToken}`);
+
+        expect(response.status).toBe(200);
+        expect(response.body.removed).toBe(3);
+        expect(await Comment.countDocuments({ post: post._id })).toBe(0);
+        expect((await Post.findById(post._id)).commentCount).toBe(0);
+    });
+
+    it('should update the parent reply count', async () => {
+        const child = await reply(comment._id, 'Child', commenterToken);
+
+        await request(app)
+            .delete(`/api/comments/${child.body.comment._id}`)
+            .set('Authorization', `Bearer ${commenterToken}`)
+            .expect(200);
+
+        expect((await Comment.findById(comment._id)).replyCount).toBe(0);
+        expect((await Post.findById(post._id)).commentCount).toBe(1);
+    });
+
+    it('should return 403 for someone else\'s comment', async () => {
+        const response = await request(app)
+            .delete(`/api/comments/${comment._id}`)
+            .set('Authorization', `Bearer ${authorToken}`);
+
+        expect(response.status).toBe(403);
+    });
+});
+
+describe('PUT /api/comments/:id/like', () => {
+    it('should like a comment', async () => {
+        const response = await request(app)
+            .put(`/api/comments/${comment._id}/like`)
+            .set('Authorization', `Bearer ${authorToken}`);
+
+        expect(response.status).toBe(200);
+        expect(response.body.data.likes).toContain(author._id.toString());
+        expect(response.body.data.likeCount).toBe(1);
+    });
+
+    it('should return 400 if comment already liked', async () => {
+        await request(app)
+            .put(`/api/comments/${comment._id}/like`)
+            .set('Authorization', `Bearer ${authorToken}`)
+            .expect(200);
+
+        const response = await request(app)
+            .put(`/api/comments/${comment._id}/like`)
+            .set('Authorization', `Bearer ${authorToken}`);
+
+        expect(response.status).toBe(400);
+    });
+
+    it('should return 404 for a comment on an unpublished post', async () => {
+        await Post.updateOne({ _id: post._id }, { status: 'archived' });
+
+        const response = await request(app)
+            .put(`/api/comments/${comment._id}/like`)
+            .set('Authorization', `Bearer ${authorToken}`);
+
+        expect(response.status).toBe(404);
+    });
+});
+
+describe('PUT /api/comments/:id/unlike', () => {
+    beforeEach(async () => {
+        await request(app)
+            .put(`/api/comments/${comment._id}/like`)
+            .set('Authorization', `Bearer ${authorToken}`)
+            .expect(200);
+    });
+
+    it('should unlike a comment', async () => {
+        const response = await request(app)
+            .put(`/api/comments/${comment._id}/unlike`)
+            .set('Authorization', `Bearer ${authorToken}`);
+
+        expect(response.status).toBe(200);
+        expect(response.body.data.likes).toHaveLength(0);
+    });
+
+    it('should return 400 if comment not liked', async () => {
+        const response = await request(app)
+            .put(`/api/comments/${comment._id}/unlike`)
+            .set('Authorization', `Bearer ${commenterToken}`);
+
+        expect(response.status).toBe(400);
+    });
+});
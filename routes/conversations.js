@@ -0,0 +1,458 @@
+const express = require('express');
+const { body, query, param } = require('express-validator');
+const Conversation = require('../models/Conversation');
+const Message = require('../models/Message');
+const User = require('../models/User');
+const { protect, requireVerifiedEmail } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const { decodeCursor, paginate } = require('../utils/pagination');
+const realtime = require('../utils/realtime');
+
+const router = express.Router();
+
+// Participant fields shown with every conversation
+const PARTICIPANT_POPULATE = { path: 'participants', select: 'firstName lastName username photo' };
+
+// Sender fields shown with every message
+const SENDER_POPULATE = { path: 'sender', select: 'firstName lastName username photo' };
+
+// Only mutual followers may start a conversation, unless
+// MESSAGING_MUTUAL_FOLLOW_ONLY is set to "false"
+const mutualFollowRequired = () => process.env.MESSAGING_MUTUAL_FOLLOW_ONLY !== 'false';
+
+// Whether two users follow each other, from the user's own lists
+const isMutualFollower = (user, otherId) => (
+    user.following.some(id => id.toString() === otherId) &&
+    user.followers.some(id => id.toString() === otherId)
+);
+
+// Load a conversation the user takes part in, or null
+const findConversation = (conversationId, userId) => Conversation.findOne({
+    _id: conversationId,
+    participants: userId
+});
+
+const conversationIdRule = () => param('id')
+    .isMongoId()
+    .withMessage('Invalid conversation ID');
+
+const pageRules = () => [
+    query('cursor')
+        .optional()
+        .custom(value => decodeCursor(value) !== null)
+        .withMessage('Invalid cursor'),
+    query('page')
+        .optional()
+        .isInt({ min: 1 })
+        .withMessage('Page must be a positive integer'),
+    query('limit')
+        .optional()
+        .isInt({ min: 1, max: 50 })
+        .withMessage('Limit must be between 1 and 50')
+];
+
+// Find the direct conversation between two users, bringing it back for
+// the user if they had deleted it, or start it
+const findOrStartDirect = async (user, otherId) => {
+    const directKey = Conversation.directKeyFor(user._id, otherId);
+    const existing = await Conversation.findOneAndUpdate(
+        { directKey },
+        { $pull: { hiddenFor: user._id } },
+        { new: true }
+    );
+    if (existing) {
+        return { conversation: existing, created: false };
+    }
+
+    try {
+        const conversation = await Conversation.create({
+            participants: [user._id, otherId],
+            createdBy: user._id,
+            directKey
+        });
+        return { conversation, created: true };
+    } catch (error) {
+        // Both users started it at the same time
+        if (error.code === 11000) {
+            return { conversation: await Conversation.findOne({ directKey }), created: false };
+        }
+        throw error;
+    }
+};
+
+// @desc    Get own conversations, latest activity first
+// @route   GET /api/conversations
+// @access  Private
+router.get('/', protect, pageRules(), validate, async (req, res) => {
+    try {
+        const limit = parseInt(req.query.limit) || 20;
+
+        const { data, total, pagination } = await paginate(Conversation, {
+            participants: req.user._id,
+            hiddenFor: { $ne: req.user._id }
+        }, {
+            cursor: req.query.cursor,
+            page: parseInt(req.query.page) || undefined,
+            limit,
+            populate: PARTICIPANT_POPULATE
+        });
+
+        // Unread messages in each conversation on the page
+        const unreadCounts = await Promise.all(data.map(conversation => (
+            Message.countDocuments(Message.unreadFilter(conversation._id, req.user._id))
+        )));
+
+        res.json({
+            success: true,
+            count: data.length,
+            total,
+            pagination,
+            data: data.map((conversation, index) => ({
+                ...conversation.toJSON(),
+                unreadCount: unreadCounts[index]
+            }))
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching conversations',
+            error: error.message
+        });
+    }
+});
+
+// @desc    Start a conversation with one user, or a group with several
+// @route   POST /api/conversations
+// @access  Private
+router.post('/', protect, [
+    body('participants')
+        .isArray({ min: 1, max: Conversation.MAX_PARTICIPANTS - 1 })
+        .withMessage(`Choose between 1 and ${Conversation.MAX_PARTICIPANTS - 1} users to message`),
+    body('participants.*')
+        .isMongoId()
+        .withMessage('Invalid user ID'),
+    body('title')
+        .optional()
+        .isString()
+        .isLength({ max: 100 })
+        .withMessage('Title cannot exceed 100 characters')
+], validate, async (req, res) => {
+    try {
+        const otherIds = [...new Set(req.body.participants.map(String))]
+            .filter(id => id !== req.user.id);
+
+        if (otherIds.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Cannot start a conversation with yourself'
+            });
+        }
+
+        const found = await User.countDocuments({ _id: { $in: otherIds }, isActive: true });
+        if (found !== otherIds.length) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        if (otherIds.some(id => req.user.isBlockedWith(id))) {
+            return res.status(403).json({
+                success: false,
+                message: 'Cannot message a user blocked either way'
+            });
+        }
+
+        if (mutualFollowRequired() && !otherIds.every(id => isMutualFollower(req.user, id))) {
+            return res.status(403).json({
+                success: false,
+                message: 'You can only message users who follow you and whom you follow'
+            });
+        }
+
+        let conversation;
+        let created = true;
+        if (otherIds.length === 1) {
+            ({ conversation, created } = await findOrStartDirect(req.user, otherIds[0]));
+        } else {
+            conversation = await Conversation.create({
+                participants: [req.user._id, ...otherIds],
+                isGroup: true,
+                title: req.body.title,
+                createdBy: req.user._id
+            });
+        }
+
+        await conversation.populate(PARTICIPANT_POPULATE);
+
+        res.status(created ? 201 : 200).json({
+            success: true,
+            message: created ? 'Conversation started' : 'Conversation already exists',
+            data: conversation
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error starting conversation',
+            error: error.message
+        });
+    }
+});
+
+// @desc    Get one own conversation
+// @route   GET /api/conversations/:id
+// @access  Private
+router.get('/:id', protect, [
+    conversationIdRule()
+], validate, async (req, res) => {
+    try {
+        const conversation = await findConversation(req.params.id, req.user._id);
+        if (!conversation) {
+            return res.status(404).json({
+                success: false,
+                message: 'Conversation not found'
+            });
+        }
+
+        await conversation.populate(PARTICIPANT_POPULATE);
+
+        res.json({
+            success: true,
+            data: conversation
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching conversation',
+            error: error.message
+        });
+    }
+});
+
+// @desc    Delete a conversation for yourself; it comes back with the
+//          next message, without the messages before it
+// @route   DELETE /api/conversations/:id
+// @access  Private
+router.delete('/:id', protect, [
+    conversationIdRule()
+], validate, async (req, res) => {
+    try {
+        const conversation = await findConversation(req.params.id, req.user._id);
+        if (!conversation) {
+            return res.status(404).json({
+                success: false,
+                message: 'Conversation not found'
+            });
+        }
+
+        await Message.updateMany(
+            { conversation: conversation._id },
+            { $addToSet: { deletedFor: req.user._id } }
+        );
+        await Conversation.updateOne(
+            { _id: conversation._id },
+            { $addToSet: { hiddenFor: req.user._id } }
+        );
+
+        res.json({
+            success: true,
+            message: 'Conversation deleted successfully'
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error deleting conversation',
+            error: error.message
+        });
+    }
+});
+
+// @desc    Get messages of an own conversation, newest first
+// @route   GET /api/conversations/:id/messages
+// @access  Private
+router.get('/:id/messages', protect, [
+    conversationIdRule(),
+    ...pageRules()
+], validate, async (req, res) => {
+    try {
+        const conversation = await findConversation(req.params.id, req.user._id);
+        if (!conversation) {
+            return res.status(404).json({
+                success: false,
+                message: 'Conversation not found'
+            });
+        }
+
+        const limit = parseInt(req.query.limit) || 20;
+
+        const { data, total, pagination } = await paginate(
+            Message,
+            Message.visibleFilter(conversation._id, req.user._id),
+            {
+                cursor: req.query.cursor,
+                page: parseInt(req.query.page) || undefined,
+                limit,
+                populate: SENDER_POPULATE
+            }
+        );
+
+        res.json({
+            success: true,
+            count: data.length,
+            total,
+            pagination,
+            data
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching messages',
+            error: error.message
+        });
+    }
+});
+
+// @desc    Send a message to an own conversation
+// @route   POST /api/conversations/:id/messages
+// @access  Private
+router.post('/:id/messages', protect, requireVerifiedEmail('message'), [
+    conversationIdRule(),
+    body('text')
+        .trim()
+        .notEmpty()
+        .withMessage('Message text is required')
+        .isLength({ max: 2000 })
+        .withMessage('Message cannot exceed 2000 characters')
+], validate, async (req, res) => {
+    try {
+        const conversation = await findConversation(req.params.id, req.user._id);
+        if (!conversation) {
+            return res.status(404).json({
+                success: false,
+                message: 'Conversation not found'
+            });
+        }
+
+        // A direct conversation goes quiet once either user blocks the other
+        if (!conversation.isGroup && conversation.participants.some(id => req.user.isBlockedWith(id))) {
+            return res.status(403).json({
+                success: false,
+                message: 'Cannot message a user blocked either way'
+            });
+        }
+
+        const message = await Message.create({
+            conversation: conversation._id,
+            sender: req.user._id,
+            text: req.body.text
+        });
+
+        // Move the conversation to the top and bring it back for anyone
+        // who deleted it
+        await Conversation.updateOne({ _id: conversation._id }, {
+            $set: {
+                lastMessage: { text: message.text, sender: message.sender, createdAt: message.createdAt },
+                createdAt: message.createdAt,
+                hiddenFor: []
+            }
+        });
+
+        await message.populate(SENDER_POPULATE);
+
+        realtime.publish(conversation.participants, {
+            type: 'message:created',
+            conversation: conversation._id,
+            message
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Message sent successfully',
+            data: message
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error sending message',
+            error: error.message
+        });
+    }
+});
+
+// @desc    Mark every message of an own conversation as read
+// @route   PUT /api/conversations/:id/read
+// @access  Private
+router.put('/:id/read', protect, [
+    conversationIdRule()
+], validate, async (req, res) => {
+    try {
+        const conversation = await findConversation(req.params.id, req.user._id);
+        if (!conversation) {
+            return res.status(404).json({
+                success: false,
+                message: 'Conversation not found'
+            });
+        }
+
+        const result = await Message.updateMany(
+            Message.unreadFilter(conversation._id, req.user._id),
+            { $addToSet: { readBy: req.user._id } }
+        );
+
+        res.json({
+            success: true,
+            message: 'Conversation marked as read',
+            updated: result.modifiedCount
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error updating conversation',
+            error: error.message
+        });
+    }
+});
+
+// @desc    Delete a message for yourself
+// @route   DELETE /api/conversations/:id/messages/:messageId
+// @access  Private
+router.delete('/:id/messages/:messageId', protect, [
+    conversationIdRule(),
+    param('messageId')
+        .isMongoId()
+        .withMessage('Invalid message ID')
+], validate, async (req, res) => {
+    try {
+        const conversation = await findConversation(req.params.id, req.user._id);
+        if (!conversation) {
+            return res.status(404).json({
+                success: false,
+                message: 'Conversation not found'
+            });
+        }
+
+        const result = await Message.updateOne(
+            Message.visibleFilter(conversation._id, req.user._id, { _id: req.params.messageId }),
+            { $addToSet: { deletedFor: req.user._id } }
+        );
+        if (result.matchedCount === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Message not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Message deleted successfully'
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error deleting message',
+            error: error.message
+        });
+    }
+});
+
+module.exports = router;
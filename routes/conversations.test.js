@@ -0,0 +1,352 @@
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET = 'test-secret-key';
+process.env.JWT_EXPIRE = '1h';
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../server');
+const User = require('../models/User');
+const Conversation = require('../models/Conversation');
+const Message = require('../models/Message');
+const { generateToken } = require('../middleware/auth');
+
+let mongoServer;
+let john, jane, bob, stranger;
+let johnToken, janeToken, bobToken;
+
+beforeAll(async () => {
+    mongoServer = await MongoMemoryServer.create();
+    await mongoose.connect(mongoServer.getUri());
+    // Direct conversations rely on the unique index over directKey
+    await Conversation.init();
+});
+
+afterAll(async () => {
+    await mongoose.disconnect();
+    await mongoServer.stop();
+});
+
+// Make two users follow each other
+const befriend = async (user, other) => {
+    await User.updateOne({ _id: user._id }, { $addToSet: { following: other._id, followers: other._id } });
+    await User.updateOne({ _id: other._id }, { $addToSet: { following: user._id, followers: user._id } });
+};
+
+beforeEach(async () => {
+    await User.deleteMany({});
+    await Conversation.deleteMany({});
+    await Message.deleteMany({});
+    delete process.env.MESSAGING_MUTUAL_FOLLOW_ONLY;
+
+    const makeUser = (firstName, username) => User.create({
+        firstName,
+        lastName: 'Test',
+        username,
+        email: `${username}@example.com`,
+        password: 'password123'
+    });
+
+    john = await makeUser('John', 'johndoe');
+    jane = await makeUser('Jane', 'janesmith');
+    bob = await makeUser('Bob', 'bobjohnson');
+    stranger = await makeUser('Sam', 'stranger');
+
+    await befriend(john, jane);
+    await befriend(john, bob);
+
+    johnToken = generateToken(john);
+    janeToken = generateToken(jane);
+    bobToken = generateToken(bob);
+});
+
+const start = (token, participants, extra = {}) => request(app)
+    .post('/api/conversations')
+    .set('Authorization', `Bearer ${token}`)
+    .send({ participants, ...extra });
+
+const send = (token, conversationId, text) => request(app)
+    .post(`/api/conversations/${conversationId}/messages`)
+    .set('Authorization', `Bearer ${token}`)
+    .send({ text })
+    .expect(201);
+
+const messages = (token, conversationId, query = {}) => request(app)
+    .get(`/api/conversations/${conversationId}/messages`)
+    .query(query)
+    .set('Authorization', `Bearer ${token}`);
+
+describe('POST /api/conversations', () => {
+    it('should start a direct conversation with a mutual follower', async () => {
+        const response = await start(johnToken, [jane._id]);
+
+        expect(response.status).toBe(201);
+        expect(response.body.data.isGroup).toBe(false);
+        expect(response.body.data.participants.map(p => p.username).sort()).toEqual(['janesmith', 'johndoe']);
+    });
+
+    it('should return the existing direct conversation', async () => {
+        const first = await start(johnToken, [jane._id]).expect(201);
+
+        const second = await start(janeToken, [john._id]);
+
+        expect(second.status).toBe(200);
+        expect(second.body.data._id).toBe(first.body.data._id);
+        expect(await Conversation.countDocuments({})).toBe(1);
+    });
+
+    it('should start a group conversation', async () => {
+        const response = await start(johnToken, [jane._id, bob._id], { title: 'Friends' });
+
+        expect(response.status).toBe(201);
+        expect(response.body.data.isGroup).toBe(true);
+        expect(response.body.data.title).toBe('Friends');
+        expect(response.body.data.participants).toHaveLength(3);
+    });
+
+    it('should refuse users who are not mutual followers', async () => {
+        // Following is not enough on its own
+        await User.updateOne({ _id: john._id }, { $addToSet: { following: stranger._id } });
+
+        const response = await start(johnToken, [stranger._id]);
+
+        expect(response.status).toBe(403);
+    });
+
+    it('should refuse a group with anyone who is not a mutual follower', async () => {
+        const response = await start(johnToken, [jane._id, stranger._id]);
+
+        expect(response.status).toBe(403);
+        expect(await Conversation.countDocuments({})).toBe(0);
+    });
+
+    it('should let anyone start a conversation when the rule is turned off', async () => {
+        process.env.MESSAGING_MUTUAL_FOLLOW_ONLY = 'false';
+
+        const response = await start(johnToken, [stranger._id]);
+
+        expect(response.status).toBe(201);
+    });
+
+    it('should refuse a user blocked either way', async () => {
+        process.env.MESSAGING_MUTUAL_FOLLOW_ONLY = 'false';
+        await User.updateOne({ _id: stranger._id }, { $addToSet: { blocked: john._id } });
+        await User.updateOne({ _id: john._id }, { $addToSet: { blockedBy: stranger._id } });
+
+        const response = await start(johnToken, [stranger._id]);
+
+        expect(response.status).toBe(403);
+    });
+
+    it('should refuse a conversation with yourself', async () => {
+        const response = await start(johnToken, [john._id]);
+
+        expect(response.status).toBe(400);
+    });
+
+    it('should return 404 for an unknown user', async () => {
+        const response = await start(johnToken, [new mongoose.Types.ObjectId()]);
+
+        expect(response.status).toBe(404);
+    });
+
+    it('should refuse groups over the size limit', async () => {
+        const ids = Array.from({ length: Conversation.MAX_PARTICIPANTS }, () => new mongoose.Types.ObjectId());
+
+        const response = await start(johnToken, ids);
+
+        expect(response.status).toBe(400);
+    });
+});
+
+describe('Messages', () => {
+    let conversation;
+
+    beforeEach(async () => {
+        conversation = (await start(johnToken, [jane._id]).expect(201)).body.data;
+    });
+
+    it('should send a message and update the conversation preview', async () => {
+        const response = await send(johnToken, conversation._id, 'Hello Jane');
+
+        expect(response.body.data.text).toBe('Hello Jane');
+        expect(response.body.data.sender.username).toBe('johndoe');
+
+        const stored = await Conversation.findById(conversation._id);
+        expect(stored.lastMessage.text).toBe('Hello Jane');
+        expect(stored.lastMessage.sender.toString()).toBe(john._id.toString());
+    });
+
+    it('should list messages newest first with cursors', async () => {
+        await send(johnToken, conversation._id, 'One');
+        await send(janeToken, conversation._id, 'Two');
+        await send(johnToken, conversation._id, 'Three');
+
+        const first = await messages(janeToken, conversation._id, { limit: 2 });
+        const second = await messages(janeToken, conversation._id, { limit: 2, cursor: first.body.pagination.nextCursor });
+
+        expect(first.status).toBe(200);
+        expect(first.body.data.map(m => m.text)).toEqual(['Three', 'Two']);
+        expect(second.body.data.map(m => m.text)).toEqual(['One']);
+        expect(second.body.pagination.nextCursor).toBeNull();
+    });
+
+    it('should keep other users out', async () => {
+        await send(johnToken, conversation._id, 'Private');
+
+        const list = await messages(bobToken, conversation._id);
+        expect(list.status).toBe(404);
+
+        const reply = await request(app)
+            .post(`/api/conversations/${conversation._id}/messages`)
+            .set('Authorization', `Bearer ${bobToken}`)
+            .send({ text: 'Let me in' });
+        expect(reply.status).toBe(404);
+    });
+
+    it('should not deliver messages across a block', async () => {
+        await User.updateOne({ _id: jane._id }, { $addToSet: { blocked: john._id } });
+        await User.updateOne({ _id: john._id }, { $addToSet: { blockedBy: jane._id } });
+
+        const response = await request(app)
+            .post(`/api/conversations/${conversation._id}/messages`)
+            .set('Authorization', `Bearer ${johnToken}`)
+            .send({ text: 'Are you ignoring me?' });
+
+        expect(response.status).toBe(403);
+        expect(await Message.countDocuments({})).toBe(0);
+    });
+
+    it('should reject empty messages', async () => {
+        const response = await request(app)
+            .post(`/api/conversations/${conversation._id}/messages`)
+            .set('Authorization', `Bearer ${johnToken}`)
+            .send({ text: '   ' });
+
+        expect(response.status).toBe(400);
+    });
+
+    it('should count and mark unread messages', async () => {
+        await send(johnToken, conversation._id, 'One');
+        await send(johnToken, conversation._id, 'Two');
+
+        const inbox = await request(app)
+            .get('/api/conversations')
+            .set('Authorization', `Bearer ${janeToken}`);
+        expect(inbox.body.data[0].unreadCount).toBe(2);
+
+        const read = await request(app)
+            .put(`/api/conversations/${conversation._id}/read`)
+            .set('Authorization', `Bearer ${janeToken}`);
+        expect(read.status).toBe(200);
+        expect(read.body.updated).toBe(2);
+
+        const after = await request(app)
+            .get('/api/conversations')
+            .set('Authorization', `Bearer ${janeToken}`);
+        expect(after.body.data[0].unreadCount).toBe(0);
+    });
+
+    it('should not count own messages as unread', async () => {
+        await send(johnToken, conversation._id, 'One');
+
+        const inbox = await request(app)
+            .get('/api/conversations')
+            .set('Authorization', `Bearer ${johnToken}`);
+
+        expect(inbox.body.data[0].unreadCount).toBe(0);
+    });
+
+    it('should delete a message only for yourself', async () => {
+        const sent = await send(johnToken, conversation._id, 'Oops');
+
+        const response = await request(app)
+            .delete(`/api/conversations/${conversation._id}/messages/${sent.body.data._id}`)
+            .set('Authorization', `Bearer ${johnToken}`);
+        expect(response.status).toBe(200);
+
+        expect((await messages(johnToken, conversation._id)).body.data).toHaveLength(0);
+        expect((await messages(janeToken, conversation._id)).body.data).toHaveLength(1);
+    });
+
+    it('should return 404 for a message deleted twice', async () => {
+        const sent = await send(johnToken, conversation._id, 'Oops');
+        const remove = () => request(app)
+            .delete(`/api/conversations/${conversation._id}/messages/${sent.body.data._id}`)
+            .set('Authorization', `Bearer ${johnToken}`);
+
+        await remove().expect(200);
+        const response = await remove();
+
+        expect(response.status).toBe(404);
+    });
+});
+
+describe('GET /api/conversations', () => {
+    it('should list conversations by latest message', async () => {
+        const withJane = (await start(johnToken, [jane._id]).expect(201)).body.data;
+        const withBob = (await start(johnToken, [bob._id]).expect(201)).body.data;
+        await send(johnToken, withBob._id, 'Hi Bob');
+        await send(johnToken, withJane._id, 'Hi Jane');
+
+        const response = await request(app)
+            .get('/api/conversations')
+            .set('Authorization', `Bearer ${johnToken}`);
+
+        expect(response.status).toBe(200);
+        expect(response.body.data.map(c => c._id)).toEqual([withJane._id, withBob._id]);
+        expect(response.body.data[0].lastMessage.text).toBe('Hi Jane');
+    });
+
+    it('should only list own conversations', async () => {
+        await start(johnToken, [jane._id]).expect(201);
+
+        const response = await request(app)
+            .get('/api/conversations')
+            .set('Authorization', `Bearer ${bobToken}`);
+
+        expect(response.body.data).toHaveLength(0);
+    });
+
+    it('should return 401 if not authenticated', async () => {
+        const response = await request(app).get('/api/conversations');
+
+        expect(response.status).toBe(401);
+    });
+});
+
+describe('DELETE /api/conversations/:id', () => {
+    it('should hide the conversation and its messages for yourself until a new message arrives', async () => {
+        const conversation = (await start(johnToken, [jane._id]).expect(201)).body.data;
+        await send(janeToken, conversation._id, 'Old news');
+
+        await request(app)
+            .delete(`/api/conversations/${conversation._id}`)
+            .set('Authorization', `Bearer ${johnToken}`)
+            .expect(200);
+
+        const hidden = await request(app)
+            .get('/api/conversations')
+            .set('Authorization', `Bearer ${johnToken}`);
+        expect(hidden.body.data).toHaveLength(0);
+
+        await send(janeToken, conversation._id, 'Are you there?');
+
+        const back = await request(app)
+            .get('/api/conversations')
+            .set('Authorization', `Bearer ${johnToken}`);
+        expect(back.body.data).toHaveLength(1);
+        expect((await messages(johnToken, conversation._id)).body.data.map(m => m.text)).toEqual(['Are you there?']);
+        expect((await messages(janeToken, conversation._id)).body.data).toHaveLength(2);
+    });
+
+    it('should return 404 for someone else\'s conversation', async () => {
+        const conversation = (await start(johnToken, [jane._id]).expect(201)).body.data;
+
+        const response = await request(app)
+            .delete(`/api/conversations/${conversation._id}`)
+            .set('Authorization', `Bearer ${bobToken}`);
+
+        expect(response.status).toBe(404);
+    });
+});
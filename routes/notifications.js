@@ -0,0 +1,157 @@
+const express = require('express');
+const { query, param } = require('express-validator');
+const Notification = require('../models/Notification');
+const { protect } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const { decodeCursor, paginate } = require('../utils/pagination');
+const realtime = require('../utils/realtime');
+
+const router = express.Router();
+
+// Latest actors shown with each notification; actorCount has the total
+const ACTOR_PREVIEW_LIMIT = 3;
+
+// Fields shown with every notification
+const NOTIFICATION_POPULATE = [
+    { path: 'actors', select: 'firstName lastName username photo', perDocumentLimit: ACTOR_PREVIEW_LIMIT },
+    { path: 'post', select: 'text postedBy' },
+    { path: 'comment', select: 'text' }
+];
+
+// @desc    Get own notifications, newest first
+// @route   GET /api/notifications
+// @access  Private
+router.get('/', protect, [
+    query('unread')
+        .optional()
+        .isBoolean()
+        .withMessage('Unread must be true or false'),
+    query('cursor')
+        .optional()
+        .custom(value => decodeCursor(value) !== null)
+        .withMessage('Invalid cursor'),
+    query('page')
+        .optional()
+        .isInt({ min: 1 })
+        .withMessage('Page must be a positive integer'),
+    query('limit')
+        .optional()
+        .isInt({ min: 1, max: 50 })
+        .withMessage('Limit must be between 1 and 50')
+], validate, async (req, res) => {
+    try {
+        const limit = parseInt(req.query.limit) || 10;
+        const filter = { recipient: req.user.id };
+        if (req.query.unread === 'true') {
+            filter.read = false;
+        }
+
+        const { data, total, pagination } = await paginate(Notification, filter, {
+            cursor: req.query.cursor,
+            page: parseInt(req.query.page) || undefined,
+            limit,
+            populate: NOTIFICATION_POPULATE
+        });
+
+        res.json({
+            success: true,
+            count: data.length,
+            total,
+            pagination,
+            data
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching notifications',
+            error: error.message
+        });
+    }
+});
+
+// @desc    Count own unread notifications
+// @route   GET /api/notifications/unread-count
+// @access  Private
+router.get('/unread-count', protect, async (req, res) => {
+    try {
+        const count = await Notification.countDocuments({ recipient: req.user.id, read: false });
+
+        res.json({
+            success: true,
+            count
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error counting notifications',
+            error: error.message
+        });
+    }
+});
+
+// @desc    Mark all own notifications as read
+// @route   PUT /api/notifications/read-all
+// @access  Private
+router.put('/read-all', protect, async (req, res) => {
+    try {
+        const result = await Notification.updateMany(
+            { recipient: req.user.id, read: false },
+            { $set: { read: true, readAt: new Date() } }
+        );
+        // Keep the user's other open tabs in step
+        await realtime.unreadCountChanged(req.user.id);
+
+        res.json({
+            success: true,
+            message: 'Notifications marked as read',
+            updated: result.modifiedCount
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error updating notifications',
+            error: error.message
+        });
+    }
+});
+
+// @desc    Mark an own notification as read
+// @route   PUT /api/notifications/:id/read
+// @access  Private
+router.put('/:id/read', protect, [
+    param('id')
+        .isMongoId()
+        .withMessage('Invalid notification ID')
+], validate, async (req, res) => {
+    try {
+        const notification = await Notification.findOne({ _id: req.params.id, recipient: req.user.id });
+        if (!notification) {
+            return res.status(404).json({
+                success: false,
+                message: 'Notification not found'
+            });
+        }
+
+        if (!notification.read) {
+            notification.read = true;
+            notification.readAt = new Date();
+            await notification.save();
+            await realtime.unreadCountChanged(req.user.id);
+        }
+        await notification.populate(NOTIFICATION_POPULATE);
+
+        res.json({
+            success: true,
+            message: 'Notification marked as read',
+            data: notification
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error updating notification',
+            error: error.message
+        });
+    }
+});
+
+module.exports = router;
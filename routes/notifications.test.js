@@ -0,0 +1,303 @@
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET = 'test-secret-key';
+process.env.JWT_EXPIRE = '1h';
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../server');
+const User = require('../models/User');
+const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+const Notification = require('../models/Notification');
+const { generateToken } = require('../middleware/auth');
+
+let mongoServer;
+let author, jane, bob;
+let authorToken, janeToken, bobToken;
+let post;
+
+beforeAll(async () => {
+    mongoServer = await MongoMemoryServer.create();
+    await mongoose.connect(mongoServer.getUri());
+    // Grouping relies on the unique index over unread notifications
+    await Notification.init();
+});
+
+afterAll(async () => {
+    await mongoose.disconnect();
+    await mongoServer.stop();
+});
+
+beforeEach(async () => {
+    await User.deleteMany({});
+    await Post.deleteMany({});
+    await Comment.deleteMany({});
+    await Notification.deleteMany({});
+
+    const makeUser = (firstName, username) => User.create({
+        firstName,
+        lastName: 'Test',
+        username,
+        email: `${username}@example.com`,
+        password: 'password123'
+    });
+
+    author = await makeUser('John', 'johndoe');
+    jane = await makeUser('Jane', 'janesmith');
+    bob = await makeUser('Bob', 'bobjohnson');
+
+    authorToken = generateToken(author);
+    janeToken = generateToken(jane);
+    bobToken = generateToken(bob);
+
+    post = await Post.create({ text: 'A post', postedBy: author._id });
+});
+
+const like = (token) => request(app)
+    .put('/api/posts/like')
+    .set('Authorization', `Bearer ${token}`)
+    .send({ postId: post._id })
+    .expect(200);
+
+const comment = (token, text, parentId) => request(app)
+    .put('/api/posts/comment')
+    .set('Authorization', `Bearer ${token}`)
+    .send({ postId: post._id, text, parentId })
+    .expect(200);
+
+const list = (token, query = {}) => request(app)
+    .get('/api/notifications')
+    .query(query)
+    .set('Authorization', `Bearer ${token}`);
+
+describe('Notifications raised by other routes', () => {
+    it('should group likes on a post', async () => {
+        await like(janeToken);
+        await like(bobToken);
+
+        const response = await list(authorToken);
+
+        expect(response.status).toBe(200);
+        expect(response.body.data).toHaveLength(1);
+        expect(response.body.data[0].type).toBe('like');
+        expect(response.body.data[0].actorCount).toBe(2);
+        expect(response.body.data[0].actors.map(actor => actor.username)).toEqual(['bobjohnson', 'janesmith']);
+        expect(response.body.data[0].post.text).toBe('A post');
+    });
+
+    it('should take back the like notification on unlike', async () => {
+        await like(janeToken);
+
+        await request(app)
+            .put('/api/posts/unlike')
+            .set('Authorization', `Bearer ${janeToken}`)
+            .send({ postId: post._id })
+            .expect(200);
+
+        expect(await Notification.countDocuments({ recipient: author._id })).toBe(0);
+    });
+
+    it('should not notify authors of their own likes', async () => {
+        await like(authorToken);
+
+        expect(await Notification.countDocuments({})).toBe(0);
+    });
+
+    it('should tell the post author about comments and the parent author about replies', async () => {
+        const first = await comment(janeToken, 'Nice');
+        await comment(bobToken, 'Agreed', first.body.comment._id);
+
+        const authorNotifications = await Notification.find({ recipient: author._id });
+        expect(authorNotifications.map(n => n.type)).toEqual(['comment']);
+
+        const janeNotifications = await Notification.find({ recipient: jane._id });
+        expect(janeNotifications.map(n => n.type)).toEqual(['reply']);
+        expect(janeNotifications[0].actors.map(String)).toEqual([bob._id.toString()]);
+    });
+
+    it('should tell users mentioned in a comment once', async () => {
+        await comment(janeToken, '@bobjohnson and @johndoe, look');
+
+        const bobNotifications = await Notification.find({ recipient: bob._id });
+        expect(bobNotifications.map(n => n.type)).toEqual(['mention']);
+        // The post author hears about the comment, not the mention
+        const authorNotifications = await Notification.find({ recipient: author._id });
+        expect(authorNotifications.map(n => n.type)).toEqual(['comment']);
+    });
+
+    it('should tell users mentioned in a new post', async () => {
+        await request(app)
+            .post('/api/posts')
+            .set('Authorization', `Bearer ${authorToken}`)
+            .send({ text: 'Hello @janesmith' })
+            .expect(201);
+
+        const notifications = await Notification.find({ recipient: jane._id });
+        expect(notifications.map(n => n.type)).toEqual(['mention']);
+    });
+
+    it('should wait for a draft to be published before telling mentioned users', async () => {
+        const draft = await request(app)
+            .post('/api/posts')
+            .set('Authorization', `Bearer ${authorToken}`)
+            .send({ text: 'Hello @janesmith', status: 'draft' })
+            .expect(201);
+
+        expect(await Notification.countDocuments({ recipient: jane._id })).toBe(0);
+
+        await request(app)
+            .put(`/api/posts/drafts/${draft.body.data._id}`)
+            .set('Authorization', `Bearer ${authorToken}`)
+            .send({ status: 'published' })
+            .expect(200);
+
+        expect(await Notification.countDocuments({ recipient: jane._id, type: 'mention' })).toBe(1);
+    });
+
+    it('should tell users newly mentioned by an edit', async () => {
+        await request(app)
+            .put(`/api/posts/${post._id}`)
+            .set('Authorization', `Bearer ${authorToken}`)
+            .send({ text: 'A post for @janesmith' })
+            .expect(200);
+
+        expect(await Notification.countDocuments({ recipient: jane._id, type: 'mention' })).toBe(1);
+    });
+
+    it('should notify and un-notify follows', async () => {
+        await request(app)
+            .put('/api/users/follow')
+            .set('Authorization', `Bearer ${janeToken}`)
+            .send({ followId: author._id })
+            .expect(200);
+
+        const response = await list(authorToken);
+        expect(response.body.data[0].type).toBe('follow');
+        expect(response.body.data[0].actors[0].username).toBe('janesmith');
+
+        await request(app)
+            .put('/api/users/unfollow')
+            .set('Authorization', `Bearer ${janeToken}`)
+            .send({ unfollowId: author._id })
+            .expect(200);
+
+        expect(await Notification.countDocuments({ recipient: author._id })).toBe(0);
+    });
+
+    it('should remove the notifications of a deleted post', async () => {
+        await like(janeToken);
+
+        await request(app)
+            .delete(`/api/posts/${post._id}`)
+            .set('Authorization', `Bearer ${authorToken}`)
+            .expect(200);
+
+        expect(await Notification.countDocuments({})).toBe(0);
+    });
+});
+
+describe('GET /api/notifications', () => {
+    it('should list only own notifications, newest first', async () => {
+        await like(janeToken);
+        await comment(bobToken, 'Hi');
+        await comment(authorToken, 'Reply to Bob', (await Comment.findOne({ text: 'Hi' }))._id);
+
+        const response = await list(authorToken);
+
+        expect(response.body.data.map(n => n.type)).toEqual(['comment', 'like']);
+    });
+
+    it('should filter unread notifications', async () => {
+        await like(janeToken);
+        await comment(bobToken, 'Hi');
+        await Notification.updateOne({ type: 'like' }, { read: true });
+
+        const response = await list(authorToken, { unread: true });
+
+        expect(response.body.data.map(n => n.type)).toEqual(['comment']);
+    });
+
+    it('should page through notifications with cursors', async () => {
+        await like(janeToken);
+        await comment(bobToken, 'Hi');
+
+        const first = await list(authorToken, { limit: 1 });
+        const second = await list(authorToken, { limit: 1, cursor: first.body.pagination.nextCursor });
+
+        expect(first.body.data.map(n => n.type)).toEqual(['comment']);
+        expect(second.body.data.map(n => n.type)).toEqual(['like']);
+    });
+
+    it('should return 401 if not authenticated', async () => {
+        const response = await request(app).get('/api/notifications');
+
+        expect(response.status).toBe(401);
+    });
+});
+
+describe('GET /api/notifications/unread-count', () => {
+    it('should count unread notification groups', async () => {
+        await like(janeToken);
+        await like(bobToken);
+        await comment(bobToken, 'Hi');
+
+        const response = await request(app)
+            .get('/api/notifications/unread-count')
+            .set('Authorization', `Bearer ${authorToken}`);
+
+        expect(response.status).toBe(200);
+        expect(response.body.count).toBe(2);
+    });
+});
+
+describe('PUT /api/notifications/:id/read', () => {
+    it('should mark a notification as read', async () => {
+        await like(janeToken);
+        const notification = await Notification.findOne({ recipient: author._id });
+
+        const response = await request(app)
+            .put(`/api/notifications/${notification._id}/read`)
+            .set('Authorization', `Bearer ${authorToken}`);
+
+        expect(response.status).toBe(200);
+        expect(response.body.data.read).toBe(true);
+        expect(response.body.data.readAt).toBeDefined();
+    });
+
+    it('should return 404 for someone else\'s notification', async () => {
+        await like(janeToken);
+        const notification = await Notification.findOne({ recipient: author._id });
+
+        const response = await request(app)
+            .put(`/api/notifications/${notification._id}/read`)
+            .set('Authorization', `Bearer ${janeToken}`);
+
+        expect(response.status).toBe(404);
+    });
+
+    it('should return 400 for an invalid ID', async () => {
+        const response = await request(app)
+            .put('/api/notifications/not-an-id/read')
+            .set('Authorization', `Bearer ${authorToken}`);
+
+        expect(response.status).toBe(400);
+    });
+});
+
+describe('PUT /api/notifications/read-all', () => {
+    it('should mark every own notification as read', async () => {
+        await like(janeToken);
+        await comment(bobToken, 'Hi');
+        await comment(authorToken, '@bobjohnson thanks');
+
+        const response = await request(app)
+            .put('/api/notifications/read-all')
+            .set('Authorization', `Bearer ${authorToken}`);
+
+        expect(response.status).toBe(200);
+        expect(response.body.updated).toBe(2);
+        expect(await Notification.countDocuments({ recipient: author._id, read: false })).toBe(0);
+        expect(await Notification.countDocuments({ recipient: bob._id, read: false })).toBe(1);
+    });
+});
@@ -1,13 +1,140 @@
 const express = require('express');
-const { body, query } = require('express-validator');
+const { body, query, param } = require('express-validator');
 const Post = require('../models/Post');
-const { protect, authorize, optionalAuth } = require('../middleware/auth');
+const { protect, authorize, optionalAuth, requireVerifiedEmail } = require('../middleware/auth');
 const validate = require('../middleware/validate');
 const multer = require('multer');
 const User = require('../models/User');
+const Activity = require('../models/Activity');
+const Media = require('../models/Media');
+const PostRevision = require('../models/PostRevision');
+const Comment = require('../models/Comment');
+const Notification = require('../models/Notification');
+const Report = require('../models/Report');
+const { getTrendingTopics } = require('../utils/trending');
+const { decodeCursor, paginate } = require('../utils/pagination');
+const timeline = require('../utils/timeline');
+const realtime = require('../utils/realtime');
+const ranking = require('../utils/ranking');
+const { announce, publishPost } = require('../utils/postScheduler');
+const { notifyComment, notifyMentions, addedMentions } = require('../utils/notifications');
+const { checkContent } = require('../utils/contentFilter');
 
 const router = express.Router();
 
+// Author fields, and the usernames of mentioned users, shown with every
+// post in a listing
+const LIST_POPULATE = [
+    { path: 'postedBy', select: 'firstName lastName username photo' },
+    { path: 'mentions', select: 'username' }
+];
+
+// Commenter fields shown with every comment
+const COMMENT_POPULATE = [
+    { path: 'postedBy', select: 'firstName lastName username photo' },
+    { path: 'mentions', select: 'username' }
+];
+
+// Latest top-level comments returned with a post by the comment routes
+const COMMENT_PREVIEW_LIMIT = 20;
+
+// A post as returned by /comment and /uncomment: with its latest top-level
+// comments, oldest first, as when comments were embedded in the post.
+// Comments by users blocked with the viewer, and held comments, are left out.
+const withComments = async (post, viewer) => {
+    const comments = await Comment.find({
+        post: post._id,
+        parentId: null,
+        postedBy: { $nin: viewer.blockedIds() },
+        held: { $ne: true }
+    })
+        .populate(COMMENT_POPULATE)
+        .sort({ createdAt: -1, _id: -1 })
+        .limit(COMMENT_PREVIEW_LIMIT);
+
+    return { ...post.toJSON(), comments: comments.reverse() };
+};
+
+// Whether a user may see an author's posts: not across a block, and not
+// those of a private account they don't follow. The author can be an id
+// or a populated user, and the user null when signed out.
+const canSeeAuthor = async (user, author) => (
+    !!author && !user?.isBlockedWith(author._id) && !(await User.isPrivateTo(author._id, user?.id))
+);
+
+// Run the title and text of a new or edited post, or the text of a
+// comment, through the content filter. Sends 400 and returns null when a
+// rule rejects it.
+const filterContent = async (res, { kind, title, text, author, isNew = false }) => {
+    const filtered = await checkContent({
+        kind,
+        text: [title, text].filter(Boolean).join('\n'),
+        author,
+        isNew
+    });
+
+    if (filtered.action === 'reject') {
+        res.status(400).json({
+            success: false,
+            message: filtered.reasons[0]
+        });
+        return null;
+    }
+
+    return filtered;
+};
+
+// Send a post held by the content filter to the moderation queue
+const holdPost = (post, filtered) => Report.holdForReview({
+    targetType: 'post',
+    target: post._id,
+    targetAuthor: post.postedBy,
+    reasons: filtered.reasons
+});
+
+// Tags arrive as an array in JSON bodies and as a comma-separated string
+// in multipart forms
+const parseTags = (tags) => (Array.isArray(tags) ? tags : String(tags).split(','))
+    .map(tag => String(tag).trim().toLowerCase())
+    .filter(Boolean);
+
+// Validation shared by creating and editing a post's details
+const postDetailRules = () => [
+    body('title')
+        .optional()
+        .isLength({ max: 200 })
+        .withMessage('Title cannot exceed 200 characters'),
+    body('category')
+        .optional()
+        .isLength({ max: 50 })
+        .withMessage('Category cannot exceed 50 characters'),
+    body('tags')
+        .optional()
+        .customSanitizer(parseTags)
+        .custom(tags => tags.length <= 10)
+        .withMessage('A post can have at most 10 tags')
+];
+
+// Validation of a post's status when creating or editing a draft
+const statusRules = () => [
+    body('status')
+        .optional()
+        .isIn(['draft', 'scheduled', 'published'])
+        .withMessage('Status must be draft, scheduled or published'),
+    // Checked whenever given too: a scheduled post edited without a status
+    // stays scheduled at the new time
+    body('publishAt')
+        .if((value, { req }) => value !== undefined || req.body.status === 'scheduled')
+        .notEmpty()
+        .withMessage('A publish time is required for scheduled posts')
+        .bail()
+        .isISO8601()
+        .withMessage('Publish time must be a valid date')
+        .bail()
+        .custom(value => new Date(value) > new Date())
+        .withMessage('Publish time must be in the future')
+];
+
 // Configure multer for file uploads
 const upload = multer({
     limits: {
@@ -19,6 +146,10 @@ const upload = multer({
 // @route   GET /api/posts
 // @access  Private
 router.get('/', protect, [
+    query('cursor')
+        .optional()
+        .custom(value => decodeCursor(value) !== null)
+        .withMessage('Invalid cursor'),
     query('page')
         .optional()
         .isInt({ min: 1 })
@@ -29,38 +160,29 @@ router.get('/', protect, [
         .withMessage('Limit must be between 1 and 50')
 ], validate, async (req, res) => {
     try {
-        const page = parseInt(req.query.page) || 1;
         const limit = parseInt(req.query.limit) || 10;
-        const skip = (page - 1) * limit;
 
         // Get current user's following list
         const currentUser = await User.findById(req.user.id);
         const followingIds = [...(currentUser.following || []), req.user.id];
 
-        // Get posts from followed users and current user
-        const posts = await Post.find({
-            postedBy: { $in: followingIds }
-        })
-            .populate('postedBy', 'firstName lastName username photo')
-            .populate('comments.postedBy', 'firstName lastName username photo')
-            .sort({ createdAt: -1 })
-            .skip(skip)
-            .limit(limit);
-
-        const total = await Post.countDocuments({
-            postedBy: { $in: followingIds }
+        // Get published posts from followed users and current user, less
+        // those of muted users
+        const { data, total, pagination } = await paginate(Post, Post.publishedFilter({
+            postedBy: { $in: followingIds, $nin: currentUser.muted }
+        }), {
+            cursor: req.query.cursor,
+            page: parseInt(req.query.page) || undefined,
+            limit,
+            populate: LIST_POPULATE
         });
 
         res.json({
             success: true,
-            count: posts.length,
+            count: data.length,
             total,
-            pagination: {
-                page,
-                limit,
-                pages: Math.ceil(total / limit)
-            },
-            data: posts
+            pagination,
+            data
         });
     } catch (error) {
         res.status(500).json({
@@ -75,6 +197,14 @@ router.get('/', protect, [
 // @route   GET /api/posts/feed
 // @access  Private
 router.get('/feed', protect, [
+    query('sort')
+        .optional()
+        .isIn(['recent', 'top'])
+        .withMessage('Sort must be either recent or top'),
+    query('cursor')
+        .optional()
+        .custom(value => decodeCursor(value) !== null)
+        .withMessage('Invalid cursor'),
     query('page')
         .optional()
         .isInt({ min: 1 })
@@ -85,46 +215,56 @@ router.get('/feed', protect, [
         .withMessage('Limit must be between 1 and 50')
 ], validate, async (req, res) => {
     try {
-        const page = parseInt(req.query.page) || 1;
         const limit = parseInt(req.query.limit) || 10;
-        const skip = (page - 1) * limit;
 
-        // Get current user's following list
-        const currentUser = await User.findById(req.user.id);
+        if (req.query.sort === 'top') {
+            // Ranked order shifts as posts age and gather engagement, so
+            // the top feed is paged by number rather than by cursor
+            if (req.query.cursor) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'The top feed is paged with page, not cursor'
+                });
+            }
 
-        if (!currentUser) {
-            return res.status(401).json({
-                success: false,
-                message: 'User not found'
+            const page = parseInt(req.query.page) || 1;
+            const { data: candidates } = await timeline.read(req.user.id, {
+                limit: ranking.getCandidateLimit(),
+                populate: LIST_POPULATE,
+                excludeAuthors: req.user.muted
             });
-        }
+            const ranked = await ranking.rankFeed(req.user.id, candidates);
+            const data = ranked.slice((page - 1) * limit, page * limit);
 
-        const followingIds = [...(currentUser.following || []), req.user.id];
-
-        // Get posts from followed users and current user
-        const posts = await Post.find({
-            postedBy: { $in: followingIds }
-        })
-            .populate('postedBy', 'firstName lastName username photo')
-            .populate('comments.postedBy', 'firstName lastName username photo')
-            .sort({ createdAt: -1 })
-            .skip(skip)
-            .limit(limit);
+            return res.json({
+                success: true,
+                count: data.length,
+                total: ranked.length,
+                pagination: {
+                    page,
+                    limit,
+                    pages: Math.ceil(ranked.length / limit)
+                },
+                data
+            });
+        }
 
-        const total = await Post.countDocuments({
-            postedBy: { $in: followingIds }
+        // Read the current user's materialized timeline, less the posts
+        // of muted users
+        const { data, total, pagination } = await timeline.read(req.user.id, {
+            cursor: req.query.cursor,
+            page: parseInt(req.query.page) || undefined,
+            limit,
+            populate: LIST_POPULATE,
+            excludeAuthors: req.user.muted
         });
 
         res.json({
             success: true,
-            count: posts.length,
+            count: data.length,
             total,
-            pagination: {
-                page,
-                limit,
-                pages: Math.ceil(total / limit)
-            },
-            data: posts
+            pagination,
+            data
         });
     } catch (error) {
         console.error('Error in /api/posts/feed:', error);
@@ -136,16 +276,240 @@ router.get('/feed', protect, [
     }
 });
 
+// @desc    Get trending topics (hashtags and keywords)
+// @route   GET /api/posts/trending
+// @access  Private
+router.get('/trending', protect, [
+    query('limit')
+        .optional()
+        .isInt({ min: 1, max: 50 })
+        .withMessage('Limit must be between 1 and 50'),
+    query('type')
+        .optional()
+        .isIn(['hashtag', 'keyword'])
+        .withMessage('Type must be either hashtag or keyword')
+], validate, async (req, res) => {
+    try {
+        const limit = parseInt(req.query.limit) || 10;
+
+        const topics = await getTrendingTopics({
+            limit,
+            type: req.query.type
+        });
+
+        res.json({
+            success: true,
+            count: topics.length,
+            data: topics
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching trending topics',
+            error: error.message
+        });
+    }
+});
+
+// @desc    Get posts with a hashtag or tag
+// @route   GET /api/posts/tag/:tag
+// @access  Private
+router.get('/tag/:tag', protect, [
+    param('tag')
+        .customSanitizer(tag => String(tag).replace(/^#/, '').toLowerCase())
+        .matches(/^\w{1,30}$/)
+        .withMessage('Invalid tag'),
+    query('cursor')
+        .optional()
+        .custom(value => decodeCursor(value) !== null)
+        .withMessage('Invalid cursor'),
+    query('page')
+        .optional()
+        .isInt({ min: 1 })
+        .withMessage('Page must be a positive integer'),
+    query('limit')
+        .optional()
+        .isInt({ min: 1, max: 50 })
+        .withMessage('Limit must be between 1 and 50')
+], validate, async (req, res) => {
+    try {
+        const limit = parseInt(req.query.limit) || 10;
+        const { tag } = req.params;
+
+        // Hashtags written in the text and tags set on the post count alike.
+        // Authors blocked either way and private accounts the user doesn't
+        // follow are left out.
+        const tagged = Post.publishedFilter({ $or: [{ hashtags: tag }, { tags: tag }] });
+        const authors = await Post.distinct('postedBy', tagged);
+        const hiddenAuthors = [...req.user.blockedIds(), ...await User.privateIdsHiddenFrom(req.user.id, authors)];
+        const { data, total, pagination } = await paginate(Post, {
+            ...tagged,
+            postedBy: { $nin: hiddenAuthors }
+        }, {
+            cursor: req.query.cursor,
+            page: parseInt(req.query.page) || undefined,
+            limit,
+            populate: LIST_POPULATE
+        });
+
+        res.json({
+            success: true,
+            tag,
+            count: data.length,
+            total,
+            pagination,
+            data
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching posts',
+            error: error.message
+        });
+    }
+});
+
+// @desc    Get own drafts, scheduled posts and posts held for review
+// @route   GET /api/posts/drafts
+// @access  Private
+router.get('/drafts', protect, [
+    query('cursor')
+        .optional()
+        .custom(value => decodeCursor(value) !== null)
+        .withMessage('Invalid cursor'),
+    query('page')
+        .optional()
+        .isInt({ min: 1 })
+        .withMessage('Page must be a positive integer'),
+    query('limit')
+        .optional()
+        .isInt({ min: 1, max: 50 })
+        .withMessage('Limit must be between 1 and 50')
+], validate, async (req, res) => {
+    try {
+        const limit = parseInt(req.query.limit) || 10;
+
+        const { data, total, pagination } = await paginate(Post, {
+            postedBy: req.user.id,
+            status: { $in: ['draft', 'scheduled', 'held'] }
+        }, {
+            cursor: req.query.cursor,
+            page: parseInt(req.query.page) || undefined,
+            limit,
+            populate: LIST_POPULATE
+        });
+
+        res.json({
+            success: true,
+            count: data.length,
+            total,
+            pagination,
+            data
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching drafts',
+            error: error.message
+        });
+    }
+});
+
+// @desc    Edit, schedule or publish an own draft or scheduled post
+// @route   PUT /api/posts/drafts/:id
+// @access  Private
+router.put('/drafts/:id', protect, [
+    param('id')
+        .isMongoId()
+        .withMessage('Invalid post ID'),
+    body('text')
+        .optional()
+        .notEmpty()
+        .withMessage('Text is required')
+        .isLength({ max: 1000 })
+        .withMessage('Text cannot exceed 1000 characters'),
+    ...postDetailRules(),
+    ...statusRules()
+], validate, async (req, res) => {
+    try {
+        const post = await Post.findById(req.params.id);
+
+        if (!post || post.postedBy.toString() !== req.user.id) {
+            return res.status(404).json({
+                success: false,
+                message: 'Draft not found'
+            });
+        }
+
+        if (!['draft', 'scheduled'].includes(post.status)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Only drafts and scheduled posts can be edited here'
+            });
+        }
+
+        for (const field of ['text', 'title', 'category', 'tags']) {
+            if (req.body[field] !== undefined) {
+                post[field] = req.body[field];
+            }
+        }
+
+        const filtered = await filterContent(res, { kind: 'post', title: post.title, text: post.text, author: post.postedBy });
+        if (!filtered) {
+            return;
+        }
+        post.flags = filtered.flags;
+
+        let status = req.body.status || post.status;
+        // A post the filter holds waits for an admin instead of going out
+        if (filtered.action === 'hold' && status !== 'draft') {
+            status = 'held';
+        }
+
+        if (status === 'published') {
+            await publishPost(post);
+        } else {
+            post.status = status;
+            post.publishAt = status === 'scheduled' ? req.body.publishAt || post.publishAt : undefined;
+            await post.save();
+        }
+
+        if (status === 'held') {
+            await holdPost(post, filtered);
+        }
+
+        await post.populate(LIST_POPULATE);
+
+        const messages = {
+            published: 'Post published successfully',
+            held: 'Post is held for review'
+        };
+
+        res.json({
+            success: true,
+            message: messages[status] || 'Draft updated successfully',
+            data: post
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error updating draft',
+            error: error.message
+        });
+    }
+});
+
 // @desc    Get single post
 // @route   GET /api/posts/:id
 // @access  Private
 router.get('/:id', protect, async (req, res) => {
     try {
         const post = await Post.findById(req.params.id)
-            .populate('postedBy', 'firstName lastName username photo')
-            .populate('comments.postedBy', 'firstName lastName username photo');
+            .populate(LIST_POPULATE);
 
-        if (!post) {
+        // Unpublished posts are hidden from everyone but their author, and
+        // all posts from authors the user may not see
+        if (!post || !post.isVisibleTo(req.user.id) || !(await canSeeAuthor(req.user, post.postedBy))) {
             return res.status(404).json({
                 success: false,
                 message: 'Post not found'
@@ -168,35 +532,64 @@ router.get('/:id', protect, async (req, res) => {
 // @desc    Create new post
 // @route   POST /api/posts
 // @access  Private
-router.post('/', protect, upload.single('photo'), [
+router.post('/', protect, requireVerifiedEmail('post'), upload.single('photo'), [
     body('text')
         .notEmpty()
         .withMessage('Text is required')
         .isLength({ max: 1000 })
-        .withMessage('Text cannot exceed 1000 characters')
+        .withMessage('Text cannot exceed 1000 characters'),
+    ...postDetailRules(),
+    ...statusRules()
 ], validate, async (req, res) => {
     try {
-        const { text } = req.body;
+        const { text, title, category, tags, publishAt } = req.body;
+
+        const filtered = await filterContent(res, { kind: 'post', title, text, author: req.user._id, isNew: true });
+        if (!filtered) {
+            return;
+        }
+
+        // A post the filter holds waits for an admin instead of going out
+        const held = filtered.action === 'hold' && req.body.status !== 'draft';
+        const status = held ? 'held' : req.body.status || 'published';
+
         const postData = {
             text,
+            title,
+            category,
+            tags,
+            status,
+            flags: filtered.flags,
+            publishAt: status === 'scheduled' ? publishAt : undefined,
             postedBy: req.user.id
         };
 
         // Handle photo upload
         if (req.file) {
-            postData.photo = {
-                data: req.file.buffer,
-                contentType: req.file.mimetype
-            };
+            const media = await Media.store({
+                buffer: req.file.buffer,
+                contentType: req.file.mimetype,
+                owner: req.user.id
+            });
+            postData.photo = media._id;
         }
 
         const post = await Post.create(postData);
 
-        await post.populate('postedBy', 'firstName lastName username photo');
+        // Drafts and scheduled posts reach feeds once they are published
+        if (post.status === 'published') {
+            await announce(post);
+        }
+
+        if (held) {
+            await holdPost(post, filtered);
+        }
+
+        await post.populate(LIST_POPULATE);
 
         res.status(201).json({
             success: true,
-            message: 'Post created successfully',
+            message: held ? 'Post is held for review' : 'Post created successfully',
             data: post
         });
     } catch (error) {
@@ -210,20 +603,24 @@ router.post('/', protect, upload.single('photo'), [
 
 // @desc    Get post photo
 // @route   GET /api/posts/:id/photo
-// @access  Public
-router.get('/:id/photo', async (req, res) => {
+// @access  Public, or whoever may see the post
+router.get('/:id/photo', optionalAuth, async (req, res) => {
     try {
-        const post = await Post.findById(req.params.id).select('photo');
+        const post = await Post.findById(req.params.id).select('photo postedBy status');
+        const visible = post && post.isVisibleTo(req.user?.id) && await canSeeAuthor(req.user, post.postedBy);
+        const file = visible && post.photo ? await Media.open(post.photo) : null;
 
-        if (!post || !post.photo.data) {
+        if (!file) {
             return res.status(404).json({
                 success: false,
                 message: 'Photo not found'
             });
         }
 
-        res.set('Content-Type', post.photo.contentType);
-        res.send(post.photo.data);
+        res.set('Content-Type', file.media.contentType);
+        res.set('Content-Length', String(file.media.size));
+        file.stream.on('error', () => res.destroy());
+        file.stream.pipe(res);
     } catch (error) {
         res.status(500).json({
             success: false,
@@ -245,7 +642,8 @@ router.put('/like', protect, [
         const { postId } = req.body;
 
         const post = await Post.findById(postId);
-        if (!post) {
+        // Only published posts the user may see can be liked or commented on
+        if (!post || post.status !== 'published' || !(await canSeeAuthor(req.user, post.postedBy))) {
             return res.status(404).json({
                 success: false,
                 message: 'Post not found'
@@ -264,8 +662,21 @@ router.put('/like', protect, [
         post.likes.push(req.user.id);
         await post.save();
 
-        await post.populate('postedBy', 'firstName lastName username photo');
-        await post.populate('comments.postedBy', 'firstName lastName username photo');
+        await Activity.record({
+            actor: req.user.id,
+            type: 'like',
+            targetUser: post.postedBy,
+            targetPost: post._id
+        });
+        await Notification.notify({
+            recipient: post.postedBy,
+            actor: req.user.id,
+            type: 'like',
+            post: post._id
+        });
+        await realtime.postUpdated(post._id);
+
+        await post.populate(LIST_POPULATE);
 
         res.json({
             success: true,
@@ -312,8 +723,17 @@ router.put('/unlike', protect, [
         post.likes = post.likes.filter(like => like.toString() !== req.user.id);
         await post.save();
 
-        await post.populate('postedBy', 'firstName lastName username photo');
-        await post.populate('comments.postedBy', 'firstName lastName username photo');
+        // A withdrawn like leaves neither the activity stream nor feed affinity
+        await Activity.deleteMany({ actor: req.user.id, type: 'like', targetPost: post._id });
+        await Notification.retract({
+            recipient: post.postedBy,
+            actor: req.user.id,
+            type: 'like',
+            post: post._id
+        });
+        await realtime.postUpdated(post._id);
+
+        await post.populate(LIST_POPULATE);
 
         res.json({
             success: true,
@@ -329,13 +749,17 @@ router.put('/unlike', protect, [
     }
 });
 
-// @desc    Comment on a post
+// @desc    Comment on a post, or reply to a comment with parentId
 // @route   PUT /api/posts/comment
 // @access  Private
-router.put('/comment', protect, [
+router.put('/comment', protect, requireVerifiedEmail('comment'), [
     body('postId')
         .isMongoId()
         .withMessage('Invalid post ID'),
+    body('parentId')
+        .optional()
+        .isMongoId()
+        .withMessage('Invalid comment ID'),
     body('text')
         .notEmpty()
         .withMessage('Comment text is required')
@@ -343,30 +767,75 @@ router.put('/comment', protect, [
         .withMessage('Comment cannot exceed 500 characters')
 ], validate, async (req, res) => {
     try {
-        const { postId, text } = req.body;
+        const { postId, parentId, text } = req.body;
 
         const post = await Post.findById(postId);
-        if (!post) {
+        // Only published posts the user may see can be liked or commented on
+        if (!post || post.status !== 'published' || !(await canSeeAuthor(req.user, post.postedBy))) {
             return res.status(404).json({
                 success: false,
                 message: 'Post not found'
             });
         }
 
-        // Add comment
-        post.comments.push({
+        // Replies must stay within the post they belong to
+        const parent = parentId ? await Comment.findOne({ _id: parentId, post: post._id, held: { $ne: true } }) : null;
+        if (parentId && (!parent || req.user.isBlockedWith(parent.postedBy))) {
+            return res.status(404).json({
+                success: false,
+                message: 'Comment not found'
+            });
+        }
+
+        const filtered = await filterContent(res, { kind: 'comment', text, author: req.user._id, isNew: true });
+        if (!filtered) {
+            return;
+        }
+
+        // A comment the filter holds is kept out of the counters and
+        // nobody is told about it until an admin releases it
+        const comment = await Comment.create({
+            post: post._id,
+            parentId: parentId || null,
+            postedBy: req.user.id,
             text,
-            postedBy: req.user.id
+            held: filtered.action === 'hold',
+            flags: filtered.flags
         });
-        await post.save();
 
-        await post.populate('postedBy', 'firstName lastName username photo');
-        await post.populate('comments.postedBy', 'firstName lastName username photo');
+        if (comment.held) {
+            await Report.holdForReview({
+                targetType: 'comment',
+                target: comment._id,
+                targetAuthor: comment.postedBy,
+                reasons: filtered.reasons
+            });
+        } else {
+            if (parentId) {
+                await Comment.updateOne({ _id: parentId }, { $inc: { replyCount: 1 } });
+            }
+            post.commentCount += 1;
+            await Post.updateOne({ _id: post._id }, { $inc: { commentCount: 1 } });
+
+            await Activity.record({
+                actor: req.user.id,
+                type: 'comment',
+                targetUser: post.postedBy,
+                targetPost: post._id
+            });
+
+            await notifyComment(post, comment, parent);
+            await realtime.postUpdated(post._id);
+        }
+
+        await post.populate(LIST_POPULATE);
+        await comment.populate(COMMENT_POPULATE);
 
         res.json({
             success: true,
-            message: 'Comment added successfully',
-            data: post
+            message: comment.held ? 'Comment is held for review' : 'Comment added successfully',
+            data: await withComments(post, req.user),
+            comment
         });
     } catch (error) {
         res.status(500).json({
@@ -377,7 +846,7 @@ router.put('/comment', protect, [
     }
 });
 
-// @desc    Remove comment from a post
+// @desc    Remove comment from a post, along with its replies
 // @route   PUT /api/posts/uncomment
 // @access  Private
 router.put('/uncomment', protect, [
@@ -391,7 +860,7 @@ router.put('/uncomment', protect, [
     try {
         const { postId, commentId } = req.body;
 
-        let post = await Post.findById(postId);
+        const post = await Post.findById(postId);
         if (!post) {
             return res.status(404).json({
                 success: false,
@@ -399,33 +868,31 @@ router.put('/uncomment', protect, [
             });
         }
 
-        // Remove comment using array splice
-        const commentIndex = post.comments.findIndex(c => c._id.toString() === commentId);
-        if (commentIndex === -1) {
+        const comment = await Comment.findOne({ _id: commentId, post: post._id });
+        if (!comment) {
             return res.status(404).json({
                 success: false,
                 message: 'Comment not found'
             });
         }
         // Check if user owns the comment
-        if (post.comments[commentIndex].postedBy.toString() !== req.user.id) {
+        if (comment.postedBy.toString() !== req.user.id) {
             return res.status(403).json({
                 success: false,
                 message: 'Not authorized to delete this comment'
             });
         }
-        post.comments.splice(commentIndex, 1);
-        await post.save();
+        await Comment.removeThread(comment);
+        await realtime.postUpdated(post._id);
 
-        // Reload post to ensure population is correct
-        post = await Post.findById(postId)
-            .populate('postedBy', 'firstName lastName username photo')
-            .populate('comments.postedBy', 'firstName lastName username photo');
+        // Reload post to pick up the new comment count
+        const updatedPost = await Post.findById(postId)
+            .populate(LIST_POPULATE);
 
         res.json({
             success: true,
             message: 'Comment removed successfully',
-            data: post
+            data: await withComments(updatedPost, req.user)
         });
     } catch (error) {
         res.status(500).json({
@@ -436,10 +903,73 @@ router.put('/uncomment', protect, [
     }
 });
 
+// @desc    Get top-level comments on a post, newest first
+// @route   GET /api/posts/:id/comments
+// @access  Private
+router.get('/:id/comments', protect, [
+    param('id')
+        .isMongoId()
+        .withMessage('Invalid post ID'),
+    query('cursor')
+        .optional()
+        .custom(value => decodeCursor(value) !== null)
+        .withMessage('Invalid cursor'),
+    query('page')
+        .optional()
+        .isInt({ min: 1 })
+        .withMessage('Page must be a positive integer'),
+    query('limit')
+        .optional()
+        .isInt({ min: 1, max: 50 })
+        .withMessage('Limit must be between 1 and 50')
+], validate, async (req, res) => {
+    try {
+        const post = await Post.findById(req.params.id);
+
+        if (!post || !post.isVisibleTo(req.user.id) || !(await canSeeAuthor(req.user, post.postedBy))) {
+            return res.status(404).json({
+                success: false,
+                message: 'Post not found'
+            });
+        }
+
+        // Comments by users blocked either way, and held comments, are left out
+        const { data, total, pagination } = await paginate(Comment, {
+            post: post._id,
+            parentId: null,
+            postedBy: { $nin: req.user.blockedIds() },
+            held: { $ne: true }
+        }, {
+            cursor: req.query.cursor,
+            page: parseInt(req.query.page) || undefined,
+            limit: parseInt(req.query.limit) || 10,
+            populate: COMMENT_POPULATE
+        });
+
+        res.json({
+            success: true,
+            count: data.length,
+            total,
+            pagination,
+            data
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching comments',
+            error: error.message
+        });
+    }
+});
+
 // @desc    Get posts by user
 // @route   GET /api/posts/by-user/:userId
 // @access  Private
 router.get('/by-user/:userId', protect, [
+    query('cursor')
+        .optional()
+        .custom(value => decodeCursor(value) !== null)
+        .withMessage('Invalid cursor'),
     query('page')
         .optional()
         .isInt({ min: 1 })
@@ -450,33 +980,38 @@ router.get('/by-user/:userId', protect, [
         .withMessage('Limit must be between 1 and 50')
 ], validate, async (req, res) => {
     try {
-        const page = parseInt(req.query.page) || 1;
         const limit = parseInt(req.query.limit) || 10;
-        const skip = (page - 1) * limit;
 
-        const posts = await Post.find({
-            postedBy: req.params.userId
-        })
-            .populate('postedBy', 'firstName lastName username photo')
-            .populate('comments.postedBy', 'firstName lastName username photo')
-            .sort({ createdAt: -1 })
-            .skip(skip)
-            .limit(limit);
-
-        const total = await Post.countDocuments({
+        // Users blocked either way see none of each other's posts
+        if (req.user.isBlockedWith(req.params.userId)) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        if (await User.isPrivateTo(req.params.userId, req.user.id)) {
+            return res.status(403).json({
+                success: false,
+                message: 'This account is private'
+            });
+        }
+
+        const { data, total, pagination } = await paginate(Post, Post.publishedFilter({
             postedBy: req.params.userId
+        }), {
+            cursor: req.query.cursor,
+            page: parseInt(req.query.page) || undefined,
+            limit,
+            populate: LIST_POPULATE
         });
 
         res.json({
             success: true,
-            count: posts.length,
+            count: data.length,
             total,
-            pagination: {
-                page,
-                limit,
-                pages: Math.ceil(total / limit)
-            },
-            data: posts
+            pagination,
+            data
         });
     } catch (error) {
         res.status(500).json({
@@ -487,6 +1022,246 @@ router.get('/by-user/:userId', protect, [
     }
 });
 
+// @desc    Edit own post, keeping the prior version as a revision
+// @route   PUT /api/posts/:id
+// @access  Private
+router.put('/:id', protect, [
+    param('id')
+        .isMongoId()
+        .withMessage('Invalid post ID'),
+    body('text')
+        .optional()
+        .notEmpty()
+        .withMessage('Text is required')
+        .isLength({ max: 1000 })
+        .withMessage('Text cannot exceed 1000 characters'),
+    ...postDetailRules()
+], validate, async (req, res) => {
+    try {
+        const post = await Post.findById(req.params.id);
+
+        if (!post) {
+            return res.status(404).json({
+                success: false,
+                message: 'Post not found'
+            });
+        }
+
+        if (post.postedBy.toString() !== req.user.id) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to edit this post'
+            });
+        }
+
+        // Unpublished work has no history worth keeping
+        if (['draft', 'scheduled'].includes(post.status)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Drafts and scheduled posts are edited through /api/posts/drafts/:id'
+            });
+        }
+
+        if (post.status === 'held') {
+            return res.status(400).json({
+                success: false,
+                message: 'Post is held for review'
+            });
+        }
+
+        const previous = {
+            title: post.title,
+            text: post.text,
+            category: post.category,
+            tags: [...post.tags]
+        };
+        const previousMentions = [...post.mentions];
+
+        for (const field of ['text', 'title', 'category', 'tags']) {
+            if (req.body[field] !== undefined) {
+                post[field] = req.body[field];
+            }
+        }
+
+        // Saving without any change leaves the history alone
+        const changed = Object.keys(previous)
+            .some(field => JSON.stringify(previous[field]) !== JSON.stringify(post[field]));
+
+        let held = false;
+        if (changed) {
+            const filtered = await filterContent(res, { kind: 'post', title: post.title, text: post.text, author: post.postedBy });
+            if (!filtered) {
+                return;
+            }
+
+            // A post the filter holds leaves feeds until an admin releases it
+            held = filtered.action === 'hold';
+            post.flags = filtered.flags;
+            if (held) {
+                post.status = 'held';
+            }
+
+            await PostRevision.create({ ...previous, post: post._id, editedBy: req.user.id });
+            post.editedAt = new Date();
+            await post.save();
+
+            if (held) {
+                await timeline.removePost(post._id);
+                await holdPost(post, filtered);
+            }
+
+            // Users mentioned by the edit are told, as with a new post
+            if (post.status === 'published') {
+                await notifyMentions({
+                    actor: post.postedBy,
+                    mentions: addedMentions(previousMentions, post.mentions),
+                    post: post._id
+                });
+            }
+        }
+
+        await post.populate(LIST_POPULATE);
+
+        res.json({
+            success: true,
+            message: held ? 'Post is held for review' : 'Post updated successfully',
+            data: post
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error updating post',
+            error: error.message
+        });
+    }
+});
+
+// @desc    Get the prior versions of a post
+// @route   GET /api/posts/:id/revisions
+// @access  Private
+router.get('/:id/revisions', protect, [
+    param('id')
+        .isMongoId()
+        .withMessage('Invalid post ID'),
+    query('cursor')
+        .optional()
+        .custom(value => decodeCursor(value) !== null)
+        .withMessage('Invalid cursor'),
+    query('limit')
+        .optional()
+        .isInt({ min: 1, max: 50 })
+        .withMessage('Limit must be between 1 and 50')
+], validate, async (req, res) => {
+    try {
+        const post = await Post.findById(req.params.id);
+
+        if (!post || !post.isVisibleTo(req.user.id) || !(await canSeeAuthor(req.user, post.postedBy))) {
+            return res.status(404).json({
+                success: false,
+                message: 'Post not found'
+            });
+        }
+
+        const { data, pagination } = await paginate(PostRevision, { post: post._id }, {
+            cursor: req.query.cursor,
+            limit: parseInt(req.query.limit) || 20,
+            populate: { path: 'editedBy', select: 'firstName lastName username photo' }
+        });
+
+        res.json({
+            success: true,
+            count: data.length,
+            pagination,
+            data
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching revisions',
+            error: error.message
+        });
+    }
+});
+
+// @desc    Archive own post, hiding it from feeds and listings
+// @route   PUT /api/posts/:id/archive
+// @access  Private
+router.put('/:id/archive', protect, async (req, res) => {
+    try {
+        const post = await Post.findById(req.params.id);
+
+        if (!post || post.postedBy.toString() !== req.user.id) {
+            return res.status(404).json({
+                success: false,
+                message: 'Post not found'
+            });
+        }
+
+        if (post.status !== 'published') {
+            return res.status(400).json({
+                success: false,
+                message: 'Only published posts can be archived'
+            });
+        }
+
+        post.status = 'archived';
+        await post.save();
+        await timeline.removePost(post._id);
+
+        res.json({
+            success: true,
+            message: 'Post archived successfully',
+            data: post
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error archiving post',
+            error: error.message
+        });
+    }
+});
+
+// @desc    Restore own archived post to feeds and listings
+// @route   PUT /api/posts/:id/unarchive
+// @access  Private
+router.put('/:id/unarchive', protect, async (req, res) => {
+    try {
+        const post = await Post.findById(req.params.id);
+
+        if (!post || post.postedBy.toString() !== req.user.id) {
+            return res.status(404).json({
+                success: false,
+                message: 'Post not found'
+            });
+        }
+
+        if (post.status !== 'archived') {
+            return res.status(400).json({
+                success: false,
+                message: 'Post is not archived'
+            });
+        }
+
+        // The post keeps its original place in feeds
+        post.status = 'published';
+        await post.save();
+        await timeline.fanOut(post);
+
+        res.json({
+            success: true,
+            message: 'Post restored successfully',
+            data: post
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error restoring post',
+            error: error.message
+        });
+    }
+});
+
 // @desc    Delete post
 // @route   DELETE /api/posts/:id
 // @access  Private
@@ -509,7 +1284,7 @@ router.delete('/:id', protect, async (req, res) => {
             });
         }
 
-        await Post.findByIdAndDelete(req.params.id);
+        await Post.removeWithContent(post);
 
         res.json({
             success: true,
@@ -10,6 +10,16 @@ const { MongoMemoryServer } = require('mongodb-memory-server');
 const app = require('../server');
 const User = require('../models/User');
 const Post = require('../models/Post');
+const Activity = require('../models/Activity');
+const Media = require('../models/Media');
+const TimelineEntry = require('../models/TimelineEntry');
+const PostRevision = require('../models/PostRevision');
+const Comment = require('../models/Comment');
+const Report = require('../models/Report');
+const Notification = require('../models/Notification');
+const timeline = require('../utils/timeline');
+const { publishDuePosts } = require('../utils/postScheduler');
+const { getAffinity } = require('../utils/ranking');
 const { generateToken } = require('../middleware/auth');
 
 let mongoServer;
@@ -17,6 +27,13 @@ let testUser1, testUser2, testUser3;
 let testPost1, testPost2;
 let token1, token2, token3;
 
+// Create a post and fan it out to timelines, as POST /api/posts does
+const createPost = async (data) => {
+    const post = await Post.create(data);
+    await timeline.fanOut(post);
+    return post;
+};
+
 beforeAll(async () => {
     mongoServer = await MongoMemoryServer.create();
     await mongoose.connect(mongoServer.getUri());
@@ -31,6 +48,13 @@ beforeEach(async () => {
     // Clear all collections
     await User.deleteMany({});
     await Post.deleteMany({});
+    await Activity.deleteMany({});
+    await Media.deleteMany({});
+    await TimelineEntry.deleteMany({});
+    await PostRevision.deleteMany({});
+    await Comment.deleteMany({});
+    await Report.deleteMany({});
+    await Notification.deleteMany({});
 
     // Create test users
     testUser1 = await User.create({
@@ -60,23 +84,23 @@ beforeEach(async () => {
         role: 'user'
     });
 
+    // Set up following relationships
+    testUser1.following.push(testUser2._id);
+    testUser2.followers.push(testUser1._id);
+    await testUser1.save();
+    await testUser2.save();
+
     // Create test posts
-    testPost1 = await Post.create({
+    testPost1 = await createPost({
         text: 'Test post 1 by John',
         postedBy: testUser1._id
     });
 
-    testPost2 = await Post.create({
+    testPost2 = await createPost({
         text: 'Test post 2 by Jane',
         postedBy: testUser2._id
     });
 
-    // Set up following relationships
-    testUser1.following.push(testUser2._id);
-    testUser2.followers.push(testUser1._id);
-    await testUser1.save();
-    await testUser2.save();
-
     // Generate tokens
     token1 = generateToken(testUser1);
     token2 = generateToken(testUser2);
@@ -99,7 +123,7 @@ describe('POST /api/posts', () => {
         expect(response.body.data.text).toBe(postData.text);
         expect(response.body.data.postedBy._id).toBe(testUser1._id.toString());
         expect(response.body.data.likes).toHaveLength(0);
-        expect(response.body.data.comments).toHaveLength(0);
+        expect(response.body.data.commentCount).toBe(0);
     });
 
     it('should create a new post with text and photo', async () => {
@@ -116,9 +140,13 @@ describe('POST /api/posts', () => {
         expect(response.status).toBe(201);
         expect(response.body.success).toBe(true);
         expect(response.body.data.text).toBe(postData.text);
-        expect(response.body.data.photo).toBeDefined();
-        expect(response.body.data.photo.data).toBeDefined();
-        expect(response.body.data.photo.contentType).toBeDefined();
+
+        // Only the media id is kept on the post
+        const media = await Media.findById(response.body.data.photo);
+        expect(media).not.toBeNull();
+        expect(media.contentType).toBe('image/jpeg');
+        expect(media.size).toBe(Buffer.from('fake-image-data').length);
+        expect(media.owner.toString()).toBe(testUser1._id.toString());
     });
 
     it('should return 400 if text is missing', async () => {
@@ -149,6 +177,93 @@ describe('POST /api/posts', () => {
 
         expect(response.status).toBe(401);
     });
+
+    it('should save a draft without announcing it', async () => {
+        const response = await request(app)
+            .post('/api/posts')
+            .set('Authorization', `Bearer ${token2}`)
+            .send({
+                text: 'Work in progress',
+                title: 'Draft',
+                category: 'Technology',
+                tags: 'Node, MongoDB',
+                status: 'draft'
+            });
+
+        expect(response.status).toBe(201);
+        expect(response.body.data.status).toBe('draft');
+        expect(response.body.data.category).toBe('technology');
+        expect(response.body.data.tags).toEqual(['node', 'mongodb']);
+        expect(await TimelineEntry.countDocuments({ post: response.body.data._id })).toBe(0);
+        expect(await Activity.countDocuments({ targetPost: response.body.data._id })).toBe(0);
+    });
+
+    it('should schedule a post with a future publish time', async () => {
+        const publishAt = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+
+        const response = await request(app)
+            .post('/api/posts')
+            .set('Authorization', `Bearer ${token1}`)
+            .send({ text: 'Later', status: 'scheduled', publishAt });
+
+        expect(response.status).toBe(201);
+        expect(response.body.data.status).toBe('scheduled');
+        expect(response.body.data.publishAt).toBe(publishAt);
+    });
+
+    it('should return 400 if a scheduled post has no future publish time', async () => {
+        const missing = await request(app)
+            .post('/api/posts')
+            .set('Authorization', `Bearer ${token1}`)
+            .send({ text: 'Later', status: 'scheduled' });
+        expect(missing.status).toBe(400);
+
+        const past = await request(app)
+            .post('/api/posts')
+            .set('Authorization', `Bearer ${token1}`)
+            .send({ text: 'Later', status: 'scheduled', publishAt: new Date(Date.now() - 1000).toISOString() });
+        expect(past.status).toBe(400);
+    });
+
+    it('should return 400 for an invalid status', async () => {
+        const response = await request(app)
+            .post('/api/posts')
+            .set('Authorization', `Bearer ${token1}`)
+            .send({ text: 'Hidden', status: 'archived' });
+
+        expect(response.status).toBe(400);
+    });
+
+    describe('when email verification is required for posting', () => {
+        beforeEach(() => {
+            process.env.EMAIL_VERIFICATION_REQUIRED_FOR = 'post';
+        });
+
+        afterEach(() => {
+            delete process.env.EMAIL_VERIFICATION_REQUIRED_FOR;
+        });
+
+        it('should return 403 for an unverified user', async () => {
+            const response = await request(app)
+                .post('/api/posts')
+                .set('Authorization', `Bearer ${token1}`)
+                .send({ text: 'Test post' });
+
+            expect(response.status).toBe(403);
+            expect(response.body.message).toBe('Please verify your email address to continue');
+        });
+
+        it('should allow a verified user to post', async () => {
+            await User.findByIdAndUpdate(testUser1._id, { emailVerified: true });
+
+            const response = await request(app)
+                .post('/api/posts')
+                .set('Authorization', `Bearer ${token1}`)
+                .send({ text: 'Test post' });
+
+            expect(response.status).toBe(201);
+        });
+    });
 });
 
 describe('GET /api/posts/feed', () => {
@@ -174,10 +289,190 @@ describe('GET /api/posts/feed', () => {
         expect(response.body.data).toHaveLength(0); // testUser3 has no posts
     });
 
+    it('should show a new post in followers\' feeds', async () => {
+        await request(app)
+            .post('/api/posts')
+            .set('Authorization', `Bearer ${token2}`)
+            .send({ text: 'Fresh from Jane' })
+            .expect(201);
+
+        const response = await request(app)
+            .get('/api/posts/feed')
+            .set('Authorization', `Bearer ${token1}`);
+
+        expect(response.body.data[0].text).toBe('Fresh from Jane');
+        expect(await TimelineEntry.countDocuments({ post: response.body.data[0]._id })).toBe(2);
+    });
+
+    it('should read the feed from the timeline only', async () => {
+        // A post that never went through fan-out is not in anyone's feed
+        await Post.create({ text: 'Not fanned out', postedBy: testUser2._id });
+
+        const response = await request(app)
+            .get('/api/posts/feed')
+            .set('Authorization', `Bearer ${token1}`);
+
+        expect(response.body.data.map(post => post.text)).not.toContain('Not fanned out');
+    });
+
+    describe('with sort=top', () => {
+        const hoursAgo = (hours) => new Date(Date.now() - hours * 60 * 60 * 1000);
+        let quiet, popular, stale;
+
+        beforeEach(async () => {
+            process.env.FEED_RANK_LIKE_WEIGHT = '1';
+            process.env.FEED_RANK_COMMENT_WEIGHT = '2';
+            process.env.FEED_RANK_AFFINITY_WEIGHT = '3';
+            process.env.FEED_RANK_HALF_LIFE_HOURS = '24';
+
+            await Post.deleteMany({});
+            await TimelineEntry.deleteMany({});
+
+            quiet = await createPost({ text: 'Quiet but new', postedBy: testUser1._id, createdAt: hoursAgo(1) });
+            popular = await createPost({
+                text: 'Popular',
+                postedBy: testUser2._id,
+                createdAt: hoursAgo(5),
+                likes: [testUser2._id, testUser3._id],
+                commentCount: 1
+            });
+            stale = await createPost({
+                text: 'Popular last week',
+                postedBy: testUser2._id,
+                createdAt: hoursAgo(24 * 7),
+                likes: [testUser1._id, testUser2._id, testUser3._id]
+            });
+        });
+
+        afterEach(() => {
+            delete process.env.FEED_RANK_LIKE_WEIGHT;
+            delete process.env.FEED_RANK_COMMENT_WEIGHT;
+            delete process.env.FEED_RANK_AFFINITY_WEIGHT;
+            delete process.env.FEED_RANK_HALF_LIFE_HOURS;
+        });
+
+        it('should rank posts by engagement with recency decay', async () => {
+            const response = await request(app)
+                .get('/api/posts/feed?sort=top')
+                .set('Authorization', `Bearer ${token1}`);
+
+            expect(response.status).toBe(200);
+            expect(response.body.data.map(post => post.text)).toEqual(['Popular', 'Quiet but new', 'Popular last week']);
+        });
+
+        it('should boost authors the viewer interacts with', async () => {
+            // Without affinity "Popular last week" scores far below the others
+            process.env.FEED_RANK_AFFINITY_WEIGHT = '200';
+            await Activity.create([
+                { actor: testUser1._id, type: 'like', targetUser: testUser2._id, targetPost: stale._id },
+                { actor: testUser1._id, type: 'comment', targetUser: testUser2._id, targetPost: popular._id }
+            ]);
+
+            const response = await request(app)
+                .get('/api/posts/feed?sort=top')
+                .set('Authorization', `Bearer ${token1}`);
+
+            expect(response.body.data.map(post => post.text)).toEqual(['Popular', 'Popular last week', 'Quiet but new']);
+        });
+
+        it('should follow the configured weights', async () => {
+            // With likes and comments ignored, only recency is left
+            process.env.FEED_RANK_LIKE_WEIGHT = '0';
+            process.env.FEED_RANK_COMMENT_WEIGHT = '0';
+
+            const response = await request(app)
+                .get('/api/posts/feed?sort=top')
+                .set('Authorization', `Bearer ${token1}`);
+
+            expect(response.body.data.map(post => post._id)).toEqual([
+                quiet._id.toString(),
+                popular._id.toString(),
+                stale._id.toString()
+            ]);
+        });
+
+        it('should page through the ranking', async () => {
+            const response = await request(app)
+                .get('/api/posts/feed?sort=top&limit=2&page=2')
+                .set('Authorization', `Bearer ${token1}`);
+
+            expect(response.body.data.map(post => post.text)).toEqual(['Popular last week']);
+            expect(response.body.total).toBe(3);
+            expect(response.body.pagination).toEqual({ page: 2, limit: 2, pages: 2 });
+        });
+
+        it('should reject cursors', async () => {
+            const first = await request(app)
+                .get('/api/posts/feed?limit=1')
+                .set('Authorization', `Bearer ${token1}`);
+
+            const response = await request(app)
+                .get('/api/posts/feed')
+                .query({ sort: 'top', cursor: first.body.pagination.nextCursor })
+                .set('Authorization', `Bearer ${token1}`);
+
+            expect(response.status).toBe(400);
+        });
+
+        it('should return 400 for an unknown sort', async () => {
+            const response = await request(app)
+                .get('/api/posts/feed?sort=random')
+                .set('Authorization', `Bearer ${token1}`);
+
+            expect(response.status).toBe(400);
+            expect(response.body.message).toBe('Sort must be either recent or top');
+        });
+    });
+
+    describe('for large accounts', () => {
+        beforeEach(async () => {
+            process.env.TIMELINE_FANOUT_MAX_FOLLOWERS = '1';
+
+            // testUser2 now has two followers, past the fan-out limit
+            testUser3.following.push(testUser2._id);
+            await testUser3.save();
+            await User.findByIdAndUpdate(testUser2._id, { $push: { followers: testUser3._id } });
+        });
+
+        afterEach(() => {
+            delete process.env.TIMELINE_FANOUT_MAX_FOLLOWERS;
+        });
+
+        it('should merge their posts into the feed on read', async () => {
+            const post = await createPost({
+                text: 'Read on demand',
+                postedBy: testUser2._id,
+                createdAt: new Date(Date.now() + 60 * 1000)
+            });
+
+            expect((await User.findById(testUser2._id)).fanOutOnRead).toBe(true);
+            expect(await TimelineEntry.countDocuments({ post: post._id })).toBe(1); // author's own timeline
+
+            const response = await request(app)
+                .get('/api/posts/feed')
+                .set('Authorization', `Bearer ${token3}`);
+
+            expect(response.status).toBe(200);
+            expect(response.body.data.map(p => p.text)).toEqual(['Read on demand', 'Test post 2 by Jane']);
+        });
+
+        it('should not repeat posts that were fanned out earlier', async () => {
+            await createPost({ text: 'Read on demand', postedBy: testUser2._id });
+
+            const response = await request(app)
+                .get('/api/posts/feed')
+                .set('Authorization', `Bearer ${token1}`);
+
+            const ids = response.body.data.map(p => p._id);
+            expect(ids).toHaveLength(3);
+            expect(new Set(ids).size).toBe(3);
+        });
+    });
+
     it('should support pagination', async () => {
         // Create more posts
         for (let i = 0; i < 15; i++) {
-            await Post.create({
+            await createPost({
                 text: `Post ${i}`,
                 postedBy: testUser1._id
             });
@@ -195,6 +490,94 @@ describe('GET /api/posts/feed', () => {
         expect(response.body.pagination.pages).toBe(2);
     });
 
+    describe('with cursors', () => {
+        beforeEach(async () => {
+            // Several posts share a timestamp to exercise the _id tie-break
+            const createdAt = new Date(Date.now() + 60 * 1000);
+            for (let i = 0; i < 12; i++) {
+                await createPost({
+                    text: `Cursor post ${i}`,
+                    postedBy: testUser1._id,
+                    createdAt: i < 6 ? createdAt : new Date(createdAt.getTime() + i * 1000)
+                });
+            }
+        });
+
+        it('should page through the feed without gaps or duplicates', async () => {
+            const seen = [];
+            let cursor;
+
+            do {
+                const response = await request(app)
+                    .get('/api/posts/feed')
+                    .query({ limit: 5, ...(cursor && { cursor }) })
+                    .set('Authorization', `Bearer ${token1}`);
+
+                expect(response.status).toBe(200);
+                expect(response.body.total).toBeUndefined();
+                seen.push(...response.body.data.map(post => post._id));
+                cursor = response.body.pagination.nextCursor;
+            } while (cursor);
+
+            // 12 new posts plus testUser1's and testUser2's original posts
+            expect(seen).toHaveLength(14);
+            expect(new Set(seen).size).toBe(14);
+        });
+
+        it('should not shift pages when new posts arrive', async () => {
+            const first = await request(app)
+                .get('/api/posts/feed?limit=5')
+                .set('Authorization', `Bearer ${token1}`);
+
+            await createPost({
+                text: 'Arrived mid-scroll',
+                postedBy: testUser1._id,
+                createdAt: new Date(Date.now() + 10 * 60 * 1000)
+            });
+
+            const second = await request(app)
+                .get('/api/posts/feed')
+                .query({ limit: 5, cursor: first.body.pagination.nextCursor })
+                .set('Authorization', `Bearer ${token1}`);
+
+            const firstIds = first.body.data.map(post => post._id);
+            expect(second.body.data).toHaveLength(5);
+            second.body.data.forEach(post => expect(firstIds).not.toContain(post._id));
+        });
+
+        it('should return to the previous page with prevCursor', async () => {
+            const first = await request(app)
+                .get('/api/posts/feed?limit=5')
+                .set('Authorization', `Bearer ${token1}`);
+
+            expect(first.body.pagination.prevCursor).toBeNull();
+
+            const second = await request(app)
+                .get('/api/posts/feed')
+                .query({ limit: 5, cursor: first.body.pagination.nextCursor })
+                .set('Authorization', `Bearer ${token1}`);
+
+            const back = await request(app)
+                .get('/api/posts/feed')
+                .query({ limit: 5, cursor: second.body.pagination.prevCursor })
+                .set('Authorization', `Bearer ${token1}`);
+
+            expect(back.status).toBe(200);
+            expect(back.body.data.map(post => post._id)).toEqual(first.body.data.map(post => post._id));
+            expect(back.body.pagination.prevCursor).toBeNull();
+            expect(back.body.pagination.nextCursor).toBeTruthy();
+        });
+
+        it('should return 400 for an invalid cursor', async () => {
+            const response = await request(app)
+                .get('/api/posts/feed?cursor=not-a-cursor')
+                .set('Authorization', `Bearer ${token1}`);
+
+            expect(response.status).toBe(400);
+            expect(response.body.message).toBe('Invalid cursor');
+        });
+    });
+
     it('should return 401 if not authenticated', async () => {
         const response = await request(app)
             .get('/api/posts/feed');
@@ -203,125 +586,373 @@ describe('GET /api/posts/feed', () => {
     });
 });
 
-describe('GET /api/posts/by-user/:userId', () => {
-    it('should return posts by specific user', async () => {
-        const response = await request(app)
-            .get(`/api/posts/by-user/${testUser1._id}`)
-            .set('Authorization', `Bearer ${token1}`);
+describe('GET /api/posts/trending', () => {
+    const hoursAgo = (hours) => new Date(Date.now() - hours * 60 * 60 * 1000);
 
-        expect(response.status).toBe(200);
-        expect(response.body.success).toBe(true);
-        expect(response.body.data).toHaveLength(1);
-        expect(response.body.data[0].postedBy._id).toBe(testUser1._id.toString());
-        expect(response.body.data[0].text).toBe('Test post 1 by John');
+    beforeEach(async () => {
+        await Post.create([
+            { text: 'Loving #React hooks', postedBy: testUser1._id, createdAt: hoursAgo(0.5), likes: [testUser2._id] },
+            { text: 'More #react and mongodb', postedBy: testUser2._id, createdAt: hoursAgo(2) },
+            { text: 'Old #NodeJS thoughts', postedBy: testUser3._id, createdAt: hoursAgo(72) },
+            { text: 'Ancient #jquery memories', postedBy: testUser3._id, createdAt: hoursAgo(24 * 10) }
+        ]);
     });
 
-    it('should return empty array for user with no posts', async () => {
+    it('should rank hashtags by windowed engagement score', async () => {
         const response = await request(app)
-            .get(`/api/posts/by-user/${testUser3._id}`)
+            .get('/api/posts/trending?type=hashtag')
             .set('Authorization', `Bearer ${token1}`);
 
         expect(response.status).toBe(200);
         expect(response.body.success).toBe(true);
-        expect(response.body.data).toHaveLength(0);
+        expect(response.body.data.map(t => t.topic)).toEqual(['#react', '#nodejs']);
+
+        const react = response.body.data[0];
+        expect(react.type).toBe('hashtag');
+        expect(react.count).toBe(2);
+        expect(react.windows).toEqual({ '1h': 1, '24h': 2, '7d': 2 });
+        expect(react.trend).toBe('up');
+        expect(response.body.data[1].trend).toBe('down');
     });
 
-    it('should support pagination', async () => {
-        // Create more posts for testUser1
-        for (let i = 0; i < 15; i++) {
-            await Post.create({
-                text: `User post ${i}`,
-                postedBy: testUser1._id
-            });
-        }
-
+    it('should exclude posts older than seven days', async () => {
         const response = await request(app)
-            .get(`/api/posts/by-user/${testUser1._id}?page=1&limit=10`)
+            .get('/api/posts/trending')
             .set('Authorization', `Bearer ${token1}`);
 
         expect(response.status).toBe(200);
-        expect(response.body.success).toBe(true);
-        expect(response.body.data).toHaveLength(10);
-        expect(response.body.pagination.page).toBe(1);
-        expect(response.body.pagination.limit).toBe(10);
+        const topics = response.body.data.map(t => t.topic);
+        expect(topics).not.toContain('#jquery');
+        expect(topics).not.toContain('memories');
     });
 
-    it('should return 401 if not authenticated', async () => {
+    it('should extract keywords and skip stop words', async () => {
         const response = await request(app)
-            .get(`/api/posts/by-user/${testUser1._id}`);
+            .get('/api/posts/trending?type=keyword')
+            .set('Authorization', `Bearer ${token1}`);
 
-        expect(response.status).toBe(401);
+        expect(response.status).toBe(200);
+        const topics = response.body.data.map(t => t.topic);
+        expect(topics).toContain('mongodb');
+        expect(topics).toContain('hooks');
+        expect(topics).not.toContain('more');
+        expect(topics).not.toContain('react');
+        expect(response.body.data.every(t => t.type === 'keyword')).toBe(true);
     });
-});
 
-describe('PUT /api/posts/like', () => {
-    it('should like a post', async () => {
+    it('should respect the limit parameter', async () => {
         const response = await request(app)
-            .put('/api/posts/like')
-            .set('Authorization', `Bearer ${token1}`)
-            .send({ postId: testPost2._id });
+            .get('/api/posts/trending?limit=1')
+            .set('Authorization', `Bearer ${token1}`);
 
         expect(response.status).toBe(200);
-        expect(response.body.success).toBe(true);
-        expect(response.body.data.likes).toContain(testUser1._id.toString());
+        expect(response.body.data).toHaveLength(1);
     });
 
-    it('should return 400 if post already liked', async () => {
-        // First like
-        await request(app)
-            .put('/api/posts/like')
-            .set('Authorization', `Bearer ${token1}`)
-            .send({ postId: testPost2._id });
-
-        // Try to like again
+    it('should return 400 for an invalid type', async () => {
         const response = await request(app)
-            .put('/api/posts/like')
-            .set('Authorization', `Bearer ${token1}`)
-            .send({ postId: testPost2._id });
+            .get('/api/posts/trending?type=emoji')
+            .set('Authorization', `Bearer ${token1}`);
 
         expect(response.status).toBe(400);
         expect(response.body.success).toBe(false);
     });
 
-    it('should return 404 if post not found', async () => {
-        const fakeId = new mongoose.Types.ObjectId();
-        const response = await request(app)
-            .put('/api/posts/like')
-            .set('Authorization', `Bearer ${token1}`)
-            .send({ postId: fakeId });
-
-        expect(response.status).toBe(404);
-        expect(response.body.success).toBe(false);
-    });
-
     it('should return 401 if not authenticated', async () => {
         const response = await request(app)
-            .put('/api/posts/like')
-            .send({ postId: testPost2._id });
+            .get('/api/posts/trending');
 
         expect(response.status).toBe(401);
     });
 });
 
-describe('PUT /api/posts/unlike', () => {
-    beforeEach(async () => {
-        // Like the post first
-        testPost2.likes.push(testUser1._id);
-        await testPost2.save();
+describe('Hashtags and mentions', () => {
+    it('should store the hashtags and mentioned users of a new post', async () => {
+        const response = await request(app)
+            .post('/api/posts')
+            .set('Authorization', `Bearer ${token1}`)
+            .send({ text: 'Shipping #NodeJS with @JaneSmith and @nobody #nodejs' });
+
+        expect(response.status).toBe(201);
+        expect(response.body.data.hashtags).toEqual(['nodejs']);
+        expect(response.body.data.mentions).toHaveLength(1);
+        expect(response.body.data.mentions[0]._id).toBe(testUser2._id.toString());
+        expect(response.body.data.mentions[0].username).toBe('janesmith');
     });
 
-    it('should unlike a post', async () => {
+    it('should refresh them when the post is edited', async () => {
+        const post = await Post.create({ text: 'Hello #old @janesmith', postedBy: testUser1._id });
+
         const response = await request(app)
-            .put('/api/posts/unlike')
+            .put(`/api/posts/${post._id}`)
             .set('Authorization', `Bearer ${token1}`)
-            .send({ postId: testPost2._id });
+            .send({ text: 'Hello #new @bobjohnson' });
 
         expect(response.status).toBe(200);
-        expect(response.body.success).toBe(true);
-        expect(response.body.data.likes).not.toContain(testUser1._id.toString());
+        expect(response.body.data.hashtags).toEqual(['new']);
+        expect(response.body.data.mentions.map(user => user.username)).toEqual(['bobjohnson']);
     });
 
-    it('should return 400 if post not liked', async () => {
+    it('should store the hashtags and mentioned users of a comment', async () => {
+        const response = await request(app)
+            .put('/api/posts/comment')
+            .set('Authorization', `Bearer ${token2}`)
+            .send({ postId: testPost1._id, text: '@johndoe agreed #same' });
+
+        expect(response.status).toBe(200);
+        expect(response.body.comment.hashtags).toEqual(['same']);
+        expect(response.body.comment.mentions[0].username).toBe('johndoe');
+    });
+});
+
+describe('GET /api/posts/tag/:tag', () => {
+    beforeEach(async () => {
+        await Post.create({ text: 'Learning #React today', postedBy: testUser2._id });
+        await Post.create({ text: 'A tagged post', tags: ['react'], postedBy: testUser3._id });
+        await Post.create({ text: 'Unrelated #vue', postedBy: testUser1._id });
+    });
+
+    it('should return posts with the hashtag or tag, newest first', async () => {
+        const response = await request(app)
+            .get('/api/posts/tag/React')
+            .set('Authorization', `Bearer ${token1}`);
+
+        expect(response.status).toBe(200);
+        expect(response.body.tag).toBe('react');
+        expect(response.body.data.map(post => post.text)).toEqual(['A tagged post', 'Learning #React today']);
+        expect(response.body.data[0].postedBy.username).toBe('bobjohnson');
+    });
+
+    it('should accept a leading #', async () => {
+        const response = await request(app)
+            .get(`/api/posts/tag/${encodeURIComponent('#vue')}`)
+            .set('Authorization', `Bearer ${token1}`);
+
+        expect(response.status).toBe(200);
+        expect(response.body.data).toHaveLength(1);
+    });
+
+    it('should leave out unpublished posts', async () => {
+        await Post.create({ text: 'Draft about #react', status: 'draft', postedBy: testUser1._id });
+
+        const response = await request(app)
+            .get('/api/posts/tag/react')
+            .set('Authorization', `Bearer ${token1}`);
+
+        expect(response.body.data).toHaveLength(2);
+    });
+
+    it('should page through posts with cursors', async () => {
+        const first = await request(app)
+            .get('/api/posts/tag/react?limit=1')
+            .set('Authorization', `Bearer ${token1}`);
+
+        const second = await request(app)
+            .get('/api/posts/tag/react')
+            .query({ limit: 1, cursor: first.body.pagination.nextCursor })
+            .set('Authorization', `Bearer ${token1}`);
+
+        expect(second.body.data.map(post => post.text)).toEqual(['Learning #React today']);
+    });
+
+    it('should return 400 for an invalid tag', async () => {
+        const response = await request(app)
+            .get('/api/posts/tag/not-a-tag')
+            .set('Authorization', `Bearer ${token1}`);
+
+        expect(response.status).toBe(400);
+    });
+
+    it('should return 401 if not authenticated', async () => {
+        const response = await request(app)
+            .get('/api/posts/tag/react');
+
+        expect(response.status).toBe(401);
+    });
+});
+
+describe('GET /api/posts/by-user/:userId', () => {
+    it('should return posts by specific user', async () => {
+        const response = await request(app)
+            .get(`/api/posts/by-user/${testUser1._id}`)
+            .set('Authorization', `Bearer ${token1}`);
+
+        expect(response.status).toBe(200);
+        expect(response.body.success).toBe(true);
+        expect(response.body.data).toHaveLength(1);
+        expect(response.body.data[0].postedBy._id).toBe(testUser1._id.toString());
+        expect(response.body.data[0].text).toBe('Test post 1 by John');
+    });
+
+    it('should return empty array for user with no posts', async () => {
+        const response = await request(app)
+            .get(`/api/posts/by-user/${testUser3._id}`)
+            .set('Authorization', `Bearer ${token1}`);
+
+        expect(response.status).toBe(200);
+        expect(response.body.success).toBe(true);
+        expect(response.body.data).toHaveLength(0);
+    });
+
+    it('should support pagination', async () => {
+        // Create more posts for testUser1
+        for (let i = 0; i < 15; i++) {
+            await Post.create({
+                text: `User post ${i}`,
+                postedBy: testUser1._id
+            });
+        }
+
+        const response = await request(app)
+            .get(`/api/posts/by-user/${testUser1._id}?page=1&limit=10`)
+            .set('Authorization', `Bearer ${token1}`);
+
+        expect(response.status).toBe(200);
+        expect(response.body.success).toBe(true);
+        expect(response.body.data).toHaveLength(10);
+        expect(response.body.pagination.page).toBe(1);
+        expect(response.body.pagination.limit).toBe(10);
+    });
+
+    it('should page through posts with cursors', async () => {
+        for (let i = 0; i < 6; i++) {
+            await Post.create({
+                text: `User post ${i}`,
+                postedBy: testUser1._id
+            });
+        }
+
+        const first = await request(app)
+            .get(`/api/posts/by-user/${testUser1._id}?limit=4`)
+            .set('Authorization', `Bearer ${token1}`);
+
+        expect(first.status).toBe(200);
+        expect(first.body.data).toHaveLength(4);
+        expect(first.body.pagination.nextCursor).toBeTruthy();
+
+        const second = await request(app)
+            .get(`/api/posts/by-user/${testUser1._id}`)
+            .query({ limit: 4, cursor: first.body.pagination.nextCursor })
+            .set('Authorization', `Bearer ${token1}`);
+
+        expect(second.body.data).toHaveLength(3);
+        expect(second.body.pagination.nextCursor).toBeNull();
+        expect(second.body.data.every(post => post.postedBy._id === testUser1._id.toString())).toBe(true);
+    });
+
+    it('should return 401 if not authenticated', async () => {
+        const response = await request(app)
+            .get(`/api/posts/by-user/${testUser1._id}`);
+
+        expect(response.status).toBe(401);
+    });
+});
+
+describe('PUT /api/posts/like', () => {
+    it('should like a post', async () => {
+        const response = await request(app)
+            .put('/api/posts/like')
+            .set('Authorization', `Bearer ${token1}`)
+            .send({ postId: testPost2._id });
+
+        expect(response.status).toBe(200);
+        expect(response.body.success).toBe(true);
+        expect(response.body.data.likes).toContain(testUser1._id.toString());
+    });
+
+    it('should record a like activity', async () => {
+        await request(app)
+            .put('/api/posts/like')
+            .set('Authorization', `Bearer ${token1}`)
+            .send({ postId: testPost2._id });
+
+        const activity = await Activity.findOne({ type: 'like' });
+        expect(activity.actor.toString()).toBe(testUser1._id.toString());
+        expect(activity.targetUser.toString()).toBe(testUser2._id.toString());
+        expect(activity.targetPost.toString()).toBe(testPost2._id.toString());
+    });
+
+    it('should return 400 if post already liked', async () => {
+        // First like
+        await request(app)
+            .put('/api/posts/like')
+            .set('Authorization', `Bearer ${token1}`)
+            .send({ postId: testPost2._id });
+
+        // Try to like again
+        const response = await request(app)
+            .put('/api/posts/like')
+            .set('Authorization', `Bearer ${token1}`)
+            .send({ postId: testPost2._id });
+
+        expect(response.status).toBe(400);
+        expect(response.body.success).toBe(false);
+    });
+
+    it('should return 404 if post not found', async () => {
+        const fakeId = new mongoose.Types.ObjectId();
+        const response = await request(app)
+            .put('/api/posts/like')
+            .set('Authorization', `Bearer ${token1}`)
+            .send({ postId: fakeId });
+
+        expect(response.status).toBe(404);
+        expect(response.body.success).toBe(false);
+    });
+
+    it('should return 401 if not authenticated', async () => {
+        const response = await request(app)
+            .put('/api/posts/like')
+            .send({ postId: testPost2._id });
+
+        expect(response.status).toBe(401);
+    });
+});
+
+describe('PUT /api/posts/unlike', () => {
+    beforeEach(async () => {
+        // Like the post first
+        testPost2.likes.push(testUser1._id);
+        await testPost2.save();
+    });
+
+    it('should unlike a post', async () => {
+        const response = await request(app)
+            .put('/api/posts/unlike')
+            .set('Authorization', `Bearer ${token1}`)
+            .send({ postId: testPost2._id });
+
+        expect(response.status).toBe(200);
+        expect(response.body.success).toBe(true);
+        expect(response.body.data.likes).not.toContain(testUser1._id.toString());
+    });
+
+    it('should take the like back out of the activity stream and affinity', async () => {
+        const toggle = endpoint => request(app)
+            .put(`/api/posts/${endpoint}`)
+            .set('Authorization', `Bearer ${token1}`)
+            .send({ postId: testPost2._id })
+            .expect(200);
+
+        await toggle('unlike');
+        await toggle('like');
+        await toggle('unlike');
+        await toggle('like');
+
+        const stream = await request(app)
+            .get('/api/users/activity')
+            .set('Authorization', `Bearer ${token1}`)
+            .expect(200);
+        expect(stream.body.data.filter(activity => activity.type === 'like')).toHaveLength(1);
+
+        const affinity = await getAffinity(testUser1._id, [testUser2._id]);
+        expect(affinity.get(testUser2._id.toString())).toBe(1);
+
+        await toggle('unlike');
+        expect(await Activity.countDocuments({ type: 'like', targetPost: testPost2._id })).toBe(0);
+    });
+
+    it('should return 400 if post not liked', async () => {
         const response = await request(app)
             .put('/api/posts/unlike')
             .set('Authorization', `Bearer ${token2}`)
@@ -360,6 +991,35 @@ describe('PUT /api/posts/comment', () => {
         expect(response.body.data.comments).toHaveLength(1);
         expect(response.body.data.comments[0].text).toBe(commentData.text);
         expect(response.body.data.comments[0].postedBy._id).toBe(testUser1._id.toString());
+        expect(response.body.data.commentCount).toBe(1);
+        expect(response.body.comment.text).toBe(commentData.text);
+    });
+
+    it('should reply to a comment', async () => {
+        const parent = await Comment.create({ post: testPost2._id, postedBy: testUser2._id, text: 'Parent' });
+
+        const response = await request(app)
+            .put('/api/posts/comment')
+            .set('Authorization', `Bearer ${token1}`)
+            .send({ postId: testPost2._id, parentId: parent._id, text: 'A reply' });
+
+        expect(response.status).toBe(200);
+        expect(response.body.comment.parentId).toBe(parent._id.toString());
+        // Replies are not top-level comments
+        expect(response.body.data.comments.map(comment => comment.text)).toEqual(['Parent']);
+        expect((await Comment.findById(parent._id)).replyCount).toBe(1);
+        expect((await Post.findById(testPost2._id)).commentCount).toBe(1);
+    });
+
+    it('should return 404 when replying to a comment on another post', async () => {
+        const parent = await Comment.create({ post: testPost1._id, postedBy: testUser1._id, text: 'Elsewhere' });
+
+        const response = await request(app)
+            .put('/api/posts/comment')
+            .set('Authorization', `Bearer ${token1}`)
+            .send({ postId: testPost2._id, parentId: parent._id, text: 'A reply' });
+
+        expect(response.status).toBe(404);
     });
 
     it('should return 400 if comment text is missing', async () => {
@@ -400,12 +1060,11 @@ describe('PUT /api/posts/uncomment', () => {
 
     beforeEach(async () => {
         // Add a comment first
-        testPost2.comments.push({
-            text: 'Test comment to delete',
-            postedBy: testUser1._id
-        });
-        await testPost2.save();
-        commentId = testPost2.comments[0]._id;
+        const response = await request(app)
+            .put('/api/posts/comment')
+            .set('Authorization', `Bearer ${token1}`)
+            .send({ postId: testPost2._id, text: 'Test comment to delete' });
+        commentId = response.body.comment._id;
     });
 
     it('should remove a comment from a post', async () => {
@@ -417,6 +1076,27 @@ describe('PUT /api/posts/uncomment', () => {
         expect(response.status).toBe(200);
         expect(response.body.success).toBe(true);
         expect(response.body.data.comments).toHaveLength(0);
+        expect(response.body.data.commentCount).toBe(0);
+    });
+
+    it('should remove the replies along with the comment', async () => {
+        const reply = await request(app)
+            .put('/api/posts/comment')
+            .set('Authorization', `Bearer ${token2}`)
+            .send({ postId: testPost2._id, parentId: commentId, text: 'A reply' });
+        await request(app)
+            .put('/api/posts/comment')
+            .set('Authorization', `Bearer ${token1}`)
+            .send({ postId: testPost2._id, parentId: reply.body.comment._id, text: 'A nested reply' });
+
+        const response = await request(app)
+            .put('/api/posts/uncomment')
+            .set('Authorization', `Bearer ${token1}`)
+            .send({ postId: testPost2._id, commentId });
+
+        expect(response.status).toBe(200);
+        expect(response.body.data.commentCount).toBe(0);
+        expect(await Comment.countDocuments({ post: testPost2._id })).toBe(0);
     });
 
     it('should return 403 if user does not own the comment', async () => {
@@ -452,41 +1132,495 @@ describe('PUT /api/posts/uncomment', () => {
     });
 });
 
-describe('GET /api/posts/:id/photo', () => {
+describe('GET /api/posts/:id/comments', () => {
     beforeEach(async () => {
-        // Add photo to testPost1
-        testPost1.photo = {
-            data: Buffer.from('fake-image-data'),
-            contentType: 'image/jpeg'
-        };
-        await testPost1.save();
+        for (let i = 1; i <= 3; i++) {
+            await request(app)
+                .put('/api/posts/comment')
+                .set('Authorization', `Bearer ${token1}`)
+                .send({ postId: testPost2._id, text: `Comment ${i}` })
+                .expect(200);
+        }
     });
 
-    it('should return post photo', async () => {
-        const response = await request(app)
-            .get(`/api/posts/${testPost1._id}/photo`);
+    it('should page through top-level comments newest first', async () => {
+        const first = await request(app)
+            .get(`/api/posts/${testPost2._id}/comments?limit=2`)
+            .set('Authorization', `Bearer ${token2}`);
 
-        expect(response.status).toBe(200);
-        expect(response.headers['content-type']).toBe('image/jpeg');
-        expect(response.body).toEqual(Buffer.from('fake-image-data'));
+        expect(first.status).toBe(200);
+        expect(first.body.data.map(comment => comment.text)).toEqual(['Comment 3', 'Comment 2']);
+        expect(first.body.data[0].postedBy.username).toBe('johndoe');
+
+        const second = await request(app)
+            .get(`/api/posts/${testPost2._id}/comments?limit=2&cursor=${first.body.pagination.nextCursor}`)
+            .set('Authorization', `Bearer ${token2}`);
+
+        expect(second.body.data.map(comment => comment.text)).toEqual(['Comment 1']);
+        expect(second.body.pagination.nextCursor).toBeNull();
     });
 
-    it('should return 404 if post has no photo', async () => {
+    it('should leave replies out', async () => {
+        const parent = await Comment.findOne({ text: 'Comment 1' });
+        await request(app)
+            .put('/api/posts/comment')
+            .set('Authorization', `Bearer ${token2}`)
+            .send({ postId: testPost2._id, parentId: parent._id, text: 'A reply' })
+            .expect(200);
+
         const response = await request(app)
-            .get(`/api/posts/${testPost2._id}/photo`);
+            .get(`/api/posts/${testPost2._id}/comments`)
+            .set('Authorization', `Bearer ${token2}`);
 
-        expect(response.status).toBe(404);
-        expect(response.body.success).toBe(false);
+        expect(response.body.data).toHaveLength(3);
+        expect(response.body.data.find(comment => comment.text === 'Comment 1').replyCount).toBe(1);
     });
 
-    it('should return 404 if post not found', async () => {
-        const fakeId = new mongoose.Types.ObjectId();
+    it('should return 404 for a post the user cannot see', async () => {
+        const draft = await Post.create({ text: 'Draft', postedBy: testUser2._id, status: 'draft' });
+
+        const response = await request(app)
+            .get(`/api/posts/${draft._id}/comments`)
+            .set('Authorization', `Bearer ${token1}`);
+
+        expect(response.status).toBe(404);
+    });
+
+    it('should delete comments with the post', async () => {
+        await request(app)
+            .delete(`/api/posts/${testPost2._id}`)
+            .set('Authorization', `Bearer ${token2}`)
+            .expect(200);
+
+        expect(await Comment.countDocuments({ post: testPost2._id })).toBe(0);
+    });
+});
+
+describe('GET /api/posts/:id/photo', () => {
+    beforeEach(async () => {
+        // Add photo to testPost1
+        const media = await Media.store({
+            buffer: Buffer.from('fake-image-data'),
+            contentType: 'image/jpeg',
+            owner: testUser1._id
+        });
+        testPost1.photo = media._id;
+        await testPost1.save();
+    });
+
+    it('should return post photo', async () => {
+        const response = await request(app)
+            .get(`/api/posts/${testPost1._id}/photo`);
+
+        expect(response.status).toBe(200);
+        expect(response.headers['content-type']).toBe('image/jpeg');
+        expect(response.headers['content-length']).toBe(String(Buffer.from('fake-image-data').length));
+        expect(response.body).toEqual(Buffer.from('fake-image-data'));
+    });
+
+    it('should return 404 if the stored file is missing', async () => {
+        await Media.updateOne({ _id: testPost1.photo }, { key: 'missing' });
+
+        const response = await request(app)
+            .get(`/api/posts/${testPost1._id}/photo`);
+
+        expect(response.status).toBe(404);
+    });
+
+    it('should return 404 if post has no photo', async () => {
+        const response = await request(app)
+            .get(`/api/posts/${testPost2._id}/photo`);
+
+        expect(response.status).toBe(404);
+        expect(response.body.success).toBe(false);
+    });
+
+    it('should return 404 if post not found', async () => {
+        const fakeId = new mongoose.Types.ObjectId();
         const response = await request(app)
             .get(`/api/posts/${fakeId}/photo`);
 
         expect(response.status).toBe(404);
         expect(response.body.success).toBe(false);
     });
+
+    it('should serve a draft\'s photo only to its author', async () => {
+        testPost1.status = 'draft';
+        await testPost1.save();
+
+        await request(app)
+            .get(`/api/posts/${testPost1._id}/photo`)
+            .expect(404);
+
+        await request(app)
+            .get(`/api/posts/${testPost1._id}/photo`)
+            .set('Authorization', `Bearer ${token1}`)
+            .expect(200);
+    });
+
+    it('should not serve a private account\'s photos to non-followers', async () => {
+        await User.findByIdAndUpdate(testUser1._id, { isPrivate: true });
+
+        await request(app)
+            .get(`/api/posts/${testPost1._id}/photo`)
+            .expect(404);
+
+        await request(app)
+            .get(`/api/posts/${testPost1._id}/photo`)
+            .set('Authorization', `Bearer ${token3}`)
+            .expect(404);
+    });
+});
+
+describe('Drafts and scheduled posts', () => {
+    let draft;
+
+    beforeEach(async () => {
+        draft = await Post.create({
+            text: 'Draft by Jane',
+            postedBy: testUser2._id,
+            status: 'draft'
+        });
+    });
+
+    it('should keep drafts out of feeds and listings', async () => {
+        const feed = await request(app)
+            .get('/api/posts/feed')
+            .set('Authorization', `Bearer ${token1}`);
+        const all = await request(app)
+            .get('/api/posts')
+            .set('Authorization', `Bearer ${token1}`);
+        const byUser = await request(app)
+            .get(`/api/posts/by-user/${testUser2._id}`)
+            .set('Authorization', `Bearer ${token2}`);
+
+        for (const response of [feed, all, byUser]) {
+            expect(response.body.data.map(post => post.text)).not.toContain('Draft by Jane');
+        }
+    });
+
+    it('should not backfill drafts to new followers', async () => {
+        await timeline.follow(testUser3._id, testUser2._id);
+
+        expect(await TimelineEntry.countDocuments({ owner: testUser3._id, post: draft._id })).toBe(0);
+    });
+
+    it('should show a draft only to its author', async () => {
+        const other = await request(app)
+            .get(`/api/posts/${draft._id}`)
+            .set('Authorization', `Bearer ${token1}`);
+        expect(other.status).toBe(404);
+
+        const own = await request(app)
+            .get(`/api/posts/${draft._id}`)
+            .set('Authorization', `Bearer ${token2}`);
+        expect(own.status).toBe(200);
+    });
+
+    it('should not allow liking a draft', async () => {
+        const response = await request(app)
+            .put('/api/posts/like')
+            .set('Authorization', `Bearer ${token1}`)
+            .send({ postId: draft._id });
+
+        expect(response.status).toBe(404);
+    });
+
+    it('should list own drafts and scheduled posts', async () => {
+        await Post.create({
+            text: 'Scheduled by Jane',
+            postedBy: testUser2._id,
+            status: 'scheduled',
+            publishAt: new Date(Date.now() + 60 * 60 * 1000)
+        });
+        await Post.create({ text: 'Draft by Bob', postedBy: testUser3._id, status: 'draft' });
+
+        const response = await request(app)
+            .get('/api/posts/drafts')
+            .set('Authorization', `Bearer ${token2}`);
+
+        expect(response.status).toBe(200);
+        expect(response.body.data.map(post => post.text)).toEqual(['Scheduled by Jane', 'Draft by Jane']);
+    });
+
+    it('should edit a draft', async () => {
+        const response = await request(app)
+            .put(`/api/posts/drafts/${draft._id}`)
+            .set('Authorization', `Bearer ${token2}`)
+            .send({ text: 'Edited draft', tags: ['news'] });
+
+        expect(response.status).toBe(200);
+        expect(response.body.data.text).toBe('Edited draft');
+        expect(response.body.data.tags).toEqual(['news']);
+        expect(response.body.data.status).toBe('draft');
+    });
+
+    it('should return 404 when editing someone else\'s draft', async () => {
+        const response = await request(app)
+            .put(`/api/posts/drafts/${draft._id}`)
+            .set('Authorization', `Bearer ${token1}`)
+            .send({ text: 'Hijacked' });
+
+        expect(response.status).toBe(404);
+    });
+
+    it('should return 400 when editing a published post as a draft', async () => {
+        const response = await request(app)
+            .put(`/api/posts/drafts/${testPost2._id}`)
+            .set('Authorization', `Bearer ${token2}`)
+            .send({ text: 'Rewritten' });
+
+        expect(response.status).toBe(400);
+    });
+
+    it('should publish a draft to the top of followers\' feeds', async () => {
+        const response = await request(app)
+            .put(`/api/posts/drafts/${draft._id}`)
+            .set('Authorization', `Bearer ${token2}`)
+            .send({ status: 'published' });
+
+        expect(response.status).toBe(200);
+        expect(response.body.data.status).toBe('published');
+
+        const feed = await request(app)
+            .get('/api/posts/feed')
+            .set('Authorization', `Bearer ${token1}`);
+        expect(feed.body.data[0].text).toBe('Draft by Jane');
+        expect(await Activity.countDocuments({ type: 'post', targetPost: draft._id })).toBe(1);
+    });
+
+    it('should schedule and unschedule a draft', async () => {
+        const publishAt = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+
+        const scheduled = await request(app)
+            .put(`/api/posts/drafts/${draft._id}`)
+            .set('Authorization', `Bearer ${token2}`)
+            .send({ status: 'scheduled', publishAt });
+        expect(scheduled.body.data.status).toBe('scheduled');
+        expect(scheduled.body.data.publishAt).toBe(publishAt);
+
+        const unscheduled = await request(app)
+            .put(`/api/posts/drafts/${draft._id}`)
+            .set('Authorization', `Bearer ${token2}`)
+            .send({ status: 'draft' });
+        expect(unscheduled.body.data.status).toBe('draft');
+        expect(unscheduled.body.data.publishAt).toBeUndefined();
+    });
+
+    it('should check a new publish time for a scheduled post', async () => {
+        const scheduled = await Post.create({
+            text: 'Later by Jane',
+            postedBy: testUser2._id,
+            status: 'scheduled',
+            publishAt: new Date(Date.now() + 60 * 60 * 1000)
+        });
+        const edit = publishAt => request(app)
+            .put(`/api/posts/drafts/${scheduled._id}`)
+            .set('Authorization', `Bearer ${token2}`)
+            .send({ publishAt });
+
+        await edit('garbage').expect(400);
+        await edit(new Date(Date.now() - 1000).toISOString()).expect(400);
+
+        const publishAt = new Date(Date.now() + 2 * 60 * 60 * 1000).toISOString();
+        const response = await edit(publishAt).expect(200);
+        expect(response.body.data.status).toBe('scheduled');
+        expect(response.body.data.publishAt).toBe(publishAt);
+    });
+
+    it('should publish scheduled posts once they are due', async () => {
+        const now = new Date();
+        const due = await Post.create({
+            text: 'Due',
+            postedBy: testUser2._id,
+            status: 'scheduled',
+            publishAt: new Date(now.getTime() - 1000)
+        });
+        const later = await Post.create({
+            text: 'Later',
+            postedBy: testUser2._id,
+            status: 'scheduled',
+            publishAt: new Date(now.getTime() + 60 * 60 * 1000)
+        });
+
+        expect(await publishDuePosts({ now })).toBe(1);
+
+        expect((await Post.findById(due._id)).status).toBe('published');
+        expect((await Post.findById(later._id)).status).toBe('scheduled');
+        expect(await TimelineEntry.countDocuments({ owner: testUser1._id, post: due._id })).toBe(1);
+        expect(await publishDuePosts({ now })).toBe(0);
+    });
+});
+
+describe('PUT /api/posts/:id', () => {
+    it('should edit a post and keep its likes and comments', async () => {
+        testPost1.likes.push(testUser2._id);
+        testPost1.commentCount = 1;
+        await testPost1.save();
+
+        const response = await request(app)
+            .put(`/api/posts/${testPost1._id}`)
+            .set('Authorization', `Bearer ${token1}`)
+            .send({ text: 'Test post 1 by John, fixed' });
+
+        expect(response.status).toBe(200);
+        expect(response.body.data.text).toBe('Test post 1 by John, fixed');
+        expect(response.body.data.editedAt).toBeDefined();
+        expect(response.body.data.likes).toHaveLength(1);
+        expect(response.body.data.commentCount).toBe(1);
+    });
+
+    it('should store the prior version as a revision', async () => {
+        await request(app)
+            .put(`/api/posts/${testPost1._id}`)
+            .set('Authorization', `Bearer ${token1}`)
+            .send({ text: 'Second version' })
+            .expect(200);
+
+        const revisions = await PostRevision.find({ post: testPost1._id });
+        expect(revisions).toHaveLength(1);
+        expect(revisions[0].text).toBe('Test post 1 by John');
+        expect(revisions[0].editedBy.toString()).toBe(testUser1._id.toString());
+    });
+
+    it('should not store a revision when nothing changed', async () => {
+        const response = await request(app)
+            .put(`/api/posts/${testPost1._id}`)
+            .set('Authorization', `Bearer ${token1}`)
+            .send({ text: 'Test post 1 by John' });
+
+        expect(response.status).toBe(200);
+        expect(response.body.data.editedAt).toBeUndefined();
+        expect(await PostRevision.countDocuments({ post: testPost1._id })).toBe(0);
+    });
+
+    it('should return 403 when editing someone else\'s post', async () => {
+        const response = await request(app)
+            .put(`/api/posts/${testPost2._id}`)
+            .set('Authorization', `Bearer ${token1}`)
+            .send({ text: 'Hijacked' });
+
+        expect(response.status).toBe(403);
+    });
+
+    it('should return 400 for a draft', async () => {
+        const draft = await Post.create({ text: 'Draft', postedBy: testUser1._id, status: 'draft' });
+
+        const response = await request(app)
+            .put(`/api/posts/${draft._id}`)
+            .set('Authorization', `Bearer ${token1}`)
+            .send({ text: 'Edited' });
+
+        expect(response.status).toBe(400);
+    });
+
+    it('should return 400 if text is empty', async () => {
+        const response = await request(app)
+            .put(`/api/posts/${testPost1._id}`)
+            .set('Authorization', `Bearer ${token1}`)
+            .send({ text: '' });
+
+        expect(response.status).toBe(400);
+    });
+});
+
+describe('GET /api/posts/:id/revisions', () => {
+    beforeEach(async () => {
+        for (const text of ['Second version', 'Third version']) {
+            await request(app)
+                .put(`/api/posts/${testPost1._id}`)
+                .set('Authorization', `Bearer ${token1}`)
+                .send({ text })
+                .expect(200);
+        }
+    });
+
+    it('should list prior versions newest first', async () => {
+        const response = await request(app)
+            .get(`/api/posts/${testPost1._id}/revisions`)
+            .set('Authorization', `Bearer ${token2}`);
+
+        expect(response.status).toBe(200);
+        expect(response.body.data.map(revision => revision.text)).toEqual(['Second version', 'Test post 1 by John']);
+        expect(response.body.data[0].editedBy.username).toBe('johndoe');
+    });
+
+    it('should return 404 for a post the user cannot see', async () => {
+        const draft = await Post.create({ text: 'Draft', postedBy: testUser1._id, status: 'draft' });
+
+        const response = await request(app)
+            .get(`/api/posts/${draft._id}/revisions`)
+            .set('Authorization', `Bearer ${token2}`);
+
+        expect(response.status).toBe(404);
+    });
+
+    it('should return 404 across a block or for a private account the user does not follow', async () => {
+        await User.findByIdAndUpdate(testUser1._id, { blocked: [testUser2._id] });
+        await User.findByIdAndUpdate(testUser2._id, { blockedBy: [testUser1._id] });
+
+        await request(app)
+            .get(`/api/posts/${testPost1._id}/revisions`)
+            .set('Authorization', `Bearer ${token2}`)
+            .expect(404);
+
+        await User.findByIdAndUpdate(testUser1._id, { isPrivate: true });
+
+        await request(app)
+            .get(`/api/posts/${testPost1._id}/revisions`)
+            .set('Authorization', `Bearer ${token3}`)
+            .expect(404);
+    });
+
+    it('should delete revisions with the post', async () => {
+        await request(app)
+            .delete(`/api/posts/${testPost1._id}`)
+            .set('Authorization', `Bearer ${token1}`)
+            .expect(200);
+
+        expect(await PostRevision.countDocuments({ post: testPost1._id })).toBe(0);
+    });
+});
+
+describe('PUT /api/posts/:id/archive', () => {
+    it('should hide an archived post from feeds', async () => {
+        const response = await request(app)
+            .put(`/api/posts/${testPost2._id}/archive`)
+            .set('Authorization', `Bearer ${token2}`);
+
+        expect(response.status).toBe(200);
+        expect(response.body.data.status).toBe('archived');
+
+        const feed = await request(app)
+            .get('/api/posts/feed')
+            .set('Authorization', `Bearer ${token1}`);
+        expect(feed.body.data.map(post => post.text)).not.toContain('Test post 2 by Jane');
+    });
+
+    it('should restore an archived post with unarchive', async () => {
+        await request(app)
+            .put(`/api/posts/${testPost2._id}/archive`)
+            .set('Authorization', `Bearer ${token2}`)
+            .expect(200);
+
+        const response = await request(app)
+            .put(`/api/posts/${testPost2._id}/unarchive`)
+            .set('Authorization', `Bearer ${token2}`);
+        expect(response.status).toBe(200);
+
+        const feed = await request(app)
+            .get('/api/posts/feed')
+            .set('Authorization', `Bearer ${token1}`);
+        expect(feed.body.data.map(post => post.text)).toContain('Test post 2 by Jane');
+    });
+
+    it('should return 404 for someone else\'s post', async () => {
+        const response = await request(app)
+            .put(`/api/posts/${testPost2._id}/archive`)
+            .set('Authorization', `Bearer ${token1}`);
+
+        expect(response.status).toBe(404);
+    });
 });
 
 describe('DELETE /api/posts/:id', () => {
@@ -503,6 +1637,35 @@ describe('DELETE /api/posts/:id', () => {
         expect(deletedPost).toBeNull();
     });
 
+    it('should remove the post from every timeline', async () => {
+        expect(await TimelineEntry.countDocuments({ post: testPost2._id })).toBe(2);
+
+        await request(app)
+            .delete(`/api/posts/${testPost2._id}`)
+            .set('Authorization', `Bearer ${token2}`)
+            .expect(200);
+
+        expect(await TimelineEntry.countDocuments({ post: testPost2._id })).toBe(0);
+    });
+
+    it('should delete the post photo from media storage', async () => {
+        const media = await Media.store({
+            buffer: Buffer.from('fake-image-data'),
+            contentType: 'image/jpeg',
+            owner: testUser1._id
+        });
+        testPost1.photo = media._id;
+        await testPost1.save();
+
+        await request(app)
+            .delete(`/api/posts/${testPost1._id}`)
+            .set('Authorization', `Bearer ${token1}`)
+            .expect(200);
+
+        expect(await Media.findById(media._id)).toBeNull();
+        expect(await Media.open(media._id)).toBeNull();
+    });
+
     it('should return 403 if user does not own the post', async () => {
         const response = await request(app)
             .delete(`/api/posts/${testPost2._id}`)
@@ -530,6 +1693,317 @@ describe('DELETE /api/posts/:id', () => {
     });
 });
 
+describe('Blocking and muting', () => {
+    describe('when a user mutes someone they follow', () => {
+        beforeEach(async () => {
+            await User.findByIdAndUpdate(testUser1._id, { muted: [testUser2._id] });
+        });
+
+        it('should leave the muted user\'s posts out of the feed', async () => {
+            const response = await request(app)
+                .get('/api/posts/feed')
+                .set('Authorization', `Bearer ${token1}`)
+                .expect(200);
+
+            expect(response.body.data.map(post => post.text)).toEqual(['Test post 1 by John']);
+        });
+
+        it('should leave them out of the top feed and the newsfeed', async () => {
+            const top = await request(app)
+                .get('/api/posts/feed?sort=top')
+                .set('Authorization', `Bearer ${token1}`)
+                .expect(200);
+            const newsfeed = await request(app)
+                .get('/api/posts')
+                .set('Authorization', `Bearer ${token1}`)
+                .expect(200);
+
+            expect(top.body.data.map(post => post.text)).toEqual(['Test post 1 by John']);
+            expect(newsfeed.body.data.map(post => post.text)).toEqual(['Test post 1 by John']);
+        });
+
+        it('should still show their posts elsewhere', async () => {
+            await request(app)
+                .get(`/api/posts/${testPost2._id}`)
+                .set('Authorization', `Bearer ${token1}`)
+                .expect(200);
+
+            const response = await request(app)
+                .get(`/api/posts/by-user/${testUser2._id}`)
+                .set('Authorization', `Bearer ${token1}`)
+                .expect(200);
+
+            expect(response.body.data).toHaveLength(1);
+        });
+    });
+
+    describe('when a user blocks someone', () => {
+        beforeEach(async () => {
+            await User.findByIdAndUpdate(testUser2._id, { blocked: [testUser3._id] });
+            await User.findByIdAndUpdate(testUser3._id, { blockedBy: [testUser2._id] });
+        });
+
+        it('should hide the blocker\'s posts from the blocked user', async () => {
+            await request(app)
+                .get(`/api/posts/${testPost2._id}`)
+                .set('Authorization', `Bearer ${token3}`)
+                .expect(404);
+
+            await request(app)
+                .get(`/api/posts/by-user/${testUser2._id}`)
+                .set('Authorization', `Bearer ${token3}`)
+                .expect(404);
+        });
+
+        it('should hide the blocked user\'s posts from the blocker', async () => {
+            const post = await createPost({ text: 'Bob says #hello', postedBy: testUser3._id });
+
+            await request(app)
+                .get(`/api/posts/${post._id}`)
+                .set('Authorization', `Bearer ${token2}`)
+                .expect(404);
+
+            const response = await request(app)
+                .get('/api/posts/tag/hello')
+                .set('Authorization', `Bearer ${token2}`)
+                .expect(200);
+
+            expect(response.body.data).toHaveLength(0);
+        });
+
+        it('should not allow liking or commenting across the block', async () => {
+            await request(app)
+                .put('/api/posts/like')
+                .set('Authorization', `Bearer ${token3}`)
+                .send({ postId: testPost2._id })
+                .expect(404);
+
+            await request(app)
+                .put('/api/posts/comment')
+                .set('Authorization', `Bearer ${token3}`)
+                .send({ postId: testPost2._id, text: 'Let me in' })
+                .expect(404);
+
+            expect((await Post.findById(testPost2._id)).likes).toHaveLength(0);
+            expect(await Comment.countDocuments({})).toBe(0);
+        });
+
+        it('should leave the blocked user\'s comments out of other posts', async () => {
+            await Comment.create([
+                { post: testPost1._id, postedBy: testUser3._id, text: 'From Bob' },
+                { post: testPost1._id, postedBy: testUser1._id, text: 'From John' }
+            ]);
+
+            const response = await request(app)
+                .get(`/api/posts/${testPost1._id}/comments`)
+                .set('Authorization', `Bearer ${token2}`)
+                .expect(200);
+
+            expect(response.body.data.map(comment => comment.text)).toEqual(['From John']);
+        });
+    });
+});
+
+describe('Private accounts', () => {
+    beforeEach(async () => {
+        // testUser1 follows testUser2; testUser3 does not
+        await User.findByIdAndUpdate(testUser2._id, { isPrivate: true });
+    });
+
+    it('should show a private account\'s posts to its followers', async () => {
+        await request(app)
+            .get(`/api/posts/${testPost2._id}`)
+            .set('Authorization', `Bearer ${token1}`)
+            .expect(200);
+
+        const response = await request(app)
+            .get(`/api/posts/by-user/${testUser2._id}`)
+            .set('Authorization', `Bearer ${token1}`)
+            .expect(200);
+
+        expect(response.body.data).toHaveLength(1);
+    });
+
+    it('should hide them from everyone else', async () => {
+        await request(app)
+            .get(`/api/posts/${testPost2._id}`)
+            .set('Authorization', `Bearer ${token3}`)
+            .expect(404);
+
+        const response = await request(app)
+            .get(`/api/posts/by-user/${testUser2._id}`)
+            .set('Authorization', `Bearer ${token3}`)
+            .expect(403);
+
+        expect(response.body.message).toBe('This account is private');
+
+        await request(app)
+            .put('/api/posts/like')
+            .set('Authorization', `Bearer ${token3}`)
+            .send({ postId: testPost2._id })
+            .expect(404);
+    });
+
+    it('should only tell mentioned users who follow the private account', async () => {
+        await request(app)
+            .post('/api/posts')
+            .set('Authorization', `Bearer ${token2}`)
+            .send({ text: 'Hi @johndoe and @bobjohnson' })
+            .expect(201);
+
+        const notifications = await Notification.find({ type: 'mention' });
+        expect(notifications.map(notification => notification.recipient.toString())).toEqual([testUser1._id.toString()]);
+    });
+
+    it('should leave them out of tag listings for non-followers', async () => {
+        await createPost({ text: 'Only for friends #secret', postedBy: testUser2._id });
+
+        const follower = await request(app)
+            .get('/api/posts/tag/secret')
+            .set('Authorization', `Bearer ${token1}`);
+        const stranger = await request(app)
+            .get('/api/posts/tag/secret')
+            .set('Authorization', `Bearer ${token3}`);
+
+        expect(follower.body.data).toHaveLength(1);
+        expect(stranger.body.data).toHaveLength(0);
+    });
+});
+
+describe('Content filter', () => {
+    const links = (count) => Array.from({ length: count }, (item, i) => `https://site${i}.example`).join(' ');
+
+    const createPostAs = (token, data) => request(app)
+        .post('/api/posts')
+        .set('Authorization', `Bearer ${token}`)
+        .send(data);
+
+    const commentAs = (token, data) => request(app)
+        .put('/api/posts/comment')
+        .set('Authorization', `Bearer ${token}`)
+        .send(data);
+
+    beforeEach(() => {
+        process.env.CONTENT_FILTER_BANNED_WORDS = 'scam';
+        process.env.CONTENT_FILTER_MAX_LINKS = '2';
+    });
+
+    afterEach(() => {
+        delete process.env.CONTENT_FILTER_BANNED_WORDS;
+        delete process.env.CONTENT_FILTER_MAX_LINKS;
+        delete process.env.CONTENT_FILTER_MAX_PER_WINDOW;
+    });
+
+    it('should reject a post with a banned word', async () => {
+        const response = await createPostAs(token1, { text: 'Not a SCAM, honest' }).expect(400);
+
+        expect(response.body.message).toBe('Text contains a banned word');
+        expect(await Post.countDocuments({ postedBy: testUser1._id })).toBe(1);
+    });
+
+    it('should check the title too', async () => {
+        await createPostAs(token1, { title: 'Scam alert', text: 'Fine text' }).expect(400);
+    });
+
+    it('should hold a post with too many links for review', async () => {
+        const response = await createPostAs(token1, { text: `Look ${links(3)}` }).expect(201);
+
+        expect(response.body.message).toBe('Post is held for review');
+        expect(response.body.data.status).toBe('held');
+        expect(response.body.data.flags).toEqual(['links']);
+
+        const report = await Report.findOne({ target: response.body.data._id });
+        expect(report.source).toBe('filter');
+        expect(report.details).toBe('Text contains more than 2 links');
+
+        // Held posts stay out of feeds but their author can still see them
+        const feed = await request(app).get('/api/posts/feed').set('Authorization', `Bearer ${token2}`).expect(200);
+        expect(feed.body.data.some(p => p._id === response.body.data._id)).toBe(false);
+        await request(app).get(`/api/posts/${response.body.data._id}`).set('Authorization', `Bearer ${token2}`).expect(404);
+        await request(app).get(`/api/posts/${response.body.data._id}`).set('Authorization', `Bearer ${token1}`).expect(200);
+    });
+
+    it('should keep drafts as drafts but hold them when published', async () => {
+        const draft = await createPostAs(token1, { text: `Draft ${links(3)}`, status: 'draft' }).expect(201);
+        expect(draft.body.data.status).toBe('draft');
+
+        const response = await request(app)
+            .put(`/api/posts/drafts/${draft.body.data._id}`)
+            .set('Authorization', `Bearer ${token1}`)
+            .send({ status: 'published' })
+            .expect(200);
+
+        expect(response.body.data.status).toBe('held');
+        expect(await Report.countDocuments({ target: draft.body.data._id, status: 'open' })).toBe(1);
+    });
+
+    it('should tag a post when the rule is set to tag', async () => {
+        process.env.CONTENT_FILTER_LINKS_ACTION = 'tag';
+
+        try {
+            const response = await createPostAs(token1, { text: `Look ${links(3)}` }).expect(201);
+
+            expect(response.body.data.status).toBe('published');
+            expect(response.body.data.flags).toEqual(['links']);
+        } finally {
+            delete process.env.CONTENT_FILTER_LINKS_ACTION;
+        }
+    });
+
+    it('should hold an edited post and take it out of feeds', async () => {
+        const response = await request(app)
+            .put(`/api/posts/${testPost1._id}`)
+            .set('Authorization', `Bearer ${token1}`)
+            .send({ text: `Edited ${links(3)}` })
+            .expect(200);
+
+        expect(response.body.message).toBe('Post is held for review');
+        expect(await TimelineEntry.countDocuments({ post: testPost1._id })).toBe(0);
+
+        await request(app)
+            .put(`/api/posts/${testPost1._id}`)
+            .set('Authorization', `Bearer ${token1}`)
+            .send({ text: 'Another edit' })
+            .expect(400);
+    });
+
+    it('should reject an edit with a banned word and keep the post as it was', async () => {
+        await request(app)
+            .put(`/api/posts/${testPost1._id}`)
+            .set('Authorization', `Bearer ${token1}`)
+            .send({ text: 'Total scam' })
+            .expect(400);
+
+        expect((await Post.findById(testPost1._id)).text).toBe('Test post 1 by John');
+        expect(await PostRevision.countDocuments({ post: testPost1._id })).toBe(0);
+    });
+
+    it('should limit how fast a user posts', async () => {
+        process.env.CONTENT_FILTER_MAX_PER_WINDOW = '2';
+
+        await createPostAs(token1, { text: 'Second post' }).expect(201);
+        const response = await createPostAs(token1, { text: 'Third post' }).expect(400);
+
+        expect(response.body.message).toBe('You are posting too quickly. Please wait a few minutes.');
+    });
+
+    it('should hold a comment without counting it', async () => {
+        const response = await commentAs(token1, { postId: testPost2._id, text: `See ${links(3)}` }).expect(200);
+
+        expect(response.body.message).toBe('Comment is held for review');
+        expect(response.body.comment.held).toBe(true);
+        expect(response.body.data.comments).toHaveLength(0);
+        expect((await Post.findById(testPost2._id)).commentCount).toBe(0);
+        expect(await Report.countDocuments({ target: response.body.comment._id, source: 'filter' })).toBe(1);
+    });
+
+    it('should reject a comment with a banned word', async () => {
+        await commentAs(token1, { postId: testPost2._id, text: 'What a scam' }).expect(400);
+
+        expect(await Comment.countDocuments({ post: testPost2._id })).toBe(0);
+    });
+});
+
 describe('Database Integration Tests', () => {
     it('should handle multiple concurrent post creations without database conflicts', async () => {
         // This test ensures that the API can handle multiple concurrent post creations
@@ -626,7 +2100,6 @@ describe('Database Integration Tests', () => {
         expect(response.body.success).toBe(true);
         expect(response.body.data.text).toBe('Test post with photo via API');
         expect(response.body.data.photo).toBeDefined();
-        expect(response.body.data.photo.contentType).toBeDefined();
 
         // Verify the post can be retrieved
         const getResponse = await request(app)
@@ -727,7 +2200,7 @@ describe('Database Integration Tests', () => {
 
         expect(getResponse.status).toBe(200);
         expect(getResponse.body.data.likes).toContain(testUser2._id.toString());
-        expect(getResponse.body.data.comments).toHaveLength(1);
+        expect(getResponse.body.data.commentCount).toBe(1);
 
         // 5. Unlike the post
         const unlikeResponse = await request(app)
@@ -745,7 +2218,7 @@ describe('Database Integration Tests', () => {
 
         expect(finalResponse.status).toBe(200);
         expect(finalResponse.body.data.likes).toHaveLength(0);
-        expect(finalResponse.body.data.comments).toHaveLength(1);
+        expect(finalResponse.body.data.commentCount).toBe(1);
     });
 
     it('should validate database schema integrity through API operations', async () => {
@@ -767,7 +2240,6 @@ describe('Database Integration Tests', () => {
         expect(post.postedBy).toBeDefined();
         expect(post.postedBy._id).toBe(testUser1._id.toString());
         expect(Array.isArray(post.likes)).toBe(true);
-        expect(Array.isArray(post.comments)).toBe(true);
         expect(post.createdAt).toBeDefined();
         expect(post.updatedAt).toBeDefined();
         expect(post.commentCount).toBe(0);
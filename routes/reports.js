@@ -0,0 +1,469 @@
+const express = require('express');
+const { body, query, param } = require('express-validator');
+const Report = require('../models/Report');
+const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+const User = require('../models/User');
+const { protect, authorize } = require('../middleware/auth');
+const validate = require('../middleware/validate');
+const { decodeCursor, paginate } = require('../utils/pagination');
+const realtime = require('../utils/realtime');
+const timeline = require('../utils/timeline');
+const { publishPost } = require('../utils/postScheduler');
+const { notifyComment } = require('../utils/notifications');
+
+const router = express.Router();
+
+// User fields shown with the people behind a report
+const USER_FIELDS = 'firstName lastName username photo';
+
+// Reported content and the people involved, shown in the queue
+const REPORT_POPULATE = [
+    { path: 'target', select: `title text postedBy post ${USER_FIELDS}` },
+    { path: 'targetAuthor', select: `${USER_FIELDS} isActive` },
+    { path: 'reporter', select: USER_FIELDS },
+    { path: 'assignee', select: USER_FIELDS },
+    { path: 'history.by', select: USER_FIELDS },
+    { path: 'history.assignee', select: USER_FIELDS }
+];
+
+// Whether a user may see a post, as GET /api/posts/:id decides: it is
+// published (or theirs), no block stands between them and its author, and
+// the author isn't a private account they don't follow
+const canSeePost = async (post, user) => (
+    !!post &&
+    post.isVisibleTo(user.id) &&
+    !user.isBlockedWith(post.postedBy) &&
+    !(await User.isPrivateTo(post.postedBy, user.id))
+);
+
+// Find the content a report is about and its author, or null when it is
+// gone or the reporter cannot see it
+const findTarget = async (targetType, targetId, user) => {
+    if (targetType === 'user') {
+        const target = await User.findOne({ _id: targetId, isActive: true });
+        return target && { target, author: target._id };
+    }
+
+    if (targetType === 'post') {
+        const target = await Post.findById(targetId);
+        return await canSeePost(target, user) ? { target, author: target.postedBy } : null;
+    }
+
+    const target = await Comment.findById(targetId);
+    if (!target || target.held || user.isBlockedWith(target.postedBy)) {
+        return null;
+    }
+    return await canSeePost(await Post.findById(target.post), user) ? { target, author: target.postedBy } : null;
+};
+
+// Let content the content filter held go out, as it would have when it
+// was posted
+const releaseHeld = async (report) => {
+    if (report.targetType === 'post') {
+        const post = await Post.findOne({ _id: report.target, status: 'held' });
+        if (!post) {
+            return;
+        }
+
+        // Only published posts are edited, so a post held after an edit
+        // was already out: it goes back where it was, as when unarchiving,
+        // instead of being announced again as a new post
+        if (post.editedAt) {
+            post.status = 'published';
+            await post.save();
+            await timeline.fanOut(post);
+        } else {
+            await publishPost(post);
+        }
+        return;
+    }
+
+    const comment = report.targetType === 'comment'
+        ? await Comment.findOne({ _id: report.target, held: true })
+        : null;
+    const post = comment && await Post.findById(comment.post);
+    if (!post) {
+        return;
+    }
+
+    await Comment.setHeld(comment, false);
+    const parent = comment.parentId ? await Comment.findById(comment.parentId) : null;
+    await notifyComment(post, comment, parent);
+    await realtime.postUpdated(post._id);
+};
+
+const reportIdRule = () => param('id')
+    .isMongoId()
+    .withMessage('Invalid report ID');
+
+// Load an open report for an admin to act on, or send the reason it cannot be
+const findOpenReport = async (req, res) => {
+    const report = await Report.findById(req.params.id);
+    if (!report) {
+        res.status(404).json({
+            success: false,
+            message: 'Report not found'
+        });
+        return null;
+    }
+
+    if (report.status !== 'open') {
+        res.status(400).json({
+            success: false,
+            message: 'Report is already closed'
+        });
+        return null;
+    }
+
+    return report;
+};
+
+// @desc    Report a post, comment or user to the admins
+// @route   POST /api/reports
+// @access  Private
+router.post('/', protect, [
+    body('targetType')
+        .isIn(Object.keys(Report.TARGET_MODELS))
+        .withMessage(`Target type must be one of: ${Object.keys(Report.TARGET_MODELS).join(', ')}`),
+    body('targetId')
+        .isMongoId()
+        .withMessage('Invalid target ID'),
+    body('reason')
+        .isIn(Report.REASONS)
+        .withMessage(`Reason must be one of: ${Report.REASONS.join(', ')}`),
+    body('details')
+        .optional()
+        .isString()
+        .trim()
+        .isLength({ max: 1000 })
+        .withMessage('Details cannot exceed 1000 characters')
+], validate, async (req, res) => {
+    try {
+        const { targetType, targetId, reason, details } = req.body;
+
+        const found = await findTarget(targetType, targetId, req.user);
+        if (!found) {
+            return res.status(404).json({
+                success: false,
+                message: `${Report.TARGET_MODELS[targetType]} not found`
+            });
+        }
+
+        if (found.author.toString() === req.user.id) {
+            return res.status(400).json({
+                success: false,
+                message: 'Cannot report yourself or your own content'
+            });
+        }
+
+        const report = await Report.create({
+            targetType,
+            target: found.target._id,
+            targetAuthor: found.author,
+            reporter: req.user._id,
+            reason,
+            details,
+            history: [{ action: 'reported', by: req.user._id, note: details }]
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Report submitted. Thank you for letting us know.',
+            data: {
+                _id: report._id,
+                targetType: report.targetType,
+                target: report.target,
+                reason: report.reason,
+                status: report.status,
+                createdAt: report.createdAt
+            }
+        });
+    } catch (error) {
+        // One open report per user and target
+        if (error.code === 11000) {
+            return res.status(400).json({
+                success: false,
+                message: 'You have already reported this'
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Error submitting report',
+            error: error.message
+        });
+    }
+});
+
+// @desc    Get the moderation queue, newest first (admin only)
+// @route   GET /api/reports
+// @access  Private/Admin
+router.get('/', protect, authorize('admin'), [
+    query('status')
+        .optional()
+        .isIn(['open', 'dismissed', 'resolved', 'all'])
+        .withMessage('Status must be one of: open, dismissed, resolved, all'),
+    query('targetType')
+        .optional()
+        .isIn(Object.keys(Report.TARGET_MODELS))
+        .withMessage(`Target type must be one of: ${Object.keys(Report.TARGET_MODELS).join(', ')}`),
+    query('reason')
+        .optional()
+        .isIn(Report.REASONS)
+        .withMessage(`Reason must be one of: ${Report.REASONS.join(', ')}`),
+    query('source')
+        .optional()
+        .isIn(['user', 'filter'])
+        .withMessage('Source must be user or filter'),
+    query('assignee')
+        .optional()
+        .custom(value => ['me', 'none'].includes(value) || /^[a-f\d]{24}$/i.test(value))
+        .withMessage('Assignee must be "me", "none" or a user ID'),
+    query('cursor')
+        .optional()
+        .custom(value => decodeCursor(value) !== null)
+        .withMessage('Invalid cursor'),
+    query('page')
+        .optional()
+        .isInt({ min: 1 })
+        .withMessage('Page must be a positive integer'),
+    query('limit')
+        .optional()
+        .isInt({ min: 1, max: 50 })
+        .withMessage('Limit must be between 1 and 50')
+], validate, async (req, res) => {
+    try {
+        const limit = parseInt(req.query.limit) || 20;
+        const { status = 'open', targetType, reason, source, assignee } = req.query;
+
+        const filter = {};
+        if (status !== 'all') {
+            filter.status = status;
+        }
+        if (targetType) {
+            filter.targetType = targetType;
+        }
+        if (reason) {
+            filter.reason = reason;
+        }
+        if (source) {
+            filter.source = source;
+        }
+        if (assignee) {
+            filter.assignee = assignee === 'me' ? req.user._id : assignee === 'none' ? null : assignee;
+        }
+
+        const { data, total, pagination } = await paginate(Report, filter, {
+            cursor: req.query.cursor,
+            page: parseInt(req.query.page) || undefined,
+            limit,
+            populate: REPORT_POPULATE
+        });
+
+        res.json({
+            success: true,
+            count: data.length,
+            total,
+            pagination,
+            data
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching reports',
+            error: error.message
+        });
+    }
+});
+
+// @desc    Get one report with its history (admin only)
+// @route   GET /api/reports/:id
+// @access  Private/Admin
+router.get('/:id', protect, authorize('admin'), [
+    reportIdRule()
+], validate, async (req, res) => {
+    try {
+        const report = await Report.findById(req.params.id).populate(REPORT_POPULATE);
+        if (!report) {
+            return res.status(404).json({
+                success: false,
+                message: 'Report not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: report
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching report',
+            error: error.message
+        });
+    }
+});
+
+// @desc    Assign an open report to an admin, yourself by default (admin only)
+// @route   PUT /api/reports/:id/assign
+// @access  Private/Admin
+router.put('/:id/assign', protect, authorize('admin'), [
+    reportIdRule(),
+    body('assigneeId')
+        .optional()
+        .isMongoId()
+        .withMessage('Invalid assignee ID')
+], validate, async (req, res) => {
+    try {
+        const assigneeId = req.body.assigneeId || req.user.id;
+        const assignee = await User.findOne({ _id: assigneeId, role: 'admin', isActive: true });
+        if (!assignee) {
+            return res.status(400).json({
+                success: false,
+                message: 'Reports can only be assigned to admins'
+            });
+        }
+
+        const report = await findOpenReport(req, res);
+        if (!report) {
+            return;
+        }
+
+        report.assignee = assignee._id;
+        report.history.push({ action: 'assigned', by: req.user._id, assignee: assignee._id });
+        await report.save();
+        await report.populate(REPORT_POPULATE);
+
+        res.json({
+            success: true,
+            message: 'Report assigned successfully',
+            data: report
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error assigning report',
+            error: error.message
+        });
+    }
+});
+
+// @desc    Put an open report back in the unassigned queue (admin only)
+// @route   PUT /api/reports/:id/unassign
+// @access  Private/Admin
+router.put('/:id/unassign', protect, authorize('admin'), [
+    reportIdRule()
+], validate, async (req, res) => {
+    try {
+        const report = await findOpenReport(req, res);
+        if (!report) {
+            return;
+        }
+
+        report.assignee = null;
+        report.history.push({ action: 'unassigned', by: req.user._id });
+        await report.save();
+        await report.populate(REPORT_POPULATE);
+
+        res.json({
+            success: true,
+            message: 'Report unassigned successfully',
+            data: report
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error unassigning report',
+            error: error.message
+        });
+    }
+});
+
+// @desc    Close an open report by dismissing it, which releases content
+//          held by the content filter, removing the reported post or
+//          comment, or suspending its author. Acting on the content
+//          closes every open report against it. (admin only)
+// @route   PUT /api/reports/:id/resolve
+// @access  Private/Admin
+router.put('/:id/resolve', protect, authorize('admin'), [
+    reportIdRule(),
+    body('action')
+        .isIn(Report.RESOLUTION_ACTIONS)
+        .withMessage(`Action must be one of: ${Report.RESOLUTION_ACTIONS.join(', ')}`),
+    body('note')
+        .optional()
+        .isString()
+        .trim()
+        .isLength({ max: 1000 })
+        .withMessage('Note cannot exceed 1000 characters')
+], validate, async (req, res) => {
+    try {
+        const { action, note } = req.body;
+
+        const report = await findOpenReport(req, res);
+        if (!report) {
+            return;
+        }
+
+        if (action === 'dismiss' && report.source === 'filter') {
+            await releaseHeld(report);
+        }
+
+        if (action === 'remove_content') {
+            if (report.targetType === 'user') {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Suspend the author to act on a reported user'
+                });
+            }
+
+            if (report.targetType === 'post') {
+                const post = await Post.findById(report.target);
+                if (post) {
+                    await Post.removeWithContent(post);
+                }
+            } else {
+                const comment = await Comment.findById(report.target);
+                if (comment) {
+                    await Comment.removeThread(comment);
+                    await realtime.postUpdated(comment.post);
+                }
+            }
+        }
+
+        if (action === 'suspend_author') {
+            if (report.targetAuthor.toString() === req.user.id) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Cannot suspend your own account'
+                });
+            }
+
+            await User.updateOne({ _id: report.targetAuthor }, { isActive: false });
+            await User.revokeSessions(report.targetAuthor);
+        }
+
+        const closed = action === 'dismiss'
+            ? { _id: report._id }
+            : { target: report.target, status: 'open' };
+        const result = await Report.updateMany(closed, Report.closeUpdate({ action, by: req.user._id, note }));
+
+        const updated = await Report.findById(report._id).populate(REPORT_POPULATE);
+
+        res.json({
+            success: true,
+            message: 'Report resolved successfully',
+            closed: result.modifiedCount,
+            data: updated
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error resolving report',
+            error: error.message
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,387 @@
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET = 'test-secret-key';
+process.env.JWT_EXPIRE = '1h';
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../server');
+const User = require('../models/User');
+const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+const Report = require('../models/Report');
+const Activity = require('../models/Activity');
+const { generateToken } = require('../middleware/auth');
+
+let mongoServer;
+let admin, otherAdmin, john, jane;
+let adminToken, johnToken, janeToken;
+let post, comment;
+
+beforeAll(async () => {
+    mongoServer = await MongoMemoryServer.create();
+    await mongoose.connect(mongoServer.getUri());
+    // One open report per user and target relies on the unique index
+    await Report.init();
+});
+
+afterAll(async () => {
+    await mongoose.disconnect();
+    await mongoServer.stop();
+});
+
+beforeEach(async () => {
+    await User.deleteMany({});
+    await Post.deleteMany({});
+    await Comment.deleteMany({});
+    await Report.deleteMany({});
+    await Activity.deleteMany({});
+
+    const makeUser = (firstName, username, role = 'user') => User.create({
+        firstName,
+        lastName: 'Test',
+        username,
+        email: `${username}@example.com`,
+        password: 'password123',
+        role
+    });
+
+    admin = await makeUser('Ada', 'adminuser', 'admin');
+    otherAdmin = await makeUser('Otto', 'otheradmin', 'admin');
+    john = await makeUser('John', 'johndoe');
+    jane = await makeUser('Jane', 'janesmith');
+
+    post = await Post.create({ title: 'Buy now', text: 'Cheap watches', postedBy: jane._id });
+    comment = await Comment.create({ post: post._id, text: 'Click my link', postedBy: jane._id });
+
+    adminToken = generateToken(admin);
+    johnToken = generateToken(john);
+    janeToken = generateToken(jane);
+});
+
+const report = (token, fields) => request(app)
+    .post('/api/reports')
+    .set('Authorization', `Bearer ${token}`)
+    .send({ reason: 'spam', ...fields });
+
+const queue = (token, query = {}) => request(app)
+    .get('/api/reports')
+    .query(query)
+    .set('Authorization', `Bearer ${token}`);
+
+const resolve = (token, reportId, fields) => request(app)
+    .put(`/api/reports/${reportId}/resolve`)
+    .set('Authorization', `Bearer ${token}`)
+    .send(fields);
+
+describe('POST /api/reports', () => {
+    it('should report a post with its author', async () => {
+        const res = await report(johnToken, { targetType: 'post', targetId: post._id, details: 'Spam links' })
+            .expect(201);
+
+        expect(res.body.data.status).toBe('open');
+        const saved = await Report.findById(res.body.data._id);
+        expect(saved.targetAuthor.toString()).toBe(jane._id.toString());
+        expect(saved.history).toHaveLength(1);
+        expect(saved.history[0].action).toBe('reported');
+    });
+
+    it('should report a comment and a user', async () => {
+        await report(johnToken, { targetType: 'comment', targetId: comment._id }).expect(201);
+        await report(johnToken, { targetType: 'user', targetId: jane._id, reason: 'harassment' }).expect(201);
+
+        expect(await Report.countDocuments({ reporter: john._id })).toBe(2);
+    });
+
+    it('should refuse a second open report of the same target', async () => {
+        await report(johnToken, { targetType: 'post', targetId: post._id }).expect(201);
+
+        const res = await report(johnToken, { targetType: 'post', targetId: post._id }).expect(400);
+
+        expect(res.body.message).toBe('You have already reported this');
+    });
+
+    it('should refuse reporting your own content', async () => {
+        const res = await report(janeToken, { targetType: 'post', targetId: post._id }).expect(400);
+
+        expect(res.body.message).toBe('Cannot report yourself or your own content');
+    });
+
+    it('should return 404 for missing content and drafts of others', async () => {
+        await report(johnToken, { targetType: 'post', targetId: new mongoose.Types.ObjectId() }).expect(404);
+
+        const draft = await Post.create({ title: 'Draft', text: 'Not yet', postedBy: jane._id, status: 'draft' });
+        await report(johnToken, { targetType: 'post', targetId: draft._id }).expect(404);
+    });
+
+    it('should return 404 for posts and comments hidden by a block or a private account', async () => {
+        await User.findByIdAndUpdate(jane._id, { blocked: [john._id] });
+        await User.findByIdAndUpdate(john._id, { blockedBy: [jane._id] });
+
+        await report(johnToken, { targetType: 'post', targetId: post._id }).expect(404);
+        await report(johnToken, { targetType: 'comment', targetId: comment._id }).expect(404);
+
+        await User.findByIdAndUpdate(jane._id, { blocked: [], isPrivate: true });
+        await User.findByIdAndUpdate(john._id, { blockedBy: [] });
+
+        await report(johnToken, { targetType: 'post', targetId: post._id }).expect(404);
+        await report(johnToken, { targetType: 'comment', targetId: comment._id }).expect(404);
+    });
+
+    it('should validate the target type and reason', async () => {
+        await report(johnToken, { targetType: 'message', targetId: post._id }).expect(400);
+        await report(johnToken, { targetType: 'post', targetId: post._id, reason: 'boring' }).expect(400);
+    });
+});
+
+describe('GET /api/reports', () => {
+    beforeEach(async () => {
+        await report(johnToken, { targetType: 'post', targetId: post._id });
+        await report(johnToken, { targetType: 'user', targetId: jane._id, reason: 'harassment' });
+    });
+
+    it('should be for admins only', async () => {
+        await queue(johnToken).expect(403);
+    });
+
+    it('should list open reports with their content', async () => {
+        const res = await queue(adminToken).expect(200);
+
+        expect(res.body.data).toHaveLength(2);
+        const postReport = res.body.data.find(item => item.targetType === 'post');
+        expect(postReport.target.title).toBe('Buy now');
+        expect(postReport.reporter.username).toBe('johndoe');
+        expect(postReport.targetAuthor.username).toBe('janesmith');
+    });
+
+    it('should filter by target type, reason and assignee', async () => {
+        const byType = await queue(adminToken, { targetType: 'user' }).expect(200);
+        expect(byType.body.data.map(item => item.reason)).toEqual(['harassment']);
+
+        const byReason = await queue(adminToken, { reason: 'spam' }).expect(200);
+        expect(byReason.body.data.map(item => item.targetType)).toEqual(['post']);
+
+        const mine = await queue(adminToken, { assignee: 'me' }).expect(200);
+        expect(mine.body.data).toHaveLength(0);
+        const unassigned = await queue(adminToken, { assignee: 'none' }).expect(200);
+        expect(unassigned.body.data).toHaveLength(2);
+    });
+
+    it('should hide closed reports unless asked for them', async () => {
+        const open = await Report.findOne({ targetType: 'user' });
+        await resolve(adminToken, open._id, { action: 'dismiss' }).expect(200);
+
+        const res = await queue(adminToken).expect(200);
+        expect(res.body.data).toHaveLength(1);
+
+        const dismissed = await queue(adminToken, { status: 'dismissed' }).expect(200);
+        expect(dismissed.body.data).toHaveLength(1);
+        const all = await queue(adminToken, { status: 'all' }).expect(200);
+        expect(all.body.data).toHaveLength(2);
+    });
+});
+
+describe('PUT /api/reports/:id/assign', () => {
+    let open;
+
+    beforeEach(async () => {
+        const res = await report(johnToken, { targetType: 'post', targetId: post._id });
+        open = res.body.data;
+    });
+
+    it('should assign a report to yourself by default', async () => {
+        const res = await request(app)
+            .put(`/api/reports/${open._id}/assign`)
+            .set('Authorization', `Bearer ${adminToken}`)
+            .expect(200);
+
+        expect(res.body.data.assignee.username).toBe('adminuser');
+        expect(res.body.data.history.map(entry => entry.action)).toEqual(['reported', 'assigned']);
+
+        const mine = await queue(adminToken, { assignee: 'me' }).expect(200);
+        expect(mine.body.data).toHaveLength(1);
+    });
+
+    it('should assign a report to another admin and back to the queue', async () => {
+        await request(app)
+            .put(`/api/reports/${open._id}/assign`)
+            .set('Authorization', `Bearer ${adminToken}`)
+            .send({ assigneeId: otherAdmin._id })
+            .expect(200);
+
+        const res = await request(app)
+            .put(`/api/reports/${open._id}/unassign`)
+            .set('Authorization', `Bearer ${adminToken}`)
+            .expect(200);
+
+        expect(res.body.data.assignee).toBeNull();
+        expect(res.body.data.history.map(entry => entry.action)).toEqual(['reported', 'assigned', 'unassigned']);
+    });
+
+    it('should only assign reports to admins', async () => {
+        const res = await request(app)
+            .put(`/api/reports/${open._id}/assign`)
+            .set('Authorization', `Bearer ${adminToken}`)
+            .send({ assigneeId: john._id })
+            .expect(400);
+
+        expect(res.body.message).toBe('Reports can only be assigned to admins');
+    });
+});
+
+describe('PUT /api/reports/:id/resolve', () => {
+    it('should dismiss a report and keep the content', async () => {
+        const { body } = await report(johnToken, { targetType: 'post', targetId: post._id });
+
+        const res = await resolve(adminToken, body.data._id, { action: 'dismiss', note: 'Not spam' }).expect(200);
+
+        expect(res.body.data.status).toBe('dismissed');
+        expect(res.body.data.resolution.action).toBe('dismiss');
+        expect(res.body.data.history.map(entry => entry.action)).toEqual(['reported', 'dismissed']);
+        expect(await Post.findById(post._id)).not.toBeNull();
+    });
+
+    it('should remove a reported post and close every open report of it', async () => {
+        const first = await report(johnToken, { targetType: 'post', targetId: post._id });
+        await report(adminToken, { targetType: 'post', targetId: post._id });
+
+        const res = await resolve(adminToken, first.body.data._id, { action: 'remove_content' }).expect(200);
+
+        expect(res.body.closed).toBe(2);
+        expect(res.body.data.status).toBe('resolved');
+        expect(await Post.findById(post._id)).toBeNull();
+        expect(await Comment.countDocuments({ post: post._id })).toBe(0);
+        expect(await Report.countDocuments({ status: 'open' })).toBe(0);
+    });
+
+    it('should remove a reported comment', async () => {
+        await Post.updateOne({ _id: post._id }, { commentCount: 1 });
+        const { body } = await report(johnToken, { targetType: 'comment', targetId: comment._id });
+
+        await resolve(adminToken, body.data._id, { action: 'remove_content' }).expect(200);
+
+        expect(await Comment.findById(comment._id)).toBeNull();
+        expect((await Post.findById(post._id)).commentCount).toBe(0);
+    });
+
+    it('should not remove a reported user as content', async () => {
+        const { body } = await report(johnToken, { targetType: 'user', targetId: jane._id });
+
+        await resolve(adminToken, body.data._id, { action: 'remove_content' }).expect(400);
+    });
+
+    it('should suspend the author and end their sessions', async () => {
+        const { body } = await report(johnToken, { targetType: 'comment', targetId: comment._id });
+
+        await resolve(adminToken, body.data._id, { action: 'suspend_author' }).expect(200);
+
+        const suspended = await User.findById(jane._id);
+        expect(suspended.isActive).toBe(false);
+        expect(suspended.tokenVersion).toBe(1);
+        await request(app)
+            .get('/api/auth/me')
+            .set('Authorization', `Bearer ${janeToken}`)
+            .expect(401);
+    });
+
+    it('should refuse to act on a closed report', async () => {
+        const { body } = await report(johnToken, { targetType: 'post', targetId: post._id });
+        await resolve(adminToken, body.data._id, { action: 'dismiss' }).expect(200);
+
+        const res = await resolve(adminToken, body.data._id, { action: 'remove_content' }).expect(400);
+
+        expect(res.body.message).toBe('Report is already closed');
+    });
+
+    it('should be for admins only', async () => {
+        const { body } = await report(johnToken, { targetType: 'post', targetId: post._id });
+
+        await resolve(johnToken, body.data._id, { action: 'dismiss' }).expect(403);
+    });
+});
+
+describe('Content held by the content filter', () => {
+    beforeEach(() => {
+        process.env.CONTENT_FILTER_MAX_LINKS = '1';
+    });
+
+    afterEach(() => {
+        delete process.env.CONTENT_FILTER_MAX_LINKS;
+    });
+
+    const links = 'https://a.example https://b.example';
+
+    it('should queue held content as a filter report', async () => {
+        await request(app)
+            .post('/api/posts')
+            .set('Authorization', `Bearer ${johnToken}`)
+            .send({ text: links })
+            .expect(201);
+
+        const res = await queue(adminToken, { source: 'filter' }).expect(200);
+
+        expect(res.body.data).toHaveLength(1);
+        expect(res.body.data[0].reporter).toBeNull();
+        expect(res.body.data[0].targetAuthor.username).toBe('johndoe');
+        expect(res.body.data[0].history.map(entry => entry.action)).toEqual(['held']);
+    });
+
+    it('should publish a held post once its report is dismissed', async () => {
+        const created = await request(app)
+            .post('/api/posts')
+            .set('Authorization', `Bearer ${johnToken}`)
+            .send({ text: links })
+            .expect(201);
+        const held = await Report.findOne({ target: created.body.data._id });
+
+        await resolve(adminToken, held._id, { action: 'dismiss' }).expect(200);
+
+        expect((await Post.findById(created.body.data._id)).status).toBe('published');
+    });
+
+    it('should put a post held after an edit back in place once released', async () => {
+        const createdAt = new Date('2024-01-01T00:00:00.000Z');
+        await Post.updateOne({ _id: post._id }, { createdAt });
+        await request(app)
+            .put(`/api/posts/${post._id}`)
+            .set('Authorization', `Bearer ${janeToken}`)
+            .send({ text: links })
+            .expect(200);
+        const held = await Report.findOne({ target: post._id });
+
+        await resolve(adminToken, held._id, { action: 'dismiss' }).expect(200);
+
+        const released = await Post.findById(post._id);
+        expect(released.status).toBe('published');
+        expect(released.createdAt).toEqual(createdAt);
+        expect(await Activity.countDocuments({ type: 'post', targetPost: post._id })).toBe(0);
+    });
+
+    it('should release a held comment into the counters', async () => {
+        const created = await request(app)
+            .put('/api/posts/comment')
+            .set('Authorization', `Bearer ${johnToken}`)
+            .send({ postId: post._id, text: links })
+            .expect(200);
+        const held = await Report.findOne({ target: created.body.comment._id });
+
+        await resolve(adminToken, held._id, { action: 'dismiss' }).expect(200);
+
+        expect((await Comment.findById(created.body.comment._id)).held).toBe(false);
+        expect((await Post.findById(post._id)).commentCount).toBe(1);
+    });
+
+    it('should delete held content when removed', async () => {
+        const created = await request(app)
+            .put('/api/posts/comment')
+            .set('Authorization', `Bearer ${johnToken}`)
+            .send({ postId: post._id, text: links })
+            .expect(200);
+        const held = await Report.findOne({ target: created.body.comment._id });
+
+        await resolve(adminToken, held._id, { action: 'remove_content' }).expect(200);
+
+        expect(await Comment.findById(created.body.comment._id)).toBeNull();
+        expect((await Post.findById(post._id)).commentCount).toBe(0);
+    });
+});
@@ -0,0 +1,111 @@
+const express = require('express');
+const { query } = require('express-validator');
+const Post = require('../models/Post');
+const User = require('../models/User');
+const validate = require('../middleware/validate');
+const { toSearchTerms } = require('../utils/search');
+
+const router = express.Router();
+
+// Profile fields shown for each matching user
+const USER_FIELDS = 'firstName lastName username photo about';
+
+// Author fields, and the usernames of mentioned users, shown with each
+// matching post
+const POST_POPULATE = [
+    { path: 'postedBy', select: 'firstName lastName username photo' },
+    { path: 'mentions', select: 'username' }
+];
+
+// Read one page of text search matches, most relevant first
+const searchPage = (Model, filter, { page, limit, select, populate = [] }) => Promise.all([
+    Model.find(filter)
+        .select(select)
+        .populate(populate)
+        .sort({ score: { $meta: 'textScore' }, _id: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+    Model.countDocuments(filter)
+]);
+
+// @desc    Search posts and users
+// @route   GET /api/search?q=
+// @access  Public
+router.get('/', [
+    query('q')
+        .trim()
+        .notEmpty()
+        .withMessage('A search query is required')
+        .bail()
+        .isLength({ max: 100 })
+        .withMessage('Search query cannot exceed 100 characters')
+        .bail()
+        .custom(value => toSearchTerms(value) !== '')
+        .withMessage('Search query must contain letters or numbers'),
+    query('type')
+        .optional()
+        .isIn(['all', 'posts', 'users'])
+        .withMessage('Type must be all, posts or users'),
+    query('page')
+        .optional()
+        .isInt({ min: 1 })
+        .withMessage('Page must be a positive integer'),
+    query('limit')
+        .optional()
+        .isInt({ min: 1, max: 50 })
+        .withMessage('Limit must be between 1 and 50')
+], validate, async (req, res) => {
+    try {
+        const type = req.query.type || 'all';
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 10;
+        const text = { $search: toSearchTerms(req.query.q) };
+
+        const data = {};
+        const total = {};
+
+        if (type !== 'users') {
+            // Search is public, so posts of private accounts never match
+            const matching = Post.publishedFilter({ $text: text });
+            const authors = await Post.aggregate([{ $match: matching }, { $group: { _id: '$postedBy' } }]);
+            const privateIds = await User.privateIdsHiddenFrom(null, authors.map(author => author._id));
+            [data.posts, total.posts] = await searchPage(Post, {
+                ...matching,
+                postedBy: { $nin: privateIds }
+            }, {
+                page,
+                limit,
+                populate: POST_POPULATE
+            });
+        }
+
+        if (type !== 'posts') {
+            [data.users, total.users] = await searchPage(User, { $text: text, isActive: true }, {
+                page,
+                limit,
+                select: USER_FIELDS
+            });
+        }
+
+        res.json({
+            success: true,
+            query: text.$search,
+            type,
+            total,
+            pagination: {
+                page,
+                limit,
+                pages: Math.ceil(Math.max(...Object.values(total)) / limit)
+            },
+            data
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error searching',
+            error: error.message
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,157 @@
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET = 'test-secret-key';
+process.env.JWT_EXPIRE = '1h';
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../server');
+const User = require('../models/User');
+const Post = require('../models/Post');
+
+let mongoServer;
+let john, jane;
+
+beforeAll(async () => {
+    mongoServer = await MongoMemoryServer.create();
+    await mongoose.connect(mongoServer.getUri());
+    // $text queries need the text indexes in place
+    await Promise.all([User.init(), Post.init()]);
+});
+
+afterAll(async () => {
+    await mongoose.disconnect();
+    await mongoServer.stop();
+});
+
+beforeEach(async () => {
+    await User.deleteMany({});
+    await Post.deleteMany({});
+
+    john = await User.create({
+        firstName: 'John',
+        lastName: 'Doe',
+        username: 'johndoe',
+        email: 'john@example.com',
+        password: 'password123',
+        about: 'Writes about databases'
+    });
+
+    jane = await User.create({
+        firstName: 'Jane',
+        lastName: 'Smith',
+        username: 'janesmith',
+        email: 'jane@example.com',
+        password: 'password123'
+    });
+
+    await Post.create({ text: 'Indexing tips for databases', postedBy: jane._id });
+    await Post.create({ title: 'Databases', text: 'A long read', postedBy: john._id });
+    await Post.create({ text: 'Nothing relevant here', postedBy: john._id });
+});
+
+describe('GET /api/search', () => {
+    it('should search posts and users without authentication', async () => {
+        const response = await request(app)
+            .get('/api/search')
+            .query({ q: 'databases' });
+
+        expect(response.status).toBe(200);
+        expect(response.body.success).toBe(true);
+        expect(response.body.data.posts).toHaveLength(2);
+        expect(response.body.data.users.map(user => user.username)).toEqual(['johndoe']);
+        expect(response.body.total).toEqual({ posts: 2, users: 1 });
+    });
+
+    it('should rank the most relevant posts first', async () => {
+        const response = await request(app)
+            .get('/api/search')
+            .query({ q: 'databases', type: 'posts' });
+
+        // A match in the title outweighs one in the body
+        expect(response.body.data.posts[0].title).toBe('Databases');
+        expect(response.body.data.posts[0].postedBy.username).toBe('johndoe');
+        expect(response.body.data.users).toBeUndefined();
+    });
+
+    it('should only show public profile fields', async () => {
+        const response = await request(app)
+            .get('/api/search')
+            .query({ q: 'jane', type: 'users' });
+
+        const [user] = response.body.data.users;
+        expect(user.username).toBe('janesmith');
+        expect(user.email).toBeUndefined();
+        expect(user.followers).toBeUndefined();
+        expect(response.body.data.posts).toBeUndefined();
+    });
+
+    it('should leave out unpublished posts and inactive users', async () => {
+        await Post.create({ text: 'Draft on databases', status: 'draft', postedBy: jane._id });
+        await User.updateOne({ _id: john._id }, { isActive: false });
+
+        const response = await request(app)
+            .get('/api/search')
+            .query({ q: 'databases' });
+
+        expect(response.body.total).toEqual({ posts: 2, users: 0 });
+    });
+
+    it('should leave out posts of private accounts but still find the accounts', async () => {
+        await User.updateOne({ _id: jane._id }, { isPrivate: true });
+
+        const response = await request(app)
+            .get('/api/search')
+            .query({ q: 'databases jane' });
+
+        expect(response.body.data.posts.map(post => post.postedBy.username)).toEqual(['johndoe']);
+        expect(response.body.data.users.map(user => user.username)).toContain('janesmith');
+    });
+
+    it('should page through results', async () => {
+        const first = await request(app)
+            .get('/api/search')
+            .query({ q: 'databases', type: 'posts', limit: 1 });
+
+        const second = await request(app)
+            .get('/api/search')
+            .query({ q: 'databases', type: 'posts', limit: 1, page: 2 });
+
+        expect(first.body.pagination).toEqual({ page: 1, limit: 1, pages: 2 });
+        expect(second.body.data.posts).toHaveLength(1);
+        expect(second.body.data.posts[0]._id).not.toBe(first.body.data.posts[0]._id);
+    });
+
+    it('should treat search operators as plain words', async () => {
+        const response = await request(app)
+            .get('/api/search')
+            .query({ q: '-"databases"' });
+
+        expect(response.status).toBe(200);
+        expect(response.body.query).toBe('databases');
+        expect(response.body.total.posts).toBe(2);
+    });
+
+    it('should return 400 without a query', async () => {
+        const response = await request(app)
+            .get('/api/search');
+
+        expect(response.status).toBe(400);
+    });
+
+    it('should return 400 for a query without words', async () => {
+        const response = await request(app)
+            .get('/api/search')
+            .query({ q: '$(.*)' });
+
+        expect(response.status).toBe(400);
+    });
+
+    it('should return 400 for an invalid type', async () => {
+        const response = await request(app)
+            .get('/api/search')
+            .query({ q: 'databases', type: 'comments' });
+
+        expect(response.status).toBe(400);
+    });
+});
@@ -1,8 +1,15 @@
 const express = require('express');
 const { body, query, param } = require('express-validator');
 const User = require('../models/User');
-const { protect, authorize } = require('../middleware/auth');
+const Post = require('../models/Post');
+const Activity = require('../models/Activity');
+const Notification = require('../models/Notification');
+const Media = require('../models/Media');
+const { protect, authorize, optionalAuth, requireVerifiedEmail } = require('../middleware/auth');
 const validate = require('../middleware/validate');
+const loginThrottle = require('../utils/loginThrottle');
+const timeline = require('../utils/timeline');
+const { escapeRegex } = require('../utils/search');
 const multer = require('multer');
 
 const router = express.Router();
@@ -14,6 +21,43 @@ const upload = multer({
     }
 });
 
+// Make one user follow another, straight away or once a follow request
+// is approved
+const addFollower = async (userId, followerId) => {
+    await User.findByIdAndUpdate(followerId, {
+        $addToSet: { following: userId }
+    });
+
+    await User.findByIdAndUpdate(userId, {
+        $addToSet: { followers: followerId },
+        $pull: { followRequests: followerId }
+    });
+
+    await timeline.follow(followerId, userId);
+
+    await Activity.record({
+        actor: followerId,
+        type: 'follow',
+        targetUser: userId
+    });
+};
+
+// Approve a pending follow request and tell the requester
+const approveRequest = async (userId, requesterId) => {
+    await addFollower(userId, requesterId);
+
+    await Notification.retract({
+        recipient: userId,
+        actor: requesterId,
+        type: 'follow_request'
+    });
+    await Notification.notify({
+        recipient: requesterId,
+        actor: userId,
+        type: 'follow_accept'
+    });
+};
+
 // @desc    Get all users (admin only)
 // @route   GET /api/users
 // @access  Private/Admin
@@ -44,11 +88,13 @@ router.get('/', protect, authorize('admin'), [
         const query = {};
 
         if (req.query.search) {
+            // Matched literally, so the search can't inject a pattern
+            const pattern = escapeRegex(req.query.search);
             query.$or = [
-                { username: { $regex: req.query.search, $options: 'i' } },
-                { email: { $regex: req.query.search, $options: 'i' } },
-                { firstName: { $regex: req.query.search, $options: 'i' } },
-                { lastName: { $regex: req.query.search, $options: 'i' } }
+                { username: { $regex: pattern, $options: 'i' } },
+                { email: { $regex: pattern, $options: 'i' } },
+                { firstName: { $regex: pattern, $options: 'i' } },
+                { lastName: { $regex: pattern, $options: 'i' } }
             ];
         }
 
@@ -115,6 +161,109 @@ router.get('/stats/overview', protect, authorize('admin'), async (req, res) => {
     }
 });
 
+// @desc    Get personal statistics for current user
+// @route   GET /api/users/stats
+// @access  Private
+router.get('/stats', protect, [
+    query('days')
+        .optional()
+        .isInt({ min: 1, max: 365 })
+        .withMessage('Days must be between 1 and 365')
+], validate, async (req, res) => {
+    try {
+        const days = parseInt(req.query.days) || 30;
+        const userId = req.user._id;
+        const since = new Date(Date.now() - (days - 1) * 24 * 60 * 60 * 1000);
+        since.setUTCHours(0, 0, 0, 0);
+
+        // Post, like and comment totals across all of the user's posts
+        const [postTotals] = await Post.aggregate([
+            { $match: Post.publishedFilter({ postedBy: userId }) },
+            {
+                $group: {
+                    _id: null,
+                    posts: { $sum: 1 },
+                    likes: { $sum: { $size: '$likes' } },
+                    comments: { $sum: { $ifNull: ['$commentCount', 0] } }
+                }
+            }
+        ]);
+
+        const [connections] = await User.aggregate([
+            { $match: { _id: userId } },
+            {
+                $project: {
+                    followers: { $size: '$followers' },
+                    following: { $size: '$following' }
+                }
+            }
+        ]);
+
+        // Daily follows and unfollows from the activity log
+        const dailyChanges = await Activity.aggregate([
+            {
+                $match: {
+                    targetUser: userId,
+                    type: { $in: ['follow', 'unfollow'] },
+                    createdAt: { $gte: since }
+                }
+            },
+            {
+                $group: {
+                    _id: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt' } },
+                    gained: { $sum: { $cond: [{ $eq: ['$type', 'follow'] }, 1, 0] } },
+                    lost: { $sum: { $cond: [{ $eq: ['$type', 'unfollow'] }, 1, 0] } }
+                }
+            }
+        ]);
+
+        // Walk back from today's follower count to build a running total per day
+        const changesByDay = new Map(dailyChanges.map(day => [day._id, day]));
+        const followerGrowth = [];
+        let total = connections.followers;
+        for (let i = 0; i < days; i++) {
+            const date = new Date(Date.now() - i * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+            const { gained = 0, lost = 0 } = changesByDay.get(date) || {};
+            followerGrowth.unshift({ date, gained, lost, total });
+            total -= gained - lost;
+        }
+
+        const topPosts = await Post.aggregate([
+            { $match: Post.publishedFilter({ postedBy: userId }) },
+            {
+                $project: {
+                    text: 1,
+                    createdAt: 1,
+                    likeCount: { $size: '$likes' },
+                    commentCount: { $ifNull: ['$commentCount', 0] }
+                }
+            },
+            { $addFields: { engagement: { $add: ['$likeCount', '$commentCount'] } } },
+            { $sort: { engagement: -1, createdAt: -1 } },
+            { $limit: 5 }
+        ]);
+
+        res.json({
+            success: true,
+            data: {
+                posts: postTotals ? postTotals.posts : 0,
+                likes: postTotals ? postTotals.likes : 0,
+                comments: postTotals ? postTotals.comments : 0,
+                followers: connections.followers,
+                following: connections.following,
+                followerGrowth,
+                topPosts
+            }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching user statistics',
+            error: error.message
+        });
+    }
+});
+
 // @desc    Get users to follow (suggestions)
 // @route   GET /api/users/suggestions
 // @access  Private
@@ -123,9 +272,9 @@ router.get('/suggestions', protect, async (req, res) => {
         const currentUser = await User.findById(req.user.id);
         const followingIds = currentUser.following || [];
 
-        // Get all users except the current user
+        // Get all users except the current user and those blocked either way
         const allUsers = await User.find({
-            _id: { $ne: req.user.id }
+            _id: { $nin: [currentUser._id, ...currentUser.blockedIds()] }
         })
             .select('firstName lastName username avatar')
             .limit(10)
@@ -150,6 +299,66 @@ router.get('/suggestions', protect, async (req, res) => {
     }
 });
 
+// @desc    Get activity stream of current user and the users they follow
+// @route   GET /api/users/activity
+// @access  Private
+router.get('/activity', protect, [
+    query('page')
+        .optional()
+        .isInt({ min: 1 })
+        .withMessage('Page must be a positive integer'),
+    query('limit')
+        .optional()
+        .isInt({ min: 1, max: 50 })
+        .withMessage('Limit must be between 1 and 50')
+], validate, async (req, res) => {
+    try {
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 10;
+        const skip = (page - 1) * limit;
+
+        const currentUser = await User.findById(req.user.id).select('following');
+        const actorIds = [...(currentUser.following || []), req.user.id];
+
+        // Activity involving private accounts the user doesn't follow, or
+        // users blocked either way, stays out of the stream
+        const targetUsers = await Activity.distinct('targetUser', { actor: { $in: actorIds } });
+        const hiddenUserIds = [...req.user.blockedIds(), ...await User.privateIdsHiddenFrom(req.user.id, targetUsers)];
+        const filter = {
+            actor: { $in: actorIds },
+            targetUser: { $nin: hiddenUserIds }
+        };
+
+        const activities = await Activity.find(filter)
+            .populate('actor', 'firstName lastName username photo')
+            .populate('targetUser', 'firstName lastName username photo')
+            .populate('targetPost', 'text postedBy likes commentCount createdAt')
+            .sort({ createdAt: -1, _id: -1 })
+            .skip(skip)
+            .limit(limit);
+
+        const total = await Activity.countDocuments(filter);
+
+        res.json({
+            success: true,
+            count: activities.length,
+            total,
+            pagination: {
+                page,
+                limit,
+                pages: Math.ceil(total / limit)
+            },
+            data: activities
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching activity',
+            error: error.message
+        });
+    }
+});
+
 // @desc    Update user profile (user can update their own profile)
 // @route   PUT /api/users/profile
 // @access  Private
@@ -169,26 +378,46 @@ router.put('/profile', protect, upload.single('photo'), [
     body('bio')
         .optional()
         .isLength({ max: 500 })
-        .withMessage('Bio cannot exceed 500 characters')
+        .withMessage('Bio cannot exceed 500 characters'),
+    body('isPrivate')
+        .optional()
+        .isBoolean()
+        .withMessage('isPrivate must be true or false')
+        .toBoolean()
 ], validate, async (req, res) => {
     try {
-        const { firstName, lastName, about, bio } = req.body;
-        const updateData = { firstName, lastName, about, bio };
+        const { firstName, lastName, about, bio, isPrivate } = req.body;
+        const updateData = { firstName, lastName, about, bio, isPrivate };
 
-        // Handle photo upload
+        // Handle photo upload, replacing any previous photo
+        const previousPhoto = req.user.photo;
         if (req.file) {
-            updateData.photo = {
-                data: req.file.buffer,
-                contentType: req.file.mimetype
-            };
+            const media = await Media.store({
+                buffer: req.file.buffer,
+                contentType: req.file.mimetype,
+                owner: req.user.id
+            });
+            updateData.photo = media._id;
         }
 
-        const user = await User.findByIdAndUpdate(
+        let user = await User.findByIdAndUpdate(
             req.user.id,
             updateData,
             { new: true, runValidators: true }
         ).select('-password');
 
+        if (req.file) {
+            await Media.discard(previousPhoto);
+        }
+
+        // Going public approves everyone still waiting to follow
+        if (!user.isPrivate && user.followRequests.length > 0) {
+            for (const requesterId of user.followRequests) {
+                await approveRequest(user._id, requesterId);
+            }
+            user = await User.findById(req.user.id).select('-password');
+        }
+
         res.json({
             success: true,
             message: 'Profile updated successfully',
@@ -206,7 +435,7 @@ router.put('/profile', protect, upload.single('photo'), [
 // @desc    Follow a user
 // @route   PUT /api/users/follow
 // @access  Private
-router.put('/follow', protect, [
+router.put('/follow', protect, requireVerifiedEmail('follow'), [
     body('followId')
         .isMongoId()
         .withMessage('Invalid user ID')
@@ -221,14 +450,22 @@ router.put('/follow', protect, [
             });
         }
 
+        // Someone who blocked the user looks to them as if they don't exist
         const userToFollow = await User.findById(followId);
-        if (!userToFollow) {
+        if (!userToFollow || userToFollow.hasBlocked(req.user.id)) {
             return res.status(404).json({
                 success: false,
                 message: 'User to follow not found'
             });
         }
 
+        if (req.user.hasBlocked(followId)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Unblock this user to follow them'
+            });
+        }
+
         const currentUser = await User.findById(req.user.id);
 
         // Check if already following
@@ -239,18 +476,44 @@ router.put('/follow', protect, [
             });
         }
 
-        // Add to following and followers
-        await User.findByIdAndUpdate(req.user.id, {
-            $push: { following: followId }
-        });
+        // A private account approves its followers; ask it to
+        if (userToFollow.isPrivate) {
+            if (userToFollow.followRequests.some(id => id.toString() === req.user.id)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Follow request already sent'
+                });
+            }
+
+            await User.findByIdAndUpdate(followId, {
+                $addToSet: { followRequests: req.user.id }
+            });
 
-        await User.findByIdAndUpdate(followId, {
-            $push: { followers: req.user.id }
+            await Notification.notify({
+                recipient: followId,
+                actor: req.user.id,
+                type: 'follow_request'
+            });
+
+            return res.json({
+                success: true,
+                message: 'Follow request sent',
+                requested: true
+            });
+        }
+
+        await addFollower(followId, req.user.id);
+
+        await Notification.notify({
+            recipient: followId,
+            actor: req.user.id,
+            type: 'follow'
         });
 
         res.json({
             success: true,
-            message: 'Successfully followed user'
+            message: 'Successfully followed user',
+            requested: false
         });
     } catch (error) {
         res.status(500).json({
@@ -289,6 +552,25 @@ router.put('/unfollow', protect, [
 
         const currentUser = await User.findById(req.user.id);
 
+        // Unfollowing before a private account approved withdraws the request
+        if (!currentUser.following.includes(unfollowId) &&
+            userToUnfollow.followRequests.some(id => id.toString() === req.user.id)) {
+            await User.findByIdAndUpdate(unfollowId, {
+                $pull: { followRequests: req.user.id }
+            });
+
+            await Notification.retract({
+                recipient: unfollowId,
+                actor: req.user.id,
+                type: 'follow_request'
+            });
+
+            return res.json({
+                success: true,
+                message: 'Follow request cancelled'
+            });
+        }
+
         // Check if not following
         if (!currentUser.following.includes(unfollowId)) {
             return res.status(400).json({
@@ -306,6 +588,19 @@ router.put('/unfollow', protect, [
             $pull: { followers: req.user.id }
         });
 
+        await timeline.unfollow(req.user.id, unfollowId);
+
+        await Activity.record({
+            actor: req.user.id,
+            type: 'unfollow',
+            targetUser: unfollowId
+        });
+        await Notification.retract({
+            recipient: unfollowId,
+            actor: req.user.id,
+            type: 'follow'
+        });
+
         res.json({
             success: true,
             message: 'Successfully unfollowed user'
@@ -319,6 +614,309 @@ router.put('/unfollow', protect, [
     }
 });
 
+// @desc    Get users waiting for the current user to approve their follow
+// @route   GET /api/users/follow-requests
+// @access  Private
+router.get('/follow-requests', protect, async (req, res) => {
+    try {
+        const user = await User.findById(req.user.id)
+            .populate('followRequests', 'firstName lastName username photo')
+            .select('followRequests');
+
+        res.json({
+            success: true,
+            count: user.followRequests.length,
+            data: user.followRequests
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching follow requests',
+            error: error.message
+        });
+    }
+});
+
+// @desc    Approve a follow request from a user
+// @route   PUT /api/users/follow-requests/:id/approve
+// @access  Private
+router.put('/follow-requests/:id/approve', protect, [
+    param('id')
+        .isMongoId()
+        .withMessage('Invalid user ID')
+], validate, async (req, res) => {
+    try {
+        if (!req.user.followRequests.some(id => id.toString() === req.params.id)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Follow request not found'
+            });
+        }
+
+        await approveRequest(req.user.id, req.params.id);
+
+        res.json({
+            success: true,
+            message: 'Follow request approved'
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error approving follow request',
+            error: error.message
+        });
+    }
+});
+
+// @desc    Reject a follow request from a user
+// @route   PUT /api/users/follow-requests/:id/reject
+// @access  Private
+router.put('/follow-requests/:id/reject', protect, [
+    param('id')
+        .isMongoId()
+        .withMessage('Invalid user ID')
+], validate, async (req, res) => {
+    try {
+        if (!req.user.followRequests.some(id => id.toString() === req.params.id)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Follow request not found'
+            });
+        }
+
+        await User.findByIdAndUpdate(req.user.id, {
+            $pull: { followRequests: req.params.id }
+        });
+
+        await Notification.retract({
+            recipient: req.user.id,
+            actor: req.params.id,
+            type: 'follow_request'
+        });
+
+        res.json({
+            success: true,
+            message: 'Follow request rejected'
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error rejecting follow request',
+            error: error.message
+        });
+    }
+});
+
+// @desc    Block a user, removing follows both ways
+// @route   PUT /api/users/block
+// @access  Private
+router.put('/block', protect, [
+    body('blockId')
+        .isMongoId()
+        .withMessage('Invalid user ID')
+], validate, async (req, res) => {
+    try {
+        const { blockId } = req.body;
+
+        if (req.user.id === blockId) {
+            return res.status(400).json({
+                success: false,
+                message: 'Cannot block yourself'
+            });
+        }
+
+        const userToBlock = await User.findById(blockId);
+        if (!userToBlock) {
+            return res.status(404).json({
+                success: false,
+                message: 'User to block not found'
+            });
+        }
+
+        if (req.user.hasBlocked(blockId)) {
+            return res.status(400).json({
+                success: false,
+                message: 'User already blocked'
+            });
+        }
+
+        await User.findByIdAndUpdate(req.user.id, {
+            $addToSet: { blocked: blockId },
+            $pull: { following: blockId, followers: blockId, followRequests: blockId }
+        });
+
+        await User.findByIdAndUpdate(blockId, {
+            $addToSet: { blockedBy: req.user.id },
+            $pull: { following: req.user.id, followers: req.user.id, followRequests: req.user.id }
+        });
+
+        await timeline.unfollow(req.user.id, blockId);
+        await timeline.unfollow(blockId, req.user.id);
+
+        // Follows the block removed count as unfollows in follower stats
+        if (userToBlock.followers.includes(req.user.id)) {
+            await Activity.record({
+                actor: req.user.id,
+                type: 'unfollow',
+                targetUser: blockId
+            });
+        }
+        if (userToBlock.following.includes(req.user.id)) {
+            await Activity.record({
+                actor: blockId,
+                type: 'unfollow',
+                targetUser: req.user.id
+            });
+        }
+
+        await Notification.retract({
+            recipient: blockId,
+            actor: req.user.id,
+            type: 'follow'
+        });
+        await Notification.retract({
+            recipient: req.user.id,
+            actor: blockId,
+            type: 'follow'
+        });
+
+        res.json({
+            success: true,
+            message: 'Successfully blocked user'
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error blocking user',
+            error: error.message
+        });
+    }
+});
+
+// @desc    Unblock a user. Follows removed by the block are not restored.
+// @route   PUT /api/users/unblock
+// @access  Private
+router.put('/unblock', protect, [
+    body('unblockId')
+        .isMongoId()
+        .withMessage('Invalid user ID')
+], validate, async (req, res) => {
+    try {
+        const { unblockId } = req.body;
+
+        if (!req.user.hasBlocked(unblockId)) {
+            return res.status(400).json({
+                success: false,
+                message: 'User not blocked'
+            });
+        }
+
+        await User.findByIdAndUpdate(req.user.id, {
+            $pull: { blocked: unblockId }
+        });
+
+        await User.findByIdAndUpdate(unblockId, {
+            $pull: { blockedBy: req.user.id }
+        });
+
+        res.json({
+            success: true,
+            message: 'Successfully unblocked user'
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error unblocking user',
+            error: error.message
+        });
+    }
+});
+
+// @desc    Mute a user, hiding their posts from own feed
+// @route   PUT /api/users/mute
+// @access  Private
+router.put('/mute', protect, [
+    body('muteId')
+        .isMongoId()
+        .withMessage('Invalid user ID')
+], validate, async (req, res) => {
+    try {
+        const { muteId } = req.body;
+
+        if (req.user.id === muteId) {
+            return res.status(400).json({
+                success: false,
+                message: 'Cannot mute yourself'
+            });
+        }
+
+        const userToMute = await User.findById(muteId);
+        if (!userToMute) {
+            return res.status(404).json({
+                success: false,
+                message: 'User to mute not found'
+            });
+        }
+
+        if (req.user.muted.some(id => id.toString() === muteId)) {
+            return res.status(400).json({
+                success: false,
+                message: 'User already muted'
+            });
+        }
+
+        await User.findByIdAndUpdate(req.user.id, {
+            $addToSet: { muted: muteId }
+        });
+
+        res.json({
+            success: true,
+            message: 'Successfully muted user'
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error muting user',
+            error: error.message
+        });
+    }
+});
+
+// @desc    Unmute a user
+// @route   PUT /api/users/unmute
+// @access  Private
+router.put('/unmute', protect, [
+    body('unmuteId')
+        .isMongoId()
+        .withMessage('Invalid user ID')
+], validate, async (req, res) => {
+    try {
+        const { unmuteId } = req.body;
+
+        if (!req.user.muted.some(id => id.toString() === unmuteId)) {
+            return res.status(400).json({
+                success: false,
+                message: 'User not muted'
+            });
+        }
+
+        await User.findByIdAndUpdate(req.user.id, {
+            $pull: { muted: unmuteId }
+        });
+
+        res.json({
+            success: true,
+            message: 'Successfully unmuted user'
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error unmuting user',
+            error: error.message
+        });
+    }
+});
+
 // @desc    Get single user
 // @route   GET /api/users/:id
 // @access  Private
@@ -330,7 +928,8 @@ router.get('/:id', protect, [
     try {
         const user = await User.findById(req.params.id).select('-password');
 
-        if (!user) {
+        // A user who blocked the viewer is hidden from them
+        if (!user || user.hasBlocked(req.user.id)) {
             return res.status(404).json({
                 success: false,
                 message: 'User not found'
@@ -339,10 +938,29 @@ router.get('/:id', protect, [
 
         // Allow any authenticated user to view profiles (typical for social media)
         // Only restrict access to sensitive information if needed
+        const data = user.toJSON();
+
+        // Whom a user blocked or muted, and who asked to follow them, is
+        // only shown to them; others see how they stand with the user
+        if (user._id.toString() !== req.user.id) {
+            delete data.blocked;
+            delete data.muted;
+            delete data.followRequests;
+            data.isBlocked = req.user.hasBlocked(user._id);
+            data.isMuted = req.user.muted.some(id => id.toString() === req.params.id);
+            data.isFollowing = user.followers.some(id => id.toString() === req.user.id);
+            data.isFollowRequested = user.followRequests.some(id => id.toString() === req.user.id);
+
+            // A private account's connections are for its followers only
+            if (!user.isVisibleTo(req.user.id)) {
+                delete data.followers;
+                delete data.following;
+            }
+        }
 
         res.json({
             success: true,
-            data: user
+            data
         });
     } catch (error) {
         res.status(500).json({
@@ -468,6 +1086,8 @@ router.delete('/:id', protect, authorize('admin'), [
         }
 
         await User.findByIdAndDelete(req.params.id);
+        await timeline.removeUser(user._id);
+        await Media.discard(user.photo);
 
         res.json({
             success: true,
@@ -488,16 +1108,19 @@ router.delete('/:id', protect, authorize('admin'), [
 router.get('/:id/photo', async (req, res) => {
     try {
         const user = await User.findById(req.params.id).select('photo');
+        const file = user && user.photo ? await Media.open(user.photo) : null;
 
-        if (!user || !user.photo.data) {
+        if (!file) {
             return res.status(404).json({
                 success: false,
                 message: 'Photo not found'
             });
         }
 
-        res.set('Content-Type', user.photo.contentType);
-        res.send(user.photo.data);
+        res.set('Content-Type', file.media.contentType);
+        res.set('Content-Length', String(file.media.size));
+        file.stream.on('error', () => res.destroy());
+        file.stream.pipe(res);
     } catch (error) {
         res.status(500).json({
             success: false,
@@ -591,11 +1214,84 @@ router.put('/:id/deactivate', protect, authorize('admin'), [
     }
 });
 
+// @desc    Revoke every session of a user (admin only)
+// @route   PUT /api/users/:id/revoke-sessions
+// @access  Private/Admin
+router.put('/:id/revoke-sessions', protect, authorize('admin'), [
+    param('id')
+        .isMongoId()
+        .withMessage('Invalid user ID')
+], validate, async (req, res) => {
+    try {
+        const user = await User.findById(req.params.id);
+
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        await User.revokeSessions(user._id);
+
+        res.json({
+            success: true,
+            message: 'User sessions revoked successfully'
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error revoking user sessions',
+            error: error.message
+        });
+    }
+});
+
+// @desc    Lift a login lockout on a user's account (admin only)
+// @route   PUT /api/users/:id/unlock
+// @access  Private/Admin
+router.put('/:id/unlock', protect, authorize('admin'), [
+    param('id')
+        .isMongoId()
+        .withMessage('Invalid user ID')
+], validate, async (req, res) => {
+    try {
+        const user = await User.findById(req.params.id);
+
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        await loginThrottle.clear({ account: user.email });
+
+        res.json({
+            success: true,
+            message: 'User account unlocked successfully'
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Error unlocking user account',
+            error: error.message
+        });
+    }
+});
+
 // @desc    Get user's followers
 // @route   GET /api/users/:id/followers
-// @access  Public
-router.get('/:id/followers', async (req, res) => {
+// @access  Public, or approved followers of a private account
+router.get('/:id/followers', optionalAuth, async (req, res) => {
     try {
+        if (await User.isPrivateTo(req.params.id, req.user?.id)) {
+            return res.status(403).json({
+                success: false,
+                message: 'This account is private'
+            });
+        }
+
         const user = await User.findById(req.params.id)
             .populate('followers', 'firstName lastName username avatar')
             .select('followers');
@@ -622,9 +1318,16 @@ router.get('/:id/followers', async (req, res) => {
 
 // @desc    Get user's following
 // @route   GET /api/users/:id/following
-// @access  Public
-router.get('/:id/following', async (req, res) => {
+// @access  Public, or approved followers of a private account
+router.get('/:id/following', optionalAuth, async (req, res) => {
     try {
+        if (await User.isPrivateTo(req.params.id, req.user?.id)) {
+            return res.status(403).json({
+                success: false,
+                message: 'This account is private'
+            });
+        }
+
         const user = await User.findById(req.params.id)
             .populate('following', 'firstName lastName username avatar')
             .select('following');
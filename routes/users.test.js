@@ -9,6 +9,11 @@ const jwt = require('jsonwebtoken');
 const { MongoMemoryServer } = require('mongodb-memory-server');
 const app = require('../server');
 const User = require('../models/User');
+const Post = require('../models/Post');
+const Activity = require('../models/Activity');
+const Media = require('../models/Media');
+const TimelineEntry = require('../models/TimelineEntry');
+const loginThrottle = require('../utils/loginThrottle');
 
 let mongoServer;
 let adminUser;
@@ -185,6 +190,16 @@ describe('Users Routes', () => {
             expect(response.body.data[0].username).toBe('adminuser');
         });
 
+        it('should match the search term literally', async () => {
+            const response = await request(app)
+                .get('/api/users')
+                .query({ search: '.*' })
+                .set('Authorization', `Bearer ${adminToken}`)
+                .expect(200);
+
+            expect(response.body.data).toHaveLength(0);
+        });
+
         it('should filter users by role', async () => {
             const response = await request(app)
                 .get('/api/users?role=user')
@@ -532,6 +547,74 @@ describe('Users Routes', () => {
     });
 });
 
+describe('PUT /api/users/:id/revoke-sessions', () => {
+    it('should revoke every session of the user (admin only)', async () => {
+        const response = await request(app)
+            .put(`/api/users/${testUser._id}/revoke-sessions`)
+            .set('Authorization', `Bearer ${adminToken}`)
+            .expect(200);
+
+        expect(response.body.success).toBe(true);
+
+        const updated = await User.findById(testUser._id);
+        expect(updated.tokenVersion).toBe(1);
+
+        await request(app)
+            .get('/api/users/suggestions')
+            .set('Authorization', `Bearer ${authToken}`)
+            .expect(401);
+    });
+
+    it('should deny access to non-admin users', async () => {
+        await request(app)
+            .put(`/api/users/${testUser._id}/revoke-sessions`)
+            .set('Authorization', `Bearer ${userToken}`)
+            .expect(403);
+    });
+
+    it('should return 404 for non-existent user', async () => {
+        await request(app)
+            .put(`/api/users/${new mongoose.Types.ObjectId()}/revoke-sessions`)
+            .set('Authorization', `Bearer ${adminToken}`)
+            .expect(404);
+    });
+});
+
+describe('PUT /api/users/:id/unlock', () => {
+    afterEach(() => {
+        loginThrottle.reset();
+    });
+
+    it('should lift a login lockout (admin only)', async () => {
+        for (let i = 0; i < 5; i++) {
+            await loginThrottle.recordFailure({ account: testUser.email });
+        }
+        expect((await loginThrottle.check({ account: testUser.email })).locked).toBe(true);
+
+        const response = await request(app)
+            .put(`/api/users/${testUser._id}/unlock`)
+            .set('Authorization', `Bearer ${adminToken}`)
+            .expect(200);
+
+        expect(response.body.message).toBe('User account unlocked successfully');
+        expect((await loginThrottle.check({ account: testUser.email })).allowed).toBe(true);
+    });
+
+    it('should deny access to non-admin users', async () => {
+        await request(app)
+            .put(`/api/users/${testUser._id}/unlock`)
+            .set('Authorization', `Bearer ${userToken}`)
+            .expect(403);
+    });
+
+    it('should return 404 for non-existent user', async () => {
+        await request(app)
+            .put(`/api/users/${new mongoose.Types.ObjectId()}/unlock`)
+            .set('Authorization', `Bearer ${adminToken}`)
+            .expect(404);
+    });
+});
+
 describe('User Routes', () => {
     describe('GET /api/users', () => {
         it('should get all users (admin only)', async () => {
@@ -629,6 +712,26 @@ describe('User Routes', () => {
 
             expect(response.body.success).toBe(true);
             expect(response.body.data.firstName).toBe('Updated');
+
+            const media = await Media.findById(response.body.data.photo);
+            expect(media.contentType).toBe('image/jpeg');
+        });
+
+        it('should discard the previous photo when a new one is uploaded', async () => {
+            const upload = (data) => request(app)
+                .put('/api/users/profile')
+                .set('Authorization', `Bearer ${authToken}`)
+                .attach('photo', Buffer.from(data), {
+                    filename: 'test.jpg',
+                    contentType: 'image/jpeg'
+                })
+                .expect(200);
+
+            const first = await upload('first-image');
+            const second = await upload('second-image');
+
+            expect(await Media.findById(first.body.data.photo)).toBeNull();
+            expect(await Media.findById(second.body.data.photo)).not.toBeNull();
         });
 
         it('should validate about field length', async () => {
@@ -706,6 +809,52 @@ describe('User Routes', () => {
             expect(response.body.message).toBe('Cannot follow yourself');
         });
 
+        it('should backfill the followed user\'s posts into the timeline', async () => {
+            await TimelineEntry.deleteMany({});
+            const post = await Post.create({ text: 'Before you followed', postedBy: testUser2._id });
+
+            await request(app)
+                .put('/api/users/follow')
+                .set('Authorization', `Bearer ${authToken}`)
+                .send({ followId: testUser2._id })
+                .expect(200);
+
+            const entries = await TimelineEntry.find({ owner: testUser._id });
+            expect(entries).toHaveLength(1);
+            expect(entries[0].post).toEqual(post._id);
+            expect(entries[0].author).toEqual(testUser2._id);
+        });
+
+        it('should not backfill posts of an account read on demand', async () => {
+            await TimelineEntry.deleteMany({});
+            await User.findByIdAndUpdate(testUser2._id, { fanOutOnRead: true });
+            await Post.create({ text: 'Large account post', postedBy: testUser2._id });
+
+            await request(app)
+                .put('/api/users/follow')
+                .set('Authorization', `Bearer ${authToken}`)
+                .send({ followId: testUser2._id })
+                .expect(200);
+
+            expect(await TimelineEntry.countDocuments({ owner: testUser._id })).toBe(0);
+        });
+
+        it('should require a verified email when the policy covers following', async () => {
+            process.env.EMAIL_VERIFICATION_REQUIRED_FOR = 'post,follow';
+
+            try {
+                const response = await request(app)
+                    .put('/api/users/follow')
+                    .set('Authorization', `Bearer ${authToken}`)
+                    .send({ followId: testUser2._id })
+                    .expect(403);
+
+                expect(response.body.message).toBe('Please verify your email address to continue');
+            } finally {
+                delete process.env.EMAIL_VERIFICATION_REQUIRED_FOR;
+            }
+        });
+
         it('should not allow following the same user twice', async () => {
             // First follow
             await request(app)
@@ -763,6 +912,24 @@ describe('User Routes', () => {
             expect(updatedUser2.followers).not.toContainEqual(testUser._id);
         });
 
+        it('should prune the unfollowed user\'s posts from the timeline', async () => {
+            const post = await Post.create({ text: 'Soon gone', postedBy: testUser2._id });
+            await TimelineEntry.create([
+                { owner: testUser._id, post: post._id, author: testUser2._id, createdAt: post.createdAt },
+                { owner: testUser2._id, post: post._id, author: testUser2._id, createdAt: post.createdAt }
+            ]);
+
+            await request(app)
+                .put('/api/users/unfollow')
+                .set('Authorization', `Bearer ${authToken}`)
+                .send({ unfollowId: testUser2._id })
+                .expect(200);
+
+            expect(await TimelineEntry.countDocuments({ owner: testUser._id })).toBe(0);
+            expect(await TimelineEntry.countDocuments({ owner: testUser2._id })).toBe(1);
+            await TimelineEntry.deleteMany({});
+        });
+
         it('should not allow unfollowing yourself', async () => {
             const response = await request(app)
                 .put('/api/users/unfollow')
@@ -793,6 +960,580 @@ describe('User Routes', () => {
         });
     });
 
+    describe('Private accounts', () => {
+        let token2;
+
+        beforeEach(async () => {
+            await User.findByIdAndUpdate(testUser2._id, { isPrivate: true });
+            token2 = jwt.sign({ id: testUser2._id, role: testUser2.role }, process.env.JWT_SECRET, { expiresIn: process.env.JWT_EXPIRE });
+        });
+
+        const requestFollow = () => request(app)
+            .put('/api/users/follow')
+            .set('Authorization', `Bearer ${authToken}`)
+            .send({ followId: testUser2._id });
+
+        it('should turn a follow into a pending request', async () => {
+            const response = await requestFollow().expect(200);
+
+            expect(response.body.message).toBe('Follow request sent');
+            expect(response.body.requested).toBe(true);
+
+            const updatedUser1 = await User.findById(testUser._id);
+            const updatedUser2 = await User.findById(testUser2._id);
+            expect(updatedUser1.following).toHaveLength(0);
+            expect(updatedUser2.followers).toHaveLength(0);
+            expect(updatedUser2.followRequests).toContainEqual(testUser._id);
+        });
+
+        it('should not send the same request twice', async () => {
+            await requestFollow().expect(200);
+
+            const response = await requestFollow().expect(400);
+
+            expect(response.body.message).toBe('Follow request already sent');
+        });
+
+        it('should list requests to the account owner', async () => {
+            await requestFollow();
+
+            const response = await request(app)
+                .get('/api/users/follow-requests')
+                .set('Authorization', `Bearer ${token2}`)
+                .expect(200);
+
+            expect(response.body.data.map(user => user.username)).toEqual(['testuser']);
+        });
+
+        it('should approve a request', async () => {
+            await requestFollow();
+
+            const response = await request(app)
+                .put(`/api/users/follow-requests/${testUser._id}/approve`)
+                .set('Authorization', `Bearer ${token2}`)
+                .expect(200);
+
+            expect(response.body.message).toBe('Follow request approved');
+
+            const updatedUser1 = await User.findById(testUser._id);
+            const updatedUser2 = await User.findById(testUser2._id);
+            expect(updatedUser1.following).toContainEqual(testUser2._id);
+            expect(updatedUser2.followers).toContainEqual(testUser._id);
+            expect(updatedUser2.followRequests).toHaveLength(0);
+        });
+
+        it('should reject a request', async () => {
+            await requestFollow();
+
+            await request(app)
+                .put(`/api/users/follow-requests/${testUser._id}/reject`)
+                .set('Authorization', `Bearer ${token2}`)
+                .expect(200);
+
+            const updatedUser2 = await User.findById(testUser2._id);
+            expect(updatedUser2.followers).toHaveLength(0);
+            expect(updatedUser2.followRequests).toHaveLength(0);
+        });
+
+        it('should return 404 for a request that was never made', async () => {
+            await request(app)
+                .put(`/api/users/follow-requests/${testUser._id}/approve`)
+                .set('Authorization', `Bearer ${token2}`)
+                .expect(404);
+        });
+
+        it('should withdraw a request on unfollow', async () => {
+            await requestFollow();
+
+            const response = await request(app)
+                .put('/api/users/unfollow')
+                .set('Authorization', `Bearer ${authToken}`)
+                .send({ unfollowId: testUser2._id })
+                .expect(200);
+
+            expect(response.body.message).toBe('Follow request cancelled');
+            expect((await User.findById(testUser2._id)).followRequests).toHaveLength(0);
+        });
+
+        it('should approve pending requests when the account goes public', async () => {
+            await requestFollow();
+
+            const response = await request(app)
+                .put('/api/users/profile')
+                .set('Authorization', `Bearer ${token2}`)
+                .send({ isPrivate: false })
+                .expect(200);
+
+            expect(response.body.data.isPrivate).toBe(false);
+            expect(response.body.data.followers).toContain(testUser._id.toString());
+            expect(response.body.data.followRequests).toHaveLength(0);
+        });
+
+        it('should hide connections from users who do not follow', async () => {
+            await request(app)
+                .get(`/api/users/${testUser2._id}/followers`)
+                .expect(403);
+
+            await request(app)
+                .get(`/api/users/${testUser2._id}/following`)
+                .set('Authorization', `Bearer ${authToken}`)
+                .expect(403);
+
+            const response = await request(app)
+                .get(`/api/users/${testUser2._id}`)
+                .set('Authorization', `Bearer ${authToken}`)
+                .expect(200);
+
+            expect(response.body.data.isPrivate).toBe(true);
+            expect(response.body.data.followers).toBeUndefined();
+            expect(response.body.data.following).toBeUndefined();
+        });
+
+        it('should show connections to approved followers', async () => {
+            await User.findByIdAndUpdate(testUser2._id, { followers: [testUser._id] });
+
+            await request(app)
+                .get(`/api/users/${testUser2._id}/followers`)
+                .set('Authorization', `Bearer ${authToken}`)
+                .expect(200);
+
+            const response = await request(app)
+                .get(`/api/users/${testUser2._id}`)
+                .set('Authorization', `Bearer ${authToken}`)
+                .expect(200);
+
+            expect(response.body.data.isFollowing).toBe(true);
+            expect(response.body.data.followers).toHaveLength(1);
+        });
+
+        it('should tell a user their request is pending', async () => {
+            await requestFollow();
+
+            const response = await request(app)
+                .get(`/api/users/${testUser2._id}`)
+                .set('Authorization', `Bearer ${authToken}`)
+                .expect(200);
+
+            expect(response.body.data.isFollowRequested).toBe(true);
+            expect(response.body.data.followRequests).toBeUndefined();
+        });
+    });
+
+    describe('PUT /api/users/block', () => {
+        beforeEach(async () => {
+            // Setup: make testUser and testUser2 follow each other
+            testUser.following.push(testUser2._id);
+            testUser.followers.push(testUser2._id);
+            testUser2.following.push(testUser._id);
+            testUser2.followers.push(testUser._id);
+            await testUser.save();
+            await testUser2.save();
+        });
+
+        it('should block a user and remove follows both ways', async () => {
+            const response = await request(app)
+                .put('/api/users/block')
+                .set('Authorization', `Bearer ${authToken}`)
+                .send({ blockId: testUser2._id })
+                .expect(200);
+
+            expect(response.body.message).toBe('Successfully blocked user');
+
+            const updatedUser1 = await User.findById(testUser._id);
+            const updatedUser2 = await User.findById(testUser2._id);
+
+            expect(updatedUser1.blocked).toContainEqual(testUser2._id);
+            expect(updatedUser2.blockedBy).toContainEqual(testUser._id);
+            expect(updatedUser1.following).toHaveLength(0);
+            expect(updatedUser1.followers).toHaveLength(0);
+            expect(updatedUser2.following).toHaveLength(0);
+            expect(updatedUser2.followers).toHaveLength(0);
+        });
+
+        it('should record the removed follows as unfollows', async () => {
+            await Activity.deleteMany({});
+
+            await request(app)
+                .put('/api/users/block')
+                .set('Authorization', `Bearer ${authToken}`)
+                .send({ blockId: testUser2._id })
+                .expect(200);
+
+            const unfollows = await Activity.find({ type: 'unfollow' });
+            expect(unfollows.map(activity => [activity.actor.toString(), activity.targetUser.toString()]).sort()).toEqual([
+                [testUser._id.toString(), testUser2._id.toString()],
+                [testUser2._id.toString(), testUser._id.toString()]
+            ].sort());
+        });
+
+        it('should prune timelines both ways', async () => {
+            const [post1, post2] = await Post.create([
+                { text: 'Mine', postedBy: testUser._id },
+                { text: 'Theirs', postedBy: testUser2._id }
+            ]);
+            await TimelineEntry.create([
+                { owner: testUser._id, post: post2._id, author: testUser2._id, createdAt: post2.createdAt },
+                { owner: testUser2._id, post: post1._id, author: testUser._id, createdAt: post1.createdAt }
+            ]);
+
+            await request(app)
+                .put('/api/users/block')
+                .set('Authorization', `Bearer ${authToken}`)
+                .send({ blockId: testUser2._id })
+                .expect(200);
+
+            expect(await TimelineEntry.countDocuments({})).toBe(0);
+        });
+
+        it('should not allow blocking yourself', async () => {
+            const response = await request(app)
+                .put('/api/users/block')
+                .set('Authorization', `Bearer ${authToken}`)
+                .send({ blockId: testUser._id })
+                .expect(400);
+
+            expect(response.body.message).toBe('Cannot block yourself');
+        });
+
+        it('should not allow blocking the same user twice', async () => {
+            await request(app)
+                .put('/api/users/block')
+                .set('Authorization', `Bearer ${authToken}`)
+                .send({ blockId: testUser2._id });
+
+            const response = await request(app)
+                .put('/api/users/block')
+                .set('Authorization', `Bearer ${authToken}`)
+                .send({ blockId: testUser2._id })
+                .expect(400);
+
+            expect(response.body.message).toBe('User already blocked');
+        });
+
+        it('should return 404 for non-existent user', async () => {
+            await request(app)
+                .put('/api/users/block')
+                .set('Authorization', `Bearer ${authToken}`)
+                .send({ blockId: new mongoose.Types.ObjectId() })
+                .expect(404);
+        });
+    });
+
+    describe('with a block in place', () => {
+        let token2;
+
+        beforeEach(async () => {
+            await User.findByIdAndUpdate(testUser._id, { blocked: [testUser2._id] });
+            await User.findByIdAndUpdate(testUser2._id, { blockedBy: [testUser._id] });
+            token2 = jwt.sign({ id: testUser2._id, role: testUser2.role }, process.env.JWT_SECRET, { expiresIn: process.env.JWT_EXPIRE });
+        });
+
+        it('should not let the blocker follow until they unblock', async () => {
+            const response = await request(app)
+                .put('/api/users/follow')
+                .set('Authorization', `Bearer ${authToken}`)
+                .send({ followId: testUser2._id })
+                .expect(403);
+
+            expect(response.body.message).toBe('Unblock this user to follow them');
+        });
+
+        it('should hide the blocker from the blocked user', async () => {
+            await request(app)
+                .put('/api/users/follow')
+                .set('Authorization', `Bearer ${token2}`)
+                .send({ followId: testUser._id })
+                .expect(404);
+
+            await request(app)
+                .get(`/api/users/${testUser._id}`)
+                .set('Authorization', `Bearer ${token2}`)
+                .expect(404);
+        });
+
+        it('should show the blocker that they blocked the user', async () => {
+            const response = await request(app)
+                .get(`/api/users/${testUser2._id}`)
+                .set('Authorization', `Bearer ${authToken}`)
+                .expect(200);
+
+            expect(response.body.data.isBlocked).toBe(true);
+            expect(response.body.data.isMuted).toBe(false);
+            expect(response.body.data.blocked).toBeUndefined();
+            expect(response.body.data.blockedBy).toBeUndefined();
+        });
+
+        it('should leave blocked users out of suggestions', async () => {
+            const response = await request(app)
+                .get('/api/users/suggestions')
+                .set('Authorization', `Bearer ${token2}`)
+                .expect(200);
+
+            const ids = response.body.data.map(user => user._id);
+            expect(ids).not.toContain(testUser._id.toString());
+        });
+
+        it('should unblock a user', async () => {
+            const response = await request(app)
+                .put('/api/users/unblock')
+                .set('Authorization', `Bearer ${authToken}`)
+                .send({ unblockId: testUser2._id })
+                .expect(200);
+
+            expect(response.body.message).toBe('Successfully unblocked user');
+            expect((await User.findById(testUser._id)).blocked).toHaveLength(0);
+            expect((await User.findById(testUser2._id)).blockedBy).toHaveLength(0);
+        });
+
+        it('should not let the blocked user lift the block', async () => {
+            const response = await request(app)
+                .put('/api/users/unblock')
+                .set('Authorization', `Bearer ${token2}`)
+                .send({ unblockId: testUser._id })
+                .expect(400);
+
+            expect(response.body.message).toBe('User not blocked');
+        });
+    });
+
+    describe('PUT /api/users/mute', () => {
+        it('should mute a user', async () => {
+            const response = await request(app)
+                .put('/api/users/mute')
+                .set('Authorization', `Bearer ${authToken}`)
+                .send({ muteId: testUser2._id })
+                .expect(200);
+
+            expect(response.body.message).toBe('Successfully muted user');
+            expect((await User.findById(testUser._id)).muted).toContainEqual(testUser2._id);
+        });
+
+        it('should keep follows in place', async () => {
+            await User.findByIdAndUpdate(testUser._id, { following: [testUser2._id] });
+
+            await request(app)
+                .put('/api/users/mute')
+                .set('Authorization', `Bearer ${authToken}`)
+                .send({ muteId: testUser2._id })
+                .expect(200);
+
+            expect((await User.findById(testUser._id)).following).toContainEqual(testUser2._id);
+        });
+
+        it('should not allow muting yourself', async () => {
+            const response = await request(app)
+                .put('/api/users/mute')
+                .set('Authorization', `Bearer ${authToken}`)
+                .send({ muteId: testUser._id })
+                .expect(400);
+
+            expect(response.body.message).toBe('Cannot mute yourself');
+        });
+
+        it('should not allow muting the same user twice', async () => {
+            await User.findByIdAndUpdate(testUser._id, { muted: [testUser2._id] });
+
+            const response = await request(app)
+                .put('/api/users/mute')
+                .set('Authorization', `Bearer ${authToken}`)
+                .send({ muteId: testUser2._id })
+                .expect(400);
+
+            expect(response.body.message).toBe('User already muted');
+        });
+    });
+
+    describe('PUT /api/users/unmute', () => {
+        it('should unmute a user', async () => {
+            await User.findByIdAndUpdate(testUser._id, { muted: [testUser2._id] });
+
+            const response = await request(app)
+                .put('/api/users/unmute')
+                .set('Authorization', `Bearer ${authToken}`)
+                .send({ unmuteId: testUser2._id })
+                .expect(200);
+
+            expect(response.body.message).toBe('Successfully unmuted user');
+            expect((await User.findById(testUser._id)).muted).toHaveLength(0);
+        });
+
+        it('should not unmute a user who is not muted', async () => {
+            const response = await request(app)
+                .put('/api/users/unmute')
+                .set('Authorization', `Bearer ${authToken}`)
+                .send({ unmuteId: testUser2._id })
+                .expect(400);
+
+            expect(response.body.message).toBe('User not muted');
+        });
+    });
+
+    describe('GET /api/users/activity', () => {
+        let outsider;
+
+        beforeEach(async () => {
+            await Activity.deleteMany({});
+            await Post.deleteMany({});
+
+            outsider = await new User({
+                username: 'outsider',
+                email: 'outsider@example.com',
+                password: 'password123',
+                firstName: 'Out',
+                lastName: 'Sider'
+            }).save();
+
+            // testUser follows testUser2 through the API so the follow is recorded
+            await request(app)
+                .put('/api/users/follow')
+                .set('Authorization', `Bearer ${authToken}`)
+                .send({ followId: testUser2._id });
+        });
+
+        it('should record follows and include followed users activity', async () => {
+            const post = await Post.create({ text: 'Hello from Jane', postedBy: testUser2._id });
+            await Activity.record({ actor: testUser2._id, type: 'post', targetUser: testUser2._id, targetPost: post._id });
+            await Activity.record({ actor: outsider._id, type: 'follow', targetUser: testUser2._id });
+
+            const response = await request(app)
+                .get('/api/users/activity')
+                .set('Authorization', `Bearer ${authToken}`)
+                .expect(200);
+
+            expect(response.body.success).toBe(true);
+            expect(response.body.total).toBe(2);
+            expect(response.body.data.map(a => a.type)).toEqual(['post', 'follow']);
+
+            const [postActivity, followActivity] = response.body.data;
+            expect(postActivity.actor.username).toBe('testuser2');
+            expect(postActivity.targetPost.text).toBe('Hello from Jane');
+            expect(followActivity.actor.username).toBe('testuser');
+            expect(followActivity.targetUser.username).toBe('testuser2');
+        });
+
+        it('should record unfollows', async () => {
+            await request(app)
+                .put('/api/users/unfollow')
+                .set('Authorization', `Bearer ${authToken}`)
+                .send({ unfollowId: testUser2._id });
+
+            const response = await request(app)
+                .get('/api/users/activity')
+                .set('Authorization', `Bearer ${authToken}`)
+                .expect(200);
+
+            expect(response.body.data[0].type).toBe('unfollow');
+            expect(response.body.data[0].targetUser.username).toBe('testuser2');
+        });
+
+        it('should support pagination', async () => {
+            for (let i = 0; i < 5; i++) {
+                await Activity.record({ actor: testUser._id, type: 'follow', targetUser: outsider._id });
+            }
+
+            const response = await request(app)
+                .get('/api/users/activity?page=2&limit=4')
+                .set('Authorization', `Bearer ${authToken}`)
+                .expect(200);
+
+            expect(response.body.data).toHaveLength(2);
+            expect(response.body.total).toBe(6);
+            expect(response.body.pagination.pages).toBe(2);
+        });
+
+        it('should return 401 if not authenticated', async () => {
+            await request(app)
+                .get('/api/users/activity')
+                .expect(401);
+        });
+    });
+
+    describe('GET /api/users/stats', () => {
+        beforeEach(async () => {
+            await Activity.deleteMany({});
+            await Post.deleteMany({});
+
+            await Post.create([
+                {
+                    text: 'Popular post',
+                    postedBy: testUser._id,
+                    likes: [testUser2._id, regularUser._id],
+                    commentCount: 1
+                },
+                { text: 'Quiet post', postedBy: testUser._id },
+                { text: 'Someone else', postedBy: testUser2._id, likes: [testUser._id] }
+            ]);
+
+            await request(app)
+                .put('/api/users/follow')
+                .set('Authorization', `Bearer ${userToken}`)
+                .send({ followId: testUser._id });
+        });
+
+        it('should return personal totals for the current user', async () => {
+            const response = await request(app)
+                .get('/api/users/stats')
+                .set('Authorization', `Bearer ${authToken}`)
+                .expect(200);
+
+            expect(response.body.success).toBe(true);
+            expect(response.body.data).toMatchObject({
+                posts: 2,
+                likes: 2,
+                comments: 1,
+                followers: 1,
+                following: 0
+            });
+        });
+
+        it('should return most engaged posts first', async () => {
+            const response = await request(app)
+                .get('/api/users/stats')
+                .set('Authorization', `Bearer ${authToken}`)
+                .expect(200);
+
+            const { topPosts } = response.body.data;
+            expect(topPosts.map(p => p.text)).toEqual(['Popular post', 'Quiet post']);
+            expect(topPosts[0].likeCount).toBe(2);
+            expect(topPosts[0].commentCount).toBe(1);
+        });
+
+        it('should return daily follower growth for the requested window', async () => {
+            const response = await request(app)
+                .get('/api/users/stats?days=7')
+                .set('Authorization', `Bearer ${authToken}`)
+                .expect(200);
+
+            const { followerGrowth } = response.body.data;
+            expect(followerGrowth).toHaveLength(7);
+            expect(followerGrowth[6]).toMatchObject({ gained: 1, lost: 0, total: 1 });
+            expect(followerGrowth[5].total).toBe(0);
+        });
+
+        it('should return zero totals for a user without posts', async () => {
+            const response = await request(app)
+                .get('/api/users/stats')
+                .set('Authorization', `Bearer ${userToken}`)
+                .expect(200);
+
+            expect(response.body.data).toMatchObject({
+                posts: 0,
+                likes: 0,
+                comments: 0,
+                followers: 0,
+                following: 1
+            });
+            expect(response.body.data.topPosts).toEqual([]);
+        });
+
+        it('should return 400 for an invalid days value', async () => {
+            await request(app)
+                .get('/api/users/stats?days=0')
+                .set('Authorization', `Bearer ${authToken}`)
+                .expect(400);
+        });
+    });
+
     describe('GET /api/users/suggestions', () => {
         beforeEach(async () => {
             // Create additional users
@@ -31,6 +31,11 @@ if (process.env.NODE_ENV !== 'test' && mongoose.connection.readyState === 0) {
 app.use('/api/auth', require('./routes/auth'));
 app.use('/api/users', require('./routes/users'));
 app.use('/api/posts', require('./routes/posts'));
+app.use('/api/comments', require('./routes/comments'));
+app.use('/api/search', require('./routes/search'));
+app.use('/api/notifications', require('./routes/notifications'));
+app.use('/api/conversations', require('./routes/conversations'));
+app.use('/api/reports', require('./routes/reports'));
 
 // Health check route
 app.get('/api/health', (req, res) => {
@@ -57,9 +62,15 @@ app.use('*', (req, res) => {
 
 // Only start server if not being required as a module
 if (require.main === module) {
-    app.listen(PORT, () => {
+    const server = app.listen(PORT, () => {
         console.log(`Server running on port ${PORT}`);
     });
+
+    // Push live updates to signed-in clients over /api/ws
+    require('./utils/realtime').attach(server);
+
+    // Publish scheduled posts as they fall due
+    require('./utils/postScheduler').startScheduler();
 }
 
 module.exports = app; 
\ No newline at end of file
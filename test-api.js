@@ -13,7 +13,7 @@ const testUser = {
 
 const testPost = {
     title: 'Test Blog Post',
-    content: 'This is a test blog post content. It should be at least 10 characters long.',
+    text: 'This is a test blog post content. It should be at least 10 characters long.',
     category: 'technology',
     tags: ['test', 'api'],
     status: 'draft'
@@ -54,24 +54,45 @@ async function testAPI() {
             const postId = postResponse.data.data._id;
             console.log('');
 
+            // Test get drafts
+            console.log('5. Testing get drafts...');
+            const draftsResponse = await axios.get(`${BASE_URL}/posts/drafts`, {
+                headers: { Authorization: `Bearer ${token}` }
+            });
+            console.log('✅ Drafts retrieved:', draftsResponse.data.count, 'drafts');
+            console.log('');
+
+            // Test publish draft
+            console.log('6. Testing publish draft...');
+            const publishResponse = await axios.put(`${BASE_URL}/posts/drafts/${postId}`, {
+                status: 'published'
+            }, {
+                headers: { Authorization: `Bearer ${token}` }
+            });
+            console.log('✅ Draft published:', publishResponse.data.message);
+            console.log('');
+
             // Test get posts
-            console.log('5. Testing get posts...');
-            const postsResponse = await axios.get(`${BASE_URL}/posts`);
+            console.log('7. Testing get posts...');
+            const postsResponse = await axios.get(`${BASE_URL}/posts`, {
+                headers: { Authorization: `Bearer ${token}` }
+            });
             console.log('✅ Posts retrieved:', postsResponse.data.count, 'posts');
             console.log('');
 
             // Test like post
-            console.log('6. Testing like post...');
-            const likeResponse = await axios.put(`${BASE_URL}/posts/${postId}/like`, {}, {
+            console.log('8. Testing like post...');
+            const likeResponse = await axios.put(`${BASE_URL}/posts/like`, { postId }, {
                 headers: { Authorization: `Bearer ${token}` }
             });
             console.log('✅ Post liked:', likeResponse.data.message);
             console.log('');
 
             // Test add comment
-            console.log('7. Testing add comment...');
-            const commentResponse = await axios.post(`${BASE_URL}/posts/${postId}/comments`, {
-                content: 'This is a test comment!'
+            console.log('9. Testing add comment...');
+            const commentResponse = await axios.put(`${BASE_URL}/posts/comment`, {
+                postId,
+                text: 'This is a test comment!'
             }, {
                 headers: { Authorization: `Bearer ${token}` }
             });
@@ -84,9 +105,11 @@ async function testAPI() {
             console.log('- POST /api/auth/register');
             console.log('- GET /api/auth/me');
             console.log('- POST /api/posts');
+            console.log('- GET /api/posts/drafts');
+            console.log('- PUT /api/posts/drafts/:id');
             console.log('- GET /api/posts');
-            console.log('- PUT /api/posts/:id/like');
-            console.log('- POST /api/posts/:id/comments');
+            console.log('- PUT /api/posts/like');
+            console.log('- PUT /api/posts/comment');
 
         } catch (error) {
             if (error.response?.status === 500 && error.response?.data?.error?.includes('MongoDB')) {
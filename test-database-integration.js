@@ -15,6 +15,8 @@
 const mongoose = require('mongoose');
 const Post = require('./models/Post');
 const User = require('./models/User');
+const Media = require('./models/Media');
+const Comment = require('./models/Comment');
 
 // Connect to the actual database (not test database)
 const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/mern-app';
@@ -94,17 +96,19 @@ async function testDatabaseIntegration() {
         // Test 5: Test posts with photos
         console.log('\n📸 Test 5: Creating post with photo...');
         const photoData = Buffer.from('fake-image-data-for-integration-testing');
-        const postWithPhoto = await Post.create({
+        const media = await Media.store({
+            buffer: photoData,
+            contentType: 'image/jpeg',
+            owner: testUser._id
+        });
+        await Post.create({
             text: 'Test post with photo',
             postedBy: testUser._id,
-            photo: {
-                data: photoData,
-                contentType: 'image/jpeg'
-            }
+            photo: media._id
         });
 
         console.log('  ✅ Post with photo created successfully');
-        console.log(`  ✅ Photo data size: ${postWithPhoto.photo.data.length} bytes`);
+        console.log(`  ✅ Photo stored with the "${media.driver}" driver: ${media.size} bytes`);
 
         // Test 6: Verify schema integrity
         console.log('\n🔍 Test 6: Verifying schema integrity...');
@@ -115,7 +119,7 @@ async function testDatabaseIntegration() {
         }
 
         // Check all expected fields
-        const requiredFields = ['_id', 'text', 'postedBy', 'likes', 'comments', 'createdAt', 'updatedAt'];
+        const requiredFields = ['_id', 'text', 'postedBy', 'likes', 'commentCount', 'createdAt', 'updatedAt'];
         for (const field of requiredFields) {
             if (!(field in retrievedPost)) {
                 throw new Error(`Missing required field: ${field}`);
@@ -123,7 +127,7 @@ async function testDatabaseIntegration() {
         }
 
         console.log('  ✅ All required fields present');
-        console.log(`  ✅ Virtual fields: commentCount=${retrievedPost.commentCount}, likeCount=${retrievedPost.likeCount}`);
+        console.log(`  ✅ Counts: commentCount=${retrievedPost.commentCount}, likeCount=${retrievedPost.likeCount}`);
 
         // Test 7: Test like and comment operations
         console.log('\n❤️ Test 7: Testing like and comment operations...');
@@ -133,21 +137,31 @@ async function testDatabaseIntegration() {
         await retrievedPost.save();
         console.log('  ✅ Added like successfully');
 
-        // Add a comment
-        retrievedPost.comments.push({
-            text: 'Integration test comment',
-            postedBy: testUser._id
+        // Add a comment and a reply to it
+        const comment = await Comment.create({
+            post: retrievedPost._id,
+            postedBy: testUser._id,
+            text: 'Integration test comment'
         });
-        await retrievedPost.save();
-        console.log('  ✅ Added comment successfully');
+        await Comment.create({
+            post: retrievedPost._id,
+            parentId: comment._id,
+            postedBy: testUser._id,
+            text: 'Integration test reply'
+        });
+        await Comment.updateOne({ _id: comment._id }, { $inc: { replyCount: 1 } });
+        await Post.updateOne({ _id: retrievedPost._id }, { $inc: { commentCount: 2 } });
+        console.log('  ✅ Added comment and reply successfully');
 
-        // Verify virtual fields updated
+        // Verify counts updated
         const updatedPost = await Post.findById(posts[0]._id);
         console.log(`  ✅ Updated counts: likes=${updatedPost.likeCount}, comments=${updatedPost.commentCount}`);
 
         // Cleanup
         console.log('\n🧹 Cleaning up test data...');
+        await Comment.deleteMany({ postedBy: testUser._id });
         await Post.deleteMany({ postedBy: testUser._id });
+        await Media.discard(media._id);
         await User.findByIdAndDelete(testUser._id);
         console.log('  ✅ Test data cleaned up');
 
@@ -0,0 +1,159 @@
+const mongoose = require('mongoose');
+
+// Content filter for post and comment text, run whenever it is created or
+// edited. Each rule looks at the text, and the velocity rule at how much
+// the author posted lately, and describes the problem it finds. The
+// rule's action decides what happens to the content:
+//   tag    - it is saved and shown as usual, with the rule's name in `flags`
+//   hold   - it is saved but hidden until an admin releases it from the
+//            moderation queue
+//   reject - the request fails
+// When several rules match, the most severe action wins.
+//
+// Rules are configured through CONTENT_FILTER_* environment variables,
+// read on every check. A rule whose limit is 0 (or whose word list is
+// empty) is switched off.
+
+// Actions, least severe first
+const ACTIONS = ['tag', 'hold', 'reject'];
+
+const MINUTE = 60 * 1000;
+
+// Each rule's settings, their environment variables and defaults
+const RULE_SETTINGS = {
+    banned_words: { variable: 'CONTENT_FILTER_BANNED_WORDS', fallback: '', action: 'reject' },
+    links: { variable: 'CONTENT_FILTER_MAX_LINKS', fallback: 5, action: 'hold' },
+    repeated_characters: { variable: 'CONTENT_FILTER_MAX_REPEATED_CHARACTERS', fallback: 20, action: 'tag' },
+    velocity: { variable: 'CONTENT_FILTER_MAX_PER_WINDOW', fallback: 0, action: 'reject' }
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Action configured for a rule through CONTENT_FILTER_<RULE>_ACTION
+const getAction = (env, rule) => {
+    const value = env[`CONTENT_FILTER_${rule.toUpperCase()}_ACTION`];
+    return ACTIONS.includes(value) ? value : RULE_SETTINGS[rule].action;
+};
+
+const getLimit = (env, rule) => {
+    const value = parseInt(env[RULE_SETTINGS[rule].variable]);
+    return Number.isInteger(value) && value >= 0 ? value : RULE_SETTINGS[rule].fallback;
+};
+
+// Minutes over which the velocity rule counts an author's posts or comments
+const getVelocityWindow = (env = process.env) => parseInt(env.CONTENT_FILTER_VELOCITY_WINDOW_MINUTES) || 10;
+
+// Rule matching any of `words` as a whole word, regardless of case
+const bannedWords = (words, action) => {
+    const pattern = new RegExp(`(^|[^\\p{L}\\p{N}])(${words.map(escapeRegExp).join('|')})(?=$|[^\\p{L}\\p{N}])`, 'iu');
+    return {
+        name: 'banned_words',
+        action,
+        check: (text) => (pattern.test(text) ? 'Text contains a banned word' : null)
+    };
+};
+
+// Rule matching text with more than `max` links
+const links = (max, action) => ({
+    name: 'links',
+    action,
+    check: (text) => {
+        const count = (text.match(/\bhttps?:\/\/|\bwww\./gi) || []).length;
+        return count > max ? `Text contains more than ${max} links` : null;
+    }
+});
+
+// Rule matching one character repeated more than `max` times in a row
+const repeatedCharacters = (max, action) => {
+    const pattern = new RegExp(`(.)\\1{${max},}`, 'su');
+    return {
+        name: 'repeated_characters',
+        action,
+        check: (text) => (pattern.test(text) ? `Text repeats a character more than ${max} times` : null)
+    };
+};
+
+// Rule matching authors who already posted `max` items within the window.
+// It needs `recentCount` in the context and passes edits, which have none.
+const velocity = (max, action) => ({
+    name: 'velocity',
+    action,
+    check: (text, { recentCount } = {}) => (
+        recentCount !== undefined && recentCount >= max
+            ? 'You are posting too quickly. Please wait a few minutes.'
+            : null
+    )
+});
+
+// The rules switched on by the environment
+const loadRules = (env = process.env) => {
+    const rules = [];
+
+    const words = String(env[RULE_SETTINGS.banned_words.variable] || '')
+        .split(',')
+        .map(word => word.trim())
+        .filter(Boolean);
+    if (words.length > 0) {
+        rules.push(bannedWords(words, getAction(env, 'banned_words')));
+    }
+
+    for (const [name, factory] of [['links', links], ['repeated_characters', repeatedCharacters], ['velocity', velocity]]) {
+        const limit = getLimit(env, name);
+        if (limit > 0) {
+            rules.push(factory(limit, getAction(env, name)));
+        }
+    }
+
+    return rules;
+};
+
+// Run `text` through `rules`. Returns the action to take ("allow" when
+// nothing matched), the reasons given by the rules behind it, and the
+// names of every matching rule.
+const evaluate = (text, context = {}, rules = loadRules()) => {
+    const matches = rules
+        .map(rule => ({ rule, reason: rule.check(String(text || ''), context) }))
+        .filter(match => match.reason);
+
+    if (matches.length === 0) {
+        return { action: 'allow', reasons: [], flags: [] };
+    }
+
+    const severity = Math.max(...matches.map(match => ACTIONS.indexOf(match.rule.action)));
+    const action = ACTIONS[severity];
+
+    return {
+        action,
+        reasons: matches.filter(match => match.rule.action === action).map(match => match.reason),
+        flags: matches.map(match => match.rule.name)
+    };
+};
+
+// Filter a new or edited post or comment. `kind` is "post" or "comment";
+// for new content the author's recent posts or comments are counted
+// towards the velocity rule.
+const checkContent = async ({ kind, text, author, isNew = false }) => {
+    const rules = loadRules();
+    const context = {};
+
+    if (isNew && rules.some(rule => rule.name === 'velocity')) {
+        const Model = mongoose.model(kind === 'post' ? 'Post' : 'Comment');
+        context.recentCount = await Model.countDocuments({
+            postedBy: author,
+            createdAt: { $gte: new Date(Date.now() - getVelocityWindow() * MINUTE) }
+        });
+    }
+
+    return evaluate(text, context, rules);
+};
+
+module.exports = {
+    ACTIONS,
+    bannedWords,
+    links,
+    repeatedCharacters,
+    velocity,
+    loadRules,
+    evaluate,
+    checkContent
+};
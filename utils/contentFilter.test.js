@@ -0,0 +1,145 @@
+const {
+    bannedWords,
+    links,
+    repeatedCharacters,
+    velocity,
+    loadRules,
+    evaluate
+} = require('./contentFilter');
+
+describe('Content filter', () => {
+    describe('bannedWords', () => {
+        const rule = bannedWords(['spam', 'buy now'], 'reject');
+
+        it('should match banned words and phrases regardless of case', () => {
+            expect(rule.check('This is SPAM!')).toBe('Text contains a banned word');
+            expect(rule.check('Buy now while stocks last')).toBe('Text contains a banned word');
+        });
+
+        it('should only match whole words', () => {
+            expect(rule.check('Spammers are annoying')).toBeNull();
+            expect(rule.check('Hello world')).toBeNull();
+        });
+
+        it('should treat special characters in words literally', () => {
+            expect(bannedWords(['c++'], 'tag').check('I write c++ daily')).not.toBeNull();
+            expect(bannedWords(['c++'], 'tag').check('I write c daily')).toBeNull();
+        });
+    });
+
+    describe('links', () => {
+        const rule = links(2, 'hold');
+
+        it('should allow up to the limit', () => {
+            expect(rule.check('See https://a.example and http://b.example')).toBeNull();
+        });
+
+        it('should match text with more links', () => {
+            expect(rule.check('https://a.example https://b.example www.c.example'))
+                .toBe('Text contains more than 2 links');
+        });
+    });
+
+    describe('repeatedCharacters', () => {
+        const rule = repeatedCharacters(5, 'tag');
+
+        it('should allow runs up to the limit', () => {
+            expect(rule.check('Sooooo good')).toBeNull();
+        });
+
+        it('should match longer runs', () => {
+            expect(rule.check('Soooooo good')).toBe('Text repeats a character more than 5 times');
+            expect(rule.check('!!!!!!!!')).not.toBeNull();
+        });
+    });
+
+    describe('velocity', () => {
+        const rule = velocity(3, 'reject');
+
+        it('should match authors at the limit', () => {
+            expect(rule.check('Hi', { recentCount: 2 })).toBeNull();
+            expect(rule.check('Hi', { recentCount: 3 })).toBe('You are posting too quickly. Please wait a few minutes.');
+        });
+
+        it('should pass edits, which have no recent count', () => {
+            expect(rule.check('Hi', {})).toBeNull();
+        });
+    });
+
+    describe('loadRules', () => {
+        it('should switch on the default rules', () => {
+            const rules = loadRules({});
+
+            expect(rules.map(rule => [rule.name, rule.action])).toEqual([
+                ['links', 'hold'],
+                ['repeated_characters', 'tag']
+            ]);
+        });
+
+        it('should read limits, word lists and actions from the environment', () => {
+            const rules = loadRules({
+                CONTENT_FILTER_BANNED_WORDS: 'spam, scam ,',
+                CONTENT_FILTER_BANNED_WORDS_ACTION: 'hold',
+                CONTENT_FILTER_MAX_LINKS: '0',
+                CONTENT_FILTER_MAX_PER_WINDOW: '5',
+                CONTENT_FILTER_VELOCITY_ACTION: 'tag'
+            });
+
+            expect(rules.map(rule => [rule.name, rule.action])).toEqual([
+                ['banned_words', 'hold'],
+                ['repeated_characters', 'tag'],
+                ['velocity', 'tag']
+            ]);
+            expect(rules[0].check('what a scam')).not.toBeNull();
+        });
+
+        it('should ignore unknown actions and invalid limits', () => {
+            const rules = loadRules({
+                CONTENT_FILTER_LINKS_ACTION: 'delete',
+                CONTENT_FILTER_MAX_REPEATED_CHARACTERS: 'many'
+            });
+
+            expect(rules.map(rule => [rule.name, rule.action])).toEqual([
+                ['links', 'hold'],
+                ['repeated_characters', 'tag']
+            ]);
+            expect(rules[1].check('a'.repeat(21))).not.toBeNull();
+        });
+    });
+
+    describe('evaluate', () => {
+        const rules = [
+            bannedWords(['scam'], 'reject'),
+            links(1, 'hold'),
+            repeatedCharacters(3, 'tag')
+        ];
+
+        it('should allow text no rule matches', () => {
+            expect(evaluate('Hello there', {}, rules)).toEqual({ action: 'allow', reasons: [], flags: [] });
+        });
+
+        it('should tag text that only tagging rules match', () => {
+            expect(evaluate('Yessss', {}, rules)).toEqual({
+                action: 'tag',
+                reasons: ['Text repeats a character more than 3 times'],
+                flags: ['repeated_characters']
+            });
+        });
+
+        it('should take the most severe action and flag every match', () => {
+            const result = evaluate('Nooooo https://a.example https://b.example', {}, rules);
+
+            expect(result.action).toBe('hold');
+            expect(result.reasons).toEqual(['Text contains more than 1 links']);
+            expect(result.flags).toEqual(['links', 'repeated_characters']);
+
+            expect(evaluate('A scam: https://a.example https://b.example', {}, rules).action).toBe('reject');
+        });
+
+        it('should run custom rules', () => {
+            const shouting = { name: 'shouting', action: 'tag', check: text => (text === text.toUpperCase() ? 'Shouting' : null) };
+
+            expect(evaluate('HELLO', {}, [shouting]).flags).toEqual(['shouting']);
+        });
+    });
+});
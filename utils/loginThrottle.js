@@ -0,0 +1,155 @@
+// Brute-force protection for logins. Failed attempts are counted per IP
+// and per account. Past half the allowed failures every further attempt
+// must wait exponentially longer, and reaching the limit locks the key out.
+// Failures are forgotten once a full lockout period passes without one.
+//
+// State lives in a pluggable store: any object with async `get(key)`,
+// `set(key, value, ttlMs)` and `delete(key)` methods. The in-memory store
+// is used by default; install another one with setStore().
+
+// Keeps records in process memory (enough for a single server and tests)
+const createMemoryStore = () => {
+    const entries = new Map();
+
+    return {
+        name: 'memory',
+        get: async (key) => {
+            const entry = entries.get(key);
+            if (!entry) {
+                return null;
+            }
+            if (entry.expiresAt <= Date.now()) {
+                entries.delete(key);
+                return null;
+            }
+            return entry.value;
+        },
+        set: async (key, value, ttlMs) => {
+            entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+        },
+        delete: async (key) => {
+            entries.delete(key);
+        },
+        clear: () => {
+            entries.clear();
+        }
+    };
+};
+
+let store = null;
+
+// Get the active store, creating the in-memory one on first use
+const getStore = () => {
+    if (!store) {
+        store = createMemoryStore();
+    }
+    return store;
+};
+
+// Replace the active store
+const setStore = (newStore) => {
+    store = newStore;
+};
+
+// Limits for a scope, read per call so they can be tuned through the environment
+const getPolicy = (scope) => ({
+    maxFailures: scope === 'ip'
+        ? parseInt(process.env.LOGIN_MAX_FAILURES_PER_IP) || 20
+        : parseInt(process.env.LOGIN_MAX_FAILURES) || 5,
+    baseDelayMs: (parseInt(process.env.LOGIN_BACKOFF_BASE_SECONDS) || 1) * 1000,
+    lockoutMs: (parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15) * 60 * 1000
+});
+
+// How long a key has to wait after its latest failure
+const backoffFor = (failures, { maxFailures, baseDelayMs, lockoutMs }) => {
+    if (failures >= maxFailures) {
+        return lockoutMs;
+    }
+
+    const freeFailures = Math.floor(maxFailures / 2);
+    if (failures <= freeFailures) {
+        return 0;
+    }
+
+    return Math.min(baseDelayMs * 2 ** (failures - freeFailures - 1), lockoutMs);
+};
+
+const keysFor = ({ ip, account }) => {
+    const keys = [];
+    if (ip) {
+        keys.push({ scope: 'ip', key: `ip:${ip}` });
+    }
+    if (account) {
+        keys.push({ scope: 'account', key: `account:${String(account).trim().toLowerCase()}` });
+    }
+    return keys;
+};
+
+// Whether an IP/account may attempt a login now. When it may not,
+// `retryAfter` is the wait in seconds and `locked` tells a full lockout
+// apart from backoff.
+const check = async ({ ip, account }) => {
+    let waitMs = 0;
+    let locked = false;
+
+    for (const { scope, key } of keysFor({ ip, account })) {
+        const record = await getStore().get(key);
+        if (!record) {
+            continue;
+        }
+
+        const policy = getPolicy(scope);
+        const remaining = record.lastFailure + backoffFor(record.failures, policy) - Date.now();
+        if (remaining > waitMs) {
+            waitMs = remaining;
+            locked = record.failures >= policy.maxFailures;
+        }
+    }
+
+    return {
+        allowed: waitMs <= 0,
+        retryAfter: Math.ceil(waitMs / 1000),
+        locked
+    };
+};
+
+// Count a failed attempt against the IP and account, then report the
+// resulting state as check() does
+const recordFailure = async ({ ip, account }) => {
+    for (const { scope, key } of keysFor({ ip, account })) {
+        const record = await getStore().get(key);
+        await getStore().set(key, {
+            failures: (record ? record.failures : 0) + 1,
+            lastFailure: Date.now()
+        }, getPolicy(scope).lockoutMs);
+    }
+
+    return check({ ip, account });
+};
+
+// Forget the failures recorded for an account (after a successful login
+// or when an admin unlocks it)
+const clear = async ({ account }) => {
+    for (const { key } of keysFor({ account })) {
+        await getStore().delete(key);
+    }
+};
+
+// Drop every record held by the in-memory store (used by the test suite)
+const reset = () => {
+    const active = getStore();
+    if (active.clear) {
+        active.clear();
+    }
+};
+
+module.exports = {
+    createMemoryStore,
+    getStore,
+    setStore,
+    backoffFor,
+    check,
+    recordFailure,
+    clear,
+    reset
+};
@@ -0,0 +1,132 @@
+const loginThrottle = require('./loginThrottle');
+
+describe('Login throttle', () => {
+    let now;
+    const advance = (ms) => {
+        now += ms;
+    };
+
+    beforeEach(() => {
+        now = 1700000000000;
+        jest.spyOn(Date, 'now').mockImplementation(() => now);
+        loginThrottle.setStore(loginThrottle.createMemoryStore());
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        delete process.env.LOGIN_MAX_FAILURES;
+        delete process.env.LOGIN_LOCKOUT_MINUTES;
+    });
+
+    describe('backoffFor', () => {
+        const policy = { maxFailures: 5, baseDelayMs: 1000, lockoutMs: 15 * 60 * 1000 };
+
+        it('should not delay the first half of the allowed failures', () => {
+            expect(loginThrottle.backoffFor(0, policy)).toBe(0);
+            expect(loginThrottle.backoffFor(2, policy)).toBe(0);
+        });
+
+        it('should double the delay for each further failure', () => {
+            expect(loginThrottle.backoffFor(3, policy)).toBe(1000);
+            expect(loginThrottle.backoffFor(4, policy)).toBe(2000);
+        });
+
+        it('should lock out once the limit is reached', () => {
+            expect(loginThrottle.backoffFor(5, policy)).toBe(policy.lockoutMs);
+            expect(loginThrottle.backoffFor(9, policy)).toBe(policy.lockoutMs);
+        });
+
+        it('should never delay longer than the lockout', () => {
+            const strict = { maxFailures: 40, baseDelayMs: 1000, lockoutMs: 60 * 1000 };
+
+            expect(loginThrottle.backoffFor(39, strict)).toBe(60 * 1000);
+        });
+    });
+
+    describe('check and recordFailure', () => {
+        const account = 'john@example.com';
+
+        it('should allow keys with no failures', async () => {
+            expect(await loginThrottle.check({ ip: '1.2.3.4', account })).toEqual({
+                allowed: true,
+                retryAfter: 0,
+                locked: false
+            });
+        });
+
+        it('should report the backoff after a failure', async () => {
+            await loginThrottle.recordFailure({ account });
+            await loginThrottle.recordFailure({ account });
+            const status = await loginThrottle.recordFailure({ account });
+
+            expect(status).toEqual({ allowed: false, retryAfter: 1, locked: false });
+
+            advance(1000);
+            expect((await loginThrottle.check({ account })).allowed).toBe(true);
+        });
+
+        it('should treat account names case-insensitively', async () => {
+            process.env.LOGIN_MAX_FAILURES = '1';
+            await loginThrottle.recordFailure({ account: 'John@Example.com ' });
+
+            expect((await loginThrottle.check({ account })).locked).toBe(true);
+        });
+
+        it('should lock out and forget failures after the lockout period', async () => {
+            process.env.LOGIN_LOCKOUT_MINUTES = '10';
+            for (let i = 0; i < 5; i++) {
+                await loginThrottle.recordFailure({ account });
+            }
+
+            expect(await loginThrottle.check({ account })).toEqual({
+                allowed: false,
+                retryAfter: 600,
+                locked: true
+            });
+
+            advance(10 * 60 * 1000);
+            expect((await loginThrottle.check({ account })).allowed).toBe(true);
+            expect(await loginThrottle.getStore().get(`account:${account}`)).toBeNull();
+        });
+
+        it('should report the longest wait of the IP and account', async () => {
+            process.env.LOGIN_MAX_FAILURES = '1';
+            await loginThrottle.recordFailure({ ip: '1.2.3.4', account });
+
+            const status = await loginThrottle.check({ ip: '1.2.3.4', account: 'other@example.com' });
+            expect(status.allowed).toBe(true);
+
+            expect((await loginThrottle.check({ ip: '1.2.3.4', account })).locked).toBe(true);
+        });
+
+        it('should clear an account without touching its IP', async () => {
+            process.env.LOGIN_MAX_FAILURES = '1';
+            await loginThrottle.recordFailure({ ip: '1.2.3.4', account });
+
+            await loginThrottle.clear({ account });
+
+            expect((await loginThrottle.check({ account })).allowed).toBe(true);
+            expect(await loginThrottle.getStore().get('ip:1.2.3.4')).toEqual({ failures: 1, lastFailure: now });
+        });
+    });
+
+    describe('custom stores', () => {
+        it('should use an installed store', async () => {
+            const records = {};
+            loginThrottle.setStore({
+                get: async (key) => records[key] || null,
+                set: async (key, value) => {
+                    records[key] = value;
+                },
+                delete: async (key) => {
+                    delete records[key];
+                }
+            });
+
+            await loginThrottle.recordFailure({ account: 'john@example.com' });
+
+            expect(records['account:john@example.com']).toEqual({ failures: 1, lastFailure: now });
+            expect(() => loginThrottle.reset()).not.toThrow();
+        });
+    });
+});
@@ -0,0 +1,87 @@
+// Pluggable mailer. A transport is any object with an async
+// `send({ to, subject, text })` method; pick a built-in one with
+// MAIL_TRANSPORT or install your own with setTransport().
+
+// Keeps every message in memory (used by the test suite)
+const createMemoryTransport = () => {
+    const outbox = [];
+
+    return {
+        name: 'memory',
+        outbox,
+        send: async (message) => {
+            outbox.push({ ...message, sentAt: new Date() });
+        }
+    };
+};
+
+// Prints messages to the server log (handy during development)
+const createConsoleTransport = () => ({
+    name: 'console',
+    send: async ({ to, subject, text }) => {
+        console.log(`[mail] To: ${to}\n[mail] Subject: ${subject}\n${text}`);
+    }
+});
+
+const transports = {
+    memory: createMemoryTransport,
+    console: createConsoleTransport
+};
+
+const createDefaultTransport = () => {
+    const name = process.env.MAIL_TRANSPORT || (process.env.NODE_ENV === 'test' ? 'memory' : 'console');
+    const factory = transports[name];
+
+    if (!factory) {
+        throw new Error(`Unknown mail transport: ${name}`);
+    }
+
+    return factory();
+};
+
+let transport = null;
+
+// Get the active transport, creating the configured one on first use
+const getTransport = () => {
+    if (!transport) {
+        transport = createDefaultTransport();
+    }
+    return transport;
+};
+
+// Replace the active transport
+const setTransport = (newTransport) => {
+    transport = newTransport;
+};
+
+// Send a message through the active transport
+const sendMail = async ({ to, subject, text }) => {
+    return getTransport().send({
+        from: process.env.MAIL_FROM || 'no-reply@mern-social.local',
+        to,
+        subject,
+        text
+    });
+};
+
+// Messages captured by the memory transport
+const getOutbox = () => getTransport().outbox || [];
+
+// Empty the memory transport's outbox
+const clearOutbox = () => {
+    getOutbox().length = 0;
+};
+
+// Build a link into the React client
+const clientUrl = (path) => `${process.env.CLIENT_URL || 'http://localhost:3000'}${path}`;
+
+module.exports = {
+    createMemoryTransport,
+    createConsoleTransport,
+    getTransport,
+    setTransport,
+    sendMail,
+    getOutbox,
+    clearOutbox,
+    clientUrl
+};
@@ -0,0 +1,176 @@
+const fs = require('fs');
+const path = require('path');
+const { Readable } = require('stream');
+const mongoose = require('mongoose');
+
+// Pluggable media storage. A driver is any object with async
+// `save(key, buffer, contentType)`, `createReadStream(key)` (resolving to a
+// readable stream, or null if the key is missing) and `remove(key)` methods.
+// The driver used for new uploads is chosen with MEDIA_STORAGE; media are
+// always read back through the driver they were saved with.
+
+// Keeps files in memory (used by the test suite)
+const createMemoryDriver = () => {
+    const files = new Map();
+
+    return {
+        name: 'memory',
+        files,
+        save: async (key, buffer) => {
+            files.set(key, Buffer.from(buffer));
+        },
+        createReadStream: async (key) => {
+            return files.has(key) ? Readable.from([files.get(key)]) : null;
+        },
+        remove: async (key) => {
+            files.delete(key);
+        }
+    };
+};
+
+// Stores files in a directory on the local filesystem
+const createLocalDriver = ({ root = process.env.MEDIA_LOCAL_PATH || path.join(__dirname, '..', 'uploads') } = {}) => {
+    // Keys are generated ids, but never let one escape the root directory
+    const resolve = (key) => path.join(root, path.basename(key));
+
+    return {
+        name: 'local',
+        save: async (key, buffer) => {
+            await fs.promises.mkdir(root, { recursive: true });
+            await fs.promises.writeFile(resolve(key), buffer);
+        },
+        createReadStream: async (key) => {
+            try {
+                await fs.promises.access(resolve(key));
+            } catch (error) {
+                return null;
+            }
+            return fs.createReadStream(resolve(key));
+        },
+        remove: async (key) => {
+            await fs.promises.rm(resolve(key), { force: true });
+        }
+    };
+};
+
+// Stores files in MongoDB GridFS, on the mongoose connection
+const createGridFSDriver = ({ bucketName = process.env.MEDIA_GRIDFS_BUCKET || 'media' } = {}) => {
+    const bucket = () => new mongoose.mongo.GridFSBucket(mongoose.connection.db, { bucketName });
+
+    const findFile = async (key) => {
+        const [file] = await bucket().find({ filename: key }).limit(1).toArray();
+        return file || null;
+    };
+
+    return {
+        name: 'gridfs',
+        save: (key, buffer, contentType) => new Promise((resolve, reject) => {
+            Readable.from([buffer])
+                .pipe(bucket().openUploadStream(key, { metadata: { contentType } }))
+                .on('error', reject)
+                .on('finish', resolve);
+        }),
+        createReadStream: async (key) => {
+            const file = await findFile(key);
+            return file ? bucket().openDownloadStream(file._id) : null;
+        },
+        remove: async (key) => {
+            const file = await findFile(key);
+            if (file) {
+                await bucket().delete(file._id);
+            }
+        }
+    };
+};
+
+// Stores files in an S3-compatible bucket (AWS S3, MinIO, R2, ...).
+// A preconfigured S3Client can be passed in as `client`.
+const createS3Driver = ({
+    bucket = process.env.MEDIA_S3_BUCKET,
+    client
+} = {}) => {
+    if (!bucket) {
+        throw new Error('MEDIA_S3_BUCKET is required for the s3 media driver');
+    }
+
+    // Only load the SDK when S3 storage is actually used
+    const s3 = require('@aws-sdk/client-s3');
+
+    const s3Client = client || new s3.S3Client({
+        region: process.env.MEDIA_S3_REGION || 'us-east-1',
+        endpoint: process.env.MEDIA_S3_ENDPOINT || undefined,
+        // Most self-hosted S3-compatible servers need path-style URLs
+        forcePathStyle: !!process.env.MEDIA_S3_ENDPOINT,
+        credentials: process.env.MEDIA_S3_ACCESS_KEY_ID ? {
+            accessKeyId: process.env.MEDIA_S3_ACCESS_KEY_ID,
+            secretAccessKey: process.env.MEDIA_S3_SECRET_ACCESS_KEY
+        } : undefined
+    });
+
+    return {
+        name: 's3',
+        save: async (key, buffer, contentType) => {
+            await s3Client.send(new s3.PutObjectCommand({
+                Bucket: bucket,
+                Key: key,
+                Body: buffer,
+                ContentType: contentType
+            }));
+        },
+        createReadStream: async (key) => {
+            try {
+                const object = await s3Client.send(new s3.GetObjectCommand({ Bucket: bucket, Key: key }));
+                return object.Body;
+            } catch (error) {
+                if (error.name === 'NoSuchKey') {
+                    return null;
+                }
+                throw error;
+            }
+        },
+        remove: async (key) => {
+            await s3Client.send(new s3.DeleteObjectCommand({ Bucket: bucket, Key: key }));
+        }
+    };
+};
+
+const driverFactories = {
+    memory: createMemoryDriver,
+    local: createLocalDriver,
+    gridfs: createGridFSDriver,
+    s3: createS3Driver
+};
+
+const drivers = {};
+
+// Name of the driver new uploads go to
+const getDefaultDriverName = () => process.env.MEDIA_STORAGE || (process.env.NODE_ENV === 'test' ? 'memory' : 'local');
+
+// Get a driver by name (the configured one by default), creating it on first use
+const getDriver = (name = getDefaultDriverName()) => {
+    if (!drivers[name]) {
+        const factory = driverFactories[name];
+
+        if (!factory) {
+            throw new Error(`Unknown media storage driver: ${name}`);
+        }
+
+        drivers[name] = factory();
+    }
+    return drivers[name];
+};
+
+// Install a driver instance, e.g. one built with custom options
+const setDriver = (driver) => {
+    drivers[driver.name] = driver;
+};
+
+module.exports = {
+    createMemoryDriver,
+    createLocalDriver,
+    createGridFSDriver,
+    createS3Driver,
+    getDefaultDriverName,
+    getDriver,
+    setDriver
+};
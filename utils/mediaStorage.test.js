@@ -0,0 +1,149 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const mediaStorage = require('./mediaStorage');
+
+// Collect a readable stream into a Buffer
+const readAll = async (stream) => {
+    const chunks = [];
+    for await (const chunk of stream) {
+        chunks.push(Buffer.from(chunk));
+    }
+    return Buffer.concat(chunks);
+};
+
+describe('Media storage', () => {
+    describe('memory driver', () => {
+        it('should save, read and remove files', async () => {
+            const driver = mediaStorage.createMemoryDriver();
+
+            await driver.save('abc', Buffer.from('image-data'), 'image/png');
+            expect(await readAll(await driver.createReadStream('abc'))).toEqual(Buffer.from('image-data'));
+
+            await driver.remove('abc');
+            expect(await driver.createReadStream('abc')).toBeNull();
+        });
+    });
+
+    describe('local driver', () => {
+        let root;
+
+        beforeEach(async () => {
+            root = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'media-'));
+        });
+
+        afterEach(async () => {
+            await fs.promises.rm(root, { recursive: true, force: true });
+        });
+
+        it('should store files under the root directory', async () => {
+            const driver = mediaStorage.createLocalDriver({ root: path.join(root, 'uploads') });
+
+            await driver.save('abc', Buffer.from('image-data'), 'image/png');
+
+            expect(await fs.promises.readFile(path.join(root, 'uploads', 'abc'))).toEqual(Buffer.from('image-data'));
+            expect(await readAll(await driver.createReadStream('abc'))).toEqual(Buffer.from('image-data'));
+        });
+
+        it('should return null for missing files and ignore removing them', async () => {
+            const driver = mediaStorage.createLocalDriver({ root });
+
+            expect(await driver.createReadStream('missing')).toBeNull();
+            await expect(driver.remove('missing')).resolves.toBeUndefined();
+        });
+
+        it('should not let keys escape the root directory', async () => {
+            const driver = mediaStorage.createLocalDriver({ root: path.join(root, 'uploads') });
+
+            await driver.save('../escaped', Buffer.from('image-data'), 'image/png');
+
+            expect(fs.existsSync(path.join(root, 'escaped'))).toBe(false);
+            expect(fs.existsSync(path.join(root, 'uploads', 'escaped'))).toBe(true);
+        });
+    });
+
+    describe('s3 driver', () => {
+        const createClient = () => {
+            const objects = new Map();
+            return {
+                objects,
+                send: jest.fn(async (command) => {
+                    const { Bucket, Key, Body, ContentType } = command.input;
+                    const name = command.constructor.name;
+
+                    if (name === 'PutObjectCommand') {
+                        objects.set(`${Bucket}/${Key}`, { Body, ContentType });
+                    } else if (name === 'GetObjectCommand') {
+                        if (!objects.has(`${Bucket}/${Key}`)) {
+                            const error = new Error('The specified key does not exist.');
+                            error.name = 'NoSuchKey';
+                            throw error;
+                        }
+                        return { Body: Readable.from([objects.get(`${Bucket}/${Key}`).Body]) };
+                    } else if (name === 'DeleteObjectCommand') {
+                        objects.delete(`${Bucket}/${Key}`);
+                    }
+                    return {};
+                })
+            };
+        };
+
+        it('should require a bucket', () => {
+            expect(() => mediaStorage.createS3Driver({ client: createClient() }))
+                .toThrow('MEDIA_S3_BUCKET is required for the s3 media driver');
+        });
+
+        it('should put, get and delete objects in the bucket', async () => {
+            const client = createClient();
+            const driver = mediaStorage.createS3Driver({ bucket: 'media', client });
+
+            await driver.save('abc', Buffer.from('image-data'), 'image/png');
+            expect(client.objects.get('media/abc').ContentType).toBe('image/png');
+
+            expect(await readAll(await driver.createReadStream('abc'))).toEqual(Buffer.from('image-data'));
+
+            await driver.remove('abc');
+            expect(await driver.createReadStream('abc')).toBeNull();
+        });
+
+        it('should pass on other errors', async () => {
+            const client = { send: jest.fn().mockRejectedValue(new Error('Access Denied')) };
+            const driver = mediaStorage.createS3Driver({ bucket: 'media', client });
+
+            await expect(driver.createReadStream('abc')).rejects.toThrow('Access Denied');
+        });
+    });
+
+    describe('driver registry', () => {
+        afterEach(() => {
+            delete process.env.MEDIA_STORAGE;
+        });
+
+        it('should default to the memory driver in tests', () => {
+            expect(mediaStorage.getDefaultDriverName()).toBe('memory');
+            expect(mediaStorage.getDriver().name).toBe('memory');
+        });
+
+        it('should use MEDIA_STORAGE for new uploads', () => {
+            process.env.MEDIA_STORAGE = 'local';
+
+            expect(mediaStorage.getDefaultDriverName()).toBe('local');
+        });
+
+        it('should reuse driver instances', () => {
+            expect(mediaStorage.getDriver('memory')).toBe(mediaStorage.getDriver('memory'));
+        });
+
+        it('should reject unknown drivers', () => {
+            expect(() => mediaStorage.getDriver('ftp')).toThrow('Unknown media storage driver: ftp');
+        });
+
+        it('should install custom drivers', () => {
+            const driver = { name: 'custom', save: jest.fn(), createReadStream: jest.fn(), remove: jest.fn() };
+            mediaStorage.setDriver(driver);
+
+            expect(mediaStorage.getDriver('custom')).toBe(driver);
+        });
+    });
+});
@@ -0,0 +1,68 @@
+const Notification = require('../models/Notification');
+const Post = require('../models/Post');
+const User = require('../models/User');
+
+// Notifications raised by posts and comments. Each user is told about an
+// event once: someone replied to, commented on and mentioned in the same
+// comment only hears about the reply.
+
+// Tell the users mentioned in a post or comment, except those in `skip`.
+// Mentions on a private account's post, or in comments on it, only reach
+// users who may see the post.
+const notifyMentions = async ({ actor, mentions = [], post, comment, skip = [] }) => {
+    if (mentions.length === 0) {
+        return;
+    }
+
+    const told = new Set(skip.map(String));
+    const author = (await Post.findById(post).select('postedBy'))?.postedBy;
+
+    for (const mention of mentions) {
+        const recipient = mention._id || mention;
+        if (told.has(recipient.toString())) {
+            continue;
+        }
+
+        told.add(recipient.toString());
+        if (author && await User.isPrivateTo(author, recipient)) {
+            continue;
+        }
+
+        await Notification.notify({ recipient, actor, type: 'mention', post, comment });
+    }
+};
+
+// Tell the author of the comment replied to (or of the post), then the
+// users mentioned in the comment
+const notifyComment = async (post, comment, parent = null) => {
+    const actor = comment.postedBy._id || comment.postedBy;
+    const recipient = parent ? parent.postedBy : post.postedBy;
+
+    await Notification.notify({
+        recipient,
+        actor,
+        type: parent ? 'reply' : 'comment',
+        post: post._id,
+        comment: comment._id
+    });
+
+    await notifyMentions({
+        actor,
+        mentions: comment.mentions,
+        post: post._id,
+        comment: comment._id,
+        skip: [recipient]
+    });
+};
+
+// Mentions added to a text by an edit, given the mentions before it
+const addedMentions = (before = [], after = []) => {
+    const previous = new Set(before.map(mention => (mention._id || mention).toString()));
+    return after.filter(mention => !previous.has((mention._id || mention).toString()));
+};
+
+module.exports = {
+    notifyMentions,
+    notifyComment,
+    addedMentions
+};
@@ -0,0 +1,128 @@
+const mongoose = require('mongoose');
+
+// Cursor pagination over lists sorted newest first by (createdAt, _id).
+// A cursor is an opaque string naming the item a page starts after and
+// the direction to read in: "next" pages go towards older items, "prev"
+// pages back towards newer ones. Unlike skip/limit, cursors stay stable
+// while new items arrive and cost the same on every page.
+
+const encodeCursor = (doc, direction = 'next') => {
+    const payload = {
+        t: new Date(doc.createdAt).getTime(),
+        i: doc._id.toString(),
+        d: direction
+    };
+    return Buffer.from(JSON.stringify(payload)).toString('base64url');
+};
+
+// Decode a cursor, or return null if it is malformed
+const decodeCursor = (cursor) => {
+    try {
+        const { t, i, d } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+
+        if (!Number.isFinite(t) || !/^[a-f\d]{24}$/i.test(i) || !['next', 'prev'].includes(d)) {
+            return null;
+        }
+
+        return {
+            createdAt: new Date(t),
+            id: new mongoose.Types.ObjectId(i),
+            direction: d
+        };
+    } catch (error) {
+        return null;
+    }
+};
+
+// Query condition selecting the items past a decoded cursor. `key` names
+// the id field that breaks ties between equal timestamps.
+const cursorFilter = ({ createdAt, id, direction }, key = '_id') => {
+    const op = direction === 'prev' ? '$gt' : '$lt';
+    return {
+        $or: [
+            { createdAt: { [op]: createdAt } },
+            { createdAt, [key]: { [op]: id } }
+        ]
+    };
+};
+
+// Sort order to read in from a decoded cursor (or from the newest item)
+const sortFor = (position, key = '_id') => (position?.direction === 'prev'
+    ? { createdAt: 1, [key]: 1 }
+    : { createdAt: -1, [key]: -1 });
+
+// Turn up to `limit + 1` items, read in the order given by sortFor(), into
+// one page listed newest first along with its cursors
+const buildPage = (items, position, limit) => {
+    const backwards = position?.direction === 'prev';
+    const hasMore = items.length > limit;
+    const data = items.slice(0, limit);
+    if (backwards) {
+        data.reverse();
+    }
+
+    const first = data[0];
+    const last = data[data.length - 1];
+
+    // Reading backwards always leaves the cursor's own item (and what
+    // follows it) as the next page; reading forwards from a cursor always
+    // leaves the page it came from behind.
+    const hasNext = backwards ? data.length > 0 : hasMore;
+    const hasPrev = backwards ? hasMore : !!position && data.length > 0;
+
+    return {
+        data,
+        pagination: {
+            limit,
+            nextCursor: hasNext ? encodeCursor(last, 'next') : null,
+            prevCursor: hasPrev ? encodeCursor(first, 'prev') : null
+        }
+    };
+};
+
+// Read one page of `Model` documents matching `filter`. With a `page`
+// number (and no cursor) this falls back to skip/limit with a total count;
+// otherwise it reads from `cursor`, or from the newest item when none is
+// given, and reports `nextCursor`/`prevCursor` (null when there is nothing
+// further in that direction). `populate` is passed to Query#populate.
+const paginate = async (Model, filter, { cursor, page, limit = 10, populate = [] }) => {
+    if (page && !cursor) {
+        const [data, total] = await Promise.all([
+            Model.find(filter)
+                .populate(populate)
+                .sort(sortFor(null))
+                .skip((page - 1) * limit)
+                .limit(limit),
+            Model.countDocuments(filter)
+        ]);
+
+        return {
+            data,
+            total,
+            pagination: {
+                page,
+                limit,
+                pages: Math.ceil(total / limit)
+            }
+        };
+    }
+
+    const position = cursor ? decodeCursor(cursor) : null;
+
+    // Read one extra item to learn whether another page follows
+    const items = await Model.find(position ? { $and: [filter, cursorFilter(position)] } : filter)
+        .populate(populate)
+        .sort(sortFor(position))
+        .limit(limit + 1);
+
+    return buildPage(items, position, limit);
+};
+
+module.exports = {
+    encodeCursor,
+    decodeCursor,
+    cursorFilter,
+    sortFor,
+    buildPage,
+    paginate
+};
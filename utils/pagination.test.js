@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+const { encodeCursor, decodeCursor, cursorFilter } = require('./pagination');
+
+describe('Cursor pagination', () => {
+    const doc = {
+        _id: new mongoose.Types.ObjectId(),
+        createdAt: new Date('2024-05-01T12:00:00.000Z')
+    };
+
+    describe('encodeCursor / decodeCursor', () => {
+        it('should round-trip the position and direction', () => {
+            const decoded = decodeCursor(encodeCursor(doc, 'prev'));
+
+            expect(decoded.createdAt).toEqual(doc.createdAt);
+            expect(decoded.id.equals(doc._id)).toBe(true);
+            expect(decoded.direction).toBe('prev');
+        });
+
+        it('should default to the next direction', () => {
+            expect(decodeCursor(encodeCursor(doc)).direction).toBe('next');
+        });
+
+        it('should produce URL-safe strings', () => {
+            expect(encodeCursor(doc)).toMatch(/^[A-Za-z0-9_-]+$/);
+        });
+
+        it('should reject malformed cursors', () => {
+            const encode = (payload) => Buffer.from(JSON.stringify(payload)).toString('base64url');
+
+            expect(decodeCursor('not a cursor')).toBeNull();
+            expect(decodeCursor('')).toBeNull();
+            expect(decodeCursor(encode({ t: 'soon', i: doc._id.toString(), d: 'next' }))).toBeNull();
+            expect(decodeCursor(encode({ t: 1, i: 'abc', d: 'next' }))).toBeNull();
+            expect(decodeCursor(encode({ t: 1, i: doc._id.toString(), d: 'sideways' }))).toBeNull();
+        });
+    });
+
+    describe('cursorFilter', () => {
+        it('should select older items when reading forwards', () => {
+            const position = decodeCursor(encodeCursor(doc));
+
+            expect(cursorFilter(position)).toEqual({
+                $or: [
+                    { createdAt: { $lt: doc.createdAt } },
+                    { createdAt: doc.createdAt, _id: { $lt: position.id } }
+                ]
+            });
+        });
+
+        it('should select newer items when reading backwards', () => {
+            const position = decodeCursor(encodeCursor(doc, 'prev'));
+
+            expect(cursorFilter(position).$or[0]).toEqual({ createdAt: { $gt: doc.createdAt } });
+            expect(cursorFilter(position).$or[1]._id).toEqual({ $gt: position.id });
+        });
+    });
+});
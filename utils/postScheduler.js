@@ -0,0 +1,100 @@
+const Post = require('../models/Post');
+const Activity = require('../models/Activity');
+const timeline = require('./timeline');
+const realtime = require('./realtime');
+const { notifyMentions } = require('./notifications');
+
+// Publishing of drafts and scheduled posts. A post is published by moving
+// it to the front of the listings (its createdAt becomes the publish
+// time), fanning it out to follower timelines, recording the activity and
+// telling the users it mentions and pushing it to connected followers.
+// The scheduler polls for scheduled posts whose publishAt has passed.
+
+// Push a freshly published post out to feeds, the activity stream, the
+// users it mentions and connected followers
+const announce = async (post) => {
+    await timeline.fanOut(post);
+    await Activity.record({
+        actor: post.postedBy,
+        type: 'post',
+        targetUser: post.postedBy,
+        targetPost: post._id
+    });
+    await notifyMentions({
+        actor: post.postedBy,
+        mentions: post.mentions,
+        post: post._id
+    });
+    await realtime.postCreated(post);
+};
+
+// Publish a draft or scheduled post right away
+const publishPost = async (post, { now = new Date() } = {}) => {
+    post.status = 'published';
+    post.publishAt = undefined;
+    post.createdAt = now;
+    await post.save();
+
+    await announce(post);
+    return post;
+};
+
+// Publish every scheduled post that is due. Each post is claimed with an
+// atomic update, so concurrent schedulers never publish a post twice.
+const publishDuePosts = async ({ now = new Date() } = {}) => {
+    let published = 0;
+
+    for (;;) {
+        const post = await Post.findOneAndUpdate(
+            { status: 'scheduled', publishAt: { $lte: now } },
+            { $set: { status: 'published', createdAt: now }, $unset: { publishAt: 1 } },
+            { new: true, sort: { publishAt: 1 } }
+        );
+        if (!post) {
+            break;
+        }
+
+        await announce(post);
+        published++;
+    }
+
+    return published;
+};
+
+// Poll for due posts every POST_SCHEDULER_INTERVAL_SECONDS (60 by default).
+// Returns a function that stops the scheduler.
+const startScheduler = ({ intervalMs = (parseInt(process.env.POST_SCHEDULER_INTERVAL_SECONDS) || 60) * 1000 } = {}) => {
+    let running = false;
+
+    const tick = async () => {
+        // Skip a tick while the previous one is still publishing
+        if (running) {
+            return;
+        }
+
+        running = true;
+        try {
+            const published = await publishDuePosts();
+            if (published > 0) {
+                console.log(`Published ${published} scheduled post(s)`);
+            }
+        } catch (error) {
+            console.error('Error publishing scheduled posts:', error.message);
+        } finally {
+            running = false;
+        }
+    };
+
+    const timer = setInterval(tick, intervalMs);
+    // Never keep the process alive just for the scheduler
+    timer.unref();
+
+    return () => clearInterval(timer);
+};
+
+module.exports = {
+    announce,
+    publishPost,
+    publishDuePosts,
+    startScheduler
+};
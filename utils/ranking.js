@@ -0,0 +1,109 @@
+const mongoose = require('mongoose');
+const Activity = require('../models/Activity');
+
+const HOUR = 60 * 60 * 1000;
+
+// How far back the viewer's likes and comments count towards their
+// affinity with an author
+const AFFINITY_WINDOW = 30 * 24 * HOUR;
+
+// Default scoring weights. Each can be overridden through the environment.
+const DEFAULT_WEIGHTS = {
+    like: 1,
+    comment: 2,
+    affinity: 3,
+    halfLifeHours: 24
+};
+
+const WEIGHT_VARIABLES = {
+    like: 'FEED_RANK_LIKE_WEIGHT',
+    comment: 'FEED_RANK_COMMENT_WEIGHT',
+    affinity: 'FEED_RANK_AFFINITY_WEIGHT',
+    halfLifeHours: 'FEED_RANK_HALF_LIFE_HOURS'
+};
+
+// Scoring weights, read per call so they can be tuned through the environment
+const getWeights = () => {
+    const weights = {};
+    for (const [name, variable] of Object.entries(WEIGHT_VARIABLES)) {
+        const value = parseFloat(process.env[variable]);
+        weights[name] = Number.isFinite(value) ? value : DEFAULT_WEIGHTS[name];
+    }
+    return weights;
+};
+
+// Number of recent timeline posts that are considered for ranking
+const getCandidateLimit = () => parseInt(process.env.FEED_RANK_CANDIDATES) || 200;
+
+// Score one post. Engagement and the viewer's affinity with the author add
+// to a base of 1, and the total halves every `halfLifeHours` of post age.
+const scorePost = (post, { now, affinity = 0, weights = getWeights() }) => {
+    const ageHours = Math.max(0, now - new Date(post.createdAt)) / HOUR;
+    const decay = weights.halfLifeHours > 0 ? 0.5 ** (ageHours / weights.halfLifeHours) : 1;
+
+    const engagement = 1
+        + weights.like * (post.likes?.length || 0)
+        + weights.comment * (post.commentCount || 0)
+        + weights.affinity * affinity;
+
+    return engagement * decay;
+};
+
+// Author id of a post whether or not postedBy is populated (null once the
+// author's account is gone)
+const authorIdOf = (post) => {
+    const author = post.postedBy?._id || post.postedBy;
+    return author ? author.toString() : null;
+};
+
+// Order posts by score, highest first. Ties go to the newer post so the
+// order is fully deterministic. `affinityByAuthor` maps author ids to the
+// viewer's interaction counts.
+const rankPosts = (posts, { now = new Date(), affinityByAuthor = new Map(), weights = getWeights() } = {}) => {
+    const scored = posts.map(post => ({
+        post,
+        score: scorePost(post, { now, affinity: affinityByAuthor.get(authorIdOf(post)) || 0, weights })
+    }));
+
+    scored.sort((a, b) => b.score - a.score
+        || new Date(b.post.createdAt) - new Date(a.post.createdAt)
+        || (b.post._id.toString() > a.post._id.toString() ? 1 : -1));
+
+    return scored.map(({ post }) => post);
+};
+
+// Count the viewer's recent likes and comments on each author's posts
+const getAffinity = async (viewerId, authorIds, { now = new Date() } = {}) => {
+    const counts = await Activity.aggregate([
+        {
+            $match: {
+                actor: new mongoose.Types.ObjectId(String(viewerId)),
+                type: { $in: ['like', 'comment'] },
+                targetUser: { $in: authorIds },
+                createdAt: { $gte: new Date(now.getTime() - AFFINITY_WINDOW) }
+            }
+        },
+        { $group: { _id: '$targetUser', count: { $sum: 1 } } }
+    ]);
+
+    return new Map(counts.map(({ _id, count }) => [_id.toString(), count]));
+};
+
+// Rank a viewer's candidate feed posts
+const rankFeed = async (viewerId, posts, { now = new Date(), weights = getWeights() } = {}) => {
+    const authorIds = [...new Set(posts.map(authorIdOf).filter(Boolean))]
+        .map(id => new mongoose.Types.ObjectId(id));
+    const affinityByAuthor = await getAffinity(viewerId, authorIds, { now });
+
+    return rankPosts(posts, { now, affinityByAuthor, weights });
+};
+
+module.exports = {
+    DEFAULT_WEIGHTS,
+    getWeights,
+    getCandidateLimit,
+    scorePost,
+    rankPosts,
+    getAffinity,
+    rankFeed
+};
@@ -0,0 +1,107 @@
+const mongoose = require('mongoose');
+const { DEFAULT_WEIGHTS, getWeights, scorePost, rankPosts } = require('./ranking');
+
+const HOUR = 60 * 60 * 1000;
+const NOW = new Date('2024-06-01T12:00:00.000Z');
+
+const authorA = new mongoose.Types.ObjectId();
+const authorB = new mongoose.Types.ObjectId();
+
+// Build a post of a given age with a number of likes and comments
+const makePost = ({ hoursOld = 0, likes = 0, comments = 0, author = authorA }) => ({
+    _id: new mongoose.Types.ObjectId(),
+    postedBy: { _id: author },
+    createdAt: new Date(NOW.getTime() - hoursOld * HOUR),
+    likes: Array.from({ length: likes }, () => new mongoose.Types.ObjectId()),
+    commentCount: comments
+});
+
+describe('Feed ranking', () => {
+    afterEach(() => {
+        delete process.env.FEED_RANK_LIKE_WEIGHT;
+        delete process.env.FEED_RANK_HALF_LIFE_HOURS;
+    });
+
+    describe('getWeights', () => {
+        it('should use the defaults', () => {
+            expect(getWeights()).toEqual(DEFAULT_WEIGHTS);
+        });
+
+        it('should read overrides from the environment', () => {
+            process.env.FEED_RANK_LIKE_WEIGHT = '0';
+            process.env.FEED_RANK_HALF_LIFE_HOURS = '6.5';
+
+            expect(getWeights()).toEqual({ ...DEFAULT_WEIGHTS, like: 0, halfLifeHours: 6.5 });
+        });
+
+        it('should ignore values that are not numbers', () => {
+            process.env.FEED_RANK_LIKE_WEIGHT = 'lots';
+
+            expect(getWeights().like).toBe(DEFAULT_WEIGHTS.like);
+        });
+    });
+
+    describe('scorePost', () => {
+        const weights = { like: 1, comment: 2, affinity: 3, halfLifeHours: 10 };
+
+        it('should add weighted engagement and affinity to a base of one', () => {
+            const post = makePost({ likes: 2, comments: 1 });
+
+            expect(scorePost(post, { now: NOW, affinity: 1, weights })).toBe(1 + 2 + 2 + 3);
+        });
+
+        it('should halve the score every half-life', () => {
+            const fresh = scorePost(makePost({ likes: 3 }), { now: NOW, weights });
+            const old = scorePost(makePost({ likes: 3, hoursOld: 20 }), { now: NOW, weights });
+
+            expect(old).toBeCloseTo(fresh / 4);
+        });
+
+        it('should not decay when the half-life is zero', () => {
+            const post = makePost({ hoursOld: 1000 });
+
+            expect(scorePost(post, { now: NOW, weights: { ...weights, halfLifeHours: 0 } })).toBe(1);
+        });
+    });
+
+    describe('rankPosts', () => {
+        const weights = { like: 1, comment: 2, affinity: 3, halfLifeHours: 24 };
+
+        it('should let engagement outrank a slightly newer post', () => {
+            const quiet = makePost({ hoursOld: 1 });
+            const popular = makePost({ hoursOld: 3, likes: 4, comments: 2 });
+
+            expect(rankPosts([quiet, popular], { now: NOW, weights })).toEqual([popular, quiet]);
+        });
+
+        it('should let recency win once engagement has decayed', () => {
+            const fresh = makePost({ hoursOld: 1, likes: 1 });
+            const stale = makePost({ hoursOld: 24 * 7, likes: 20 });
+
+            expect(rankPosts([stale, fresh], { now: NOW, weights })).toEqual([fresh, stale]);
+        });
+
+        it('should favour authors the viewer interacts with', () => {
+            const fromA = makePost({ hoursOld: 2, likes: 1, author: authorA });
+            const fromB = makePost({ hoursOld: 2, likes: 1, author: authorB });
+            const affinityByAuthor = new Map([[authorB.toString(), 2]]);
+
+            expect(rankPosts([fromA, fromB], { now: NOW, affinityByAuthor, weights })).toEqual([fromB, fromA]);
+        });
+
+        it('should break ties by recency', () => {
+            const older = makePost({ hoursOld: 2 });
+            const newer = makePost({ hoursOld: 1 });
+
+            expect(rankPosts([older, newer], { now: NOW, weights: { ...weights, halfLifeHours: 0 } }))
+                .toEqual([newer, older]);
+        });
+
+        it('should accept unpopulated authors', () => {
+            const post = { ...makePost({}), postedBy: authorB };
+
+            expect(rankPosts([post], { now: NOW, affinityByAuthor: new Map([[authorB.toString(), 1]]), weights }))
+                .toEqual([post]);
+        });
+    });
+});
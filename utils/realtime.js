@@ -0,0 +1,284 @@
+const mongoose = require('mongoose');
+const { WebSocketServer, WebSocket } = require('ws');
+const { verifyToken } = require('../middleware/auth');
+
+// Live updates pushed to signed-in clients over a WebSocket at /api/ws.
+// Browsers can't send an Authorization header with a WebSocket, so the
+// client's first message carries the same JWT that `protect` accepts:
+//
+//   { "type": "auth", "token": "<access token>" }
+//
+// The server answers { "type": "ready" } and from then on sends events
+// as { "type": "<event>", ... } messages. The socket is closed with code
+// 4001 when authentication fails, the token expires or the user's sessions
+// are revoked, telling the client to refresh its token and reconnect.
+//
+// Events:
+//   post:created          a post was published by someone the user follows
+//                         and hasn't muted (or by the user), with the post
+//                         as in listings
+//   post:updated          the like or comment count of a post by the user
+//                         or someone they follow changed
+//   message:created       a message was sent to one of the user's
+//                         conversations
+//   notifications:unread  the user's unread notification count changed
+//
+// Publishing never fails the request that triggered it; users without an
+// open socket simply miss the event and catch up on their next fetch.
+
+const WS_PATH = '/api/ws';
+
+// Close code telling the client to authenticate again
+const CLOSE_UNAUTHORIZED = 4001;
+
+// How long a new socket may take to authenticate
+const AUTH_TIMEOUT_MS = 10 * 1000;
+
+// How often sockets are pinged; ones that miss a ping are dropped
+const HEARTBEAT_INTERVAL_MS = 30 * 1000;
+
+// Open sockets of each signed-in user, keyed by user id
+const sockets = new Map();
+
+let server = null;
+
+const register = (userId, socket) => {
+    if (!sockets.has(userId)) {
+        sockets.set(userId, new Set());
+    }
+    sockets.get(userId).add(socket);
+};
+
+const unregister = (userId, socket) => {
+    const userSockets = sockets.get(userId);
+    if (!userSockets) {
+        return;
+    }
+    userSockets.delete(socket);
+    if (userSockets.size === 0) {
+        sockets.delete(userId);
+    }
+};
+
+const send = (socket, message) => {
+    if (socket.readyState === WebSocket.OPEN) {
+        socket.send(message);
+    }
+};
+
+// Authenticate a socket from its first message
+const authenticate = async (socket, data) => {
+    let message;
+    try {
+        message = JSON.parse(data);
+    } catch (error) {
+        message = null;
+    }
+
+    if (message?.type !== 'auth' || typeof message.token !== 'string') {
+        return socket.close(CLOSE_UNAUTHORIZED, 'Authentication required');
+    }
+
+    try {
+        const { decoded, user } = await verifyToken(message.token);
+        if (!user || !user.isActive) {
+            return socket.close(CLOSE_UNAUTHORIZED, 'Invalid token');
+        }
+
+        const userId = user._id.toString();
+        socket.userId = userId;
+        register(userId, socket);
+
+        // The socket lives no longer than the token it was opened with
+        if (decoded.exp) {
+            const expiry = setTimeout(
+                () => socket.close(CLOSE_UNAUTHORIZED, 'Token expired'),
+                Math.max(0, decoded.exp * 1000 - Date.now())
+            );
+            socket.once('close', () => clearTimeout(expiry));
+        }
+
+        send(socket, JSON.stringify({ type: 'ready' }));
+    } catch (error) {
+        socket.close(CLOSE_UNAUTHORIZED, error.name === 'TokenExpiredError' ? 'Token expired' : 'Invalid token');
+    }
+};
+
+// Start accepting WebSocket connections on an HTTP server
+const attach = (httpServer) => {
+    server = new WebSocketServer({ server: httpServer, path: WS_PATH });
+
+    server.on('connection', (socket) => {
+        socket.isAlive = true;
+        socket.on('pong', () => {
+            socket.isAlive = true;
+        });
+
+        const authTimer = setTimeout(() => socket.close(CLOSE_UNAUTHORIZED, 'Authentication required'), AUTH_TIMEOUT_MS);
+
+        socket.once('message', (data) => {
+            clearTimeout(authTimer);
+            authenticate(socket, data.toString());
+        });
+
+        socket.on('close', () => {
+            clearTimeout(authTimer);
+            if (socket.userId) {
+                unregister(socket.userId, socket);
+            }
+        });
+    });
+
+    const heartbeat = setInterval(() => {
+        for (const socket of server.clients) {
+            if (!socket.isAlive) {
+                socket.terminate();
+                continue;
+            }
+            socket.isAlive = false;
+            socket.ping();
+        }
+    }, HEARTBEAT_INTERVAL_MS);
+    heartbeat.unref();
+
+    server.on('close', () => clearInterval(heartbeat));
+    return server;
+};
+
+// Stop accepting connections and close every open socket
+const close = () => new Promise((resolve) => {
+    if (!server) {
+        return resolve();
+    }
+
+    for (const socket of server.clients) {
+        socket.terminate();
+    }
+    sockets.clear();
+    server.close(() => resolve());
+    server = null;
+});
+
+// Send an event to the given users, if they are connected
+const publish = (userIds, event) => {
+    const message = JSON.stringify(event);
+    for (const userId of userIds) {
+        for (const socket of sockets.get(userId.toString()) || []) {
+            send(socket, message);
+        }
+    }
+};
+
+// Close every socket a user has open, as when their sessions are revoked.
+// The client is told to refresh its token, which then fails.
+const disconnect = (userId, reason = 'Session revoked') => {
+    for (const socket of sockets.get(userId.toString()) || []) {
+        socket.close(CLOSE_UNAUTHORIZED, reason);
+    }
+};
+
+const logError = (action, error) => {
+    console.error(`Error ${action}:`, error.message);
+};
+
+// Connected users who see an author's posts: the author and their
+// followers, leaving out anyone a block stands between
+const connectedAudience = (author) => {
+    const hidden = new Set(author.blockedIds().map(String));
+    return [author._id, ...author.followers]
+        .map(String)
+        .filter(userId => sockets.has(userId) && !hidden.has(userId));
+};
+
+// Tell the author and their connected followers about a newly published
+// post. Models are looked up lazily, as they require this module.
+const postCreated = async (post) => {
+    try {
+        if (sockets.size === 0) {
+            return;
+        }
+
+        const User = mongoose.model('User');
+        const author = await User.findById(post.postedBy).select('followers blocked blockedBy');
+        if (!author) {
+            return;
+        }
+
+        const audience = connectedAudience(author);
+        if (audience.length === 0) {
+            return;
+        }
+
+        const listed = await mongoose.model('Post').findById(post._id)
+            .populate([
+                { path: 'postedBy', select: 'firstName lastName username photo' },
+                { path: 'mentions', select: 'username' }
+            ]);
+        if (!listed) {
+            return;
+        }
+
+        // Followers who muted the author keep their posts out of the feed
+        const muters = new Set((await User.find({ _id: { $in: audience }, muted: author._id }).distinct('_id')).map(String));
+        publish(audience.filter(userId => !muters.has(userId)), { type: 'post:created', post: listed });
+    } catch (error) {
+        logError('publishing new post', error);
+    }
+};
+
+// Tell the connected users who can see a post about its current like and
+// comment counts
+const postUpdated = async (postId) => {
+    try {
+        if (sockets.size === 0) {
+            return;
+        }
+
+        const post = await mongoose.model('Post').findById(postId).select('postedBy likes commentCount status');
+        if (!post || post.status !== 'published') {
+            return;
+        }
+
+        const author = await mongoose.model('User').findById(post.postedBy).select('followers blocked blockedBy');
+        if (!author) {
+            return;
+        }
+
+        publish(connectedAudience(author), {
+            type: 'post:updated',
+            post: {
+                _id: post._id,
+                likeCount: post.likes.length,
+                commentCount: post.commentCount
+            }
+        });
+    } catch (error) {
+        logError('publishing post update', error);
+    }
+};
+
+// Tell a user their current unread notification count
+const unreadCountChanged = async (userId) => {
+    try {
+        if (!sockets.has(userId.toString())) {
+            return;
+        }
+
+        const count = await mongoose.model('Notification').countDocuments({ recipient: userId, read: false });
+        publish([userId], { type: 'notifications:unread', count });
+    } catch (error) {
+        logError('publishing unread count', error);
+    }
+};
+
+module.exports = {
+    WS_PATH,
+    CLOSE_UNAUTHORIZED,
+    attach,
+    close,
+    publish,
+    disconnect,
+    postCreated,
+    postUpdated,
+    unreadCountChanged
+};
@@ -0,0 +1,256 @@
+/**
+ * @jest-environment node
+ */
+const http = require('http');
+const mongoose = require('mongoose');
+const WebSocket = require('ws');
+const realtime = require('./realtime');
+const { verifyToken } = require('../middleware/auth');
+
+jest.mock('../middleware/auth', () => ({
+    verifyToken: jest.fn()
+}));
+
+const activeUser = (id) => ({ decoded: { id }, user: { _id: id, isActive: true } });
+
+let server;
+let url;
+
+beforeEach((done) => {
+    verifyToken.mockReset();
+    server = http.createServer();
+    realtime.attach(server);
+    server.listen(0, () => {
+        url = `ws://localhost:${server.address().port}${realtime.WS_PATH}`;
+        done();
+    });
+});
+
+afterEach(async () => {
+    await realtime.close();
+    await new Promise(resolve => server.close(resolve));
+});
+
+// Open a socket and collect the messages it receives
+const connect = () => new Promise((resolve, reject) => {
+    const socket = new WebSocket(url);
+    socket.messages = [];
+    socket.on('message', data => socket.messages.push(JSON.parse(data)));
+    socket.on('open', () => resolve(socket));
+    socket.on('error', reject);
+});
+
+// Resolve once the socket has received a message of the given type
+const nextMessage = (socket, type) => new Promise((resolve) => {
+    const found = socket.messages.find(message => message.type === type);
+    if (found) {
+        return resolve(found);
+    }
+    socket.on('message', (data) => {
+        const message = JSON.parse(data);
+        if (message.type === type) {
+            resolve(message);
+        }
+    });
+});
+
+const closed = socket => new Promise((resolve) => {
+    socket.on('close', code => resolve(code));
+});
+
+const signIn = async (id) => {
+    verifyToken.mockResolvedValueOnce(activeUser(id));
+    const socket = await connect();
+    socket.send(JSON.stringify({ type: 'auth', token: `token-${id}` }));
+    await nextMessage(socket, 'ready');
+    return socket;
+};
+
+describe('Realtime updates', () => {
+    describe('authentication', () => {
+        it('should accept a valid token', async () => {
+            const socket = await signIn('user1');
+
+            expect(verifyToken).toHaveBeenCalledWith('token-user1');
+            realtime.publish(['user1'], { type: 'notifications:unread', count: 0 });
+            await nextMessage(socket, 'notifications:unread');
+            socket.close();
+        });
+
+        it('should close the socket when the token is rejected', async () => {
+            verifyToken.mockRejectedValueOnce(Object.assign(new Error('jwt expired'), { name: 'TokenExpiredError' }));
+            const socket = await connect();
+            const code = closed(socket);
+
+            socket.send(JSON.stringify({ type: 'auth', token: 'expired' }));
+
+            expect(await code).toBe(realtime.CLOSE_UNAUTHORIZED);
+        });
+
+        it('should close the socket of a deactivated user', async () => {
+            verifyToken.mockResolvedValueOnce({ decoded: { id: 'user1' }, user: { _id: 'user1', isActive: false } });
+            const socket = await connect();
+            const code = closed(socket);
+
+            socket.send(JSON.stringify({ type: 'auth', token: 'token' }));
+
+            expect(await code).toBe(realtime.CLOSE_UNAUTHORIZED);
+        });
+
+        it('should require the first message to authenticate', async () => {
+            const socket = await connect();
+            const code = closed(socket);
+
+            socket.send('hello');
+
+            expect(await code).toBe(realtime.CLOSE_UNAUTHORIZED);
+            expect(verifyToken).not.toHaveBeenCalled();
+        });
+
+        it('should close the socket when the token expires', async () => {
+            verifyToken.mockResolvedValueOnce({
+                decoded: { id: 'user1', exp: Math.floor(Date.now() / 1000) },
+                user: { _id: 'user1', isActive: true }
+            });
+            const socket = await connect();
+            const code = closed(socket);
+
+            socket.send(JSON.stringify({ type: 'auth', token: 'token' }));
+
+            expect(await code).toBe(realtime.CLOSE_UNAUTHORIZED);
+        });
+    });
+
+    describe('publish', () => {
+        it('should send events only to the given users', async () => {
+            const alice = await signIn('alice');
+            const bob = await signIn('bob');
+
+            realtime.publish(['alice'], { type: 'notifications:unread', count: 2 });
+            realtime.publish(['bob'], { type: 'post:updated', post: { _id: 'post1' } });
+
+            expect(await nextMessage(alice, 'notifications:unread')).toEqual({ type: 'notifications:unread', count: 2 });
+            await nextMessage(bob, 'post:updated');
+            expect(bob.messages.map(message => message.type)).toEqual(['ready', 'post:updated']);
+
+            alice.close();
+            bob.close();
+        });
+
+        it('should reach every socket a user has open', async () => {
+            const first = await signIn('alice');
+            const second = await signIn('alice');
+
+            realtime.publish(['alice'], { type: 'notifications:unread', count: 1 });
+
+            await nextMessage(first, 'notifications:unread');
+            await nextMessage(second, 'notifications:unread');
+
+            first.close();
+            second.close();
+        });
+
+        it('should keep reaching a user\'s other sockets once one closes', async () => {
+            const first = await signIn('alice');
+            const second = await signIn('alice');
+            const code = closed(first);
+
+            first.close();
+            await code;
+            // The server sees the close after the client does
+            await new Promise(resolve => setTimeout(resolve, 50));
+            realtime.publish(['alice'], { type: 'notifications:unread', count: 1 });
+
+            await nextMessage(second, 'notifications:unread');
+            second.close();
+        });
+    });
+
+    describe('disconnect', () => {
+        it('should close every socket of the user and no other', async () => {
+            const first = await signIn('alice');
+            const second = await signIn('alice');
+            const bob = await signIn('bob');
+            const codes = [closed(first), closed(second)];
+
+            realtime.disconnect('alice');
+
+            expect(await Promise.all(codes)).toEqual([realtime.CLOSE_UNAUTHORIZED, realtime.CLOSE_UNAUTHORIZED]);
+            realtime.publish(['bob'], { type: 'notifications:unread', count: 1 });
+            await nextMessage(bob, 'notifications:unread');
+            bob.close();
+        });
+    });
+
+    describe('post events', () => {
+        // Alice's post, followed by Bob, Carol and Erin; a block stands
+        // between Alice and Carol, and Erin muted Alice
+        const author = {
+            _id: 'alice',
+            followers: ['bob', 'carol', 'erin'],
+            blockedIds: () => ['carol']
+        };
+        const post = { _id: 'post1', postedBy: 'alice', likes: ['bob', 'dave'], commentCount: 1, status: 'published' };
+
+        const query = value => ({
+            select: () => Promise.resolve(value),
+            populate: () => Promise.resolve(value)
+        });
+
+        beforeEach(() => {
+            const models = {
+                Post: { findById: () => query(post) },
+                User: {
+                    findById: () => query(author),
+                    find: () => ({ distinct: () => Promise.resolve(['erin']) })
+                }
+            };
+            jest.spyOn(mongoose, 'model').mockImplementation(name => models[name]);
+        });
+
+        afterEach(() => {
+            mongoose.model.mockRestore();
+        });
+
+        // Resolve once every socket has received everything sent before
+        const flush = sockets => {
+            realtime.publish(sockets.map(socket => socket.userId), { type: 'flushed' });
+            return Promise.all(sockets.map(socket => nextMessage(socket, 'flushed')));
+        };
+
+        const signInAll = async (ids) => {
+            const sockets = [];
+            for (const id of ids) {
+                const socket = await signIn(id);
+                socket.userId = id;
+                sockets.push(socket);
+            }
+            return sockets;
+        };
+
+        it('should send post updates only to the author and followers who can see it', async () => {
+            const sockets = await signInAll(['alice', 'bob', 'carol', 'dave']);
+
+            await realtime.postUpdated('post1');
+            await flush(sockets);
+
+            const received = sockets.map(socket => socket.messages.filter(message => message.type === 'post:updated'));
+            expect(received.map(messages => messages.length)).toEqual([1, 1, 0, 0]);
+            expect(received[1][0].post).toEqual({ _id: 'post1', likeCount: 2, commentCount: 1 });
+
+            sockets.forEach(socket => socket.close());
+        });
+
+        it('should send new posts to followers who have not muted the author', async () => {
+            const sockets = await signInAll(['alice', 'bob', 'carol', 'erin']);
+
+            await realtime.postCreated(post);
+            await flush(sockets);
+
+            const received = sockets.map(socket => socket.messages.filter(message => message.type === 'post:created').length);
+            expect(received).toEqual([1, 1, 0, 0]);
+
+            sockets.forEach(socket => socket.close());
+        });
+    });
+});
@@ -0,0 +1,20 @@
+// Helpers for turning user input into safe queries
+
+// Most words a search is run with; anything after them is ignored
+const MAX_SEARCH_TERMS = 10;
+
+// Split a search into plain words for a $text query. Quotes and leading
+// minus signs would otherwise be read as phrase and negation operators,
+// so only letters, digits and underscores are kept.
+const toSearchTerms = (input = '') => (String(input).match(/[\p{L}\p{N}_]+/gu) || [])
+    .slice(0, MAX_SEARCH_TERMS)
+    .join(' ');
+
+// Escape a string for use as a literal inside a regular expression
+const escapeRegex = (value = '') => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+module.exports = {
+    MAX_SEARCH_TERMS,
+    toSearchTerms,
+    escapeRegex
+};
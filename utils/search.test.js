@@ -0,0 +1,35 @@
+const { MAX_SEARCH_TERMS, toSearchTerms, escapeRegex } = require('./search');
+
+describe('Search helpers', () => {
+    describe('toSearchTerms', () => {
+        it('should keep plain words', () => {
+            expect(toSearchTerms('  node  express ')).toBe('node express');
+        });
+
+        it('should drop text search operators', () => {
+            expect(toSearchTerms('"exact phrase" -excluded')).toBe('exact phrase excluded');
+        });
+
+        it('should keep letters from any alphabet', () => {
+            expect(toSearchTerms('café Zürich #日本')).toBe('café Zürich 日本');
+        });
+
+        it('should return an empty string when no words are left', () => {
+            expect(toSearchTerms('$%^ ""')).toBe('');
+            expect(toSearchTerms()).toBe('');
+        });
+
+        it('should cap the number of words', () => {
+            const words = Array.from({ length: MAX_SEARCH_TERMS + 5 }, (_, i) => `word${i}`);
+
+            expect(toSearchTerms(words.join(' ')).split(' ')).toHaveLength(MAX_SEARCH_TERMS);
+        });
+    });
+
+    describe('escapeRegex', () => {
+        it('should escape regular expression syntax', () => {
+            expect(escapeRegex('a.b*(c)?[d]')).toBe('a\\.b\\*\\(c\\)\\?\\[d\\]');
+            expect(new RegExp(escapeRegex('.*')).test('anything')).toBe(false);
+        });
+    });
+});
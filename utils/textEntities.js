@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+
+// #hashtags and @mentions written in post and comment text. A marker only
+// counts at the start of a word, so "c#" or "name@example.com" are left
+// alone.
+const HASHTAG_PATTERN = /(?:^|[^\w#@])#(\w+)/g;
+const MENTION_PATTERN = /(?:^|[^\w#@])@(\w+)/g;
+
+// Longest hashtag worth storing, as for a post's own tags
+const MAX_HASHTAG_LENGTH = 30;
+
+const unique = (values) => [...new Set(values)];
+
+// Hashtags in a text, lowercased and without the leading #
+const parseHashtags = (text = '') => unique(
+    Array.from(String(text).matchAll(HASHTAG_PATTERN), match => match[1].toLowerCase())
+        .filter(tag => tag.length <= MAX_HASHTAG_LENGTH)
+);
+
+// Usernames mentioned in a text, without the leading @
+const parseMentions = (text = '') => unique(
+    Array.from(String(text).matchAll(MENTION_PATTERN), match => match[1])
+);
+
+// Ids of the users with the given usernames. Mentions are matched without
+// regard to case; names that belong to nobody are dropped.
+const resolveMentions = async (usernames) => {
+    if (usernames.length === 0) {
+        return [];
+    }
+
+    const users = await mongoose.model('User')
+        .find({ username: { $in: usernames } })
+        .collation({ locale: 'en', strength: 2 })
+        .select('_id');
+
+    return users.map(user => user._id);
+};
+
+// Schema plugin storing the hashtags and mentioned users of a document's
+// text in indexed fields, refreshed whenever the text changes
+const textEntitiesPlugin = (schema) => {
+    schema.add({
+        hashtags: [{
+            type: String
+        }],
+        mentions: [{
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        }]
+    });
+
+    schema.index({ hashtags: 1 });
+    schema.index({ mentions: 1 });
+
+    schema.pre('save', async function () {
+        if (!this.isModified('text')) {
+            return;
+        }
+
+        this.hashtags = parseHashtags(this.text);
+        this.mentions = await resolveMentions(parseMentions(this.text));
+    });
+};
+
+module.exports = {
+    parseHashtags,
+    parseMentions,
+    resolveMentions,
+    textEntitiesPlugin
+};
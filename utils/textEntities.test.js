@@ -0,0 +1,48 @@
+const User = require('../models/User');
+const { parseHashtags, parseMentions, resolveMentions } = require('./textEntities');
+
+describe('Text entities', () => {
+    describe('parseHashtags', () => {
+        it('should return lowercased hashtags without duplicates', () => {
+            expect(parseHashtags('Loving #JavaScript and #react. More #javascript!'))
+                .toEqual(['javascript', 'react']);
+        });
+
+        it('should only match hashtags at the start of a word', () => {
+            expect(parseHashtags('I write c# and read example.com/page#top')).toEqual([]);
+            expect(parseHashtags('#first,#second (#third)')).toEqual(['first', 'second', 'third']);
+        });
+
+        it('should skip hashtags longer than a tag may be', () => {
+            expect(parseHashtags(`#${'a'.repeat(31)} #short`)).toEqual(['short']);
+        });
+
+        it('should handle missing text', () => {
+            expect(parseHashtags()).toEqual([]);
+        });
+    });
+
+    describe('parseMentions', () => {
+        it('should return mentioned usernames without duplicates', () => {
+            expect(parseMentions('Thanks @jane_doe and @bob, cc @jane_doe'))
+                .toEqual(['jane_doe', 'bob']);
+        });
+
+        it('should ignore email addresses', () => {
+            expect(parseMentions('Mail me at john@example.com')).toEqual([]);
+        });
+    });
+
+    describe('resolveMentions', () => {
+        afterEach(() => {
+            jest.restoreAllMocks();
+        });
+
+        it('should not query users when nobody is mentioned', async () => {
+            const find = jest.spyOn(User, 'find');
+
+            expect(await resolveMentions([])).toEqual([]);
+            expect(find).not.toHaveBeenCalled();
+        });
+    });
+});
@@ -0,0 +1,235 @@
+const Post = require('../models/Post');
+const User = require('../models/User');
+const TimelineEntry = require('../models/TimelineEntry');
+const { decodeCursor, cursorFilter, sortFor, buildPage } = require('./pagination');
+
+// Newsfeed timelines. Each user's feed is materialized as TimelineEntry
+// documents: a new post is pushed to its author and every follower
+// (fan-out-on-write), following someone backfills their recent posts and
+// unfollowing prunes them. Accounts with more followers than
+// TIMELINE_FANOUT_MAX_FOLLOWERS are switched to fan-out-on-read for good;
+// their posts are merged into followers' feeds when the feed is read.
+//
+// Writes never fail the request that triggered them. A timeline that
+// drifted can be rebuilt with `npm run timeline:rebuild`.
+
+const getMaxFanOut = () => parseInt(process.env.TIMELINE_FANOUT_MAX_FOLLOWERS) || 5000;
+const getBackfillLimit = () => parseInt(process.env.TIMELINE_BACKFILL_LIMIT) || 100;
+
+// Insert entries, skipping those a timeline already holds
+const upsertEntries = async (entries) => {
+    if (entries.length === 0) {
+        return;
+    }
+
+    await TimelineEntry.bulkWrite(entries.map(entry => ({
+        updateOne: {
+            filter: { owner: entry.owner, post: entry.post },
+            update: { $setOnInsert: entry },
+            upsert: true
+        }
+    })), { ordered: false });
+};
+
+// Switch an account to fan-out-on-read once its follower count passes the
+// limit ("followers.N" exists when there are more than N followers)
+const markIfLarge = async (userId) => {
+    await User.updateOne(
+        { _id: userId, fanOutOnRead: { $ne: true }, [`followers.${getMaxFanOut()}`]: { $exists: true } },
+        { $set: { fanOutOnRead: true } }
+    );
+};
+
+const logError = (action, error) => {
+    console.error(`Error ${action}:`, error.message);
+};
+
+// Push a new post into its author's timeline and, unless the author is a
+// large account, into every follower's
+const fanOut = async (post) => {
+    try {
+        const author = await User.findById(post.postedBy).select('followers fanOutOnRead');
+        if (!author) {
+            return;
+        }
+
+        let owners = [author._id];
+        if (author.followers.length > getMaxFanOut()) {
+            await markIfLarge(author._id);
+        } else if (!author.fanOutOnRead) {
+            owners = owners.concat(author.followers);
+        }
+
+        await upsertEntries(owners.map(owner => ({
+            owner,
+            post: post._id,
+            author: author._id,
+            createdAt: post.createdAt
+        })));
+    } catch (error) {
+        logError('fanning out post', error);
+    }
+};
+
+// Copy an author's recent posts into a timeline
+const backfill = async (ownerId, authorId) => {
+    const posts = await Post.find(Post.publishedFilter({ postedBy: authorId }))
+        .sort(sortFor(null))
+        .limit(getBackfillLimit())
+        .select('createdAt');
+
+    await upsertEntries(posts.map(post => ({
+        owner: ownerId,
+        post: post._id,
+        author: authorId,
+        createdAt: post.createdAt
+    })));
+};
+
+// Add an author's recent posts to a new follower's timeline
+const follow = async (ownerId, authorId) => {
+    try {
+        await markIfLarge(authorId);
+
+        const author = await User.findById(authorId).select('fanOutOnRead');
+        if (author && !author.fanOutOnRead) {
+            await backfill(ownerId, authorId);
+        }
+    } catch (error) {
+        logError('backfilling timeline', error);
+    }
+};
+
+// Drop an author's posts from a former follower's timeline
+const unfollow = async (ownerId, authorId) => {
+    try {
+        await TimelineEntry.deleteMany({ owner: ownerId, author: authorId });
+    } catch (error) {
+        logError('pruning timeline', error);
+    }
+};
+
+// Remove a deleted post from every timeline
+const removePost = async (postId) => {
+    try {
+        await TimelineEntry.deleteMany({ post: postId });
+    } catch (error) {
+        logError('removing post from timelines', error);
+    }
+};
+
+// Remove a deleted user's timeline and their posts from other timelines
+const removeUser = async (userId) => {
+    try {
+        await TimelineEntry.deleteMany({ $or: [{ owner: userId }, { author: userId }] });
+    } catch (error) {
+        logError('removing user timelines', error);
+    }
+};
+
+// Rebuild a user's timeline from their own posts and the accounts they follow
+const rebuild = async (userId) => {
+    const user = await User.findById(userId).select('following');
+    if (!user) {
+        return;
+    }
+
+    await TimelineEntry.deleteMany({ owner: userId });
+    await backfill(user._id, user._id);
+    for (const authorId of user.following) {
+        await follow(user._id, authorId);
+    }
+};
+
+// Compare two feed items in the order a page is read in
+const compareFor = (position) => {
+    const direction = position?.direction === 'prev' ? 1 : -1;
+    return (a, b) => {
+        const byTime = a.createdAt - b.createdAt;
+        if (byTime !== 0) {
+            return byTime * direction;
+        }
+        const [aId, bId] = [a._id.toString(), b._id.toString()];
+        return (aId < bId ? -1 : aId > bId ? 1 : 0) * direction;
+    };
+};
+
+// Read a page of a user's feed: their timeline entries merged with the
+// posts of large accounts they follow. Takes and returns the same options
+// and pagination shape as utils/pagination's paginate(), plus
+// excludeAuthors to leave out the posts of muted or blocked users.
+const read = async (userId, { cursor, page, limit = 10, populate = [], excludeAuthors = [] }) => {
+    const position = cursor ? decodeCursor(cursor) : null;
+    // Numbered pages read everything up to the end of the requested page
+    const offset = page && !cursor ? (page - 1) * limit : 0;
+    const fetchCount = offset + limit + 1;
+
+    const largeAuthors = await User.find({
+        _id: { $nin: excludeAuthors },
+        fanOutOnRead: true,
+        followers: userId
+    }).select('_id');
+
+    const entryFilter = excludeAuthors.length === 0
+        ? { owner: userId }
+        : { owner: userId, author: { $nin: excludeAuthors } };
+    const postFilter = Post.publishedFilter({ postedBy: { $in: largeAuthors.map(author => author._id) } });
+
+    const [entries, largePosts] = await Promise.all([
+        TimelineEntry.find(position ? { ...entryFilter, ...cursorFilter(position, 'post') } : entryFilter)
+            .sort(sortFor(position, 'post'))
+            .limit(fetchCount)
+            .select('post createdAt'),
+        largeAuthors.length === 0 ? [] : Post.find(position ? { $and: [postFilter, cursorFilter(position)] } : postFilter)
+            .sort(sortFor(position))
+            .limit(fetchCount)
+            .select('createdAt')
+    ]);
+
+    // Merge both sources as { _id, createdAt } keys of posts. A post can be
+    // in both if its author became a large account after it was fanned out.
+    const keys = new Map();
+    for (const item of [...entries.map(entry => ({ _id: entry.post, createdAt: entry.createdAt })), ...largePosts]) {
+        keys.set(item._id.toString(), { _id: item._id, createdAt: item.createdAt });
+    }
+    const merged = [...keys.values()].sort(compareFor(position));
+
+    let result;
+    if (page && !cursor) {
+        const [entryTotal, postTotal] = await Promise.all([
+            TimelineEntry.countDocuments(entryFilter),
+            largeAuthors.length === 0 ? 0 : Post.countDocuments(postFilter)
+        ]);
+        const total = entryTotal + postTotal;
+        result = {
+            data: merged.slice(offset, offset + limit),
+            total,
+            pagination: {
+                page,
+                limit,
+                pages: Math.ceil(total / limit)
+            }
+        };
+    } else {
+        result = buildPage(merged.slice(0, limit + 1), position, limit);
+    }
+
+    // Load the posts on the page, keeping feed order
+    const posts = await Post.find(Post.publishedFilter({ _id: { $in: result.data.map(key => key._id) } })).populate(populate);
+    const postsById = new Map(posts.map(post => [post._id.toString(), post]));
+
+    return {
+        ...result,
+        data: result.data.map(key => postsById.get(key._id.toString())).filter(Boolean)
+    };
+};
+
+module.exports = {
+    fanOut,
+    follow,
+    unfollow,
+    removePost,
+    removeUser,
+    rebuild,
+    read
+};
@@ -0,0 +1,89 @@
+const totp = require('./totp');
+
+// RFC 6238 reference secret ("12345678901234567890" as ASCII)
+const RFC_SECRET = totp.base32Encode(Buffer.from('12345678901234567890'));
+
+describe('TOTP utilities', () => {
+    describe('base32', () => {
+        it('should round-trip arbitrary bytes', () => {
+            const bytes = Buffer.from([0, 1, 2, 250, 251, 252, 253, 254, 255]);
+
+            expect(totp.base32Decode(totp.base32Encode(bytes))).toEqual(bytes);
+        });
+
+        it('should encode the RFC test secret', () => {
+            expect(RFC_SECRET).toBe('GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+        });
+
+        it('should reject invalid characters', () => {
+            expect(() => totp.base32Decode('ABC1')).toThrow('Invalid base32 character');
+        });
+    });
+
+    describe('generateSecret', () => {
+        it('should generate distinct 160-bit base32 secrets', () => {
+            const secret = totp.generateSecret();
+
+            expect(secret).toMatch(/^[A-Z2-7]{32}$/);
+            expect(totp.base32Decode(secret)).toHaveLength(20);
+            expect(totp.generateSecret()).not.toBe(secret);
+        });
+    });
+
+    describe('generateCode', () => {
+        it.each([
+            [59, '287082'],
+            [1111111109, '081804'],
+            [1234567890, '005924'],
+            [2000000000, '279037'],
+        ])('should match the RFC 6238 vector at %i seconds', (seconds, expected) => {
+            expect(totp.generateCode(RFC_SECRET, seconds * 1000)).toBe(expected);
+        });
+    });
+
+    describe('verifyCode', () => {
+        const time = 1111111109 * 1000;
+
+        it('should return the matching time step for a valid code', () => {
+            expect(totp.verifyCode(RFC_SECRET, '081804', { time })).toBe(Math.floor(1111111109 / 30));
+        });
+
+        it('should accept codes from adjacent steps within the window', () => {
+            const previous = totp.generateCode(RFC_SECRET, time - 30000);
+
+            expect(totp.verifyCode(RFC_SECRET, previous, { time })).not.toBeNull();
+            expect(totp.verifyCode(RFC_SECRET, previous, { time, window: 0 })).toBeNull();
+        });
+
+        it('should reject codes outside the window', () => {
+            const old = totp.generateCode(RFC_SECRET, time - 90000);
+
+            expect(totp.verifyCode(RFC_SECRET, old, { time })).toBeNull();
+        });
+
+        it('should ignore whitespace and reject malformed codes', () => {
+            expect(totp.verifyCode(RFC_SECRET, '081 804', { time })).not.toBeNull();
+            expect(totp.verifyCode(RFC_SECRET, '81804', { time })).toBeNull();
+            expect(totp.verifyCode(RFC_SECRET, 'abcdef', { time })).toBeNull();
+            expect(totp.verifyCode(RFC_SECRET, undefined, { time })).toBeNull();
+        });
+    });
+
+    describe('buildOtpauthUri', () => {
+        it('should build a URI authenticator apps understand', () => {
+            const uri = totp.buildOtpauthUri({
+                secret: RFC_SECRET,
+                account: 'john@example.com',
+                issuer: 'MERN Social'
+            });
+
+            expect(uri).toMatch(/^otpauth:\/\/totp\/MERN%20Social%3Ajohn%40example\.com\?/);
+
+            const params = new URL(uri).searchParams;
+            expect(params.get('secret')).toBe(RFC_SECRET);
+            expect(params.get('issuer')).toBe('MERN Social');
+            expect(params.get('digits')).toBe('6');
+            expect(params.get('period')).toBe('30');
+        });
+    });
+});
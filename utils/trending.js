@@ -0,0 +1,161 @@
+const Post = require('../models/Post');
+
+const HOUR = 60 * 60 * 1000;
+
+// Sliding windows a topic is scored over. Shorter windows carry a higher
+// weight so that topics picking up right now outrank week-old chatter.
+const WINDOWS = {
+    '1h': { duration: HOUR, weight: 6 },
+    '24h': { duration: 24 * HOUR, weight: 3 },
+    '7d': { duration: 7 * 24 * HOUR, weight: 1 }
+};
+
+// Engagement weights applied per post
+const ENGAGEMENT_WEIGHTS = {
+    post: 1,
+    like: 1,
+    comment: 2
+};
+
+// Common words that never make an interesting topic
+const STOP_WORDS = [
+    'about', 'after', 'again', 'also', 'been', 'before', 'being', 'could',
+    'does', 'doing', 'down', 'each', 'even', 'from', 'have', 'having', 'here',
+    'into', 'just', 'like', 'more', 'most', 'much', 'only', 'other', 'over',
+    'really', 'same', 'should', 'some', 'such', 'than', 'that', 'their',
+    'them', 'then', 'there', 'these', 'they', 'this', 'those', 'very', 'want',
+    'were', 'what', 'when', 'where', 'which', 'while', 'will', 'with',
+    'would', 'your', 'yours', 'today', 'post', 'posts'
+];
+
+// Build the aggregation pipeline that extracts and scores topics
+const buildTrendingPipeline = ({ now, limit, type }) => {
+    const since = (key) => new Date(now.getTime() - WINDOWS[key].duration);
+
+    const engagement = {
+        $add: [
+            ENGAGEMENT_WEIGHTS.post,
+            { $multiply: [ENGAGEMENT_WEIGHTS.like, { $size: { $ifNull: ['$likes', []] } }] },
+            { $multiply: [ENGAGEMENT_WEIGHTS.comment, { $ifNull: ['$commentCount', 0] }] }
+        ]
+    };
+
+    // Restrict topics to one kind when a type filter is given
+    let topics = { $concatArrays: ['$hashtags', '$keywords'] };
+    if (type === 'hashtag') {
+        topics = '$hashtags';
+    } else if (type === 'keyword') {
+        topics = '$keywords';
+    }
+
+    const inWindow = (key, value) => ({
+        $cond: [{ $gte: ['$createdAt', since(key)] }, value, 0]
+    });
+
+    return [
+        { $match: Post.publishedFilter({ createdAt: { $gte: since('7d'), $lte: now } }) },
+        {
+            $project: {
+                createdAt: 1,
+                engagement,
+                hashtags: {
+                    $map: {
+                        input: { $regexFindAll: { input: '$text', regex: /#(\w+)/ } },
+                        as: 'm',
+                        in: { $concat: ['#', { $toLower: { $arrayElemAt: ['$$m.captures', 0] } }] }
+                    }
+                },
+                keywords: {
+                    $map: {
+                        input: { $regexFindAll: { input: { $toLower: '$text' }, regex: /(?:^|[^#\w])([a-z][a-z0-9]{3,})/ } },
+                        as: 'm',
+                        in: { $arrayElemAt: ['$$m.captures', 0] }
+                    }
+                }
+            }
+        },
+        {
+            $project: {
+                createdAt: 1,
+                engagement: 1,
+                keywords: {
+                    $filter: {
+                        input: { $setUnion: ['$keywords', []] },
+                        as: 'word',
+                        cond: { $not: [{ $in: ['$$word', STOP_WORDS] }] }
+                    }
+                },
+                hashtags: { $setUnion: ['$hashtags', []] }
+            }
+        },
+        {
+            $project: {
+                createdAt: 1,
+                engagement: 1,
+                topics
+            }
+        },
+        { $unwind: '$topics' },
+        {
+            $group: {
+                _id: '$topics',
+                count: { $sum: 1 },
+                count1h: { $sum: inWindow('1h', 1) },
+                count24h: { $sum: inWindow('24h', 1) },
+                score: {
+                    $sum: {
+                        $multiply: [
+                            '$engagement',
+                            {
+                                $add: [
+                                    WINDOWS['7d'].weight,
+                                    inWindow('24h', WINDOWS['24h'].weight),
+                                    inWindow('1h', WINDOWS['1h'].weight)
+                                ]
+                            }
+                        ]
+                    }
+                }
+            }
+        },
+        { $sort: { score: -1, count: -1, _id: 1 } },
+        { $limit: limit }
+    ];
+};
+
+// Work out whether a topic is picking up compared to its weekly average
+const getTrend = ({ count, count24h }) => {
+    const dailyAverage = count / 7;
+
+    if (count24h > dailyAverage) {
+        return 'up';
+    }
+    if (count24h < dailyAverage) {
+        return 'down';
+    }
+    return 'steady';
+};
+
+// Get ranked trending topics from recent posts
+const getTrendingTopics = async ({ limit = 10, type, now = new Date() } = {}) => {
+    const results = await Post.aggregate(buildTrendingPipeline({ now, limit, type }));
+
+    return results.map(result => ({
+        topic: result._id,
+        type: result._id.startsWith('#') ? 'hashtag' : 'keyword',
+        count: result.count,
+        score: result.score,
+        windows: {
+            '1h': result.count1h,
+            '24h': result.count24h,
+            '7d': result.count
+        },
+        trend: getTrend(result)
+    }));
+};
+
+module.exports = {
+    WINDOWS,
+    ENGAGEMENT_WEIGHTS,
+    getTrendingTopics
+};